@@ -0,0 +1,207 @@
+/**
+ * Socket.io events exchanged with the server (see server/src/utils/socketEvents.js).
+ *
+ * Connect with the access token in the handshake, e.g.
+ * `io(API_URL, { auth: { token } })`; connections without a valid token are
+ * refused. Every socket is placed in its user's room automatically and can
+ * join the rooms of groups the user belongs to.
+ *
+ * Usage with socket.io-client:
+ * `const socket: Socket<ServerToClientEvents, ClientToServerEvents> = io(...)`
+ */
+
+/** `late` means coming, but arriving after the start */
+export type RsvpStatus = 'pending' | 'confirmed' | 'tentative' | 'late' | 'declined';
+
+/** Built-in roles, or the key of a custom role defined by the group */
+export type MemberRole = 'member' | 'admin' | 'owner' | string;
+
+export interface RehearsalAttendee {
+  /** Missing for external substitutes, who have no account */
+  userId?: string;
+  /** True for substitutes added through a sub request */
+  isGuest: boolean;
+  substituteId?: string;
+  /** Name and covered instruments, set for guests */
+  name?: string;
+  instruments?: string[];
+  status: RsvpStatus;
+  reason?: string;
+  /** Expected arrival when arriving late */
+  eta?: string;
+  responseTime?: string;
+}
+
+export interface RehearsalCreatedPayload {
+  _id: string;
+  groupId: string;
+  title: string;
+  description?: string;
+  startDateTime: string;
+  endDateTime: string;
+  venueId?: string;
+  roomId?: string;
+  isRecurring: boolean;
+  setlistId?: string;
+  attendees: RehearsalAttendee[];
+}
+
+export interface RehearsalUpdatedPayload {
+  rehearsalId: string;
+  /** Set when a single occurrence of a recurring rehearsal changed */
+  originalStartDateTime?: string;
+  /** Set when the series was split for a "this and following" edit */
+  followingRehearsalId?: string;
+}
+
+export interface RehearsalCancelledPayload {
+  rehearsalId: string;
+  /** Set when only one occurrence of a recurring rehearsal was cancelled */
+  originalStartDateTime?: string;
+}
+
+export interface RsvpChangedPayload {
+  rehearsalId: string;
+  originalStartDateTime: string;
+  userId: string;
+  status: RsvpStatus;
+  reason?: string;
+  eta?: string;
+}
+
+export interface RehearsalRiskChangedPayload {
+  rehearsalId: string;
+  originalStartDateTime: string;
+  atRisk: boolean;
+  /** Why the requirements cannot be met; empty once the risk is cleared */
+  reasons: string[];
+}
+
+export interface CheckInChangedPayload {
+  rehearsalId: string;
+  originalStartDateTime: string;
+  userId: string;
+  /** False when a check-in was removed */
+  checkedIn: boolean;
+  checkedInAt?: string;
+}
+
+export type PollChoice = 'yes' | 'maybe' | 'no';
+
+export type PollStatus = 'open' | 'closed' | 'converted';
+
+export interface PollOption {
+  _id: string;
+  startDateTime: string;
+  endDateTime: string;
+  venueId?: string;
+  roomId?: string;
+  notes?: string;
+}
+
+export interface PollCreatedPayload {
+  _id: string;
+  groupId: string;
+  title: string;
+  description?: string;
+  options: PollOption[];
+  votes: { userId: string; optionId: string; choice: PollChoice; votedAt: string }[];
+  deadline: string;
+  status: PollStatus;
+  createdBy: string;
+}
+
+export interface PollUpdatedPayload {
+  pollId: string;
+  status: PollStatus;
+  tally: { optionId: string; yes: number; maybe: number; no: number }[];
+  /** Set once the poll became a rehearsal */
+  rehearsalId?: string;
+}
+
+export type SubRequestStatus = 'open' | 'filled' | 'exhausted' | 'expired' | 'cancelled';
+
+export interface SubRequestUpdatedPayload {
+  subRequestId: string;
+  rehearsalId: string;
+  originalStartDateTime: string;
+  status: SubRequestStatus;
+  /** Set once a substitute accepted */
+  filledBy?: { substituteId: string; name: string };
+}
+
+export interface MemberJoinedPayload {
+  groupId: string;
+  userId: string;
+  role: MemberRole;
+}
+
+export interface MemberLeftPayload {
+  groupId: string;
+  userId: string;
+}
+
+export interface SetlistChangedPayload {
+  setlistId: string;
+  change: 'created' | 'updated' | 'deleted';
+}
+
+export type NotificationType =
+  | 'rehearsal_created'
+  | 'rehearsal_time_changed'
+  | 'rehearsal_updated'
+  | 'rehearsal_cancelled'
+  | 'rsvp_changed'
+  | 'rehearsal_at_risk'
+  | 'member_away'
+  | 'poll_created'
+  | 'booking_requested'
+  | 'booking_approved'
+  | 'booking_rejected'
+  | 'sub_requested'
+  | 'sub_request_filled'
+  | 'sub_request_exhausted'
+  | 'role_changed'
+  | 'ownership_transfer_requested';
+
+export interface NotificationPayload {
+  _id: string;
+  userId: string;
+  groupId?: string;
+  rehearsalId?: string;
+  type: NotificationType;
+  title: string;
+  message: string;
+  data: Record<string, unknown>;
+  actorId?: string;
+  readAt: string | null;
+  createdAt: string;
+}
+
+export interface RoomAck {
+  success: boolean;
+  message?: string;
+}
+
+/** Events emitted by the server */
+export interface ServerToClientEvents {
+  rehearsal_created: (rehearsal: RehearsalCreatedPayload) => void;
+  rehearsal_updated: (payload: RehearsalUpdatedPayload) => void;
+  rehearsal_cancelled: (payload: RehearsalCancelledPayload) => void;
+  rsvp_changed: (payload: RsvpChangedPayload) => void;
+  rehearsal_risk_changed: (payload: RehearsalRiskChangedPayload) => void;
+  check_in_changed: (payload: CheckInChangedPayload) => void;
+  poll_created: (poll: PollCreatedPayload) => void;
+  poll_updated: (payload: PollUpdatedPayload) => void;
+  sub_request_updated: (payload: SubRequestUpdatedPayload) => void;
+  member_joined: (payload: MemberJoinedPayload) => void;
+  member_left: (payload: MemberLeftPayload) => void;
+  setlist_changed: (payload: SetlistChangedPayload) => void;
+  notification: (notification: NotificationPayload) => void;
+}
+
+/** Events emitted by the client; joining requires group membership */
+export interface ClientToServerEvents {
+  join_room: (groupId: string, ack?: (response: RoomAck) => void) => void;
+  leave_room: (groupId: string, ack?: (response: RoomAck) => void) => void;
+}
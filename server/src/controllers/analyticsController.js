@@ -0,0 +1,74 @@
+const { getGroupAttendanceAnalytics } = require('../services/analyticsService');
+const { toCsv } = require('../utils/csv');
+
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 366;
+const DAY = 24 * 60 * 60 * 1000;
+
+const MEMBER_CSV_COLUMNS = [
+  { key: 'name', header: 'Member' },
+  { key: 'userId', header: 'User ID' },
+  { key: 'isMember', header: 'Current member' },
+  { key: 'invited', header: 'Invited' },
+  { key: 'confirmed', header: 'Confirmed' },
+  { key: 'tentative', header: 'Tentative' },
+  { key: 'late', header: 'Arriving late' },
+  { key: 'declined', header: 'Declined' },
+  { key: 'pending', header: 'No response' },
+  { key: 'confirmationRate', header: 'Confirmation rate' },
+  { key: 'declineRate', header: 'Decline rate' },
+  { key: 'noResponseRate', header: 'No-response rate' },
+  { key: 'medianResponseHours', header: 'Median RSVP latency (hours)' },
+  { key: 'promised', header: 'Promised (checked occurrences)' },
+  { key: 'kept', header: 'Showed up as promised' },
+  { key: 'noShows', header: 'No-shows' },
+  { key: 'showUpRate', header: 'Show-up rate' }
+];
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * @desc    Get attendance analytics of a group, per member and overall
+ * @route   GET /api/groups/:id/analytics/attendance
+ * @access  Private (view_analytics permission)
+ */
+const getAttendanceAnalytics = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const endDate = req.query.endDate || new Date();
+    const startDate = req.query.startDate || new Date(endDate.getTime() - DEFAULT_RANGE_DAYS * DAY);
+
+    if (endDate <= startDate) {
+      return res.status(400).json({ success: false, message: 'End date must be after start date' });
+    }
+
+    if (endDate - startDate > MAX_RANGE_DAYS * DAY) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot be longer than ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    // Patterns are read in the requesting user's zone unless another is asked for
+    const analytics = await getGroupAttendanceAnalytics(group, { startDate, endDate, timeZone: req.timeZone });
+
+    if (req.query.format === 'csv') {
+      const filename = `attendance-${group._id}-${formatDay(startDate)}-${formatDay(analytics.range.endDate)}.csv`;
+      res.attachment(filename);
+      res.type('text/csv');
+      const rows = analytics.members.map(member => ({ ...member, ...member.turnout }));
+      return res.status(200).send(toCsv(MEMBER_CSV_COLUMNS, rows));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: analytics
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAttendanceAnalytics
+};
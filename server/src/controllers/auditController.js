@@ -0,0 +1,44 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * @desc    Get a group's audit log, newest first. Filter by actor, action,
+ *          target type (e.g. `member` for every membership action) and date
+ * @route   GET /api/groups/:id/audit-log
+ * @access  Private (manage_group permission)
+ */
+const getAuditLog = async (req, res, next) => {
+  try {
+    const { actorId, action, targetType, targetId, startDate, endDate, limit = 50, skip = 0 } = req.query;
+
+    const filter = { groupId: req.group._id };
+    if (actorId) filter.actorId = actorId;
+    if (action) filter.action = action;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = startDate;
+      if (endDate) filter.createdAt.$lt = endDate;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actorId', 'firstName lastName email'),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getAuditLog };
@@ -0,0 +1,365 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { sendEmail } = require('../services/emailService');
+const { hashToken } = require('../utils/tokens');
+const { pick } = require('../utils/pick');
+const { logError } = require('../utils/logger');
+
+const REGISTER_FIELDS = ['email', 'password', 'firstName', 'lastName', 'instruments', 'timeZone'];
+
+// Same answer whether or not the address has an account, so the endpoint
+// cannot be used to find out who is registered
+const FORGOT_PASSWORD_MESSAGE = 'If an account exists for this email, a reset link has been sent';
+
+// Registering answers the same way for a taken address; its owner gets an
+// email instead of a new account
+const REGISTER_MESSAGE = 'Check your email to confirm your address, then log in';
+
+const ACCOUNT_LOCKED_MESSAGE = 'Too many failed logins; try again later or reset your password';
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const sendVerificationEmail = (user, token) =>
+  sendEmail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Please confirm your email address for MusicJam Scheduler:',
+      `${getClientUrl()}/verify-email/${token}`,
+      '',
+      "If you didn't create an account, you can ignore this email."
+    ].join('\n')
+  });
+
+const sendResetPasswordEmail = (user, token) =>
+  sendEmail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Someone asked to reset the password of your MusicJam Scheduler account.',
+      'Choose a new password here (the link works for 30 minutes):',
+      `${getClientUrl()}/reset-password/${token}`,
+      '',
+      "If it wasn't you, you can ignore this email; your password stays the same."
+    ].join('\n')
+  });
+
+const sendAccountExistsEmail = (user) =>
+  sendEmail({
+    to: user.email,
+    subject: 'You already have an account',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Someone tried to create a MusicJam Scheduler account with your email address, which already has one.',
+      `Log in here: ${getClientUrl()}/login`,
+      `Forgot your password? Reset it here: ${getClientUrl()}/forgot-password`,
+      '',
+      "If it wasn't you, you can ignore this email."
+    ].join('\n')
+  });
+
+// Start a session for the user and build the response body with its tokens
+const startSession = async (req, user) => {
+  const { session, refreshToken } = Session.start(user._id, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  });
+  await session.save();
+
+  return {
+    user,
+    accessToken: user.getSignedJwtToken(session._id),
+    refreshToken
+  };
+};
+
+/**
+ * @desc    Register a user and send an email to verify the address. The answer
+ *          is the same when the email is taken, whose owner is told by email
+ * @route   POST /api/auth/register
+ * @access  Public
+ */
+const register = async (req, res, next) => {
+  try {
+    const existing = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    if (existing) {
+      try {
+        await sendAccountExistsEmail(existing);
+      } catch (error) {
+        logError('Sending account exists email failed', error);
+      }
+    } else {
+      const user = new User(pick(req.body, REGISTER_FIELDS));
+      const verificationToken = user.getEmailVerificationToken();
+      await user.save();
+
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (error) {
+        // The user can ask for another email after logging in
+        logError('Sending verification email failed', error);
+      }
+    }
+
+    res.status(202).json({ success: true, message: REGISTER_MESSAGE });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log in. Too many failed attempts in a row lock the account for a while
+ * @route   POST /api/auth/login
+ * @access  Public
+ */
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() })
+      .select('+password +failedLoginAttempts +lockUntil');
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    }
+
+    if (user.isLocked()) {
+      return res.status(423).json({ success: false, message: ACCOUNT_LOCKED_MESSAGE });
+    }
+
+    if (!(await user.matchPassword(password))) {
+      user.registerFailedLogin();
+      await user.save();
+
+      if (user.isLocked()) {
+        return res.status(423).json({ success: false, message: ACCOUNT_LOCKED_MESSAGE });
+      }
+      return res.status(401).json({ success: false, message: 'Invalid email or password' });
+    }
+
+    user.registerSuccessfulLogin();
+    await user.save();
+
+    user.password = undefined;
+    res.status(200).json({ success: true, data: await startSession(req, user) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access token and refresh token.
+ *          Each refresh token works once; using one again ends the session
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token)
+ */
+const refreshToken = async (req, res, next) => {
+  try {
+    const found = await Session.findByRefreshToken(req.body.refreshToken);
+    if (!found) {
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+    }
+
+    const { session, reused } = found;
+    if (reused) {
+      // Someone else may hold a copy of the session's tokens
+      if (session.revoke('token_reuse')) {
+        await session.save();
+      }
+      return res.status(401).json({ success: false, message: 'Refresh token was already used; please log in again' });
+    }
+
+    if (!session.isActive()) {
+      return res.status(401).json({ success: false, message: 'Session has ended; please log in again' });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Invalid refresh token' });
+    }
+
+    const newRefreshToken = session.rotateToken();
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        accessToken: user.getSignedJwtToken(session._id),
+        refreshToken: newRefreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out, ending the current session
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+const logout = async (req, res, next) => {
+  try {
+    const session = await Session.findById(req.user.sessionId);
+    if (session && session.revoke('logout')) {
+      await session.save();
+    }
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out everywhere, ending every session of the current user
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user.id, 'logout_all');
+
+    res.status(200).json({ success: true, data: { revoked } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user
+ * @route   GET /api/auth/me
+ * @access  Private
+ */
+const getMe = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.status(200).json({ success: true, data: user });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Email a link to reset the password
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+    if (user) {
+      const token = user.getResetPasswordToken();
+      await user.save();
+
+      try {
+        await sendResetPasswordEmail(user, token);
+      } catch (error) {
+        logError('Sending password reset email failed', error);
+      }
+    }
+
+    res.status(200).json({ success: true, message: FORGOT_PASSWORD_MESSAGE });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set a new password with the token from the reset email. Every
+ *          session of the user is ended
+ * @route   PUT /api/auth/reset-password/:token
+ * @access  Public (token from the reset email)
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(req.params.token),
+      resetPasswordExpire: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'This reset link is invalid or has expired' });
+    }
+
+    user.resetPassword(req.body.password);
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.status(200).json({ success: true, message: 'Password updated; please log in with your new password' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm an email address with the token from the verification email
+ * @route   POST /api/auth/verify-email/:token
+ * @access  Public (token from the verification email)
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpire: { $gt: new Date() }
+    });
+    if (!user) {
+      return res.status(400).json({ success: false, message: 'This verification link is invalid or has expired' });
+    }
+
+    user.verifyEmail();
+    await user.save();
+
+    res.status(200).json({ success: true, data: { emailVerified: true } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send another verification email to the current user
+ * @route   POST /api/auth/verify-email
+ * @access  Private
+ */
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ success: false, message: 'Your email address is already verified' });
+    }
+
+    const token = user.getEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, token);
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refreshToken,
+  logout,
+  logoutAll,
+  getMe,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail
+};
@@ -0,0 +1,284 @@
+const User = require('../models/User');
+const BusyBlock = require('../models/BusyBlock');
+const Rehearsal = require('../models/Rehearsal');
+const { getMemberFreeIntervals } = require('../services/schedulingService');
+const { applyAbsence, releaseAbsence, getBlackoutInterval } = require('../services/absenceService');
+const { recordAudit } = require('../services/auditService');
+const { localizeTimes } = require('../utils/timeZone');
+const { pick } = require('../utils/pick');
+const { AUDIT_ACTIONS } = require('../utils/auditActions');
+
+const MAX_AVAILABILITY_RANGE_DAYS = 31;
+
+const AVAILABILITY_FIELDS = ['timeZone', 'defaultAvailability', 'oneTimeAvailability'];
+
+const DATE_RANGE_FIELDS = ['startDate', 'endDate', 'reason'];
+
+const byStartDate = (a, b) => a.startDate - b.startDate;
+
+/**
+ * @desc    Get the current user's availability and the time zone it is read in
+ * @route   GET /api/users/me/availability
+ * @access  Private
+ */
+const getMyAvailability = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(AVAILABILITY_FIELDS.join(' '));
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.status(200).json({ success: true, data: pick(user, AVAILABILITY_FIELDS) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the current user's time zone and availability. Slot times are
+ *          wall-clock times in the user's zone
+ * @route   PUT /api/users/me/availability
+ * @access  Private
+ */
+const updateMyAvailability = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(AVAILABILITY_FIELDS.join(' '));
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    user.set(pick(req.body, AVAILABILITY_FIELDS));
+    await user.save();
+
+    res.status(200).json({ success: true, data: pick(user, AVAILABILITY_FIELDS) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get when each member of a group is free in a date range. Every member's
+ *          availability is read in their own zone and returned in the requester's
+ * @route   GET /api/groups/:id/availability
+ * @access  Private (group members)
+ */
+const getGroupAvailability = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const { startDate, endDate } = req.query;
+
+    if (endDate - startDate > MAX_AVAILABILITY_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot be longer than ${MAX_AVAILABILITY_RANGE_DAYS} days`
+      });
+    }
+
+    await group.populate('members.userId', 'firstName lastName timeZone defaultAvailability oneTimeAvailability absences');
+    const users = group.members.map(member => member.userId).filter(Boolean);
+    const busyBlocks = await BusyBlock.findForUsers(users.map(user => user._id), startDate, endDate);
+
+    const members = users.map(user => {
+      const userBusyBlocks = busyBlocks.filter(block => block.userId.toString() === user._id.toString());
+      const freeIntervals = getMemberFreeIntervals(user, startDate, endDate, userBusyBlocks)
+        .map(interval => {
+          const free = { startDateTime: new Date(interval.start), endDateTime: new Date(interval.end) };
+          return { ...free, local: localizeTimes(free, req.timeZone) };
+        });
+
+      return {
+        userId: user._id,
+        name: `${user.firstName} ${user.lastName}`,
+        timeZone: user.timeZone,
+        freeIntervals
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: members.length,
+      data: { timeZone: req.timeZone, members }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's absences
+ * @route   GET /api/users/me/absences
+ * @access  Private
+ */
+const getMyAbsences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('timeZone absences');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const absences = [...user.absences].sort(byStartDate);
+
+    res.status(200).json({
+      success: true,
+      count: absences.length,
+      data: absences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a period the current user is away. Pending RSVPs in it are
+ *          declined; answers saying they would come are flagged to the
+ *          group's schedulers
+ * @route   POST /api/users/me/absences
+ * @access  Private
+ */
+const createAbsence = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('firstName lastName timeZone absences');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    user.absences.push(pick(req.body, DATE_RANGE_FIELDS));
+    const absence = user.absences[user.absences.length - 1];
+    await user.save();
+
+    const affected = await applyAbsence(req.io, user, absence);
+
+    res.status(201).json({
+      success: true,
+      data: absence,
+      affected
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove one of the current user's absences. RSVPs it declined on
+ *          upcoming rehearsals go back to pending
+ * @route   DELETE /api/users/me/absences/:absenceId
+ * @access  Private
+ */
+const deleteAbsence = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('absences');
+    const absence = user && user.absences.id(req.params.absenceId);
+    if (!absence) {
+      return res.status(404).json({ success: false, message: 'Absence not found' });
+    }
+
+    absence.deleteOne();
+    await user.save();
+    await releaseAbsence(req.io, absence._id, req.user.id);
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a group's blackout dates
+ * @route   GET /api/groups/:id/blackouts
+ * @access  Private (group members)
+ */
+const getBlackouts = async (req, res, next) => {
+  try {
+    const blackouts = [...req.group.blackoutDates].sort(byStartDate);
+
+    res.status(200).json({
+      success: true,
+      count: blackouts.length,
+      data: blackouts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add days the whole group is off. Nothing is suggested or scheduled
+ *          on them without an override; rehearsals already planned then are
+ *          returned so they can be cancelled or moved
+ * @route   POST /api/groups/:id/blackouts
+ * @access  Private (manage_group permission)
+ */
+const createBlackout = async (req, res, next) => {
+  try {
+    const { group } = req;
+
+    group.blackoutDates.push({ ...pick(req.body, DATE_RANGE_FIELDS), createdBy: req.user.id });
+    const blackout = group.blackoutDates[group.blackoutDates.length - 1];
+    await group.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.BLACKOUT_CREATED,
+      targetId: blackout._id,
+      targetLabel: blackout.reason,
+      after: pick(blackout, DATE_RANGE_FIELDS)
+    });
+
+    const interval = getBlackoutInterval(blackout, group);
+    const from = Math.max(interval.start, Date.now());
+    const rehearsals = from < interval.end
+      ? await Rehearsal.findOccurrences({ groupId: group._id }, new Date(from), new Date(interval.end))
+      : [];
+
+    res.status(201).json({
+      success: true,
+      data: blackout,
+      rehearsals
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove one of a group's blackout dates
+ * @route   DELETE /api/groups/:id/blackouts/:blackoutId
+ * @access  Private (manage_group permission)
+ */
+const deleteBlackout = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const blackout = group.blackoutDates.id(req.params.blackoutId);
+    if (!blackout) {
+      return res.status(404).json({ success: false, message: 'Blackout not found' });
+    }
+
+    const before = pick(blackout, DATE_RANGE_FIELDS);
+    blackout.deleteOne();
+    await group.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.BLACKOUT_DELETED,
+      targetId: blackout._id,
+      targetLabel: blackout.reason,
+      before
+    });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyAvailability,
+  updateMyAvailability,
+  getGroupAvailability,
+  getMyAbsences,
+  createAbsence,
+  deleteAbsence,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout
+};
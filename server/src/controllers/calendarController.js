@@ -0,0 +1,163 @@
+const Rehearsal = require('../models/Rehearsal');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { hashToken } = require('../utils/tokens');
+const { buildCalendar } = require('../utils/icalendar');
+const { DAY } = require('../utils/recurrence');
+
+// Past rehearsals kept in feeds so calendars do not drop recent history
+const FEED_HISTORY_DAYS = 90;
+const FEED_LIMIT = 1000;
+
+const getApiUrl = () => process.env.API_URL || 'http://localhost:5000';
+
+const getFeedDomain = () => new URL(getApiUrl()).hostname;
+
+const sendCalendar = (res, name, rehearsals) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Cache-Control', 'private, max-age=900');
+  res.status(200).send(buildCalendar(name, rehearsals, getFeedDomain()));
+};
+
+/**
+ * @desc    iCalendar feed of a user's rehearsals
+ * @route   GET /api/calendar/users/:token/rehearsals.ics
+ * @access  Public (secret feed token)
+ */
+const getUserCalendarFeed = async (req, res, next) => {
+  try {
+    const user = await User.findOne({ calendarFeedToken: hashToken(req.params.token) });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+    }
+
+    const rehearsals = await Rehearsal.getForMember(user._id, {
+      startDate: new Date(Date.now() - FEED_HISTORY_DAYS * DAY),
+      limit: FEED_LIMIT
+    });
+    await Rehearsal.populate(rehearsals, { path: 'exceptions.venueId', select: 'name address' });
+
+    sendCalendar(res, `${user.firstName}'s rehearsals`, rehearsals);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    iCalendar feed of a group's rehearsals
+ * @route   GET /api/calendar/groups/:token/rehearsals.ics
+ * @access  Public (secret feed token)
+ */
+const getGroupCalendarFeed = async (req, res, next) => {
+  try {
+    const group = await Group.findOne({ calendarFeedToken: hashToken(req.params.token) });
+    if (!group) {
+      return res.status(404).json({ success: false, message: 'Calendar feed not found' });
+    }
+
+    const since = new Date(Date.now() - FEED_HISTORY_DAYS * DAY);
+    const rehearsals = await Rehearsal.find({
+      groupId: group._id,
+      $or: [
+        { endDateTime: { $gte: since } },
+        { isRecurring: true, 'recurringPattern.endDate': { $gte: since } }
+      ]
+    })
+      .sort({ startDateTime: 1 })
+      .limit(FEED_LIMIT)
+      .populate('groupId', 'name')
+      .populate('venueId', 'name address')
+      .populate('exceptions.venueId', 'name address')
+      .populate('setlistId', 'name');
+
+    sendCalendar(res, `${group.name} rehearsals`, rehearsals);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create (or replace) the current user's calendar feed URL
+ * @route   POST /api/users/me/calendar-feed
+ * @access  Private
+ */
+const createMyCalendarFeed = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const token = user.generateCalendarFeedToken();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        url: `${getApiUrl()}/api/calendar/users/${token}/rehearsals.ics`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke the current user's calendar feed URL
+ * @route   DELETE /api/users/me/calendar-feed
+ * @access  Private
+ */
+const revokeMyCalendarFeed = async (req, res, next) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarFeedToken: 1 } });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create (or replace) a group's calendar feed URL
+ * @route   POST /api/groups/:id/calendar-feed
+ * @access  Private (manage_group permission)
+ */
+const createGroupCalendarFeed = async (req, res, next) => {
+  try {
+    const { group } = req;
+
+    const token = group.generateCalendarFeedToken();
+    await group.save();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        url: `${getApiUrl()}/api/calendar/groups/${token}/rehearsals.ics`
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a group's calendar feed URL
+ * @route   DELETE /api/groups/:id/calendar-feed
+ * @access  Private (manage_group permission)
+ */
+const revokeGroupCalendarFeed = async (req, res, next) => {
+  try {
+    const { group } = req;
+
+    await Group.updateOne({ _id: group._id }, { $unset: { calendarFeedToken: 1 } });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUserCalendarFeed,
+  getGroupCalendarFeed,
+  createMyCalendarFeed,
+  revokeMyCalendarFeed,
+  createGroupCalendarFeed,
+  revokeGroupCalendarFeed
+};
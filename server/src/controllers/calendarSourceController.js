@@ -0,0 +1,183 @@
+const CalendarSource = require('../models/CalendarSource');
+const BusyBlock = require('../models/BusyBlock');
+const { importCalendar, syncUrlSource } = require('../services/calendarImportService');
+const { isPublicUrl } = require('../utils/networkAddress');
+
+const INTERNAL_URL_MESSAGE = 'Calendar URLs must point to a public host';
+
+const findOwnSource = (req) =>
+  CalendarSource.findOne({ _id: req.params.sourceId, userId: req.user.id });
+
+/**
+ * @desc    Get the current user's imported calendars
+ * @route   GET /api/users/me/calendar-sources
+ * @access  Private
+ */
+const getCalendarSources = async (req, res, next) => {
+  try {
+    const sources = await CalendarSource.find({ userId: req.user.id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: sources.length,
+      data: sources
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Register a calendar to import busy time from. Sources with a URL are
+ *          imported right away and then polled; others wait for an upload
+ * @route   POST /api/users/me/calendar-sources
+ * @access  Private
+ */
+const createCalendarSource = async (req, res, next) => {
+  try {
+    const { name, url } = req.body;
+    if (url && !(await isPublicUrl(url))) {
+      return res.status(400).json({ success: false, message: INTERNAL_URL_MESSAGE });
+    }
+
+    const source = await CalendarSource.create({
+      userId: req.user.id,
+      name,
+      type: url ? 'url' : 'upload',
+      url
+    });
+
+    if (source.type === 'url') {
+      try {
+        await syncUrlSource(source);
+      } catch (error) {
+        // The failure is recorded on the source and the URL is retried by the sync job
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: source
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Upload an iCalendar file into a calendar source
+ * @route   PUT /api/users/me/calendar-sources/:sourceId/ics
+ * @access  Private
+ */
+const uploadCalendar = async (req, res, next) => {
+  try {
+    const source = await findOwnSource(req);
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'Calendar source not found' });
+    }
+
+    if (source.type !== 'upload') {
+      return res.status(400).json({ success: false, message: 'This calendar is imported from its URL' });
+    }
+
+    // Accept the raw text/calendar body or JSON with the file content
+    const content = typeof req.body === 'string' ? req.body : req.body.content;
+    if (!content) {
+      return res.status(400).json({ success: false, message: 'Please provide the iCalendar content' });
+    }
+
+    try {
+      await importCalendar(source, content);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: source
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Import a URL calendar source now instead of waiting for the sync job
+ * @route   POST /api/users/me/calendar-sources/:sourceId/sync
+ * @access  Private
+ */
+const syncCalendarSource = async (req, res, next) => {
+  try {
+    const source = await findOwnSource(req);
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'Calendar source not found' });
+    }
+
+    if (source.type !== 'url') {
+      return res.status(400).json({ success: false, message: 'Only URL calendars can be synced' });
+    }
+
+    try {
+      await syncUrlSource(source);
+    } catch (error) {
+      return res.status(502).json({ success: false, message: `Calendar sync failed: ${source.lastError}` });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: source
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a calendar source and its busy blocks
+ * @route   DELETE /api/users/me/calendar-sources/:sourceId
+ * @access  Private
+ */
+const deleteCalendarSource = async (req, res, next) => {
+  try {
+    const source = await findOwnSource(req);
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'Calendar source not found' });
+    }
+
+    await BusyBlock.deleteMany({ sourceId: source._id });
+    await source.deleteOne();
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's imported busy time in a date range
+ * @route   GET /api/users/me/busy-blocks
+ * @access  Private
+ */
+const getBusyBlocks = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const blocks = await BusyBlock.findForUsers([req.user.id], startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      count: blocks.length,
+      data: blocks
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCalendarSources,
+  createCalendarSource,
+  uploadCalendar,
+  syncCalendarSource,
+  deleteCalendarSource,
+  getBusyBlocks
+};
@@ -0,0 +1,523 @@
+const { suggestRehearsalTimes } = require('../services/schedulingService');
+const { notifyRoleChanged, notifyOwnershipTransferRequested } = require('../services/notificationService');
+const { removeUserFromGroupRoom } = require('../services/socketService');
+const { reevaluateGroupRisk } = require('../services/requirementService');
+const { recordAudit } = require('../services/auditService');
+const { BUILT_IN_ROLES, toRoleKey } = require('../utils/permissions');
+const { AUDIT_ACTIONS } = require('../utils/auditActions');
+
+const MAX_SUGGESTION_RANGE_DAYS = 31;
+
+// Accept list parameters either repeated (?a=1&a=2) or comma-separated (?a=1,2)
+const parseList = (value) => {
+  if (!value) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => item.trim()).filter(Boolean);
+};
+
+// Built-in and custom roles of a group with what each may do
+const describeRoles = (group) => [
+  ...Object.keys(BUILT_IN_ROLES).map(key => ({
+    key,
+    name: key.charAt(0).toUpperCase() + key.slice(1),
+    builtIn: true,
+    permissions: group.getRolePermissions(key)
+  })),
+  ...group.customRoles.map(role => ({
+    key: role.key,
+    name: role.name,
+    builtIn: false,
+    permissions: group.getRolePermissions(role.key)
+  }))
+];
+
+/**
+ * @desc    Suggest rehearsal times from every member's availability
+ * @route   GET /api/groups/:id/suggested-times
+ * @access  Private (group members)
+ */
+const getSuggestedTimes = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const { startDate, endDate, duration, venueId, roomId, limit } = req.query;
+
+    if (endDate <= startDate) {
+      return res.status(400).json({ success: false, message: 'End date must be after start date' });
+    }
+
+    if (endDate - startDate > MAX_SUGGESTION_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot be longer than ${MAX_SUGGESTION_RANGE_DAYS} days`
+      });
+    }
+
+    const requiredMembers = parseList(req.query.requiredMembers);
+    const nonMembers = requiredMembers.filter(userId => !group.isMember(userId));
+    if (nonMembers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Required members are not in this group: ${nonMembers.join(', ')}`
+      });
+    }
+
+    await group.populate(
+      'members.userId',
+      'firstName lastName instruments timeZone defaultAvailability oneTimeAvailability absences'
+    );
+
+    const suggestions = await suggestRehearsalTimes(group, {
+      startDate,
+      endDate,
+      durationMinutes: duration,
+      requiredMembers,
+      requiredInstruments: parseList(req.query.requiredInstruments),
+      venueId,
+      roomId,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      data: suggestions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the default required instruments and head count of the group's rehearsals
+ * @route   PUT /api/groups/:id/rehearsal-requirements
+ * @access  Private (manage_group permission)
+ */
+const updateRehearsalRequirements = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const { requiredInstruments, minAttendees } = req.body;
+    const before = group.rehearsalRequirements.toObject();
+
+    if (requiredInstruments !== undefined) {
+      group.rehearsalRequirements.requiredInstruments = requiredInstruments;
+    }
+    if (minAttendees !== undefined) {
+      group.rehearsalRequirements.minAttendees = minAttendees === null ? undefined : minAttendees;
+    }
+
+    await group.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.GROUP_REQUIREMENTS_UPDATED,
+      targetId: group._id,
+      targetLabel: group.name,
+      before,
+      after: group.rehearsalRequirements.toObject()
+    });
+    await reevaluateGroupRisk(req.io, group, req.user.id);
+
+    res.status(200).json({ success: true, data: group.rehearsalRequirements });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the group's home time zone. Rehearsals scheduled from then on repeat
+ *          in it; existing rehearsals keep the zone they were scheduled in
+ * @route   PUT /api/groups/:id/time-zone
+ * @access  Private (manage_group permission)
+ */
+const updateTimeZone = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const before = group.timeZone;
+
+    group.timeZone = req.body.timeZone;
+    await group.save();
+
+    if (before !== group.timeZone) {
+      await recordAudit({
+        groupId: group._id,
+        actorId: req.user.id,
+        action: AUDIT_ACTIONS.GROUP_TIME_ZONE_UPDATED,
+        targetId: group._id,
+        targetLabel: group.name,
+        before: { timeZone: before },
+        after: { timeZone: group.timeZone }
+      });
+    }
+
+    res.status(200).json({ success: true, data: { timeZone: group.timeZone } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a group's roles and the permissions each grants
+ * @route   GET /api/groups/:id/roles
+ * @access  Private (group members)
+ */
+const getRoles = async (req, res, next) => {
+  try {
+    const roles = describeRoles(req.group);
+
+    res.status(200).json({
+      success: true,
+      count: roles.length,
+      data: roles
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Define a custom role
+ * @route   POST /api/groups/:id/roles
+ * @access  Private (manage_roles permission; only permissions the user has)
+ */
+const createRole = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const { name, permissions } = req.body;
+
+    if (!group.holdsPermissions(req.user.id, permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'A role can only grant permissions you have yourself'
+      });
+    }
+
+    const role = group.addCustomRole(toRoleKey(name), name, permissions);
+    if (!role) {
+      return res.status(400).json({ success: false, message: 'A role with this name already exists' });
+    }
+
+    await group.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.ROLE_CREATED,
+      targetLabel: role.name,
+      after: { name: role.name, permissions: role.permissions }
+    });
+
+    res.status(201).json({ success: true, data: role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Rename a custom role or change its permissions
+ * @route   PUT /api/groups/:id/roles/:roleKey
+ * @access  Private (manage_roles permission; not the user's own role unless admin)
+ */
+const updateRole = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const role = group.customRoles.find(candidate => candidate.key === req.params.roleKey);
+    if (!role) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+
+    if (!group.canEditRole(req.user.id, role.key)) {
+      return res.status(403).json({ success: false, message: 'You cannot change this role' });
+    }
+    if (req.body.permissions !== undefined && !group.holdsPermissions(req.user.id, req.body.permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'A role can only grant permissions you have yourself'
+      });
+    }
+
+    const before = { name: role.name, permissions: [...role.permissions] };
+
+    // The key stays the same so members keep the role when it is renamed
+    if (req.body.name !== undefined) role.name = req.body.name;
+    if (req.body.permissions !== undefined) role.permissions = req.body.permissions;
+    await group.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.ROLE_UPDATED,
+      targetLabel: role.name,
+      before,
+      after: { name: role.name, permissions: [...role.permissions] }
+    });
+
+    res.status(200).json({ success: true, data: role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a custom role; its members become regular members
+ * @route   DELETE /api/groups/:id/roles/:roleKey
+ * @access  Private (manage_roles permission; not the user's own role unless admin)
+ */
+const deleteRole = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const role = group.customRoles.find(candidate => candidate.key === req.params.roleKey);
+    if (!role) {
+      return res.status(404).json({ success: false, message: 'Role not found' });
+    }
+
+    if (!group.canEditRole(req.user.id, role.key)) {
+      return res.status(403).json({ success: false, message: 'You cannot delete this role' });
+    }
+
+    const before = { name: role.name, permissions: [...role.permissions] };
+    group.removeCustomRole(role.key);
+
+    await group.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.ROLE_DELETED,
+      targetLabel: before.name,
+      before
+    });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a member's role in a group
+ * @route   PUT /api/groups/:id/members/:userId/role
+ * @access  Private (manage_roles permission; only the owner makes or unmakes admins)
+ */
+const updateMemberRole = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!group.isMember(userId)) {
+      return res.status(404).json({ success: false, message: 'Member not found' });
+    }
+
+    if (!group.isKnownRole(role)) {
+      return res.status(400).json({ success: false, message: `Unknown role: ${role}` });
+    }
+
+    if (role === 'owner') {
+      return res.status(400).json({
+        success: false,
+        message: 'Ownership is handed over with an ownership transfer'
+      });
+    }
+
+    if (!group.canAssignRole(req.user.id, userId, role)) {
+      return res.status(403).json({ success: false, message: 'You cannot give this member this role' });
+    }
+
+    const previousRole = group.getMember(userId).role;
+    group.updateMemberRole(userId, role);
+    await group.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.MEMBER_ROLE_CHANGED,
+      targetId: userId,
+      before: { role: previousRole },
+      after: { role }
+    });
+    await notifyRoleChanged(req.io, group, userId, role, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: group.getMember(userId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a member and take their sockets out of the group's room. `action`
+// tells the audit log whether they were removed or left
+const removeFromGroup = async (req, res, userId, action) => {
+  const { group } = req;
+
+  const member = group.getMember(userId);
+  if (!member) {
+    return res.status(404).json({ success: false, message: 'Member not found' });
+  }
+  const before = { role: member.role, instruments: [...(member.instruments || [])] };
+
+  if (!group.removeMember(userId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'The owner cannot leave the group; transfer ownership first'
+    });
+  }
+
+  await group.save();
+  await recordAudit({
+    groupId: group._id,
+    actorId: req.user.id,
+    action,
+    targetId: userId,
+    before
+  });
+
+  // The removed member stops receiving the group's live updates immediately
+  removeUserFromGroupRoom(req.io, group._id, userId);
+
+  res.status(200).json({ success: true, data: {} });
+};
+
+/**
+ * @desc    Remove a member from a group
+ * @route   DELETE /api/groups/:id/members/:userId
+ * @access  Private (manage_members permission)
+ */
+const removeMember = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const { userId } = req.params;
+
+    // Admins can only be removed by the owner
+    const target = group.getMember(userId);
+    if (target && target.role === 'admin' && !group.isOwner(req.user.id)) {
+      return res.status(403).json({ success: false, message: 'Only the owner can remove admins' });
+    }
+
+    await removeFromGroup(req, res, userId, AUDIT_ACTIONS.MEMBER_REMOVED);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Leave a group
+ * @route   DELETE /api/groups/:id/members/me
+ * @access  Private (group members)
+ */
+const leaveGroup = async (req, res, next) => {
+  try {
+    await removeFromGroup(req, res, req.user.id.toString(), AUDIT_ACTIONS.MEMBER_LEFT);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Offer ownership of a group to another member. The transfer only
+ *          happens once they accept it
+ * @route   POST /api/groups/:id/ownership-transfer
+ * @access  Private (group owner)
+ */
+const requestOwnershipTransfer = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const { userId } = req.body;
+
+    if (!group.requestOwnershipTransfer(req.user.id, userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ownership can only be transferred to another member of the group'
+      });
+    }
+
+    await group.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.OWNERSHIP_TRANSFER_REQUESTED,
+      targetId: userId
+    });
+    await notifyOwnershipTransferRequested(req.io, group, req.user.id);
+
+    res.status(201).json({ success: true, data: group.pendingOwnershipTransfer });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept ownership of a group
+ * @route   POST /api/groups/:id/ownership-transfer/accept
+ * @access  Private (the member ownership was offered to)
+ */
+const acceptOwnershipTransfer = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const transfer = group.getPendingOwnershipTransfer();
+    const previousOwnerId = transfer && transfer.fromUserId;
+
+    if (!group.acceptOwnershipTransfer(req.user.id)) {
+      // Saving clears an offer that became void
+      await group.save();
+      return res.status(400).json({ success: false, message: 'There is no ownership transfer for you to accept' });
+    }
+
+    await group.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.OWNERSHIP_TRANSFERRED,
+      targetId: req.user.id,
+      before: { ownerId: previousOwnerId },
+      after: { ownerId: req.user.id }
+    });
+    await notifyRoleChanged(req.io, group, previousOwnerId, 'admin', req.user.id);
+
+    res.status(200).json({ success: true, data: group.members });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Withdraw (owner) or decline (recipient) a pending ownership transfer
+ * @route   DELETE /api/groups/:id/ownership-transfer
+ * @access  Private (the owner or the member ownership was offered to)
+ */
+const cancelOwnershipTransfer = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const transfer = group.getPendingOwnershipTransfer();
+    const recipientId = transfer && transfer.toUserId;
+
+    if (!group.cancelOwnershipTransfer(req.user.id)) {
+      return res.status(404).json({ success: false, message: 'No pending ownership transfer' });
+    }
+
+    await group.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.OWNERSHIP_TRANSFER_CANCELLED,
+      targetId: recipientId
+    });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSuggestedTimes,
+  updateRehearsalRequirements,
+  updateTimeZone,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  updateMemberRole,
+  removeMember,
+  leaveGroup,
+  requestOwnershipTransfer,
+  acceptOwnershipTransfer,
+  cancelOwnershipTransfer
+};
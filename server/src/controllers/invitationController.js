@@ -0,0 +1,324 @@
+const Invitation = require('../models/Invitation');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { sendEmail } = require('../services/emailService');
+const { emitToGroup } = require('../services/socketService');
+const { recordAudit } = require('../services/auditService');
+const { SERVER_EVENTS } = require('../utils/socketEvents');
+const { AUDIT_ACTIONS } = require('../utils/auditActions');
+const { logError } = require('../utils/logger');
+
+const DEFAULT_EXPIRY_DAYS = 7;
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const invitationUrl = (token) => `${getClientUrl()}/invitations/${token}`;
+
+// Shape an invitation for responses, with whether it can still be used
+const withUsability = (invitation) => ({
+  ...invitation.toObject(),
+  isUsable: invitation.isUsable
+});
+
+const sendInvitationEmail = (invitation, group, inviter, token) =>
+  sendEmail({
+    to: invitation.email,
+    subject: `${inviter.firstName} invited you to join ${group.name}`,
+    text: [
+      'Hi,',
+      '',
+      `${inviter.firstName} ${inviter.lastName} invited you to join ${group.name} on MusicJam Scheduler.`,
+      invitation.instruments.length > 0 ? `Instruments: ${invitation.instruments.join(', ')}` : '',
+      '',
+      `Accept or decline the invitation here: ${invitationUrl(token)}`,
+      '',
+      `The invitation expires on ${invitation.expiresAt.toUTCString()}.`
+    ].join('\n')
+  });
+
+// Find the invitation behind a token together with its group, sending the
+// error response and resolving to null when it does not exist
+const loadInvitationByToken = async (req, res) => {
+  const invitation = await Invitation.findByToken(req.params.token);
+  const group = invitation && await Group.findById(invitation.groupId);
+  if (!invitation || !group) {
+    res.status(404).json({ success: false, message: 'Invitation not found' });
+    return null;
+  }
+
+  return { invitation, group };
+};
+
+// Email invitations can only be answered by the account they were sent to
+const isAddressedTo = (invitation, user) =>
+  invitation.type !== 'email' || invitation.email === user.email;
+
+/**
+ * @desc    Invite someone by email, or create a shareable join link
+ * @route   POST /api/groups/:id/invitations
+ * @access  Private (invite_members permission)
+ */
+const createInvitation = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const { email, role = 'member', instruments = [], maxUses, expiresInDays = DEFAULT_EXPIRY_DAYS } = req.body;
+
+    if (!group.canInviteWithRole(req.user.id, role)) {
+      return res.status(403).json({ success: false, message: 'You cannot invite people into this role' });
+    }
+
+    if (email) {
+      const existingUser = await User.findOne({ email: email.toLowerCase() }).select('_id');
+      if (existingUser && group.isMember(existingUser._id)) {
+        return res.status(409).json({ success: false, message: 'This person is already a member' });
+      }
+    }
+
+    const invitation = new Invitation({
+      groupId: group._id,
+      type: email ? 'email' : 'link',
+      email,
+      role,
+      instruments,
+      maxUses: email ? 1 : maxUses,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      invitedBy: req.user.id
+    });
+    const token = invitation.generateToken();
+    await invitation.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.INVITATION_CREATED,
+      targetId: invitation._id,
+      targetLabel: invitation.email,
+      after: { type: invitation.type, role, instruments, maxUses: invitation.maxUses, expiresAt: invitation.expiresAt }
+    });
+
+    if (invitation.type === 'email') {
+      const inviter = await User.findById(req.user.id).select('firstName lastName');
+      try {
+        await sendInvitationEmail(invitation, group, inviter, token);
+      } catch (error) {
+        // Keep the invitation; the link in the response can be shared instead
+        logError('Sending invitation email failed', error);
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...withUsability(invitation),
+        url: invitationUrl(token)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a group's invitations (pending ones by default)
+ * @route   GET /api/groups/:id/invitations
+ * @access  Private (invite_members permission)
+ */
+const getGroupInvitations = async (req, res, next) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const query = { groupId: req.group._id };
+    if (status !== 'all') {
+      query.status = status;
+    }
+    if (status === 'pending') {
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const invitations = await Invitation.find(query)
+      .sort({ createdAt: -1 })
+      .populate('invitedBy', 'firstName lastName')
+      .populate('acceptedBy.userId', 'firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations.map(withUsability)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/groups/:id/invitations/:invitationId
+ * @access  Private (invite_members permission)
+ */
+const revokeInvitation = async (req, res, next) => {
+  try {
+    const invitation = await Invitation.findOne({ _id: req.params.invitationId, groupId: req.group._id });
+    if (!invitation) {
+      return res.status(404).json({ success: false, message: 'Invitation not found' });
+    }
+
+    if (!invitation.revoke()) {
+      return res.status(400).json({ success: false, message: 'Only pending invitations can be revoked' });
+    }
+
+    await invitation.save();
+    await recordAudit({
+      groupId: invitation.groupId,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.INVITATION_REVOKED,
+      targetId: invitation._id,
+      targetLabel: invitation.email,
+      before: { status: 'pending' },
+      after: { status: invitation.status }
+    });
+
+    res.status(200).json({ success: true, data: withUsability(invitation) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Look at an invitation before answering it
+ * @route   GET /api/invitations/:token
+ * @access  Private
+ */
+const getInvitation = async (req, res, next) => {
+  try {
+    const loaded = await loadInvitationByToken(req, res);
+    if (!loaded) return;
+
+    const { invitation, group } = loaded;
+    await invitation.populate('invitedBy', 'firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        group: {
+          _id: group._id,
+          name: group.name,
+          description: group.description,
+          memberCount: group.memberCount
+        },
+        type: invitation.type,
+        role: invitation.role,
+        instruments: invitation.instruments,
+        invitedBy: invitation.invitedBy,
+        expiresAt: invitation.expiresAt,
+        status: invitation.status,
+        isUsable: invitation.isUsable,
+        isMember: group.isMember(req.user.id)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept an invitation and join the group
+ * @route   POST /api/invitations/:token/accept
+ * @access  Private
+ */
+const acceptInvitation = async (req, res, next) => {
+  try {
+    const loaded = await loadInvitationByToken(req, res);
+    if (!loaded) return;
+
+    const { invitation, group } = loaded;
+    const user = await User.findById(req.user.id).select('email');
+
+    if (!isAddressedTo(invitation, user)) {
+      return res.status(403).json({ success: false, message: 'This invitation was sent to another email address' });
+    }
+
+    if (group.isMember(req.user.id)) {
+      return res.status(409).json({ success: false, message: 'You are already a member of this group' });
+    }
+
+    if (!(await Invitation.claimUse(invitation._id, req.user.id))) {
+      return res.status(410).json({ success: false, message: 'This invitation has expired or was already used' });
+    }
+
+    // A custom role deleted since the invitation was sent falls back to member
+    const role = group.isKnownRole(invitation.role) ? invitation.role : 'member';
+
+    try {
+      if (!group.addMember(req.user.id, role, invitation.instruments)) {
+        await Invitation.releaseUse(invitation._id, req.user.id);
+        return res.status(409).json({ success: false, message: 'You are already a member of this group' });
+      }
+      await group.save();
+    } catch (error) {
+      await Invitation.releaseUse(invitation._id, req.user.id);
+      throw error;
+    }
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.MEMBER_JOINED,
+      targetId: req.user.id,
+      after: { role, instruments: invitation.instruments, invitationId: invitation._id }
+    });
+
+    emitToGroup(req.io, group._id, SERVER_EVENTS.MEMBER_JOINED, {
+      groupId: group._id,
+      userId: req.user.id,
+      role
+    });
+
+    res.status(200).json({
+      success: true,
+      data: group.getMember(req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Decline an email invitation
+ * @route   POST /api/invitations/:token/decline
+ * @access  Private
+ */
+const declineInvitation = async (req, res, next) => {
+  try {
+    const loaded = await loadInvitationByToken(req, res);
+    if (!loaded) return;
+
+    const { invitation } = loaded;
+    const user = await User.findById(req.user.id).select('email');
+
+    if (!isAddressedTo(invitation, user)) {
+      return res.status(403).json({ success: false, message: 'This invitation was sent to another email address' });
+    }
+
+    if (!invitation.decline()) {
+      return res.status(400).json({
+        success: false,
+        message: invitation.type === 'link'
+          ? 'Join links do not need to be declined'
+          : 'This invitation can no longer be answered'
+      });
+    }
+
+    await invitation.save();
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createInvitation,
+  getGroupInvitations,
+  revokeInvitation,
+  getInvitation,
+  acceptInvitation,
+  declineInvitation
+};
@@ -0,0 +1,315 @@
+const Venue = require('../models/Venue');
+const Payment = require('../models/Payment');
+const { recordAudit, valuesOf } = require('../services/auditService');
+const { getRehearsalCharges, getGroupLedger, hasLedgerEntries } = require('../services/ledgerService');
+const { toCsv } = require('../utils/csv');
+const { pick } = require('../utils/pick');
+const { PERMISSIONS } = require('../utils/permissions');
+const { AUDIT_ACTIONS } = require('../utils/auditActions');
+
+const COST_FIELDS = ['source', 'amount', 'hourlyRate', 'paidBy', 'splitMode', 'shares'];
+const PAYMENT_FIELDS = ['fromUserId', 'toUserId', 'amount', 'note', 'paidAt'];
+
+const DEFAULT_RANGE_DAYS = 90;
+const DAY = 24 * 60 * 60 * 1000;
+
+const LEDGER_CSV_COLUMNS = [
+  { key: 'date', header: 'Date' },
+  { key: 'type', header: 'Type' },
+  { key: 'description', header: 'Description' },
+  { key: 'member', header: 'Member' },
+  { key: 'userId', header: 'User ID' },
+  { key: 'amount', header: 'Amount' },
+  { key: 'currency', header: 'Currency' }
+];
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// One CSV line per change to a member's balance: what they paid and what they
+// were charged for each occurrence, and both sides of each payment
+const toLedgerRows = (ledger) =>
+  ledger.entries.flatMap(entry => {
+    const row = (party, amount) => ({
+      date: entry.date,
+      type: entry.type,
+      description: entry.description,
+      member: party.name,
+      userId: party.userId,
+      amount,
+      currency: ledger.currency
+    });
+
+    if (entry.type === 'payment') {
+      return [row(entry.from, entry.amount), row(entry.to, -entry.amount)];
+    }
+    return [row(entry.paidBy, entry.amount), ...entry.shares.map(share => row(share, -share.amount))];
+  });
+
+const auditCost = (req, rehearsal, action, values) =>
+  recordAudit({
+    groupId: rehearsal.groupId,
+    actorId: req.user.id,
+    action,
+    targetId: rehearsal._id,
+    targetLabel: rehearsal.title,
+    ...values
+  });
+
+/**
+ * @desc    Get the cost of a rehearsal and how it is split per occurrence
+ * @route   GET /api/rehearsals/:id/cost
+ * @access  Private (group members)
+ */
+const getRehearsalCost = async (req, res, next) => {
+  try {
+    const rehearsal = req.resource;
+    if (!rehearsal.cost) {
+      return res.status(404).json({ success: false, message: 'This rehearsal has no cost' });
+    }
+
+    const endDate = req.query.endDate || new Date(Date.now() + DEFAULT_RANGE_DAYS * DAY);
+    const startDate = req.query.startDate || new Date(endDate.getTime() - 2 * DEFAULT_RANGE_DAYS * DAY);
+    const occurrences = getRehearsalCharges(rehearsal, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      count: occurrences.length,
+      data: {
+        cost: rehearsal.cost,
+        currency: req.group.currency,
+        occurrences
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the cost of a rehearsal, from its room's hourly rate or a fixed amount
+ * @route   PUT /api/rehearsals/:id/cost
+ * @access  Private (manage_finances permission)
+ */
+const setRehearsalCost = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const rehearsal = req.resource;
+    const { source, amount, paidBy, splitMode = 'equal', shares = [] } = req.body;
+
+    const strangers = [paidBy, ...shares.map(share => share.userId)].filter(userId => !group.isMember(userId));
+    if (strangers.length > 0) {
+      return res.status(400).json({ success: false, message: 'Costs can only be split among members of the group' });
+    }
+
+    const cost = {
+      source,
+      paidBy,
+      splitMode,
+      shares: splitMode === 'custom' ? shares : [],
+      setBy: req.user.id,
+      setAt: new Date()
+    };
+
+    if (source === 'venue') {
+      const venue = rehearsal.venueId ? await Venue.findById(rehearsal.venueId) : null;
+      const room = venue && venue.getRoom(rehearsal.roomId);
+      if (!room) {
+        return res.status(400).json({
+          success: false,
+          message: 'Choose a room for the rehearsal to take the cost from its hourly rate'
+        });
+      }
+      if (venue.currency !== group.currency) {
+        return res.status(400).json({
+          success: false,
+          message: `The venue charges in ${venue.currency} but the group keeps its costs in ${group.currency}`
+        });
+      }
+      cost.hourlyRate = room.hourlyRate;
+    } else {
+      cost.amount = amount;
+    }
+
+    const before = rehearsal.cost ? valuesOf(rehearsal.cost, COST_FIELDS) : undefined;
+    rehearsal.cost = cost;
+    await rehearsal.save();
+    await auditCost(req, rehearsal, AUDIT_ACTIONS.REHEARSAL_COST_UPDATED, {
+      before,
+      after: valuesOf(rehearsal.cost, COST_FIELDS)
+    });
+
+    res.status(200).json({ success: true, data: rehearsal.cost });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove the cost of a rehearsal, taking its charges out of the ledger
+ * @route   DELETE /api/rehearsals/:id/cost
+ * @access  Private (manage_finances permission)
+ */
+const removeRehearsalCost = async (req, res, next) => {
+  try {
+    const rehearsal = req.resource;
+    if (!rehearsal.cost) {
+      return res.status(404).json({ success: false, message: 'This rehearsal has no cost' });
+    }
+
+    const before = valuesOf(rehearsal.cost, COST_FIELDS);
+    rehearsal.cost = undefined;
+    await rehearsal.save();
+    await auditCost(req, rehearsal, AUDIT_ACTIONS.REHEARSAL_COST_REMOVED, { before });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the group's ledger: balances, settle-up suggestions and entries
+ * @route   GET /api/groups/:id/ledger
+ * @access  Private (group members)
+ */
+const getLedger = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const { startDate, endDate } = req.query;
+    const ledger = await getGroupLedger(group, { startDate, endDate });
+
+    if (req.query.format === 'csv') {
+      const range = [startDate, endDate].filter(Boolean).map(formatDay).join('-');
+      res.attachment(`ledger-${group._id}${range ? `-${range}` : ''}.csv`);
+      res.type('text/csv');
+      return res.status(200).send(toCsv(LEDGER_CSV_COLUMNS, toLedgerRows(ledger)));
+    }
+
+    res.status(200).json({ success: true, data: ledger });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Record a payment between two members. Members record what they paid;
+ *          recording it for others takes the manage_finances permission
+ * @route   POST /api/groups/:id/payments
+ * @access  Private (group members)
+ */
+const createPayment = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const fields = pick(req.body, PAYMENT_FIELDS);
+
+    const canManage = group.hasPermission(req.user.id, PERMISSIONS.MANAGE_FINANCES);
+    if (fields.fromUserId !== req.user.id.toString() && !canManage) {
+      return res.status(403).json({ success: false, message: 'You can only record payments you made' });
+    }
+
+    if (!group.isMember(fields.fromUserId) || !group.isMember(fields.toUserId)) {
+      return res.status(400).json({ success: false, message: 'Payments can only be made between members of the group' });
+    }
+
+    const payment = await Payment.create({
+      ...fields,
+      groupId: group._id,
+      recordedBy: req.user.id
+    });
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.PAYMENT_RECORDED,
+      targetId: payment._id,
+      after: valuesOf(payment, PAYMENT_FIELDS)
+    });
+
+    res.status(201).json({ success: true, data: payment });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a payment recorded by mistake
+ * @route   DELETE /api/groups/:id/payments/:paymentId
+ * @access  Private (whoever recorded it, manage_finances permission)
+ */
+const deletePayment = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const payment = await Payment.findOne({ _id: req.params.paymentId, groupId: group._id });
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const isRecorder = payment.recordedBy && payment.recordedBy.toString() === req.user.id.toString();
+    if (!isRecorder && !group.hasPermission(req.user.id, PERMISSIONS.MANAGE_FINANCES)) {
+      return res.status(403).json({ success: false, message: 'Not authorized to delete this payment' });
+    }
+
+    await payment.deleteOne();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.PAYMENT_DELETED,
+      targetId: payment._id,
+      before: valuesOf(payment, PAYMENT_FIELDS)
+    });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set the currency the group keeps its costs and payments in
+ * @route   PUT /api/groups/:id/currency
+ * @access  Private (manage_finances permission)
+ */
+const updateCurrency = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const before = group.currency;
+    const { currency } = req.body;
+
+    if (currency === before) {
+      return res.status(200).json({ success: true, data: { currency } });
+    }
+
+    // Amounts already in the ledger would silently change their meaning
+    if (await hasLedgerEntries(group._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `The ledger already has costs or payments in ${before}`
+      });
+    }
+
+    group.currency = currency;
+    await group.save();
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.GROUP_CURRENCY_UPDATED,
+      targetId: group._id,
+      targetLabel: group.name,
+      before: { currency: before },
+      after: { currency: group.currency }
+    });
+
+    res.status(200).json({ success: true, data: { currency: group.currency } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRehearsalCost,
+  setRehearsalCost,
+  removeRehearsalCost,
+  getLedger,
+  createPayment,
+  deletePayment,
+  updateCurrency
+};
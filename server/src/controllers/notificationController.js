@@ -0,0 +1,80 @@
+const Notification = require('../models/Notification');
+
+/**
+ * @desc    Get the current user's notifications, newest first
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const { unread, limit = 20, skip = 0 } = req.query;
+
+    const filter = { userId: req.user.id };
+    if (unread) {
+      filter.readAt = null;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Notification.countUnread(req.user.id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      data: notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PATCH /api/notifications/:id/read
+ * @access  Private
+ */
+const markNotificationRead = async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!notification) {
+      return res.status(404).json({ success: false, message: 'Notification not found' });
+    }
+
+    await notification.markRead();
+
+    res.status(200).json({
+      success: true,
+      data: notification,
+      unreadCount: await Notification.countUnread(req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications as read
+ * @route   PATCH /api/notifications/read-all
+ * @access  Private
+ */
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const updated = await Notification.markAllRead(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: { updated },
+      unreadCount: 0
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -0,0 +1,90 @@
+const User = require('../models/User');
+const ReminderLog = require('../models/ReminderLog');
+const { pick } = require('../utils/pick');
+
+const PREFERENCE_FIELDS = ['emailEnabled', 'reminderOffsetsHours', 'rsvpNudges', 'dailyDigest', 'digestHour'];
+
+/**
+ * @desc    Get the current user's notification preferences
+ * @route   GET /api/users/me/notification-preferences
+ * @access  Private
+ */
+const getNotificationPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user.notificationPreferences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the current user's notification preferences
+ * @route   PUT /api/users/me/notification-preferences
+ * @access  Private
+ */
+const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const updates = pick(req.body, PREFERENCE_FIELDS);
+    if (updates.reminderOffsetsHours) {
+      updates.reminderOffsetsHours = [...new Set(updates.reminderOffsetsHours)].sort((a, b) => b - a);
+    }
+
+    const $set = {};
+    Object.entries(updates).forEach(([field, value]) => {
+      $set[`notificationPreferences.${field}`] = value;
+    });
+
+    const user = await User.findByIdAndUpdate(req.user.id, { $set }, {
+      new: true,
+      runValidators: true
+    }).select('notificationPreferences');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: user.notificationPreferences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the reminder, nudge and digest emails sent to the current user
+ * @route   GET /api/users/me/reminder-log
+ * @access  Private
+ */
+const getReminderLog = async (req, res, next) => {
+  try {
+    const { limit = 50, skip = 0 } = req.query;
+    const entries = await ReminderLog.find({ userId: req.user.id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('rehearsalId', 'title');
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getReminderLog
+};
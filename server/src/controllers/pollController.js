@@ -0,0 +1,313 @@
+const Poll = require('../models/Poll');
+const Rehearsal = require('../models/Rehearsal');
+const { buildConflictReport, checkSlotConflicts } = require('../services/conflictService');
+const { notifyPollCreated, notifyRehearsalCreated } = require('../services/notificationService');
+const { emitToGroup } = require('../services/socketService');
+const { reevaluateRisk } = require('../services/requirementService');
+const { recordAudit } = require('../services/auditService');
+const { declineAbsentAttendees } = require('../services/absenceService');
+const { SERVER_EVENTS } = require('../utils/socketEvents');
+const { AUDIT_ACTIONS } = require('../utils/auditActions');
+
+// RSVP given to each member of a rehearsal created from a poll, from their
+// vote on the chosen option. Members who did not vote stay pending
+const VOTE_STATUSES = {
+  yes: 'confirmed',
+  maybe: 'tentative',
+  no: 'declined'
+};
+
+// Shape a poll for responses: every option with its vote counts, the current
+// user's vote and, when checked, its conflicts
+const withResults = (poll, userId, conflicts = null) => {
+  const tally = poll.getTally();
+  return {
+    ...poll.toObject(),
+    isOpen: poll.isOpen,
+    options: poll.options.map((option, index) => ({
+      ...option.toObject(),
+      votes: { yes: tally[index].yes, maybe: tally[index].maybe, no: tally[index].no },
+      myVote: poll.getVote(userId, option._id),
+      conflicts: conflicts ? conflicts[index] : undefined
+    })),
+    leadingOptionId: poll.getWinningOption()._id
+  };
+};
+
+const checkOptionConflicts = (poll) =>
+  Promise.all(poll.options.map(option => checkSlotConflicts(poll.groupId, option)));
+
+const emitPollUpdated = (io, poll) =>
+  emitToGroup(io, poll.groupId, SERVER_EVENTS.POLL_UPDATED, {
+    pollId: poll._id,
+    status: poll.status,
+    tally: poll.getTally(),
+    rehearsalId: poll.rehearsalId
+  });
+
+/**
+ * @desc    Get a group's scheduling polls
+ * @route   GET /api/polls
+ * @access  Private (group members)
+ */
+const getPolls = async (req, res, next) => {
+  try {
+    const { groupId, status } = req.query;
+
+    const query = { groupId };
+    if (status) query.status = status;
+
+    const polls = await Poll.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: polls.length,
+      data: polls.map(poll => withResults(poll, req.user.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a poll with its results and the conflicts of each option
+ * @route   GET /api/polls/:id
+ * @access  Private (group members)
+ */
+const getPoll = async (req, res, next) => {
+  try {
+    const poll = req.resource;
+
+    // Checked before the venues are populated, as the check needs their IDs
+    const conflicts = await checkOptionConflicts(poll);
+    await poll.populate('options.venueId', 'name address');
+
+    res.status(200).json({
+      success: true,
+      data: withResults(poll, req.user.id, conflicts)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Propose candidate times for a rehearsal and let the group vote
+ * @route   POST /api/polls
+ * @access  Private (schedule_rehearsals permission)
+ */
+const createPoll = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const { title, description, options, deadline } = req.body;
+
+    if (options.some(option => option.startDateTime <= deadline)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Voting must close before the earliest option starts'
+      });
+    }
+
+    const poll = await Poll.create({
+      groupId: group._id,
+      title,
+      description,
+      options,
+      deadline,
+      createdBy: req.user.id
+    });
+
+    emitToGroup(req.io, group._id, SERVER_EVENTS.POLL_CREATED, poll);
+    await notifyPollCreated(req.io, group, poll, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: withResults(poll, req.user.id, await checkOptionConflicts(poll))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Vote yes, maybe or no on one or more options
+ * @route   PUT /api/polls/:id/votes
+ * @access  Private (group members)
+ */
+const votePoll = async (req, res, next) => {
+  try {
+    const poll = req.resource;
+
+    if (!poll.isOpen) {
+      return res.status(400).json({ success: false, message: 'Voting on this poll has closed' });
+    }
+
+    const { votes } = req.body;
+    if (votes.some(vote => !poll.getOption(vote.optionId))) {
+      return res.status(400).json({ success: false, message: 'Option not found in this poll' });
+    }
+
+    votes.forEach(vote => poll.castVote(req.user.id, vote.optionId, vote.choice));
+    await poll.save();
+
+    emitPollUpdated(req.io, poll);
+
+    res.status(200).json({
+      success: true,
+      data: withResults(poll, req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Close voting before the deadline
+ * @route   POST /api/polls/:id/close
+ * @access  Private (schedule_rehearsals permission)
+ */
+const closePoll = async (req, res, next) => {
+  try {
+    const poll = req.resource;
+
+    if (poll.status !== 'open') {
+      return res.status(400).json({ success: false, message: 'This poll is already closed' });
+    }
+
+    poll.status = 'closed';
+    await poll.save();
+
+    emitPollUpdated(req.io, poll);
+
+    res.status(200).json({
+      success: true,
+      data: withResults(poll, req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create the rehearsal for an option (the leading one by default),
+ *          with every member's RSVP taken from their vote. Scheduling
+ *          conflicts are refused with a report unless `override` is set
+ * @route   POST /api/polls/:id/convert
+ * @access  Private (schedule_rehearsals permission)
+ */
+const convertPoll = async (req, res, next) => {
+  try {
+    const { resource: poll, group } = req;
+
+    if (poll.status === 'converted') {
+      return res.status(409).json({ success: false, message: 'This poll already became a rehearsal' });
+    }
+
+    const option = req.body.optionId ? poll.getOption(req.body.optionId) : poll.getWinningOption();
+    if (!option) {
+      return res.status(404).json({ success: false, message: 'Option not found in this poll' });
+    }
+
+    if (option.startDateTime <= new Date()) {
+      return res.status(400).json({ success: false, message: 'This option is in the past' });
+    }
+
+    const responseTime = new Date();
+    const rehearsal = new Rehearsal({
+      groupId: group._id,
+      title: poll.title,
+      description: poll.description,
+      startDateTime: option.startDateTime,
+      endDateTime: option.endDateTime,
+      timeZone: group.timeZone,
+      venueId: option.venueId,
+      roomId: option.roomId,
+      notes: option.notes,
+      attendees: group.members.map(member => {
+        const vote = poll.getVote(member.userId, option._id);
+        return vote
+          ? { userId: member.userId, status: VOTE_STATUSES[vote], responseTime }
+          : { userId: member.userId };
+      })
+    });
+    await rehearsal.validate();
+
+    const conflicts = await buildConflictReport(rehearsal);
+    if (conflicts.hasConflicts && !req.body.override) {
+      return res.status(409).json({
+        success: false,
+        message: 'The rehearsal has scheduling conflicts',
+        conflicts
+      });
+    }
+
+    // Claim the poll before creating the rehearsal so a second conversion
+    // running at the same time cannot create another one
+    const converted = await Poll.claimConversion(poll._id, option._id, rehearsal._id);
+    if (!converted) {
+      return res.status(409).json({ success: false, message: 'This poll already became a rehearsal' });
+    }
+
+    try {
+      await declineAbsentAttendees(rehearsal);
+      await rehearsal.save();
+    } catch (error) {
+      await Poll.releaseConversion(poll._id, rehearsal._id, poll.status);
+      throw error;
+    }
+
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.REHEARSAL_CREATED,
+      targetId: rehearsal._id,
+      targetLabel: rehearsal.title,
+      after: {
+        startDateTime: rehearsal.startDateTime,
+        endDateTime: rehearsal.endDateTime,
+        venueId: rehearsal.venueId,
+        roomId: rehearsal.roomId
+      },
+      details: { pollId: poll._id, optionId: option._id }
+    });
+
+    emitToGroup(req.io, group._id, SERVER_EVENTS.REHEARSAL_CREATED, rehearsal);
+    emitPollUpdated(req.io, converted);
+    await notifyRehearsalCreated(req.io, rehearsal, req.user.id);
+    await reevaluateRisk(req.io, group, rehearsal, { actorId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: rehearsal,
+      conflicts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a poll
+ * @route   DELETE /api/polls/:id
+ * @access  Private (schedule_rehearsals permission)
+ */
+const deletePoll = async (req, res, next) => {
+  try {
+    const poll = req.resource;
+    await poll.deleteOne();
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPolls,
+  getPoll,
+  createPoll,
+  votePoll,
+  closePoll,
+  convertPoll,
+  deletePoll
+};
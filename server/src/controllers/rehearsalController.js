@@ -0,0 +1,1075 @@
+const Rehearsal = require('../models/Rehearsal');
+const Setlist = require('../models/Setlist');
+const { buildConflictReport } = require('../services/conflictService');
+const { getSetlistFit, getSetlistWarnings } = require('../services/setlistService');
+const {
+  notifyRehearsalCreated,
+  notifyRehearsalChanged,
+  notifyRehearsalCancelled,
+  notifyRsvpChanged
+} = require('../services/notificationService');
+const { emitToGroup } = require('../services/socketService');
+const { buildAttendanceReport } = require('../services/attendanceService');
+const {
+  snapshot,
+  diffSnapshots,
+  isTimeChange,
+  describeChanges
+} = require('../services/rehearsalHistoryService');
+const { recordAudit, fromChanges, valuesOf, changedValues } = require('../services/auditService');
+const { declineAbsentAttendees } = require('../services/absenceService');
+const {
+  getEffectiveRequirements,
+  evaluateRequirements,
+  reevaluateRisk
+} = require('../services/requirementService');
+const { SERVER_EVENTS } = require('../utils/socketEvents');
+const { PERMISSIONS } = require('../utils/permissions');
+const { pick } = require('../utils/pick');
+const { localizeTimes } = require('../utils/timeZone');
+const { AUDIT_ACTIONS } = require('../utils/auditActions');
+
+const MAX_OCCURRENCE_RANGE_DAYS = 366;
+const CHECK_IN_OPENS_MINUTES = 60;
+
+const REHEARSAL_FIELDS = [
+  'title',
+  'description',
+  'startDateTime',
+  'endDateTime',
+  'venueId',
+  'roomId',
+  'isRecurring',
+  'recurringPattern',
+  'setlistId',
+  'notes',
+  'requirements'
+];
+
+// Audit log action of each kind of history entry
+const HISTORY_AUDIT_ACTIONS = {
+  updated: AUDIT_ACTIONS.REHEARSAL_UPDATED,
+  rescheduled: AUDIT_ACTIONS.REHEARSAL_RESCHEDULED,
+  cancelled: AUDIT_ACTIONS.REHEARSAL_CANCELLED
+};
+
+// Fields a reschedule may change, on the series or on one occurrence
+const RESCHEDULE_FIELDS = ['startDateTime', 'endDateTime', 'venueId', 'roomId'];
+
+const REANCHOR_MESSAGE = 'Some occurrences have their own changes or responses that would not carry over to ' +
+  'the new schedule; change the series from an occurrence on with "this and following" instead';
+
+const isRangeTooLong = (startDate, endDate) =>
+  endDate - startDate > MAX_OCCURRENCE_RANGE_DAYS * 24 * 60 * 60 * 1000;
+
+// Build an unsaved rehearsal for a group from the request body. Attendees default
+// to every member of the group; only members can be invited. The recurrence is
+// anchored in the group's home time zone
+const buildRehearsal = (group, body) => {
+  const memberIds = group.members.map(member => member.userId.toString());
+  const attendeeIds = Array.isArray(body.attendees)
+    ? body.attendees.filter(userId => memberIds.includes(userId.toString()))
+    : memberIds;
+
+  return new Rehearsal({
+    ...pick(body, REHEARSAL_FIELDS),
+    groupId: group._id,
+    timeZone: group.timeZone,
+    attendees: attendeeIds.map(userId => ({ userId }))
+  });
+};
+
+// The parts of a rehearsal that decide when its occurrences start
+const seriesAnchor = (rehearsal) => ({
+  startDateTime: rehearsal.startDateTime,
+  isRecurring: rehearsal.isRecurring,
+  recurringPattern: rehearsal.recurringPattern && rehearsal.recurringPattern.toObject(),
+  timeZone: rehearsal.timeZone
+});
+
+// Apply an update from the request body to a saved rehearsal, limited to
+// `fields`. Fields of `recurringPattern` that are not sent keep their values.
+// Returns false when the new schedule would leave per-occurrence changes or
+// responses behind
+const applyRehearsalUpdate = (rehearsal, body, fields = REHEARSAL_FIELDS) => {
+  const previous = seriesAnchor(rehearsal);
+  const updates = pick(body, fields);
+  if (updates.recurringPattern && previous.recurringPattern) {
+    updates.recurringPattern = { ...previous.recurringPattern, ...updates.recurringPattern };
+  }
+
+  rehearsal.set(updates);
+  return rehearsal.reanchorExceptions(previous);
+};
+
+// Add the start and end in the zone the requester sees times in (req.timeZone)
+const withLocalTimes = (item, timeZone) => ({ ...item, local: localizeTimes(item, timeZone) });
+
+// Check that a rehearsal's setlist belongs to its group
+const isSetlistInGroup = async (rehearsal) => {
+  if (!rehearsal.setlistId) return true;
+  return Boolean(await Setlist.exists({ _id: rehearsal.setlistId, groupId: rehearsal.groupId }));
+};
+
+// Refuse changes to a cancelled rehearsal, sending the error response and
+// returning true when it is cancelled
+const isCancelled = (rehearsal, res) => {
+  if (rehearsal.status !== 'cancelled') return false;
+  res.status(400).json({ success: false, message: 'This rehearsal has been cancelled' });
+  return true;
+};
+
+// Add an entry to a rehearsal's history when any tracked field differs between
+// two snapshots. Returns the entry, or null when nothing tracked changed
+const recordChanges = (rehearsal, before, after, change) => {
+  const changes = diffSnapshots(before, after);
+  if (changes.length === 0) return null;
+  return rehearsal.recordChange({ ...change, changes });
+};
+
+// Record an administrative action on a rehearsal in its group's audit log
+const auditRehearsal = (req, rehearsal, action, values = {}) =>
+  recordAudit({
+    groupId: rehearsal.groupId,
+    actorId: req.user.id,
+    action,
+    targetId: rehearsal._id,
+    targetLabel: rehearsal.title,
+    ...values
+  });
+
+// Record an entry of a rehearsal's history in the audit log as well
+const auditChange = (req, rehearsal, change) => {
+  const { originalStartDateTime, followingRehearsalId, reason, responsesReset } = change;
+  const details = Object.fromEntries(
+    Object.entries({ originalStartDateTime, followingRehearsalId, reason, responsesReset })
+      .filter(([, value]) => value !== undefined)
+  );
+
+  return auditRehearsal(req, rehearsal, HISTORY_AUDIT_ACTIONS[change.action], {
+    ...fromChanges(change.changes),
+    details
+  });
+};
+
+// Find an occurrence that can take check-ins: not cancelled, and from an hour
+// before it starts. Sends the error response and returns null otherwise
+const getCheckInOccurrence = (rehearsal, occurrenceStart, res) => {
+  const occurrence = rehearsal.getOccurrence(occurrenceStart);
+  if (!occurrence || occurrence.isCancelled) {
+    res.status(404).json({ success: false, message: 'Occurrence not found' });
+    return null;
+  }
+
+  if (Date.now() < occurrence.startDateTime.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000) {
+    res.status(400).json({
+      success: false,
+      message: `Check-in opens ${CHECK_IN_OPENS_MINUTES} minutes before the rehearsal starts`
+    });
+    return null;
+  }
+
+  return occurrence;
+};
+
+/**
+ * @desc    Get the rehearsals of a group
+ * @route   GET /api/rehearsals
+ * @access  Private (group members)
+ */
+const getRehearsals = async (req, res, next) => {
+  try {
+    const { groupId, limit = 20, skip = 0 } = req.query;
+
+    const rehearsals = await Rehearsal.find({ groupId })
+      .sort({ startDateTime: -1 })
+      .limit(limit)
+      .skip(skip)
+      .populate('venueId', 'name address')
+      .populate('setlistId', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: rehearsals.length,
+      data: rehearsals.map(rehearsal => withLocalTimes(rehearsal.toJSON(), req.timeZone))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a rehearsal
+ * @route   GET /api/rehearsals/:id
+ * @access  Private (group members)
+ */
+const getRehearsal = async (req, res, next) => {
+  try {
+    const rehearsal = req.resource;
+
+    await rehearsal.populate([
+      { path: 'venueId', select: 'name address rooms' },
+      { path: 'setlistId', select: 'name' },
+      { path: 'attendees.userId', select: 'firstName lastName profilePicture' }
+    ]);
+
+    res.status(200).json({ success: true, data: withLocalTimes(rehearsal.toJSON(), req.timeZone) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check a rehearsal for scheduling conflicts without saving it
+ * @route   POST /api/rehearsals/conflicts
+ * @access  Private (schedule_rehearsals permission)
+ */
+const previewConflicts = async (req, res, next) => {
+  try {
+    const { group } = req;
+
+    const rehearsal = req.body.rehearsalId
+      ? await Rehearsal.findOne({ _id: req.body.rehearsalId, groupId: group._id })
+      : buildRehearsal(group, req.body);
+    if (!rehearsal) {
+      return res.status(404).json({ success: false, message: 'Rehearsal not found' });
+    }
+    if (req.body.rehearsalId && !applyRehearsalUpdate(rehearsal, req.body)) {
+      return res.status(400).json({ success: false, message: REANCHOR_MESSAGE });
+    }
+
+    await rehearsal.validate();
+    const conflicts = await buildConflictReport(rehearsal);
+
+    res.status(200).json({ success: true, data: conflicts });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Schedule a rehearsal. Scheduling conflicts are refused with a report
+ *          unless `override` is set
+ * @route   POST /api/rehearsals
+ * @access  Private (schedule_rehearsals permission)
+ */
+const createRehearsal = async (req, res, next) => {
+  try {
+    const { group } = req;
+
+    const rehearsal = buildRehearsal(group, req.body);
+    await rehearsal.validate();
+
+    if (!(await isSetlistInGroup(rehearsal))) {
+      return res.status(400).json({ success: false, message: 'Setlist does not belong to this group' });
+    }
+
+    const conflicts = await buildConflictReport(rehearsal);
+    if (conflicts.hasConflicts && !req.body.override) {
+      return res.status(409).json({
+        success: false,
+        message: 'The rehearsal has scheduling conflicts',
+        conflicts
+      });
+    }
+
+    await declineAbsentAttendees(rehearsal);
+    await rehearsal.save();
+    await auditRehearsal(req, rehearsal, AUDIT_ACTIONS.REHEARSAL_CREATED, {
+      after: valuesOf(rehearsal, REHEARSAL_FIELDS)
+    });
+
+    emitToGroup(req.io, group._id, SERVER_EVENTS.REHEARSAL_CREATED, rehearsal);
+    await notifyRehearsalCreated(req.io, rehearsal, req.user.id);
+    await reevaluateRisk(req.io, group, rehearsal, { actorId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: rehearsal,
+      conflicts,
+      warnings: getSetlistWarnings(await getSetlistFit(rehearsal))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a rehearsal (the whole series for recurring rehearsals).
+ *          Scheduling conflicts are refused with a report unless `override` is set
+ * @route   PUT /api/rehearsals/:id
+ * @access  Private (schedule_rehearsals permission)
+ */
+const updateRehearsal = async (req, res, next) => {
+  try {
+    const { resource: rehearsal, group } = req;
+    if (isCancelled(rehearsal, res)) return;
+
+    const before = snapshot(rehearsal);
+    const auditBefore = valuesOf(rehearsal, REHEARSAL_FIELDS);
+    if (!applyRehearsalUpdate(rehearsal, req.body)) {
+      return res.status(400).json({ success: false, message: REANCHOR_MESSAGE });
+    }
+    await rehearsal.validate();
+
+    if (!(await isSetlistInGroup(rehearsal))) {
+      return res.status(400).json({ success: false, message: 'Setlist does not belong to this group' });
+    }
+
+    const conflicts = await buildConflictReport(rehearsal);
+    if (conflicts.hasConflicts && !req.body.override) {
+      return res.status(409).json({
+        success: false,
+        message: 'The rehearsal has scheduling conflicts',
+        conflicts
+      });
+    }
+
+    const change = recordChanges(rehearsal, before, snapshot(rehearsal), {
+      action: 'updated',
+      changedBy: req.user.id
+    });
+    await declineAbsentAttendees(rehearsal);
+    await rehearsal.save();
+
+    // The audit log also covers fields the history does not track, like the title
+    const audited = changedValues(auditBefore, valuesOf(rehearsal, REHEARSAL_FIELDS));
+    if (Object.keys(audited.after).length > 0) {
+      await auditRehearsal(req, rehearsal, AUDIT_ACTIONS.REHEARSAL_UPDATED, audited);
+    }
+
+    emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.REHEARSAL_UPDATED, { rehearsalId: rehearsal._id });
+    if (change) {
+      await notifyRehearsalChanged(req.io, rehearsal, change, req.user.id);
+    }
+    await reevaluateRisk(req.io, group, rehearsal, { actorId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: rehearsal,
+      conflicts,
+      warnings: getSetlistWarnings(await getSetlistFit(rehearsal))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check whether a rehearsal's setlist fits into the rehearsal
+ * @route   GET /api/rehearsals/:id/setlist-fit
+ * @access  Private (group members)
+ */
+const getRehearsalSetlistFit = async (req, res, next) => {
+  try {
+    const fit = await getSetlistFit(req.resource);
+    if (!fit) {
+      return res.status(404).json({ success: false, message: 'Rehearsal has no setlist' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: fit,
+      warnings: getSetlistWarnings(fit)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a rehearsal
+ * @route   DELETE /api/rehearsals/:id
+ * @access  Private (schedule_rehearsals permission)
+ */
+const deleteRehearsal = async (req, res, next) => {
+  try {
+    const rehearsal = req.resource;
+    await rehearsal.deleteOne();
+    await auditRehearsal(req, rehearsal, AUDIT_ACTIONS.REHEARSAL_DELETED, {
+      before: valuesOf(rehearsal, REHEARSAL_FIELDS)
+    });
+
+    emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.REHEARSAL_CANCELLED, { rehearsalId: rehearsal._id });
+    await notifyRehearsalCancelled(req.io, rehearsal, null, null, req.user.id);
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a rehearsal (every occurrence of a series) with a reason.
+ *          Unlike deleting it, the rehearsal and its history are kept
+ * @route   POST /api/rehearsals/:id/cancel
+ * @access  Private (schedule_rehearsals permission)
+ */
+const cancelRehearsal = async (req, res, next) => {
+  try {
+    const rehearsal = req.resource;
+    const { reason } = req.body;
+
+    if (!rehearsal.cancel(req.user.id, reason)) {
+      return res.status(400).json({ success: false, message: 'This rehearsal is already cancelled' });
+    }
+
+    rehearsal.recordChange({ action: 'cancelled', reason, changedBy: req.user.id });
+    await rehearsal.save();
+    await auditRehearsal(req, rehearsal, AUDIT_ACTIONS.REHEARSAL_CANCELLED, {
+      before: { status: 'scheduled' },
+      after: { status: rehearsal.status },
+      details: reason ? { reason } : undefined
+    });
+
+    emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.REHEARSAL_CANCELLED, { rehearsalId: rehearsal._id });
+    await notifyRehearsalCancelled(req.io, rehearsal, null, reason, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: rehearsal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move a rehearsal (the whole series for recurring rehearsals) to a
+ *          new time and optionally venue, with a reason. RSVPs go back to
+ *          pending when the time moved. Scheduling conflicts are refused with
+ *          a report unless `override` is set
+ * @route   POST /api/rehearsals/:id/reschedule
+ * @access  Private (schedule_rehearsals permission)
+ */
+const rescheduleRehearsal = async (req, res, next) => {
+  try {
+    const { resource: rehearsal, group } = req;
+    const { reason } = req.body;
+    if (isCancelled(rehearsal, res)) return;
+
+    const before = snapshot(rehearsal);
+    const updates = pick(req.body, [...RESCHEDULE_FIELDS, 'recurringPattern']);
+    if (!updates.endDateTime) {
+      updates.endDateTime = new Date(updates.startDateTime.getTime() + (rehearsal.endDateTime - rehearsal.startDateTime));
+    }
+    if (updates.recurringPattern && !rehearsal.isRecurring) {
+      return res.status(400).json({ success: false, message: 'Rehearsal is not recurring' });
+    }
+    if (!applyRehearsalUpdate(rehearsal, updates, Object.keys(updates))) {
+      return res.status(400).json({ success: false, message: REANCHOR_MESSAGE });
+    }
+    await rehearsal.validate();
+
+    const changes = diffSnapshots(before, snapshot(rehearsal));
+    if (changes.length === 0) {
+      return res.status(400).json({ success: false, message: 'Nothing would change' });
+    }
+
+    const conflicts = await buildConflictReport(rehearsal);
+    if (conflicts.hasConflicts && !req.body.override) {
+      return res.status(409).json({
+        success: false,
+        message: 'The rehearsal has scheduling conflicts',
+        conflicts
+      });
+    }
+
+    const responsesReset = isTimeChange(changes);
+    if (responsesReset) {
+      rehearsal.resetResponses();
+    }
+    const change = rehearsal.recordChange({
+      action: 'rescheduled',
+      reason,
+      changes,
+      responsesReset,
+      changedBy: req.user.id
+    });
+    await declineAbsentAttendees(rehearsal);
+    await rehearsal.save();
+    await auditChange(req, rehearsal, change);
+
+    emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.REHEARSAL_UPDATED, { rehearsalId: rehearsal._id });
+    await notifyRehearsalChanged(req.io, rehearsal, change, req.user.id);
+    await reevaluateRisk(req.io, group, rehearsal, { actorId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: rehearsal,
+      conflicts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the change history of a rehearsal, newest first, with each
+ *          change described in words
+ * @route   GET /api/rehearsals/:id/history
+ * @access  Private (group members)
+ */
+const getRehearsalHistory = async (req, res, next) => {
+  try {
+    const rehearsal = req.resource;
+    await rehearsal.populate('history.changedBy', 'firstName lastName');
+
+    const history = await Promise.all([...rehearsal.history].reverse().map(async (entry) => ({
+      ...entry.toObject(),
+      summary: await describeChanges(entry.changes, req.timeZone)
+    })));
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's rehearsal occurrences in a date range
+ * @route   GET /api/rehearsals/occurrences
+ * @access  Private
+ */
+const getMyOccurrences = async (req, res, next) => {
+  try {
+    const { startDate, endDate, status } = req.query;
+
+    if (isRangeTooLong(startDate, endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot be longer than ${MAX_OCCURRENCE_RANGE_DAYS} days`
+      });
+    }
+
+    const occurrences = await Rehearsal.getOccurrencesForMember(req.user.id, startDate, endDate, { status });
+
+    res.status(200).json({
+      success: true,
+      count: occurrences.length,
+      data: occurrences.map(occurrence => withLocalTimes(occurrence, req.timeZone))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the occurrences of a rehearsal in a date range
+ * @route   GET /api/rehearsals/:id/occurrences
+ * @access  Private (group members)
+ */
+const getRehearsalOccurrences = async (req, res, next) => {
+  try {
+    const { startDate, endDate, includeCancelled } = req.query;
+
+    if (isRangeTooLong(startDate, endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot be longer than ${MAX_OCCURRENCE_RANGE_DAYS} days`
+      });
+    }
+
+    const occurrences = req.resource.getOccurrences(startDate, endDate, { includeCancelled });
+
+    res.status(200).json({
+      success: true,
+      count: occurrences.length,
+      data: occurrences.map(occurrence => withLocalTimes(occurrence, req.timeZone))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move or edit a single occurrence of a rehearsal
+ * @route   PATCH /api/rehearsals/:id/occurrences/:occurrenceStart
+ * @access  Private (schedule_rehearsals permission)
+ */
+const updateOccurrence = async (req, res, next) => {
+  try {
+    const rehearsal = req.resource;
+    const { occurrenceStart } = req.params;
+    if (isCancelled(rehearsal, res)) return;
+
+    const before = rehearsal.getOccurrence(occurrenceStart);
+    if (!rehearsal.updateOccurrence(occurrenceStart, req.body)) {
+      return res.status(404).json({ success: false, message: 'Occurrence not found' });
+    }
+
+    const occurrence = rehearsal.getOccurrence(occurrenceStart);
+    if (occurrence.endDateTime <= occurrence.startDateTime) {
+      return res.status(400).json({ success: false, message: 'End time must be after start time' });
+    }
+
+    const hasConflict = await Rehearsal.checkForConflicts(
+      occurrence.venueId,
+      occurrence.startDateTime,
+      occurrence.endDateTime,
+      rehearsal._id,
+      occurrence.roomId
+    );
+    if (hasConflict) {
+      return res.status(409).json({ success: false, message: 'The venue is already booked at this time' });
+    }
+
+    const change = recordChanges(rehearsal, snapshot(before), snapshot(occurrence), {
+      action: 'updated',
+      originalStartDateTime: occurrence.originalStartDateTime,
+      changedBy: req.user.id
+    });
+    await declineAbsentAttendees(rehearsal);
+    await rehearsal.save();
+    if (change) {
+      await auditChange(req, rehearsal, change);
+    }
+
+    emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.REHEARSAL_UPDATED, {
+      rehearsalId: rehearsal._id,
+      originalStartDateTime: new Date(occurrenceStart)
+    });
+    if (change) {
+      await notifyRehearsalChanged(req.io, rehearsal, change, req.user.id, occurrence.attendees);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rehearsal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Cancel a single occurrence of a rehearsal, optionally with a reason
+ * @route   POST /api/rehearsals/:id/occurrences/:occurrenceStart/cancel
+ * @route   DELETE /api/rehearsals/:id/occurrences/:occurrenceStart
+ * @access  Private (schedule_rehearsals permission)
+ */
+const cancelOccurrence = async (req, res, next) => {
+  try {
+    const rehearsal = req.resource;
+    const { occurrenceStart } = req.params;
+    const { reason } = req.body;
+
+    const occurrence = rehearsal.getOccurrence(occurrenceStart);
+    if (!occurrence || occurrence.isCancelled) {
+      return res.status(404).json({ success: false, message: 'Occurrence not found' });
+    }
+
+    rehearsal.cancelOccurrence(occurrenceStart, reason);
+    rehearsal.recordChange({
+      action: 'cancelled',
+      originalStartDateTime: occurrence.originalStartDateTime,
+      reason,
+      changedBy: req.user.id
+    });
+    await rehearsal.save();
+    await auditRehearsal(req, rehearsal, AUDIT_ACTIONS.REHEARSAL_CANCELLED, {
+      before: { status: 'scheduled' },
+      after: { status: 'cancelled' },
+      details: { originalStartDateTime: occurrence.originalStartDateTime, reason }
+    });
+
+    emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.REHEARSAL_CANCELLED, {
+      rehearsalId: rehearsal._id,
+      originalStartDateTime: new Date(occurrenceStart)
+    });
+    await notifyRehearsalCancelled(
+      req.io,
+      rehearsal,
+      occurrence.originalStartDateTime,
+      reason,
+      req.user.id,
+      occurrence.attendees
+    );
+
+    res.status(200).json({
+      success: true,
+      data: rehearsal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Move a single occurrence of a rehearsal to a new time and optionally
+ *          venue, with a reason. Its RSVPs go back to pending when the time moved
+ * @route   POST /api/rehearsals/:id/occurrences/:occurrenceStart/reschedule
+ * @access  Private (schedule_rehearsals permission)
+ */
+const rescheduleOccurrence = async (req, res, next) => {
+  try {
+    const { resource: rehearsal, group } = req;
+    const { occurrenceStart } = req.params;
+    const { reason } = req.body;
+    if (isCancelled(rehearsal, res)) return;
+
+    const before = rehearsal.getOccurrence(occurrenceStart);
+    if (!before || before.isCancelled) {
+      return res.status(404).json({ success: false, message: 'Occurrence not found' });
+    }
+
+    rehearsal.updateOccurrence(occurrenceStart, pick(req.body, RESCHEDULE_FIELDS));
+    const occurrence = rehearsal.getOccurrence(occurrenceStart);
+    if (occurrence.endDateTime <= occurrence.startDateTime) {
+      return res.status(400).json({ success: false, message: 'End time must be after start time' });
+    }
+
+    const changes = diffSnapshots(snapshot(before), snapshot(occurrence));
+    if (changes.length === 0) {
+      return res.status(400).json({ success: false, message: 'Nothing would change' });
+    }
+
+    const hasConflict = await Rehearsal.checkForConflicts(
+      occurrence.venueId,
+      occurrence.startDateTime,
+      occurrence.endDateTime,
+      rehearsal._id,
+      occurrence.roomId
+    );
+    if (hasConflict) {
+      return res.status(409).json({ success: false, message: 'The venue is already booked at this time' });
+    }
+
+    const responsesReset = isTimeChange(changes);
+    if (responsesReset) {
+      rehearsal.resetResponses(occurrenceStart);
+    }
+    const change = rehearsal.recordChange({
+      action: 'rescheduled',
+      originalStartDateTime: occurrence.originalStartDateTime,
+      reason,
+      changes,
+      responsesReset,
+      changedBy: req.user.id
+    });
+    await declineAbsentAttendees(rehearsal);
+    await rehearsal.save();
+    await auditChange(req, rehearsal, change);
+
+    emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.REHEARSAL_UPDATED, {
+      rehearsalId: rehearsal._id,
+      originalStartDateTime: new Date(occurrenceStart)
+    });
+    await notifyRehearsalChanged(
+      req.io,
+      rehearsal,
+      change,
+      req.user.id,
+      rehearsal.getOccurrence(occurrenceStart).attendees
+    );
+    await reevaluateRisk(req.io, group, rehearsal, { originalStart: occurrenceStart, actorId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: rehearsal.getOccurrence(occurrenceStart)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Edit an occurrence and all following occurrences of a recurring rehearsal.
+ *          Scheduling conflicts are refused with a report unless `override` is set
+ * @route   PUT /api/rehearsals/:id/occurrences/:occurrenceStart/following
+ * @access  Private (schedule_rehearsals permission)
+ */
+const updateFollowingOccurrences = async (req, res, next) => {
+  try {
+    const rehearsal = req.resource;
+    const { occurrenceStart } = req.params;
+    if (isCancelled(rehearsal, res)) return;
+
+    if (!rehearsal.isRecurring) {
+      return res.status(400).json({ success: false, message: 'Rehearsal is not recurring' });
+    }
+
+    // Splitting at the first occurrence would leave an empty series behind
+    if (rehearsal.isFirstOccurrence(occurrenceStart)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Edit the whole series to change it from its first occurrence'
+      });
+    }
+
+    const occurrence = rehearsal.getOccurrence(occurrenceStart);
+    const before = occurrence && {
+      ...snapshot(occurrence),
+      recurringPattern: snapshot(rehearsal).recurringPattern
+    };
+    const following = rehearsal.splitSeries(occurrenceStart, req.body);
+    if (!following) {
+      return res.status(404).json({ success: false, message: 'Occurrence not found' });
+    }
+
+    // Every occurrence of the new series is checked, as when scheduling; the
+    // earlier series is not saved shortened yet, so it does not count
+    const conflicts = await buildConflictReport(following, { excludeRehearsalIds: [rehearsal._id] });
+    if (conflicts.hasConflicts && !req.body.override) {
+      return res.status(409).json({
+        success: false,
+        message: 'The rehearsal has scheduling conflicts',
+        conflicts
+      });
+    }
+
+    // Both series keep the entry: the earlier one for the record, the new one
+    // so that its history explains where it came from
+    const change = recordChanges(rehearsal, before, snapshot(following), {
+      action: 'updated',
+      originalStartDateTime: occurrence.originalStartDateTime,
+      followingRehearsalId: following._id,
+      changedBy: req.user.id
+    });
+    if (change) {
+      following.recordChange(change.toObject());
+    }
+
+    await following.validate();
+    await declineAbsentAttendees(following);
+    await rehearsal.save();
+    await following.save();
+    if (change) {
+      await auditChange(req, rehearsal, change);
+    }
+
+    emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.REHEARSAL_UPDATED, {
+      rehearsalId: rehearsal._id,
+      followingRehearsalId: following._id
+    });
+    if (change) {
+      await notifyRehearsalChanged(req.io, rehearsal, change, req.user.id, following.attendees);
+    }
+    await reevaluateRisk(req.io, req.group, following, { actorId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        previous: rehearsal,
+        following
+      },
+      conflicts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    RSVP to a single occurrence of a rehearsal
+ * @route   PUT /api/rehearsals/:id/occurrences/:occurrenceStart/rsvp
+ * @access  Private (invited members)
+ */
+const respondToOccurrence = async (req, res, next) => {
+  try {
+    const { resource: rehearsal, group } = req;
+    const { occurrenceStart } = req.params;
+
+    const occurrence = rehearsal.getOccurrence(occurrenceStart);
+    if (!occurrence || occurrence.isCancelled) {
+      return res.status(404).json({ success: false, message: 'Occurrence not found' });
+    }
+
+    const { status, reason, eta } = req.body;
+    if (eta && status !== 'late') {
+      return res.status(400).json({ success: false, message: 'An ETA can only be given when arriving late' });
+    }
+
+    if (!rehearsal.setOccurrenceAttendeeStatus(occurrenceStart, req.user.id, status, { reason, eta })) {
+      return res.status(400).json({ success: false, message: 'You are not invited to this rehearsal' });
+    }
+
+    await rehearsal.save();
+
+    const rsvp = {
+      userId: req.user.id,
+      status,
+      reason,
+      eta,
+      originalStartDateTime: new Date(occurrenceStart)
+    };
+    emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.RSVP_CHANGED, {
+      rehearsalId: rehearsal._id,
+      ...rsvp
+    });
+    await notifyRsvpChanged(req.io, group, rehearsal, rsvp, req.user.id);
+    await reevaluateRisk(req.io, group, rehearsal, { originalStart: occurrenceStart, actorId: req.user.id });
+
+    res.status(200).json({
+      success: true,
+      data: rehearsal.getException(occurrenceStart)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check in at an occurrence. Members check themselves in while it runs;
+ *          schedulers can check in anyone, also afterwards to complete the record
+ * @route   POST /api/rehearsals/:id/occurrences/:occurrenceStart/check-ins
+ * @access  Private (group members; schedule_rehearsals permission for others)
+ */
+const checkInToOccurrence = async (req, res, next) => {
+  try {
+    const { resource: rehearsal, group } = req;
+    const { occurrenceStart } = req.params;
+    const userId = req.body.userId || req.user.id;
+    const isSelf = userId.toString() === req.user.id.toString();
+    const canManage = group.hasPermission(req.user.id, PERMISSIONS.SCHEDULE_REHEARSALS);
+
+    if (!isSelf && !canManage) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to check in other members'
+      });
+    }
+
+    const occurrence = getCheckInOccurrence(rehearsal, occurrenceStart, res);
+    if (!occurrence) return;
+
+    if (isSelf && !canManage && Date.now() > occurrence.endDateTime.getTime()) {
+      return res.status(400).json({ success: false, message: 'This rehearsal is already over' });
+    }
+
+    const isGuest = occurrence.attendees.some(a => a.isGuest && a.userId && a.userId.toString() === userId.toString());
+    if (!group.isMember(userId) && !isGuest) {
+      return res.status(400).json({ success: false, message: 'User is not a member or guest of this rehearsal' });
+    }
+
+    const checkedInAt = canManage && req.body.checkedInAt ? req.body.checkedInAt : new Date();
+    const checkIn = rehearsal.checkIn(occurrenceStart, userId, req.user.id, checkedInAt);
+    if (!checkIn) {
+      return res.status(409).json({ success: false, message: 'Already checked in' });
+    }
+
+    await rehearsal.save();
+
+    emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.CHECK_IN_CHANGED, {
+      rehearsalId: rehearsal._id,
+      originalStartDateTime: new Date(occurrenceStart),
+      userId,
+      checkedIn: true,
+      checkedInAt: checkIn.checkedInAt
+    });
+
+    res.status(201).json({ success: true, data: checkIn });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a check-in recorded by mistake
+ * @route   DELETE /api/rehearsals/:id/occurrences/:occurrenceStart/check-ins/:userId
+ * @access  Private (own check-in; schedule_rehearsals permission for others)
+ */
+const undoCheckIn = async (req, res, next) => {
+  try {
+    const { resource: rehearsal, group } = req;
+    const { occurrenceStart, userId } = req.params;
+
+    if (userId !== req.user.id.toString() && !group.hasPermission(req.user.id, PERMISSIONS.SCHEDULE_REHEARSALS)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to change check-ins of other members'
+      });
+    }
+
+    if (!rehearsal.undoCheckIn(occurrenceStart, userId)) {
+      return res.status(404).json({ success: false, message: 'Check-in not found' });
+    }
+
+    await rehearsal.save();
+
+    emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.CHECK_IN_CHANGED, {
+      rehearsalId: rehearsal._id,
+      originalStartDateTime: new Date(occurrenceStart),
+      userId,
+      checkedIn: false
+    });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Check an occurrence against its required instruments and head count
+ * @route   GET /api/rehearsals/:id/occurrences/:occurrenceStart/requirements
+ * @access  Private (group members)
+ */
+const getOccurrenceRequirements = async (req, res, next) => {
+  try {
+    const { resource: rehearsal, group } = req;
+    const occurrence = rehearsal.getOccurrence(req.params.occurrenceStart);
+    if (!occurrence) {
+      return res.status(404).json({ success: false, message: 'Occurrence not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...evaluateRequirements(occurrence, group, getEffectiveRequirements(rehearsal, group)),
+        riskFlag: occurrence.riskFlag
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Compare the RSVPs of an occurrence with who checked in
+ * @route   GET /api/rehearsals/:id/occurrences/:occurrenceStart/attendance
+ * @access  Private (group members)
+ */
+const getOccurrenceAttendance = async (req, res, next) => {
+  try {
+    const occurrence = req.resource.getOccurrence(req.params.occurrenceStart);
+    if (!occurrence) {
+      return res.status(404).json({ success: false, message: 'Occurrence not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: buildAttendanceReport(occurrence)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRehearsals,
+  getRehearsal,
+  previewConflicts,
+  createRehearsal,
+  updateRehearsal,
+  deleteRehearsal,
+  cancelRehearsal,
+  rescheduleRehearsal,
+  getRehearsalHistory,
+  getRehearsalSetlistFit,
+  getMyOccurrences,
+  getRehearsalOccurrences,
+  updateOccurrence,
+  cancelOccurrence,
+  rescheduleOccurrence,
+  updateFollowingOccurrences,
+  respondToOccurrence,
+  checkInToOccurrence,
+  undoCheckIn,
+  getOccurrenceAttendance,
+  getOccurrenceRequirements
+};
@@ -0,0 +1,233 @@
+const Setlist = require('../models/Setlist');
+const Song = require('../models/Song');
+const Rehearsal = require('../models/Rehearsal');
+const { recordAudit, valuesOf, changedValues } = require('../services/auditService');
+const { emitToGroup } = require('../services/socketService');
+const { SERVER_EVENTS } = require('../utils/socketEvents');
+const { pick } = require('../utils/pick');
+const { AUDIT_ACTIONS } = require('../utils/auditActions');
+
+const SETLIST_FIELDS = ['name', 'description', 'type', 'eventDate'];
+const ENTRY_FIELDS = ['songId', 'transposedKey', 'durationSeconds', 'notes'];
+
+// Check that every entry refers to a song of the group's catalog
+const entriesBelongToGroup = async (entries, groupId) => {
+  const songIds = [...new Set(entries.map(entry => entry.songId.toString()))];
+  const count = await Song.countDocuments({ _id: { $in: songIds }, groupId });
+  return count === songIds.length;
+};
+
+// Shape a setlist with its songs populated for responses
+// Values of a setlist kept in the audit log, with the songs in order
+const auditValues = (setlist) => ({
+  ...valuesOf(setlist, SETLIST_FIELDS),
+  songIds: setlist.entries.map(entry => (entry.songId._id || entry.songId).toString())
+});
+
+const withTotals = (setlist) => ({
+  ...setlist.toObject(),
+  songCount: setlist.entries.length,
+  totalDurationSeconds: setlist.getTotalDurationSeconds()
+});
+
+/**
+ * @desc    Get a group's setlists
+ * @route   GET /api/setlists
+ * @access  Private (group members)
+ */
+const getSetlists = async (req, res, next) => {
+  try {
+    const { groupId, type } = req.query;
+
+    const query = { groupId };
+    if (type) query.type = type;
+
+    const setlists = await Setlist.find(query)
+      .sort({ updatedAt: -1 })
+      .populate('entries.songId', 'durationSeconds');
+
+    res.status(200).json({
+      success: true,
+      count: setlists.length,
+      data: setlists.map(withTotals)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a setlist with its songs
+ * @route   GET /api/setlists/:id
+ * @access  Private (group members)
+ */
+const getSetlist = async (req, res, next) => {
+  try {
+    const setlist = req.resource;
+    await setlist.populate('entries.songId');
+
+    res.status(200).json({ success: true, data: withTotals(setlist) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a setlist
+ * @route   POST /api/setlists
+ * @access  Private (edit_setlists permission)
+ */
+const createSetlist = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const entries = (req.body.entries || []).map(entry => pick(entry, ENTRY_FIELDS));
+    if (!(await entriesBelongToGroup(entries, group._id))) {
+      return res.status(400).json({ success: false, message: 'Setlists can only contain songs of the group' });
+    }
+
+    const setlist = await Setlist.create({
+      ...pick(req.body, SETLIST_FIELDS),
+      groupId: group._id,
+      entries,
+      createdBy: req.user.id
+    });
+    await recordAudit({
+      groupId: group._id,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.SETLIST_CREATED,
+      targetId: setlist._id,
+      targetLabel: setlist.name,
+      after: auditValues(setlist)
+    });
+
+    emitToGroup(req.io, group._id, SERVER_EVENTS.SETLIST_CHANGED, { setlistId: setlist._id, change: 'created' });
+
+    await setlist.populate('entries.songId');
+
+    res.status(201).json({ success: true, data: withTotals(setlist) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a setlist; `entries` replaces the whole ordered list
+ * @route   PUT /api/setlists/:id
+ * @access  Private (edit_setlists permission)
+ */
+const updateSetlist = async (req, res, next) => {
+  try {
+    const setlist = req.resource;
+    const before = auditValues(setlist);
+
+    setlist.set(pick(req.body, SETLIST_FIELDS));
+
+    if (req.body.entries) {
+      const entries = req.body.entries.map(entry => pick(entry, ENTRY_FIELDS));
+      if (!(await entriesBelongToGroup(entries, setlist.groupId))) {
+        return res.status(400).json({ success: false, message: 'Setlists can only contain songs of the group' });
+      }
+      setlist.entries = entries;
+    }
+
+    await setlist.save();
+    await recordAudit({
+      groupId: setlist.groupId,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.SETLIST_UPDATED,
+      targetId: setlist._id,
+      targetLabel: setlist.name,
+      ...changedValues(before, auditValues(setlist))
+    });
+
+    emitToGroup(req.io, setlist.groupId, SERVER_EVENTS.SETLIST_CHANGED, { setlistId: setlist._id, change: 'updated' });
+
+    await setlist.populate('entries.songId');
+
+    res.status(200).json({ success: true, data: withTotals(setlist) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a setlist and detach it from rehearsals
+ * @route   DELETE /api/setlists/:id
+ * @access  Private (edit_setlists permission)
+ */
+const deleteSetlist = async (req, res, next) => {
+  try {
+    const setlist = req.resource;
+
+    await Rehearsal.updateMany({ setlistId: setlist._id }, { $unset: { setlistId: 1 } });
+    await setlist.deleteOne();
+    await recordAudit({
+      groupId: setlist.groupId,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.SETLIST_DELETED,
+      targetId: setlist._id,
+      targetLabel: setlist.name,
+      before: auditValues(setlist)
+    });
+
+    emitToGroup(req.io, setlist.groupId, SERVER_EVENTS.SETLIST_CHANGED, { setlistId: setlist._id, change: 'deleted' });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Copy a setlist, optionally as a gig setlist or for a rehearsal
+ * @route   POST /api/setlists/:id/clone
+ * @access  Private (edit_setlists permission)
+ */
+const cloneSetlist = async (req, res, next) => {
+  try {
+    const setlist = req.resource;
+
+    const { name, type, eventDate, rehearsalId } = req.body;
+
+    let rehearsal = null;
+    if (rehearsalId) {
+      rehearsal = await Rehearsal.findOne({ _id: rehearsalId, groupId: setlist.groupId });
+      if (!rehearsal) {
+        return res.status(404).json({ success: false, message: 'Rehearsal not found in this group' });
+      }
+    }
+
+    const copy = setlist.clone({ name, type, eventDate, createdBy: req.user.id });
+    await copy.save();
+    await recordAudit({
+      groupId: copy.groupId,
+      actorId: req.user.id,
+      action: AUDIT_ACTIONS.SETLIST_CREATED,
+      targetId: copy._id,
+      targetLabel: copy.name,
+      after: { ...auditValues(copy), clonedFromId: setlist._id.toString() }
+    });
+
+    if (rehearsal) {
+      rehearsal.setlistId = copy._id;
+      await rehearsal.save();
+    }
+
+    emitToGroup(req.io, copy.groupId, SERVER_EVENTS.SETLIST_CHANGED, { setlistId: copy._id, change: 'created' });
+
+    await copy.populate('entries.songId');
+
+    res.status(201).json({ success: true, data: withTotals(copy) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSetlists,
+  getSetlist,
+  createSetlist,
+  updateSetlist,
+  deleteSetlist,
+  cloneSetlist
+};
@@ -0,0 +1,113 @@
+const Song = require('../models/Song');
+const Setlist = require('../models/Setlist');
+const { pick } = require('../utils/pick');
+
+const SONG_FIELDS = ['title', 'artist', 'key', 'tempo', 'durationSeconds', 'tuning', 'notes'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * @desc    Get a group's song catalog
+ * @route   GET /api/songs
+ * @access  Private (group members)
+ */
+const getSongs = async (req, res, next) => {
+  try {
+    const { groupId, search } = req.query;
+
+    const query = { groupId };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      query.$or = [{ title: pattern }, { artist: pattern }];
+    }
+
+    const songs = await Song.find(query).sort({ title: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: songs.length,
+      data: songs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a song
+ * @route   GET /api/songs/:id
+ * @access  Private (group members)
+ */
+const getSong = async (req, res, next) => {
+  try {
+    res.status(200).json({ success: true, data: req.resource });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a song to a group's catalog
+ * @route   POST /api/songs
+ * @access  Private (edit_setlists permission)
+ */
+const createSong = async (req, res, next) => {
+  try {
+    const song = await Song.create({
+      ...pick(req.body, SONG_FIELDS),
+      groupId: req.group._id,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({ success: true, data: song });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a song
+ * @route   PUT /api/songs/:id
+ * @access  Private (edit_setlists permission)
+ */
+const updateSong = async (req, res, next) => {
+  try {
+    const song = req.resource;
+
+    song.set(pick(req.body, SONG_FIELDS));
+    await song.save();
+
+    res.status(200).json({ success: true, data: song });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a song and remove it from the group's setlists
+ * @route   DELETE /api/songs/:id
+ * @access  Private (edit_setlists permission)
+ */
+const deleteSong = async (req, res, next) => {
+  try {
+    const song = req.resource;
+
+    await Setlist.updateMany(
+      { groupId: song.groupId },
+      { $pull: { entries: { songId: song._id } } }
+    );
+    await song.deleteOne();
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSongs,
+  getSong,
+  createSong,
+  updateSong,
+  deleteSong
+};
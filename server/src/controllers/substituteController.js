@@ -0,0 +1,387 @@
+const Substitute = require('../models/Substitute');
+const SubRequest = require('../models/SubRequest');
+const Rehearsal = require('../models/Rehearsal');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const {
+  getAvailableSubstitutes,
+  openSubRequest,
+  respondToSubRequest
+} = require('../services/substituteService');
+const { emitToGroup } = require('../services/socketService');
+const { SERVER_EVENTS } = require('../utils/socketEvents');
+const { pick } = require('../utils/pick');
+
+const SUBSTITUTE_FIELDS = ['name', 'email', 'phone', 'instruments', 'notes', 'isActive'];
+
+// Find an upcoming, not cancelled occurrence, sending the error response and
+// returning null otherwise
+const getUpcomingOccurrence = (rehearsal, occurrenceStart, res) => {
+  const occurrence = rehearsal.getOccurrence(occurrenceStart);
+  if (!occurrence || occurrence.isCancelled) {
+    res.status(404).json({ success: false, message: 'Occurrence not found' });
+    return null;
+  }
+
+  if (occurrence.startDateTime <= new Date()) {
+    res.status(400).json({ success: false, message: 'This rehearsal has already started' });
+    return null;
+  }
+
+  return occurrence;
+};
+
+// Find the request and candidate behind a token, sending the error response
+// and resolving to null when it does not exist
+const loadSubRequestByToken = async (req, res) => {
+  const found = await SubRequest.findByToken(req.params.token);
+  if (!found) {
+    res.status(404).json({ success: false, message: 'Sub request not found' });
+    return null;
+  }
+
+  return found;
+};
+
+/**
+ * @desc    Get a group's substitute roster
+ * @route   GET /api/groups/:id/substitutes
+ * @access  Private (schedule_rehearsals permission)
+ */
+const getSubstitutes = async (req, res, next) => {
+  try {
+    const { instrument, includeInactive } = req.query;
+    const query = { groupId: req.group._id };
+    if (!includeInactive) {
+      query.isActive = true;
+    }
+
+    const roster = await Substitute.find(query)
+      .sort({ name: 1 })
+      .populate('userId', 'firstName lastName email');
+    const substitutes = instrument ? roster.filter(substitute => substitute.playsInstrument(instrument)) : roster;
+
+    res.status(200).json({
+      success: true,
+      count: substitutes.length,
+      data: substitutes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a registered user or an external contact to the substitute roster
+ * @route   POST /api/groups/:id/substitutes
+ * @access  Private (schedule_rehearsals permission)
+ */
+const createSubstitute = async (req, res, next) => {
+  try {
+    const { group } = req;
+    const { userId } = req.body;
+    const fields = pick(req.body, SUBSTITUTE_FIELDS);
+
+    if (userId) {
+      const user = await User.findById(userId).select('firstName lastName');
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      if (group.isMember(userId)) {
+        return res.status(400).json({ success: false, message: 'Members of the group cannot be substitutes' });
+      }
+      if (await Substitute.exists({ groupId: group._id, userId })) {
+        return res.status(409).json({ success: false, message: 'This user is already on the roster' });
+      }
+      fields.name = fields.name || `${user.firstName} ${user.lastName}`;
+    }
+
+    const substitute = await Substitute.create({
+      ...fields,
+      groupId: group._id,
+      userId,
+      addedBy: req.user.id
+    });
+
+    res.status(201).json({ success: true, data: substitute });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a substitute on the roster
+ * @route   PUT /api/groups/:id/substitutes/:substituteId
+ * @access  Private (schedule_rehearsals permission)
+ */
+const updateSubstitute = async (req, res, next) => {
+  try {
+    const substitute = await Substitute.findOne({ _id: req.params.substituteId, groupId: req.group._id });
+    if (!substitute) {
+      return res.status(404).json({ success: false, message: 'Substitute not found' });
+    }
+
+    substitute.set(pick(req.body, SUBSTITUTE_FIELDS));
+    await substitute.save();
+
+    res.status(200).json({ success: true, data: substitute });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a substitute from the roster
+ * @route   DELETE /api/groups/:id/substitutes/:substituteId
+ * @access  Private (schedule_rehearsals permission)
+ */
+const deleteSubstitute = async (req, res, next) => {
+  try {
+    const substitute = await Substitute.findOneAndDelete({ _id: req.params.substituteId, groupId: req.group._id });
+    if (!substitute) {
+      return res.status(404).json({ success: false, message: 'Substitute not found' });
+    }
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the substitutes who could cover an instrument at an occurrence
+ * @route   GET /api/rehearsals/:id/occurrences/:occurrenceStart/substitutes
+ * @access  Private (schedule_rehearsals permission)
+ */
+const getOccurrenceSubstitutes = async (req, res, next) => {
+  try {
+    const { resource: rehearsal, group } = req;
+    const occurrence = getUpcomingOccurrence(rehearsal, req.params.occurrenceStart, res);
+    if (!occurrence) return;
+
+    const { instruments, substitutes } = await getAvailableSubstitutes(
+      group,
+      rehearsal,
+      occurrence,
+      req.query.instrument
+    );
+
+    res.status(200).json({
+      success: true,
+      count: substitutes.length,
+      data: {
+        instruments,
+        substitutes: substitutes.map(({ substitute, availability, covers }) => ({
+          ...substitute.toObject(),
+          availability,
+          covers
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Ask substitutes to cover an instrument at an occurrence, one after
+ *          another or all at once. Without substituteIds every available
+ *          substitute is asked, those with confirmed availability first
+ * @route   POST /api/rehearsals/:id/occurrences/:occurrenceStart/sub-requests
+ * @access  Private (schedule_rehearsals permission)
+ */
+const createSubRequest = async (req, res, next) => {
+  try {
+    const { resource: rehearsal, group } = req;
+    const { mode, responseHours } = req.body;
+    const occurrence = getUpcomingOccurrence(rehearsal, req.params.occurrenceStart, res);
+    if (!occurrence) return;
+
+    const available = await getAvailableSubstitutes(group, rehearsal, occurrence, req.body.instrument);
+    const instrument = req.body.instrument || available.instruments[0];
+    if (!instrument) {
+      return res.status(400).json({
+        success: false,
+        message: 'No instrument is missing; say which instrument needs a sub'
+      });
+    }
+
+    const alreadyOpen = await SubRequest.exists({
+      rehearsalId: rehearsal._id,
+      originalStartDateTime: occurrence.originalStartDateTime,
+      instrument,
+      status: 'open'
+    });
+    if (alreadyOpen) {
+      return res.status(409).json({ success: false, message: `Subs are already being asked for ${instrument}` });
+    }
+
+    const substituteIds = req.body.substituteIds || available.substitutes
+      .filter(candidate => candidate.covers.includes(instrument))
+      .map(candidate => candidate.substitute._id);
+    if (substituteIds.length === 0) {
+      return res.status(400).json({ success: false, message: `No substitutes available for ${instrument}` });
+    }
+
+    const request = await openSubRequest(req.io, group, rehearsal, occurrence, {
+      instrument,
+      substituteIds,
+      mode,
+      responseHours,
+      requestedBy: req.user.id
+    });
+
+    res.status(201).json({ success: true, data: request });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the sub requests of an occurrence
+ * @route   GET /api/rehearsals/:id/occurrences/:occurrenceStart/sub-requests
+ * @access  Private (schedule_rehearsals permission)
+ */
+const getSubRequests = async (req, res, next) => {
+  try {
+    const requests = await SubRequest.find({
+      rehearsalId: req.resource._id,
+      originalStartDateTime: req.params.occurrenceStart
+    })
+      .sort({ createdAt: -1 })
+      .populate('candidates.substituteId', 'name instruments userId')
+      .populate('requestedBy', 'firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Stop asking substitutes on an open sub request
+ * @route   DELETE /api/rehearsals/:id/sub-requests/:subRequestId
+ * @access  Private (schedule_rehearsals permission)
+ */
+const cancelSubRequest = async (req, res, next) => {
+  try {
+    const request = await SubRequest.findOne({ _id: req.params.subRequestId, rehearsalId: req.resource._id });
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Sub request not found' });
+    }
+
+    if (!request.cancel()) {
+      return res.status(400).json({ success: false, message: 'Only open sub requests can be cancelled' });
+    }
+
+    await request.save();
+
+    emitToGroup(req.io, request.groupId, SERVER_EVENTS.SUB_REQUEST_UPDATED, {
+      subRequestId: request._id,
+      rehearsalId: request.rehearsalId,
+      originalStartDateTime: request.originalStartDateTime,
+      status: request.status
+    });
+
+    res.status(200).json({ success: true, data: request });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Look at a sub request before answering it
+ * @route   GET /api/sub-requests/:token
+ * @access  Public (token from the request email or notification)
+ */
+const getSubRequestByToken = async (req, res, next) => {
+  try {
+    const found = await loadSubRequestByToken(req, res);
+    if (!found) return;
+
+    const { request, candidate } = found;
+    const [group, rehearsal] = await Promise.all([
+      Group.findById(request.groupId).select('name'),
+      Rehearsal.findById(request.rehearsalId).populate('venueId', 'name address')
+    ]);
+    const occurrence = rehearsal && rehearsal.getOccurrence(request.originalStartDateTime);
+    if (!group || !occurrence) {
+      return res.status(404).json({ success: false, message: 'Sub request not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        group: { _id: group._id, name: group.name },
+        rehearsal: {
+          title: occurrence.title,
+          startDateTime: occurrence.startDateTime,
+          endDateTime: occurrence.endDateTime,
+          venue: rehearsal.venueId,
+          isCancelled: occurrence.isCancelled
+        },
+        instrument: request.instrument,
+        mode: request.mode,
+        status: request.status,
+        answerBy: request.mode === 'sequential' && candidate.askedAt
+          ? new Date(candidate.askedAt.getTime() + request.responseHours * 60 * 60 * 1000)
+          : undefined,
+        yourStatus: candidate.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Accept or decline a sub request through its token
+const answerSubRequest = (accepted) => async (req, res, next) => {
+  try {
+    const found = await loadSubRequestByToken(req, res);
+    if (!found) return;
+
+    const result = await respondToSubRequest(req.io, found.request, found.candidate, accepted);
+    if (!result.success) {
+      return res.status(409).json({ success: false, message: result.message });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { status: accepted ? 'accepted' : 'declined' }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept a sub request and join the rehearsal as a guest
+ * @route   POST /api/sub-requests/:token/accept
+ * @access  Public (token from the request email or notification)
+ */
+const acceptSubRequest = answerSubRequest(true);
+
+/**
+ * @desc    Decline a sub request
+ * @route   POST /api/sub-requests/:token/decline
+ * @access  Public (token from the request email or notification)
+ */
+const declineSubRequest = answerSubRequest(false);
+
+module.exports = {
+  getSubstitutes,
+  createSubstitute,
+  updateSubstitute,
+  deleteSubstitute,
+  getOccurrenceSubstitutes,
+  createSubRequest,
+  getSubRequests,
+  cancelSubRequest,
+  getSubRequestByToken,
+  acceptSubRequest,
+  declineSubRequest
+};
@@ -0,0 +1,884 @@
+const Venue = require('../models/Venue');
+const Booking = require('../models/Booking');
+const Group = require('../models/Group');
+const Rehearsal = require('../models/Rehearsal');
+const User = require('../models/User');
+const { recordAudit, valuesOf, changedValues } = require('../services/auditService');
+const {
+  notifyBookingRequested,
+  notifyBookingDecided,
+  notifyRehearsalChanged
+} = require('../services/notificationService');
+const { buildConflictReport } = require('../services/conflictService');
+const { snapshot, diffSnapshots } = require('../services/rehearsalHistoryService');
+const { emitToGroup } = require('../services/socketService');
+const {
+  isBookableDuring,
+  findVenueOccurrences,
+  getRoomAvailability,
+  getUtilizationReport
+} = require('../services/venueService');
+const { pick } = require('../utils/pick');
+const { PERMISSIONS } = require('../utils/permissions');
+const { AUDIT_ACTIONS } = require('../utils/auditActions');
+const { SERVER_EVENTS } = require('../utils/socketEvents');
+
+const VENUE_FIELDS = [
+  'name',
+  'description',
+  'address',
+  'contactEmail',
+  'phone',
+  'timeZone',
+  'currency',
+  'openingHours',
+  'bookableSlots',
+  'requiresApproval',
+  'setupBufferMinutes',
+  'teardownBufferMinutes',
+  'holdMinutes'
+];
+const ROOM_FIELDS = ['name', 'capacity', 'equipment', 'hourlyRate', 'isActive'];
+const BOOKING_FIELDS = ['roomId', 'rehearsalId', 'startDateTime', 'endDateTime', 'status', 'holdExpiresAt'];
+const REHEARSAL_ROOM_FIELDS = ['venueId', 'roomId'];
+
+const MAX_CALENDAR_RANGE_DAYS = 92;
+const MAX_REPORT_RANGE_DAYS = 366;
+
+// Record a change to a venue or one of its rooms. Venues belong to no group,
+// so these entries are not part of any group's log
+const auditVenue = (req, venue, action, values = {}) =>
+  recordAudit({
+    actorId: req.user.id,
+    action,
+    targetId: venue._id,
+    targetLabel: venue.name,
+    ...values
+  });
+
+// Record an action on a booking in the log of the booking group
+const auditBooking = (req, booking, action, values = {}) =>
+  recordAudit({
+    groupId: booking.groupId,
+    actorId: req.user.id,
+    action,
+    targetId: booking._id,
+    ...values
+  });
+
+// Load the venue of the request, sending the error response and resolving to
+// null when it does not exist or (with `requireManager`) the user cannot manage it
+const loadVenue = async (req, res, requireManager = false) => {
+  const venue = await Venue.findById(req.params.id);
+  if (!venue) {
+    res.status(404).json({ success: false, message: 'Venue not found' });
+    return null;
+  }
+
+  if (requireManager && !venue.isManager(req.user.id)) {
+    res.status(403).json({ success: false, message: 'Not authorized to manage this venue' });
+    return null;
+  }
+
+  return venue;
+};
+
+// Send a 400 and resolve to true when a date range is longer than allowed
+const isRangeTooLong = (req, res, maxDays) => {
+  const { startDate, endDate } = req.query;
+  if (endDate - startDate <= maxDays * 24 * 60 * 60 * 1000) return false;
+
+  res.status(400).json({ success: false, message: `Date range cannot be longer than ${maxDays} days` });
+  return true;
+};
+
+// Occurrences of rehearsals at a venue, in the shape of the calendar responses
+const summarizeOccurrence = (occurrence) => ({
+  rehearsalId: occurrence.rehearsalId,
+  groupId: occurrence.groupId,
+  title: occurrence.title,
+  roomId: occurrence.roomId,
+  originalStartDateTime: occurrence.originalStartDateTime,
+  startDateTime: occurrence.startDateTime,
+  endDateTime: occurrence.endDateTime
+});
+
+/**
+ * @desc    Get venues, optionally filtered by a text search
+ * @route   GET /api/venues
+ * @access  Private
+ */
+const getVenues = async (req, res, next) => {
+  try {
+    const query = req.query.search ? { $text: { $search: req.query.search } } : {};
+    const venues = await Venue.find(query).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: venues.length,
+      data: venues
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the venues the user manages
+ * @route   GET /api/venues/managed
+ * @access  Private
+ */
+const getManagedVenues = async (req, res, next) => {
+  try {
+    const venues = await Venue.findManagedBy(req.user.id).sort({ name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: venues.length,
+      data: venues
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the bookings of every venue the user manages in a date range
+ * @route   GET /api/venues/managed/bookings
+ * @access  Private
+ */
+const getManagedBookings = async (req, res, next) => {
+  try {
+    const venues = await Venue.findManagedBy(req.user.id).select('_id');
+
+    const { startDate, endDate, status } = req.query;
+    const query = {
+      venueId: { $in: venues.map(venue => venue._id) },
+      startDateTime: { $lt: endDate },
+      endDateTime: { $gt: startDate }
+    };
+    if (status) query.status = status;
+
+    const bookings = await Booking.find(query)
+      .sort({ startDateTime: 1 })
+      .populate('venueId', 'name rooms._id rooms.name')
+      .populate('groupId', 'name')
+      .populate('requestedBy', 'firstName lastName');
+
+    res.status(200).json({
+      success: true,
+      count: bookings.length,
+      data: bookings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a venue
+ * @route   GET /api/venues/:id
+ * @access  Private
+ */
+const getVenue = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res);
+    if (!venue) return;
+
+    res.status(200).json({ success: true, data: venue });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a venue
+ * @route   POST /api/venues
+ * @access  Private
+ */
+const createVenue = async (req, res, next) => {
+  try {
+    const venue = await Venue.create({
+      ...pick(req.body, VENUE_FIELDS),
+      rooms: (req.body.rooms || []).map(room => pick(room, ROOM_FIELDS)),
+      createdBy: req.user.id
+    });
+    await auditVenue(req, venue, AUDIT_ACTIONS.VENUE_CREATED, { after: valuesOf(venue, VENUE_FIELDS) });
+
+    res.status(201).json({ success: true, data: venue });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a venue
+ * @route   PUT /api/venues/:id
+ * @access  Private (venue managers)
+ */
+const updateVenue = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res, true);
+    if (!venue) return;
+
+    const before = valuesOf(venue, VENUE_FIELDS);
+    venue.set(pick(req.body, VENUE_FIELDS));
+    await venue.save();
+    await auditVenue(req, venue, AUDIT_ACTIONS.VENUE_UPDATED, changedValues(before, valuesOf(venue, VENUE_FIELDS)));
+
+    res.status(200).json({ success: true, data: venue });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a venue
+ * @route   DELETE /api/venues/:id
+ * @access  Private (venue managers)
+ */
+const deleteVenue = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res, true);
+    if (!venue) return;
+
+    const activeBookings = await Booking.findUpcoming(venue._id);
+    if (activeBookings.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Release the upcoming bookings before deleting the venue'
+      });
+    }
+
+    await venue.deleteOne();
+    await auditVenue(req, venue, AUDIT_ACTIONS.VENUE_DELETED, { before: valuesOf(venue, VENUE_FIELDS) });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Add a room to a venue
+ * @route   POST /api/venues/:id/rooms
+ * @access  Private (venue managers)
+ */
+const addRoom = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res, true);
+    if (!venue) return;
+
+    venue.rooms.push(pick(req.body, ROOM_FIELDS));
+    await venue.save();
+
+    const room = venue.rooms[venue.rooms.length - 1];
+    await auditVenue(req, venue, AUDIT_ACTIONS.VENUE_UPDATED, {
+      after: { room: { _id: room._id, ...valuesOf(room, ROOM_FIELDS) } }
+    });
+
+    res.status(201).json({ success: true, data: room });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a room of a venue
+ * @route   PUT /api/venues/:id/rooms/:roomId
+ * @access  Private (venue managers)
+ */
+const updateRoom = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res, true);
+    if (!venue) return;
+
+    const room = venue.getRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    const before = valuesOf(room, ROOM_FIELDS);
+    room.set(pick(req.body, ROOM_FIELDS));
+    await venue.save();
+
+    const changed = changedValues(before, valuesOf(room, ROOM_FIELDS));
+    await auditVenue(req, venue, AUDIT_ACTIONS.VENUE_UPDATED, {
+      before: { room: { _id: room._id, ...changed.before } },
+      after: { room: { _id: room._id, ...changed.after } }
+    });
+
+    res.status(200).json({ success: true, data: room });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a room from a venue
+ * @route   DELETE /api/venues/:id/rooms/:roomId
+ * @access  Private (venue managers)
+ */
+const deleteRoom = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res, true);
+    if (!venue) return;
+
+    const room = venue.getRoom(req.params.roomId);
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    const activeBookings = await Booking.findUpcoming(venue._id, { roomId: room._id });
+    if (activeBookings.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Release the upcoming bookings of this room before removing it'
+      });
+    }
+
+    const before = { room: { _id: room._id, ...valuesOf(room, ROOM_FIELDS) } };
+    room.deleteOne();
+    await venue.save();
+    await auditVenue(req, venue, AUDIT_ACTIONS.VENUE_UPDATED, { before });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the managers of a venue
+ * @route   GET /api/venues/:id/managers
+ * @access  Private
+ */
+const getVenueManagers = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res);
+    if (!venue) return;
+
+    const managers = await User.find({ _id: { $in: [venue.createdBy, ...venue.managers] } })
+      .select('firstName lastName email');
+
+    res.status(200).json({
+      success: true,
+      count: managers.length,
+      data: managers.map(manager => ({
+        ...manager.toObject(),
+        isCreator: manager._id.toString() === venue.createdBy.toString()
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Make a user a manager of a venue
+ * @route   POST /api/venues/:id/managers
+ * @access  Private (venue managers)
+ */
+const addVenueManager = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res, true);
+    if (!venue) return;
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (venue.isManager(user._id)) {
+      return res.status(400).json({ success: false, message: 'User already manages this venue' });
+    }
+
+    venue.managers.push(user._id);
+    await venue.save();
+    await auditVenue(req, venue, AUDIT_ACTIONS.VENUE_MANAGER_ADDED, {
+      after: { manager: { userId: user._id, name: `${user.firstName} ${user.lastName}` } }
+    });
+
+    res.status(201).json({ success: true, data: venue.managers });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Remove a manager from a venue. The creator always manages it
+ * @route   DELETE /api/venues/:id/managers/:userId
+ * @access  Private (venue managers)
+ */
+const removeVenueManager = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res, true);
+    if (!venue) return;
+
+    const { userId } = req.params;
+    if (!venue.managers.some(id => id.toString() === userId)) {
+      return res.status(404).json({ success: false, message: 'Manager not found' });
+    }
+
+    venue.managers.pull(userId);
+    await venue.save();
+    await auditVenue(req, venue, AUDIT_ACTIONS.VENUE_MANAGER_REMOVED, {
+      before: { manager: { userId } }
+    });
+
+    res.status(200).json({ success: true, data: venue.managers });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get when each room of a venue is free to book in a date range
+ * @route   GET /api/venues/:id/availability
+ * @access  Private
+ */
+const getVenueAvailability = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res);
+    if (!venue) return;
+    if (isRangeTooLong(req, res, MAX_CALENDAR_RANGE_DAYS)) return;
+
+    const { startDate, endDate } = req.query;
+    const rooms = await getRoomAvailability(venue, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      count: rooms.length,
+      data: rooms
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get every booking and rehearsal in the rooms of a venue in a date range
+ * @route   GET /api/venues/:id/calendar
+ * @access  Private (venue managers)
+ */
+const getVenueCalendar = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res, true);
+    if (!venue) return;
+    if (isRangeTooLong(req, res, MAX_CALENDAR_RANGE_DAYS)) return;
+
+    const { startDate, endDate, roomId } = req.query;
+    const bookingQuery = {
+      venueId: venue._id,
+      status: { $ne: 'released' },
+      startDateTime: { $lt: endDate },
+      endDateTime: { $gt: startDate }
+    };
+    if (roomId) bookingQuery.roomId = roomId;
+
+    const [bookings, occurrences] = await Promise.all([
+      Booking.find(bookingQuery)
+        .sort({ startDateTime: 1 })
+        .populate('groupId', 'name')
+        .populate('requestedBy', 'firstName lastName'),
+      findVenueOccurrences(venue._id, startDate, endDate)
+    ]);
+
+    const rehearsals = occurrences
+      .filter(occurrence => !roomId || (occurrence.roomId && occurrence.roomId.toString() === roomId))
+      .map(summarizeOccurrence);
+
+    res.status(200).json({
+      success: true,
+      data: { bookings, rehearsals }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get booked hours, occupancy and revenue per room of a venue in a date range
+ * @route   GET /api/venues/:id/utilization
+ * @access  Private (venue managers)
+ */
+const getVenueUtilization = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res, true);
+    if (!venue) return;
+    if (isRangeTooLong(req, res, MAX_REPORT_RANGE_DAYS)) return;
+
+    const { startDate, endDate } = req.query;
+    const report = await getUtilizationReport(venue, startDate, endDate);
+
+    res.status(200).json({
+      success: true,
+      data: { startDate, endDate, ...report }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the bookings of a venue in a date range
+ * @route   GET /api/venues/:id/bookings
+ * @access  Private
+ */
+const getBookings = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res);
+    if (!venue) return;
+
+    const { startDate, endDate, status } = req.query;
+    const query = {
+      venueId: venue._id,
+      startDateTime: { $lt: endDate },
+      endDateTime: { $gt: startDate }
+    };
+    if (status) query.status = status;
+
+    const bookings = await Booking.find(query)
+      .sort({ startDateTime: 1 })
+      .populate('groupId', 'name');
+
+    res.status(200).json({
+      success: true,
+      count: bookings.length,
+      data: bookings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Place a hold on a room for a group
+ * @route   POST /api/venues/:id/bookings
+ * @access  Private (book_venues permission in the booking group)
+ */
+const createBooking = async (req, res, next) => {
+  try {
+    const venue = await loadVenue(req, res);
+    if (!venue) return;
+
+    const { group } = req;
+    const { roomId, rehearsalId, startDateTime, endDateTime, notes } = req.body;
+
+    const room = venue.getRoom(roomId);
+    if (!room || !room.isActive) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+
+    if (rehearsalId) {
+      const rehearsal = await Rehearsal.findById(rehearsalId);
+      if (!rehearsal || rehearsal.groupId.toString() !== group._id.toString()) {
+        return res.status(400).json({ success: false, message: 'Rehearsal does not belong to this group' });
+      }
+    }
+
+    if (!venue.isOpenDuring(startDateTime, endDateTime)) {
+      return res.status(400).json({ success: false, message: 'The venue is closed during this time' });
+    }
+
+    if (!isBookableDuring(venue, room._id, startDateTime, endDateTime)) {
+      return res.status(400).json({ success: false, message: 'The room cannot be booked at this time' });
+    }
+
+    const hasConflict = await Rehearsal.checkForConflicts(
+      venue._id,
+      startDateTime,
+      endDateTime,
+      rehearsalId || null,
+      room._id
+    );
+    if (hasConflict) {
+      return res.status(409).json({ success: false, message: 'The room is already booked at this time' });
+    }
+
+    // Venues approving their bookings get a request, which holds the room until they decide
+    const booking = await Booking.create({
+      venueId: venue._id,
+      roomId: room._id,
+      groupId: group._id,
+      rehearsalId,
+      requestedBy: req.user.id,
+      startDateTime,
+      endDateTime,
+      notes,
+      ...(venue.requiresApproval
+        ? { status: 'requested' }
+        : { status: 'hold', holdExpiresAt: new Date(Date.now() + venue.holdMinutes * 60 * 1000) })
+    });
+    await auditBooking(req, booking, AUDIT_ACTIONS.BOOKING_CREATED, {
+      targetLabel: `${venue.name}, ${room.name}`,
+      after: valuesOf(booking, BOOKING_FIELDS)
+    });
+
+    if (booking.status === 'requested') {
+      await notifyBookingRequested(req.io, venue, booking, group, req.user.id);
+    }
+
+    res.status(201).json({ success: true, data: booking });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load a booking of the venue in the request together with whether the user
+// may act on it for the booking group or as the venue manager
+const loadBooking = async (req, res) => {
+  const booking = await Booking.findOne({ _id: req.params.bookingId, venueId: req.params.id });
+  if (!booking) {
+    res.status(404).json({ success: false, message: 'Booking not found' });
+    return null;
+  }
+
+  const [group, venue] = await Promise.all([
+    Group.findById(booking.groupId),
+    Venue.findById(booking.venueId)
+  ]);
+
+  return {
+    booking,
+    venue,
+    group,
+    canBookForGroup: Boolean(group && group.hasPermission(req.user.id, PERMISSIONS.BOOK_VENUES)),
+    isVenueManager: Boolean(venue && venue.isManager(req.user.id))
+  };
+};
+
+// Move the rehearsal a booking was made for into the booked room, without
+// saving it yet, and check the room for conflicts. Returns null when there is
+// no rehearsal to move or it already uses the room
+const prepareRoomMove = async (booking) => {
+  if (!booking.rehearsalId) return null;
+
+  const rehearsal = await Rehearsal.findById(booking.rehearsalId);
+  if (!rehearsal || rehearsal.status === 'cancelled') return null;
+
+  const before = snapshot(rehearsal);
+  const auditBefore = valuesOf(rehearsal, REHEARSAL_ROOM_FIELDS);
+  rehearsal.set({ venueId: booking.venueId, roomId: booking.roomId });
+  const changes = diffSnapshots(before, snapshot(rehearsal));
+  if (changes.length === 0) return null;
+
+  const conflicts = await buildConflictReport(rehearsal);
+  return { rehearsal, changes, auditBefore, conflicts };
+};
+
+// Refuse a room move that double-books the room unless `override` is set,
+// sending the 409 with the conflict report. Other conflicts the rehearsal
+// has do not come from the booking, so they are only reported
+const isRoomMoveRefused = (req, res, move) => {
+  if (!move || move.conflicts.venueConflicts.length === 0 || req.body.override) {
+    return false;
+  }
+
+  res.status(409).json({
+    success: false,
+    message: 'The booked room has scheduling conflicts',
+    conflicts: move.conflicts
+  });
+  return true;
+};
+
+// Save a prepared room move like any other update of the rehearsal: it is kept
+// in the rehearsal's history and the audit log, and the group is told
+const applyRoomMove = async (req, move, booking) => {
+  if (!move) return;
+
+  const { rehearsal, changes, auditBefore } = move;
+  const change = rehearsal.recordChange({ action: 'updated', changedBy: req.user.id, changes });
+  await rehearsal.save();
+  await recordAudit({
+    groupId: rehearsal.groupId,
+    actorId: req.user.id,
+    action: AUDIT_ACTIONS.REHEARSAL_UPDATED,
+    targetId: rehearsal._id,
+    targetLabel: rehearsal.title,
+    ...changedValues(auditBefore, valuesOf(rehearsal, REHEARSAL_ROOM_FIELDS)),
+    details: { bookingId: booking._id }
+  });
+
+  emitToGroup(req.io, rehearsal.groupId, SERVER_EVENTS.REHEARSAL_UPDATED, { rehearsalId: rehearsal._id });
+  await notifyRehearsalChanged(req.io, rehearsal, change, req.user.id);
+};
+
+/**
+ * @desc    Confirm a hold, moving the linked rehearsal into the booked room.
+ *          Room conflicts are refused with a report unless `override` is set
+ * @route   POST /api/venues/:id/bookings/:bookingId/confirm
+ * @access  Private (book_venues permission in the booking group)
+ */
+const confirmBooking = async (req, res, next) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+
+    const { booking } = loaded;
+    if (!loaded.canBookForGroup) {
+      return res.status(403).json({ success: false, message: 'Not authorized to confirm this booking' });
+    }
+
+    if (booking.status === 'requested') {
+      return res.status(400).json({ success: false, message: 'The booking is waiting for the venue to approve it' });
+    }
+
+    const previousStatus = booking.status;
+    if (!booking.confirm()) {
+      return res.status(400).json({ success: false, message: 'Only active holds can be confirmed' });
+    }
+
+    const move = await prepareRoomMove(booking);
+    if (isRoomMoveRefused(req, res, move)) return;
+
+    await booking.save();
+    await auditBooking(req, booking, AUDIT_ACTIONS.BOOKING_CONFIRMED, {
+      targetLabel: loaded.venue && loaded.venue.name,
+      before: { status: previousStatus },
+      after: { status: booking.status }
+    });
+
+    await applyRoomMove(req, move, booking);
+
+    res.status(200).json({ success: true, data: booking, conflicts: move ? move.conflicts : undefined });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Approve a booking request, moving the linked rehearsal into the booked room.
+ *          Room conflicts are refused with a report unless `override` is set
+ * @route   POST /api/venues/:id/bookings/:bookingId/approve
+ * @access  Private (venue managers)
+ */
+const approveBooking = async (req, res, next) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+
+    const { booking, venue, group } = loaded;
+    if (!loaded.isVenueManager) {
+      return res.status(403).json({ success: false, message: 'Not authorized to manage this venue' });
+    }
+
+    if (!booking.approve(req.user.id)) {
+      return res.status(400).json({ success: false, message: 'Only booking requests can be approved' });
+    }
+
+    const move = await prepareRoomMove(booking);
+    if (isRoomMoveRefused(req, res, move)) return;
+
+    await booking.save();
+    await auditBooking(req, booking, AUDIT_ACTIONS.BOOKING_APPROVED, {
+      targetLabel: venue.name,
+      before: { status: 'requested' },
+      after: { status: booking.status }
+    });
+
+    await applyRoomMove(req, move, booking);
+    if (group) {
+      await notifyBookingDecided(req.io, venue, booking, group, req.user.id);
+    }
+
+    res.status(200).json({ success: true, data: booking, conflicts: move ? move.conflicts : undefined });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reject a booking request, optionally with a reason, freeing the room
+ * @route   POST /api/venues/:id/bookings/:bookingId/reject
+ * @access  Private (venue managers)
+ */
+const rejectBooking = async (req, res, next) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+
+    const { booking, venue, group } = loaded;
+    if (!loaded.isVenueManager) {
+      return res.status(403).json({ success: false, message: 'Not authorized to manage this venue' });
+    }
+
+    if (!booking.reject(req.user.id, req.body.reason)) {
+      return res.status(400).json({ success: false, message: 'Only booking requests can be rejected' });
+    }
+
+    await booking.save();
+    await auditBooking(req, booking, AUDIT_ACTIONS.BOOKING_REJECTED, {
+      targetLabel: venue.name,
+      before: { status: 'requested' },
+      after: { status: booking.status, rejectionReason: booking.rejectionReason }
+    });
+
+    if (group) {
+      await notifyBookingDecided(req.io, venue, booking, group, req.user.id);
+    }
+
+    res.status(200).json({ success: true, data: booking });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Release a hold, a booking request or a confirmed booking
+ * @route   POST /api/venues/:id/bookings/:bookingId/release
+ * @access  Private (book_venues permission in the booking group, venue managers)
+ */
+const releaseBooking = async (req, res, next) => {
+  try {
+    const loaded = await loadBooking(req, res);
+    if (!loaded) return;
+
+    const { booking } = loaded;
+    if (!loaded.canBookForGroup && !loaded.isVenueManager) {
+      return res.status(403).json({ success: false, message: 'Not authorized to release this booking' });
+    }
+
+    const previousStatus = booking.status;
+    if (!booking.release()) {
+      return res.status(400).json({ success: false, message: 'Booking is already released or rejected' });
+    }
+
+    await booking.save();
+    await auditBooking(req, booking, AUDIT_ACTIONS.BOOKING_RELEASED, {
+      targetLabel: loaded.venue && loaded.venue.name,
+      before: { status: previousStatus },
+      after: { status: booking.status }
+    });
+
+    res.status(200).json({ success: true, data: booking });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getVenues,
+  getManagedVenues,
+  getManagedBookings,
+  getVenue,
+  createVenue,
+  updateVenue,
+  deleteVenue,
+  addRoom,
+  updateRoom,
+  deleteRoom,
+  getVenueManagers,
+  addVenueManager,
+  removeVenueManager,
+  getVenueAvailability,
+  getVenueCalendar,
+  getVenueUtilization,
+  getBookings,
+  createBooking,
+  confirmBooking,
+  approveBooking,
+  rejectBooking,
+  releaseBooking
+};
@@ -0,0 +1,215 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { recordAudit, valuesOf, changedValues } = require('../services/auditService');
+const { replayDelivery } = require('../services/webhookService');
+const { isPublicUrl } = require('../utils/networkAddress');
+const { pick } = require('../utils/pick');
+const { AUDIT_ACTIONS } = require('../utils/auditActions');
+
+const WEBHOOK_FIELDS = ['url', 'description', 'events', 'isActive'];
+const INTERNAL_URL_MESSAGE = 'Webhook URLs must point to a public host';
+
+const auditWebhook = (req, webhook, action, values) =>
+  recordAudit({
+    groupId: webhook.groupId,
+    actorId: req.user.id,
+    action,
+    targetId: webhook._id,
+    targetLabel: webhook.url,
+    ...values
+  });
+
+const findGroupWebhook = (req, select = '') =>
+  Webhook.findOne({ _id: req.params.webhookId, groupId: req.group._id }).select(select);
+
+/**
+ * @desc    Get the group's webhooks
+ * @route   GET /api/groups/:id/webhooks
+ * @access  Private (manage_group permission)
+ */
+const getWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find({ groupId: req.group._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: webhooks.length,
+      data: webhooks
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Register a webhook. The response includes its signing secret, which
+ *          is not shown again
+ * @route   POST /api/groups/:id/webhooks
+ * @access  Private (manage_group permission)
+ */
+const createWebhook = async (req, res, next) => {
+  try {
+    if (!(await isPublicUrl(req.body.url))) {
+      return res.status(400).json({ success: false, message: INTERNAL_URL_MESSAGE });
+    }
+
+    const webhook = new Webhook({
+      ...pick(req.body, WEBHOOK_FIELDS),
+      groupId: req.group._id,
+      createdBy: req.user.id
+    });
+    webhook.generateSecret();
+    await webhook.save();
+    await auditWebhook(req, webhook, AUDIT_ACTIONS.WEBHOOK_CREATED, {
+      after: valuesOf(webhook, WEBHOOK_FIELDS)
+    });
+
+    res.status(201).json({ success: true, data: webhook });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a webhook's URL, description, events or whether it is active
+ * @route   PUT /api/groups/:id/webhooks/:webhookId
+ * @access  Private (manage_group permission)
+ */
+const updateWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findGroupWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+    if (req.body.url && !(await isPublicUrl(req.body.url))) {
+      return res.status(400).json({ success: false, message: INTERNAL_URL_MESSAGE });
+    }
+
+    const before = valuesOf(webhook, WEBHOOK_FIELDS);
+    webhook.set(pick(req.body, WEBHOOK_FIELDS));
+    await webhook.save();
+    await auditWebhook(req, webhook, AUDIT_ACTIONS.WEBHOOK_UPDATED,
+      changedValues(before, valuesOf(webhook, WEBHOOK_FIELDS)));
+
+    res.status(200).json({ success: true, data: webhook });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a webhook together with its delivery log
+ * @route   DELETE /api/groups/:id/webhooks/:webhookId
+ * @access  Private (manage_group permission)
+ */
+const deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findGroupWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await auditWebhook(req, webhook, AUDIT_ACTIONS.WEBHOOK_DELETED, {
+      before: valuesOf(webhook, WEBHOOK_FIELDS)
+    });
+
+    res.status(200).json({ success: true, data: {} });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace a webhook's signing secret. Deliveries are signed with the
+ *          new secret from the next attempt on
+ * @route   POST /api/groups/:id/webhooks/:webhookId/secret
+ * @access  Private (manage_group permission)
+ */
+const rotateWebhookSecret = async (req, res, next) => {
+  try {
+    const webhook = await findGroupWebhook(req, '+secret');
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+
+    const secret = webhook.generateSecret();
+    await webhook.save();
+    await auditWebhook(req, webhook, AUDIT_ACTIONS.WEBHOOK_SECRET_ROTATED);
+
+    res.status(200).json({ success: true, data: { secret } });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a webhook's deliveries, newest first, with every attempt made
+ * @route   GET /api/groups/:id/webhooks/:webhookId/deliveries
+ * @access  Private (manage_group permission)
+ */
+const getWebhookDeliveries = async (req, res, next) => {
+  try {
+    const webhook = await findGroupWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({ success: false, message: 'Webhook not found' });
+    }
+
+    const { status, event, limit = 50, skip = 0 } = req.query;
+    const filter = { webhookId: webhook._id };
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      total,
+      data: deliveries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a delivery again, as a new delivery with its own retries
+ * @route   POST /api/groups/:id/webhooks/:webhookId/deliveries/:deliveryId/replay
+ * @access  Private (manage_group permission)
+ */
+const replayWebhookDelivery = async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      webhookId: req.params.webhookId,
+      groupId: req.group._id
+    });
+    if (!delivery) {
+      return res.status(404).json({ success: false, message: 'Delivery not found' });
+    }
+
+    const replay = await replayDelivery(delivery);
+
+    res.status(202).json({ success: true, data: replay });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  replayWebhookDelivery
+};
@@ -16,13 +16,29 @@ const groupRoutes = require('./routes/groupRoutes');
 const rehearsalRoutes = require('./routes/rehearsalRoutes');
 const venueRoutes = require('./routes/venueRoutes');
 const setlistRoutes = require('./routes/setlistRoutes');
+const songRoutes = require('./routes/songRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const pollRoutes = require('./routes/pollRoutes');
+const subRequestRoutes = require('./routes/subRequestRoutes');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorMiddleware');
 const { authMiddleware } = require('./middleware/authMiddleware');
 
+// Import services
+const { initSocket } = require('./services/socketService');
+
 // Import cron jobs
 const { initScheduledJobs } = require('./utils/cronJobs');
+const { logInfo, logError } = require('./utils/logger');
+
+// Tokens cannot be signed or checked safely without a secret
+if (!process.env.JWT_SECRET) {
+  logError('JWT_SECRET is not set; refusing to start');
+  process.exit(1);
+}
 
 // Initialize Express app
 const app = express();
@@ -83,24 +99,8 @@ app.use(cors({
 app.use(helmet());
 app.use(morgan('dev'));
 
-// Socket.io connection
-io.on('connection', (socket) => {
-  console.log('New client connected', socket.id);
-
-  socket.on('join_room', (groupId) => {
-    socket.join(groupId);
-    console.log(`User joined room: ${groupId}`);
-  });
-
-  socket.on('leave_room', (groupId) => {
-    socket.leave(groupId);
-    console.log(`User left room: ${groupId}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('Client disconnected', socket.id);
-  });
-});
+// Socket.io authentication and rooms
+initSocket(io);
 
 // Make io accessible to routes
 app.use((req, res, next) => {
@@ -111,11 +111,17 @@ app.use((req, res, next) => {
 // API routes
 app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 app.use('/api/auth', authRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/sub-requests', subRequestRoutes);
 app.use('/api/users', authMiddleware, userRoutes);
 app.use('/api/groups', authMiddleware, groupRoutes);
 app.use('/api/rehearsals', authMiddleware, rehearsalRoutes);
 app.use('/api/venues', authMiddleware, venueRoutes);
 app.use('/api/setlists', authMiddleware, setlistRoutes);
+app.use('/api/songs', authMiddleware, songRoutes);
+app.use('/api/notifications', authMiddleware, notificationRoutes);
+app.use('/api/invitations', authMiddleware, invitationRoutes);
+app.use('/api/polls', authMiddleware, pollRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -135,12 +141,12 @@ const connectDB = async () => {
       useNewUrlParser: true,
       useUnifiedTopology: true
     });
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
+    logInfo(`MongoDB Connected: ${conn.connection.host}`);
     
     // Initialize scheduled jobs after DB connection
-    initScheduledJobs();
+    initScheduledJobs(io);
   } catch (error) {
-    console.error(`Error connecting to MongoDB: ${error.message}`);
+    logError('Error connecting to MongoDB', error);
     process.exit(1);
   }
 };
@@ -149,13 +155,13 @@ const connectDB = async () => {
 const PORT = process.env.PORT || 5000;
 connectDB().then(() => {
   server.listen(PORT, () => {
-    console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
+    logInfo(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
   });
 });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
-  console.error(`Unhandled Rejection: ${err.message}`);
+  logError('Unhandled Rejection', err);
   // Close server & exit process
   server.close(() => process.exit(1));
 });
@@ -0,0 +1,63 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+// Read the access token from the Authorization header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length);
+  }
+  return null;
+};
+
+/**
+ * Check an access token and that its session is still active, resolving to
+ * { userId, sessionId }, or null when it is invalid, expired or revoked.
+ * Shared with the socket handshake.
+ *
+ * @param {string} token - Access token from getSignedJwtToken
+ * @returns {Promise<Object|null>}
+ */
+const verifyAccessToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  if (!mongoose.isValidObjectId(decoded.sid)) {
+    return null;
+  }
+
+  const session = await Session.findOne({ _id: decoded.sid, userId: decoded.id });
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  return { userId: decoded.id, sessionId: session._id.toString() };
+};
+
+// Only let requests with a valid access token through, setting req.user to
+// { id, sessionId }
+const authMiddleware = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ success: false, message: 'Not authorized, no token' });
+    }
+
+    const verified = await verifyAccessToken(token);
+    if (!verified) {
+      return res.status(401).json({ success: false, message: 'Not authorized, token invalid or expired' });
+    }
+
+    req.user = { id: verified.userId, sessionId: verified.sessionId };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authMiddleware, verifyAccessToken };
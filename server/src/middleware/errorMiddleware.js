@@ -0,0 +1,35 @@
+const { logError } = require('../utils/logger');
+
+// Turn errors passed to next() into { success: false, message } responses.
+// Mongoose errors become client errors; anything else is a 500 whose details
+// are only shown outside production. Express only treats a middleware with
+// four parameters as an error handler, so `next` stays in the signature
+const errorHandler = (err, req, res, next) => {
+  let statusCode = err.statusCode || 500;
+  let message = err.message || 'Server error';
+
+  if (err.name === 'CastError') {
+    statusCode = 400;
+    message = `Invalid ${err.path}: ${err.value}`;
+  } else if (err.name === 'ValidationError') {
+    statusCode = 400;
+    message = Object.values(err.errors).map(error => error.message).join(', ');
+  } else if (err.code === 11000) {
+    statusCode = 409;
+    message = `${Object.keys(err.keyValue || {}).join(', ') || 'Value'} already exists`;
+  } else if (err.type === 'entity.parse.failed') {
+    statusCode = 400;
+    message = 'Invalid JSON';
+  }
+
+  if (statusCode >= 500) {
+    logError(err.stack || err.message);
+    if (process.env.NODE_ENV === 'production') {
+      message = 'Server error';
+    }
+  }
+
+  res.status(statusCode).json({ success: false, message });
+};
+
+module.exports = { errorHandler };
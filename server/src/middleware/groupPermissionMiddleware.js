@@ -0,0 +1,58 @@
+const Group = require('../models/Group');
+const { PERMISSION_DESCRIPTIONS } = require('../utils/permissions');
+
+// Where a route finds its group. Each resolver returns the group id, or null
+// when the resource it names does not exist (answered with its notFoundMessage)
+const groupIdFrom = {
+  param: (name = 'id') => (req) => req.params[name],
+  body: (name = 'groupId') => (req) => req.body[name],
+  query: (name = 'groupId') => (req) => req.query[name],
+
+  // Load a group-owned document by a route parameter; the controller finds it
+  // on req.resource instead of loading it again
+  document: (Model, label, paramName = 'id') => {
+    const resolve = async (req) => {
+      const document = await Model.findById(req.params[paramName]);
+      if (!document) return null;
+      req.resource = document;
+      return document.groupId;
+    };
+    resolve.notFoundMessage = `${label} not found`;
+    return resolve;
+  }
+};
+
+/**
+ * Allow the request only if the user's role in the group grants a permission.
+ * The group is loaded onto req.group for the controller.
+ *
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Function} getGroupId - Resolver from groupIdFrom (defaults to the :id parameter)
+ */
+const requireGroupPermission = (permission, getGroupId = groupIdFrom.param()) =>
+  async (req, res, next) => {
+    try {
+      const groupId = await getGroupId(req);
+      const group = groupId ? await Group.findById(groupId) : null;
+      if (!group) {
+        return res.status(404).json({
+          success: false,
+          message: (!groupId && getGroupId.notFoundMessage) || 'Group not found'
+        });
+      }
+
+      if (!group.hasPermission(req.user.id, permission)) {
+        return res.status(403).json({
+          success: false,
+          message: `You do not have permission to ${PERMISSION_DESCRIPTIONS[permission]}`
+        });
+      }
+
+      req.group = group;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+module.exports = { requireGroupPermission, groupIdFrom };
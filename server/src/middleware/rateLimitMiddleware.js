@@ -0,0 +1,53 @@
+/**
+ * Limit how often a client can call a route: at most `max` requests per
+ * `windowMinutes`, counted per key (the client IP by default). Counts are kept
+ * in memory, so each server process limits on its own.
+ *
+ * @param {Object} options
+ * @param {number} options.max - Requests allowed per window
+ * @param {number} options.windowMinutes - Length of the window
+ * @param {Function} [options.key] - Builds the key to count a request under
+ * @param {string} [options.message] - Message of the 429 response
+ */
+const rateLimit = ({
+  max,
+  windowMinutes,
+  key = (req) => req.ip,
+  message = 'Too many requests, please try again later'
+}) => {
+  const windowMs = windowMinutes * 60 * 1000;
+  const hits = new Map();
+
+  // Forget windows that ended, so the map does not grow without bound
+  const prune = (now) => {
+    hits.forEach((entry, entryKey) => {
+      if (entry.resetAt <= now) hits.delete(entryKey);
+    });
+  };
+  setInterval(() => prune(Date.now()), windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const requestKey = key(req);
+
+    let entry = hits.get(requestKey);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(requestKey, entry);
+    }
+    entry.count += 1;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('RateLimit-Reset', String(Math.ceil((entry.resetAt - now) / 1000)));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({ success: false, message });
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,22 @@
+const User = require('../models/User');
+const { isValidTimeZone } = require('../utils/timeZone');
+
+// Set req.timeZone to the zone times are shown in: the `timeZone` query
+// parameter when given, otherwise the requesting user's own zone. Routes using
+// it validate the query parameter with isValidTimeZone
+const resolveTimeZone = async (req, res, next) => {
+  try {
+    let { timeZone } = req.query;
+    if (!timeZone) {
+      const user = await User.findById(req.user.id).select('timeZone');
+      timeZone = user && isValidTimeZone(user.timeZone) ? user.timeZone : 'UTC';
+    }
+
+    req.timeZone = timeZone;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { resolveTimeZone };
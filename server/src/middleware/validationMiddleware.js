@@ -0,0 +1,33 @@
+const { body, validationResult } = require('express-validator');
+
+// Email addresses are stored, looked up and compared only lowercased, so an
+// address matches however the user typed it. Dots and +tags are kept: they
+// are part of the address for most providers, and invitations are compared
+// with the address exactly as the account has it
+const EMAIL_NORMALIZATION = {
+  gmail_remove_dots: false,
+  gmail_remove_subaddress: false,
+  gmail_convert_googlemaildotcom: false,
+  outlookdotcom_remove_subaddress: false,
+  yahoo_remove_subaddress: false,
+  icloud_remove_subaddress: false
+};
+
+// Validate and normalize an email address field of the body
+const emailField = (field = 'email') => body(field).isEmail().normalizeEmail(EMAIL_NORMALIZATION);
+
+// Reject the request with the express-validator errors collected by the route
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  next();
+};
+
+module.exports = { validate, emailField };
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('../utils/auditActions');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLogEntry:
+ *       type: object
+ *       required:
+ *         - actorId
+ *         - action
+ *         - targetType
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         groupId:
+ *           type: string
+ *           description: Reference to the Group the action concerns; venues belong to no group
+ *         actorId:
+ *           type: string
+ *           description: Reference to the User who took the action
+ *         action:
+ *           type: string
+ *           description: What happened, e.g. member.removed or rehearsal.rescheduled
+ *         targetType:
+ *           type: string
+ *           enum: [group, blackout, role, member, ownership, invitation, webhook, rehearsal, payment, setlist, venue, booking]
+ *         targetId:
+ *           type: string
+ *           description: ID of the member, rehearsal, setlist, etc. acted on
+ *         targetLabel:
+ *           type: string
+ *           description: Name of the target when it was acted on, kept after it is deleted
+ *         before:
+ *           type: object
+ *           description: Changed values before the action (none for creations)
+ *         after:
+ *           type: object
+ *           description: Changed values after the action (none for deletions)
+ *         details:
+ *           type: object
+ *           description: Context of the action, e.g. the occurrence concerned or the reason given
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the action was taken
+ */
+
+const AuditLogSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: Object.values(AUDIT_ACTIONS),
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: AUDIT_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  targetLabel: {
+    type: String
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ groupId: 1, createdAt: -1 });
+AuditLogSchema.index({ groupId: 1, actorId: 1, createdAt: -1 });
+
+// The log is append-only: entries are never changed or removed
+const refuseChange = function(next) {
+  next(new Error('Audit log entries cannot be changed or deleted'));
+};
+
+AuditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return refuseChange(next);
+  next();
+});
+AuditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  refuseChange
+);
+AuditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndRemove'], refuseChange);
+AuditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
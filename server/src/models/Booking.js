@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Booking:
+ *       type: object
+ *       required:
+ *         - venueId
+ *         - roomId
+ *         - groupId
+ *         - startDateTime
+ *         - endDateTime
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         venueId:
+ *           type: string
+ *           description: Reference to the Venue
+ *         roomId:
+ *           type: string
+ *           description: Room of the venue that is booked
+ *         groupId:
+ *           type: string
+ *           description: Reference to the Group the room is booked for
+ *         rehearsalId:
+ *           type: string
+ *           description: Reference to the Rehearsal using the booking
+ *         requestedBy:
+ *           type: string
+ *           description: Reference to the User who made the booking
+ *         startDateTime:
+ *           type: string
+ *           format: date-time
+ *         endDateTime:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [hold, requested, confirmed, rejected, released]
+ *           description: >
+ *             Booking lifecycle state. At venues requiring approval bookings start as requested
+ *             and block the room until a manager approves (confirmed) or rejects them
+ *         holdExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When an unconfirmed hold is released automatically
+ *         confirmedAt:
+ *           type: string
+ *           format: date-time
+ *         releasedAt:
+ *           type: string
+ *           format: date-time
+ *         decidedBy:
+ *           type: string
+ *           description: Reference to the venue manager who approved or rejected the request
+ *         decidedAt:
+ *           type: string
+ *           format: date-time
+ *         rejectionReason:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const BookingSchema = new mongoose.Schema({
+  venueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue',
+    required: true
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Please choose a room']
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  rehearsalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rehearsal'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startDateTime: {
+    type: Date,
+    required: [true, 'Please provide a start date and time']
+  },
+  endDateTime: {
+    type: Date,
+    required: [true, 'Please provide an end date and time'],
+    validate: {
+      validator: function(value) {
+        return value > this.startDateTime;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  status: {
+    type: String,
+    enum: ['hold', 'requested', 'confirmed', 'rejected', 'released'],
+    default: 'hold'
+  },
+  holdExpiresAt: {
+    type: Date
+  },
+  confirmedAt: {
+    type: Date
+  },
+  releasedAt: {
+    type: Date
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: {
+    type: Date
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+BookingSchema.index({ venueId: 1, startDateTime: 1 });
+BookingSchema.index({ status: 1, holdExpiresAt: 1 });
+
+// Query matching the bookings that currently block their room
+const activeQuery = () => ({
+  $or: [
+    { status: { $in: ['confirmed', 'requested'] } },
+    { status: 'hold', holdExpiresAt: { $gt: new Date() } }
+  ]
+});
+
+// Virtual for whether the booking currently blocks the room
+BookingSchema.virtual('isActive').get(function() {
+  if (this.status === 'confirmed' || this.status === 'requested') return true;
+  return this.status === 'hold' && this.holdExpiresAt > new Date();
+});
+
+// Method to find active bookings of a venue overlapping a time range. Without a
+// room every room of the venue is matched
+BookingSchema.statics.findOverlapping = function(venueId, startDateTime, endDateTime, options = {}) {
+  const { roomId, excludeId, excludeRehearsalId } = options;
+
+  const query = {
+    venueId,
+    startDateTime: { $lt: endDateTime },
+    endDateTime: { $gt: startDateTime },
+    ...activeQuery()
+  };
+
+  if (roomId) query.roomId = roomId;
+  if (excludeId) query._id = { $ne: excludeId };
+  if (excludeRehearsalId) {
+    query.rehearsalId = Array.isArray(excludeRehearsalId)
+      ? { $nin: excludeRehearsalId }
+      : { $ne: excludeRehearsalId };
+  }
+
+  return this.find(query);
+};
+
+// Method to find active bookings of a venue that have not ended yet
+BookingSchema.statics.findUpcoming = function(venueId, options = {}) {
+  const query = {
+    venueId,
+    endDateTime: { $gt: new Date() },
+    ...activeQuery()
+  };
+
+  if (options.roomId) query.roomId = options.roomId;
+
+  return this.find(query);
+};
+
+// Method to release every hold that has expired
+BookingSchema.statics.releaseExpiredHolds = async function() {
+  const now = new Date();
+  const result = await this.updateMany(
+    { status: 'hold', holdExpiresAt: { $lte: now } },
+    { $set: { status: 'released', releasedAt: now } }
+  );
+  return result.modifiedCount;
+};
+
+// Method to confirm a hold
+BookingSchema.methods.confirm = function() {
+  if (!this.isActive || this.status !== 'hold') {
+    return false;
+  }
+
+  this.status = 'confirmed';
+  this.confirmedAt = new Date();
+  this.holdExpiresAt = undefined;
+
+  return true;
+};
+
+// Method to approve a booking request
+BookingSchema.methods.approve = function(userId) {
+  if (this.status !== 'requested') {
+    return false;
+  }
+
+  this.status = 'confirmed';
+  this.confirmedAt = new Date();
+  this.decidedBy = userId;
+  this.decidedAt = new Date();
+
+  return true;
+};
+
+// Method to reject a booking request, freeing the room
+BookingSchema.methods.reject = function(userId, reason) {
+  if (this.status !== 'requested') {
+    return false;
+  }
+
+  this.status = 'rejected';
+  this.rejectionReason = reason;
+  this.decidedBy = userId;
+  this.decidedAt = new Date();
+
+  return true;
+};
+
+// Method to release a hold, a request or a confirmed booking
+BookingSchema.methods.release = function() {
+  if (this.status === 'released' || this.status === 'rejected') {
+    return false;
+  }
+
+  this.status = 'released';
+  this.releasedAt = new Date();
+
+  return true;
+};
+
+module.exports = mongoose.model('Booking', BookingSchema);
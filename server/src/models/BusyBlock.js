@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BusyBlock:
+ *       type: object
+ *       required:
+ *         - userId
+ *         - sourceId
+ *         - externalId
+ *         - startDateTime
+ *         - endDateTime
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         userId:
+ *           type: string
+ *           description: Reference to the User who is busy
+ *         sourceId:
+ *           type: string
+ *           description: Reference to the CalendarSource the block was imported from
+ *         externalId:
+ *           type: string
+ *           description: Event UID (plus instance start for recurring events) from the calendar
+ *         summary:
+ *           type: string
+ *           description: Event title from the calendar
+ *         startDateTime:
+ *           type: string
+ *           format: date-time
+ *           description: Start of the busy time
+ *         endDateTime:
+ *           type: string
+ *           format: date-time
+ *           description: End of the busy time
+ *         allDay:
+ *           type: boolean
+ *           description: Whether the event was an all-day event
+ */
+
+const BusyBlockSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CalendarSource',
+    required: true
+  },
+  externalId: {
+    type: String,
+    required: true
+  },
+  summary: {
+    type: String,
+    default: ''
+  },
+  startDateTime: {
+    type: Date,
+    required: true
+  },
+  endDateTime: {
+    type: Date,
+    required: true
+  },
+  allDay: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Re-imports upsert on the calendar's own event identifiers
+BusyBlockSchema.index({ sourceId: 1, externalId: 1 }, { unique: true });
+BusyBlockSchema.index({ userId: 1, startDateTime: 1 });
+
+// Method to get the busy blocks of several users overlapping a date range
+BusyBlockSchema.statics.findForUsers = function(userIds, rangeStart, rangeEnd) {
+  return this.find({
+    userId: { $in: userIds },
+    startDateTime: { $lt: rangeEnd },
+    endDateTime: { $gt: rangeStart }
+  }).sort({ startDateTime: 1 });
+};
+
+module.exports = mongoose.model('BusyBlock', BusyBlockSchema);
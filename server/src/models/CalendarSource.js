@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CalendarSource:
+ *       type: object
+ *       required:
+ *         - userId
+ *         - name
+ *         - type
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         userId:
+ *           type: string
+ *           description: Reference to the User whose busy time this calendar holds
+ *         name:
+ *           type: string
+ *           description: Display name of the calendar
+ *         type:
+ *           type: string
+ *           enum: [upload, url]
+ *           description: Whether the calendar is uploaded by hand or polled from a URL
+ *         url:
+ *           type: string
+ *           description: iCalendar URL polled for url sources
+ *         lastSyncedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the calendar was last imported successfully
+ *         lastSyncStatus:
+ *           type: string
+ *           enum: [never, success, error]
+ *           description: Outcome of the last import
+ *         lastError:
+ *           type: string
+ *           description: Error message of the last failed import
+ *         eventCount:
+ *           type: number
+ *           description: Number of busy blocks from the last import
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Calendar source creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Calendar source last update timestamp
+ */
+
+const CalendarSourceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a calendar name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  type: {
+    type: String,
+    enum: ['upload', 'url'],
+    required: true
+  },
+  url: {
+    type: String,
+    trim: true,
+    required: function() {
+      return this.type === 'url';
+    }
+  },
+  lastSyncedAt: {
+    type: Date
+  },
+  lastSyncStatus: {
+    type: String,
+    enum: ['never', 'success', 'error'],
+    default: 'never'
+  },
+  lastError: {
+    type: String
+  },
+  eventCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('CalendarSource', CalendarSourceSchema);
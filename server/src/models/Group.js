@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const { createSecretToken } = require('../utils/tokens');
+const { isValidTimeZone } = require('../utils/timeZone');
+const {
+  PERMISSIONS,
+  ASSIGNABLE_PERMISSIONS,
+  BUILT_IN_ROLES,
+  isBuiltInRole
+} = require('../utils/permissions');
+
+// Ownership transfers the recipient has not accepted within this time lapse
+const OWNERSHIP_TRANSFER_DAYS = 7;
 
 /**
  * @swagger
@@ -30,6 +41,14 @@ const mongoose = require('mongoose');
  *         createdBy:
  *           type: string
  *           description: Reference to the User who created the group
+ *         timeZone:
+ *           type: string
+ *           description: Home time zone (IANA) the group's recurring rehearsals are anchored in
+ *           example: Europe/Berlin
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency the group's rehearsal costs and payments are kept in
+ *           example: USD
  *         members:
  *           type: array
  *           items:
@@ -40,8 +59,7 @@ const mongoose = require('mongoose');
  *                 description: Reference to a User
  *               role:
  *                 type: string
- *                 enum: [member, admin, owner]
- *                 description: User's role in the group
+ *                 description: User's role in the group, member, admin, owner or the key of a custom role
  *               instruments:
  *                 type: array
  *                 items:
@@ -51,6 +69,32 @@ const mongoose = require('mongoose');
  *                 type: string
  *                 format: date-time
  *                 description: When the member joined the group
+ *         customRoles:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/GroupRole'
+ *         rehearsalRequirements:
+ *           $ref: '#/components/schemas/RehearsalRequirements'
+ *           description: Default requirements of the group's rehearsals
+ *         blackoutDates:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/BlackoutDate'
+ *         pendingOwnershipTransfer:
+ *           type: object
+ *           properties:
+ *             fromUserId:
+ *               type: string
+ *               description: Reference to the owner handing the group over
+ *             toUserId:
+ *               type: string
+ *               description: Reference to the member who has to accept
+ *             requestedAt:
+ *               type: string
+ *               format: date-time
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -59,6 +103,47 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  *           description: Group last update timestamp
+ *     BlackoutDate:
+ *       type: object
+ *       required:
+ *         - startDate
+ *         - endDate
+ *       properties:
+ *         _id:
+ *           type: string
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: First day off (YYYY-MM-DD) in the group's time zone
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Last day off (YYYY-MM-DD) in the group's time zone, inclusive
+ *         reason:
+ *           type: string
+ *           example: Holidays
+ *         createdBy:
+ *           type: string
+ *           description: Reference to the User who added the blackout
+ *     GroupRole:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Identifier stored as a member's role, derived from the name
+ *           example: musical-director
+ *         name:
+ *           type: string
+ *           description: Display name
+ *           example: Musical Director
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [schedule_rehearsals, edit_setlists, book_venues, invite_members, view_analytics, manage_finances, manage_members, manage_roles, manage_group]
+ *           description: What members with this role may do besides viewing the group
  */
 
 const MemberSchema = new mongoose.Schema({
@@ -69,7 +154,6 @@ const MemberSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['member', 'admin', 'owner'],
     default: 'member'
   },
   instruments: {
@@ -82,6 +166,84 @@ const MemberSchema = new mongoose.Schema({
   }
 });
 
+const CustomRoleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    match: /^[a-z0-9]+(-[a-z0-9]+)*$/
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a role name'],
+    trim: true,
+    maxlength: [50, 'Role name cannot be more than 50 characters']
+  },
+  permissions: {
+    type: [{ type: String, enum: ASSIGNABLE_PERMISSIONS }],
+    default: []
+  }
+}, { _id: false });
+
+const OwnershipTransferSchema = new mongoose.Schema({
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+const RehearsalRequirementsSchema = new mongoose.Schema({
+  requiredInstruments: {
+    type: [String],
+    default: []
+  },
+  minAttendees: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+
+// Days the whole group is off. Dates are calendar days in the group's time
+// zone and both ends are included
+const BlackoutDateSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value >= this.startDate;
+      },
+      message: 'End date cannot be before start date'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
 const GroupSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -106,9 +268,44 @@ const GroupSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  timeZone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Invalid time zone'
+    }
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Please provide a 3-letter currency code']
+  },
   members: {
     type: [MemberSchema],
     default: []
+  },
+  customRoles: {
+    type: [CustomRoleSchema],
+    default: []
+  },
+  rehearsalRequirements: {
+    type: RehearsalRequirementsSchema,
+    default: () => ({})
+  },
+  blackoutDates: {
+    type: [BlackoutDateSchema],
+    default: []
+  },
+  pendingOwnershipTransfer: {
+    type: OwnershipTransferSchema,
+    default: undefined
+  },
+  calendarFeedToken: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true }
   }
 }, {
   timestamps: true
@@ -133,11 +330,134 @@ GroupSchema.pre('save', async function(next) {
   next();
 });
 
+// Members can only hold built-in roles or roles the group defined, and a
+// group has exactly one owner
+GroupSchema.pre('validate', function(next) {
+  const unknownRole = this.members.find(member => !this.isKnownRole(member.role));
+  if (unknownRole) {
+    this.invalidate('members', `Unknown role: ${unknownRole.role}`);
+  }
+  
+  const roleKeys = this.customRoles.map(role => role.key);
+  if (roleKeys.some(key => isBuiltInRole(key)) || new Set(roleKeys).size !== roleKeys.length) {
+    this.invalidate('customRoles', 'Role names must be unique');
+  }
+  
+  if (!this.isNew && this.members.filter(member => member.role === 'owner').length !== 1) {
+    this.invalidate('members', 'A group must have exactly one owner');
+  }
+  next();
+});
+
+// Generate a secret calendar feed token, storing only its hash. Generating a
+// new token revokes the previous feed URL
+GroupSchema.methods.generateCalendarFeedToken = function() {
+  const { token, hash } = createSecretToken();
+  this.calendarFeedToken = hash;
+  return token;
+};
+
 // Virtual to get the count of members
 GroupSchema.virtual('memberCount').get(function() {
   return this.members.length;
 });
 
+// Method to get a user's membership entry
+GroupSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.userId.toString() === userId.toString()) || null;
+};
+
+// Method to check whether a role is built in or defined by the group
+GroupSchema.methods.isKnownRole = function(role) {
+  return isBuiltInRole(role) || this.customRoles.some(customRole => customRole.key === role);
+};
+
+// Method to get the permissions a role grants in this group
+GroupSchema.methods.getRolePermissions = function(role) {
+  if (isBuiltInRole(role)) {
+    return BUILT_IN_ROLES[role];
+  }
+  
+  const customRole = this.customRoles.find(candidate => candidate.key === role);
+  return customRole ? [PERMISSIONS.VIEW_GROUP, ...customRole.permissions] : [];
+};
+
+// Method to check whether a user may perform an action in the group
+GroupSchema.methods.hasPermission = function(userId, permission) {
+  const member = this.getMember(userId);
+  return Boolean(member) && this.getRolePermissions(member.role).includes(permission);
+};
+
+// Method to get the members allowed to perform an action
+GroupSchema.methods.getMembersWithPermission = function(permission) {
+  return this.members.filter(member => this.getRolePermissions(member.role).includes(permission));
+};
+
+// Method to check whether a user holds every one of some permissions. Roles
+// only grant what the member setting them up could do themselves
+GroupSchema.methods.holdsPermissions = function(userId, permissions) {
+  return permissions.every(permission => this.hasPermission(userId, permission));
+};
+
+// Method to check whether a user may change or delete a custom role. Besides
+// manage_roles it takes holding the role's permissions, and only owners and
+// admins may change the role they have themselves
+GroupSchema.methods.canEditRole = function(actorId, roleKey) {
+  if (!this.hasPermission(actorId, PERMISSIONS.MANAGE_ROLES)) {
+    return false;
+  }
+  
+  const member = this.getMember(actorId);
+  if (member.role === roleKey && !this.isAdmin(actorId)) {
+    return false;
+  }
+  
+  return this.holdsPermissions(actorId, this.getRolePermissions(roleKey));
+};
+
+// Method to check whether a user may give a member a new role. Nobody changes
+// their own role or the owner's, the owner role is only handed over through an
+// ownership transfer, only the owner can make or unmake admins, and nobody
+// hands out a role granting more than they hold
+GroupSchema.methods.canAssignRole = function(actorId, userId, newRole) {
+  const target = this.getMember(userId);
+  if (!target || !this.isKnownRole(newRole) || newRole === 'owner') {
+    return false;
+  }
+  
+  if (actorId.toString() === userId.toString() || target.role === 'owner') {
+    return false;
+  }
+  
+  if ((newRole === 'admin' || target.role === 'admin') && !this.isOwner(actorId)) {
+    return false;
+  }
+  
+  return this.hasPermission(actorId, PERMISSIONS.MANAGE_ROLES) &&
+    this.holdsPermissions(actorId, this.getRolePermissions(newRole));
+};
+
+// Method to check whether a user may invite people into a role. Inviting as a
+// plain member only takes the invite_members permission; other roles follow
+// the same rules as assigning them
+GroupSchema.methods.canInviteWithRole = function(actorId, role) {
+  if (!this.isKnownRole(role) || role === 'owner') {
+    return false;
+  }
+  
+  if (role === 'member') {
+    return this.hasPermission(actorId, PERMISSIONS.INVITE_MEMBERS);
+  }
+  
+  if (role === 'admin' && !this.isOwner(actorId)) {
+    return false;
+  }
+  
+  return this.hasPermission(actorId, PERMISSIONS.INVITE_MEMBERS) &&
+    this.hasPermission(actorId, PERMISSIONS.MANAGE_ROLES) &&
+    this.holdsPermissions(actorId, this.getRolePermissions(role));
+};
+
 // Method to check if a user is a member of the group
 GroupSchema.methods.isMember = function(userId) {
   return this.members.some(member => member.userId.toString() === userId.toString());
@@ -211,6 +531,11 @@ GroupSchema.methods.updateMemberRole = function(userId, newRole) {
     return false;
   }
   
+  // Ownership is only handed over through an ownership transfer
+  if (!this.isKnownRole(newRole) || (newRole === 'owner' && !this.isOwner(userId))) {
+    return false;
+  }
+  
   // Update the member's role
   this.members = this.members.map(member => {
     if (member.userId.toString() === userId.toString()) {
@@ -222,4 +547,94 @@ GroupSchema.methods.updateMemberRole = function(userId, newRole) {
   return true;
 };
 
+// Method to define a custom role. Returns the role, or null when its name
+// clashes with an existing role
+GroupSchema.methods.addCustomRole = function(key, name, permissions = []) {
+  if (!key || this.isKnownRole(key)) {
+    return null;
+  }
+  
+  this.customRoles.push({ key, name, permissions });
+  return this.customRoles[this.customRoles.length - 1];
+};
+
+// Method to delete a custom role. Members holding it fall back to 'member'
+GroupSchema.methods.removeCustomRole = function(key) {
+  const index = this.customRoles.findIndex(role => role.key === key);
+  if (index === -1) {
+    return false;
+  }
+  
+  this.customRoles.splice(index, 1);
+  this.members.forEach(member => {
+    if (member.role === key) {
+      member.role = 'member';
+    }
+  });
+  return true;
+};
+
+// Method to get the pending ownership transfer, ignoring expired ones
+GroupSchema.methods.getPendingOwnershipTransfer = function() {
+  const transfer = this.pendingOwnershipTransfer;
+  if (!transfer || !transfer.toUserId || transfer.expiresAt < new Date()) {
+    return null;
+  }
+  return transfer;
+};
+
+// Method to offer ownership of the group to another member. Nothing changes
+// until the recipient accepts
+GroupSchema.methods.requestOwnershipTransfer = function(fromUserId, toUserId) {
+  if (!this.isOwner(fromUserId) || !this.isMember(toUserId) || this.isOwner(toUserId)) {
+    return false;
+  }
+  
+  this.pendingOwnershipTransfer = {
+    fromUserId,
+    toUserId,
+    requestedAt: new Date(),
+    expiresAt: new Date(Date.now() + OWNERSHIP_TRANSFER_DAYS * 24 * 60 * 60 * 1000)
+  };
+  return true;
+};
+
+// Method to complete a pending ownership transfer. The recipient becomes the
+// owner and the previous owner stays on as an admin
+GroupSchema.methods.acceptOwnershipTransfer = function(userId) {
+  const transfer = this.getPendingOwnershipTransfer();
+  if (!transfer || transfer.toUserId.toString() !== userId.toString()) {
+    return false;
+  }
+  
+  // The offer is void if the owner changed or the recipient left meanwhile
+  const newOwner = this.getMember(userId);
+  const previousOwner = this.getMember(transfer.fromUserId);
+  if (!newOwner || !previousOwner || previousOwner.role !== 'owner') {
+    this.pendingOwnershipTransfer = undefined;
+    return false;
+  }
+  
+  previousOwner.role = 'admin';
+  newOwner.role = 'owner';
+  this.pendingOwnershipTransfer = undefined;
+  return true;
+};
+
+// Method to withdraw (by the owner) or decline (by the recipient) a pending transfer
+GroupSchema.methods.cancelOwnershipTransfer = function(userId) {
+  const transfer = this.getPendingOwnershipTransfer();
+  if (!transfer) {
+    return false;
+  }
+  
+  const isParty = [transfer.fromUserId, transfer.toUserId].some(id => id.toString() === userId.toString());
+  if (!isParty) {
+    return false;
+  }
+  
+  this.pendingOwnershipTransfer = undefined;
+  return true;
+};
+
 module.exports = mongoose.model('Group', GroupSchema);
\ No newline at end of file
@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const { createSecretToken, hashToken } = require('../utils/tokens');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       required:
+ *         - groupId
+ *         - type
+ *         - expiresAt
+ *         - invitedBy
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         groupId:
+ *           type: string
+ *           description: Reference to the Group the invitation is for
+ *         type:
+ *           type: string
+ *           enum: [email, link]
+ *           description: Sent to one email address, or a shareable join link
+ *         email:
+ *           type: string
+ *           description: Address an email invitation was sent to; only that account can accept it
+ *         role:
+ *           type: string
+ *           description: Role given on joining (member, admin or a custom role key)
+ *         instruments:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Instruments the new member plays in the group
+ *         maxUses:
+ *           type: number
+ *           description: How many people can join with the invitation (always 1 for email invitations)
+ *         uses:
+ *           type: number
+ *           description: How many people joined with it so far
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked]
+ *           description: Invitation status; links stay pending until all uses are taken
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the invitation stops working
+ *         invitedBy:
+ *           type: string
+ *           description: Reference to the User who created the invitation
+ *         acceptedBy:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               acceptedAt:
+ *                 type: string
+ *                 format: date-time
+ *           description: Who joined with the invitation
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When an email invitation was accepted or declined
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When an admin revoked the invitation
+ */
+
+const InvitationSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['email', 'link'],
+    required: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    required: function() {
+      return this.type === 'email';
+    }
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false,
+    index: { unique: true }
+  },
+  role: {
+    type: String,
+    default: 'member'
+  },
+  instruments: {
+    type: [String],
+    default: []
+  },
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedBy: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    acceptedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  respondedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+InvitationSchema.index({ groupId: 1, status: 1 });
+
+// Virtual for whether the invitation can still be used to join
+InvitationSchema.virtual('isUsable').get(function() {
+  return this.status === 'pending' && this.expiresAt > new Date() && this.uses < this.maxUses;
+});
+
+// Method to find an invitation by the secret token from its link
+InvitationSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Method to take one use of an invitation for a user. The update only matches
+// while uses are left, so concurrent joins cannot exceed maxUses. Returns the
+// updated invitation, or null when it is no longer usable
+InvitationSchema.statics.claimUse = async function(invitationId, userId) {
+  const invitation = await this.findOneAndUpdate(
+    {
+      _id: invitationId,
+      status: 'pending',
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$uses', '$maxUses'] }
+    },
+    {
+      $inc: { uses: 1 },
+      $push: { acceptedBy: { userId, acceptedAt: new Date() } }
+    },
+    { new: true }
+  );
+
+  if (invitation && invitation.uses >= invitation.maxUses) {
+    invitation.status = 'accepted';
+    invitation.respondedAt = new Date();
+    await invitation.save();
+  }
+
+  return invitation;
+};
+
+// Method to give back a use taken by claimUse when joining failed afterwards
+InvitationSchema.statics.releaseUse = async function(invitationId, userId) {
+  await this.updateOne(
+    { _id: invitationId },
+    { $inc: { uses: -1 }, $pull: { acceptedBy: { userId } } }
+  );
+
+  // Reopen it if that use was the last one, unless it was revoked meanwhile
+  await this.updateOne(
+    { _id: invitationId, status: 'accepted' },
+    { $set: { status: 'pending' }, $unset: { respondedAt: 1 } }
+  );
+};
+
+// Generate the secret token of the invitation link, storing only its hash
+InvitationSchema.methods.generateToken = function() {
+  const { token, hash } = createSecretToken();
+  this.tokenHash = hash;
+  return token;
+};
+
+// Method to decline an email invitation
+InvitationSchema.methods.decline = function() {
+  if (this.type !== 'email' || !this.isUsable) {
+    return false;
+  }
+
+  this.status = 'declined';
+  this.respondedAt = new Date();
+  return true;
+};
+
+// Method to revoke a pending invitation
+InvitationSchema.methods.revoke = function() {
+  if (this.status !== 'pending') {
+    return false;
+  }
+
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  return true;
+};
+
+module.exports = mongoose.model('Invitation', InvitationSchema);
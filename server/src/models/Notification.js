@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       required:
+ *         - userId
+ *         - type
+ *         - title
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         userId:
+ *           type: string
+ *           description: Reference to the User the notification is for
+ *         groupId:
+ *           type: string
+ *           description: Reference to the Group the notification is about
+ *         rehearsalId:
+ *           type: string
+ *           description: Reference to the Rehearsal the notification is about
+ *         type:
+ *           type: string
+ *           enum: [rehearsal_created, rehearsal_time_changed, rehearsal_updated, rehearsal_cancelled, rsvp_changed, rehearsal_at_risk, member_away, poll_created, booking_requested, booking_approved, booking_rejected, sub_requested, sub_request_filled, sub_request_exhausted, role_changed, ownership_transfer_requested]
+ *           description: What happened
+ *         title:
+ *           type: string
+ *           description: Short headline
+ *         message:
+ *           type: string
+ *           description: Longer description
+ *         data:
+ *           type: object
+ *           description: Details for the client, such as the new times of a moved occurrence
+ *         actorId:
+ *           type: string
+ *           description: Reference to the User who caused the notification
+ *         readAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the notification was read; null while unread
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the notification was created
+ */
+
+const NotificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group'
+  },
+  rehearsalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rehearsal'
+  },
+  type: {
+    type: String,
+    enum: [
+      'rehearsal_created',
+      'rehearsal_time_changed',
+      'rehearsal_updated',
+      'rehearsal_cancelled',
+      'rsvp_changed',
+      'rehearsal_at_risk',
+      'member_away',
+      'poll_created',
+      'booking_requested',
+      'booking_approved',
+      'booking_rejected',
+      'sub_requested',
+      'sub_request_filled',
+      'sub_request_exhausted',
+      'role_changed',
+      'ownership_transfer_requested'
+    ],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+NotificationSchema.index({ userId: 1, readAt: 1 });
+
+// Method to count a user's unread notifications
+NotificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+// Method to mark every unread notification of a user as read
+NotificationSchema.statics.markAllRead = async function(userId) {
+  const result = await this.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+};
+
+// Method to mark the notification as read
+NotificationSchema.methods.markRead = function() {
+  if (!this.readAt) {
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       required:
+ *         - groupId
+ *         - fromUserId
+ *         - toUserId
+ *         - amount
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         groupId:
+ *           type: string
+ *           description: Reference to the Group whose ledger the payment is in
+ *         fromUserId:
+ *           type: string
+ *           description: Reference to the User who paid
+ *         toUserId:
+ *           type: string
+ *           description: Reference to the User who was paid
+ *         amount:
+ *           type: number
+ *           description: Amount in the group's currency
+ *         note:
+ *           type: string
+ *           example: Bank transfer for March
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the money changed hands
+ *         recordedBy:
+ *           type: string
+ *           description: Reference to the User who recorded the payment
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const PaymentSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  fromUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please choose who paid']
+  },
+  toUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please choose who was paid'],
+    validate: {
+      validator: function(value) {
+        return !this.fromUserId || value.toString() !== this.fromUserId.toString();
+      },
+      message: 'A member cannot pay themselves'
+    }
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Please provide an amount'],
+    min: [0.01, 'Amount must be positive'],
+    set: value => Math.round(value * 100) / 100
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot be more than 200 characters']
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+PaymentSchema.index({ groupId: 1, paidAt: 1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,268 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PollOption:
+ *       type: object
+ *       required:
+ *         - startDateTime
+ *         - endDateTime
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Option ID, used when voting
+ *         startDateTime:
+ *           type: string
+ *           format: date-time
+ *         endDateTime:
+ *           type: string
+ *           format: date-time
+ *         venueId:
+ *           type: string
+ *           description: Reference to the proposed Venue
+ *         roomId:
+ *           type: string
+ *           description: Room of the venue
+ *         notes:
+ *           type: string
+ *     Poll:
+ *       type: object
+ *       required:
+ *         - groupId
+ *         - title
+ *         - options
+ *         - deadline
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         groupId:
+ *           type: string
+ *           description: Reference to the Group voting
+ *         title:
+ *           type: string
+ *           description: Title, also used for the rehearsal it turns into
+ *         description:
+ *           type: string
+ *         options:
+ *           type: array
+ *           description: Candidate times and venues (2 to 10)
+ *           items:
+ *             $ref: '#/components/schemas/PollOption'
+ *         votes:
+ *           type: array
+ *           description: One vote per member and option
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               optionId:
+ *                 type: string
+ *               choice:
+ *                 type: string
+ *                 enum: [yes, maybe, no]
+ *               votedAt:
+ *                 type: string
+ *                 format: date-time
+ *         deadline:
+ *           type: string
+ *           format: date-time
+ *           description: Votes are accepted until then
+ *         status:
+ *           type: string
+ *           enum: [open, closed, converted]
+ *           description: Closed polls take no more votes; converted polls became a rehearsal
+ *         chosenOptionId:
+ *           type: string
+ *           description: Option the rehearsal was created from
+ *         rehearsalId:
+ *           type: string
+ *           description: Reference to the Rehearsal created from the poll
+ *         createdBy:
+ *           type: string
+ *           description: Reference to the User who created the poll
+ */
+
+const PollOptionSchema = new mongoose.Schema({
+  startDateTime: {
+    type: Date,
+    required: [true, 'Please provide a start time']
+  },
+  endDateTime: {
+    type: Date,
+    required: [true, 'Please provide an end time'],
+    validate: {
+      validator: function(endDateTime) {
+        return endDateTime > this.startDateTime;
+      },
+      message: 'End time must be after start time'
+    }
+  },
+  venueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue'
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  notes: {
+    type: String,
+    maxlength: [200, 'Notes cannot be more than 200 characters']
+  }
+});
+
+const PollVoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  optionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  choice: {
+    type: String,
+    enum: ['yes', 'maybe', 'no'],
+    required: true
+  },
+  votedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const PollSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  options: {
+    type: [PollOptionSchema],
+    validate: {
+      validator: options => options.length >= 2 && options.length <= 10,
+      message: 'A poll needs between 2 and 10 options'
+    }
+  },
+  votes: [PollVoteSchema],
+  deadline: {
+    type: Date,
+    required: [true, 'Please provide a voting deadline']
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'converted'],
+    default: 'open'
+  },
+  chosenOptionId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  rehearsalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rehearsal'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+PollSchema.index({ groupId: 1, status: 1, deadline: 1 });
+
+// Whether votes are still accepted
+PollSchema.virtual('isOpen').get(function() {
+  return this.status === 'open' && this.deadline > new Date();
+});
+
+// Method to get an option by ID
+PollSchema.methods.getOption = function(optionId) {
+  return this.options.id(optionId);
+};
+
+// Method to record or change a member's vote on an option
+PollSchema.methods.castVote = function(userId, optionId, choice) {
+  const existing = this.votes.find(vote =>
+    vote.userId.toString() === userId.toString() && vote.optionId.toString() === optionId.toString()
+  );
+
+  if (existing) {
+    existing.choice = choice;
+    existing.votedAt = new Date();
+  } else {
+    this.votes.push({ userId, optionId, choice });
+  }
+};
+
+// Method to get a member's vote on an option, or null
+PollSchema.methods.getVote = function(userId, optionId) {
+  const vote = this.votes.find(v =>
+    v.userId.toString() === userId.toString() && v.optionId.toString() === optionId.toString()
+  );
+  return vote ? vote.choice : null;
+};
+
+// Method to count the votes of each option
+PollSchema.methods.getTally = function() {
+  return this.options.map(option => {
+    const votes = this.votes.filter(vote => vote.optionId.toString() === option._id.toString());
+    const count = (choice) => votes.filter(vote => vote.choice === choice).length;
+    return {
+      optionId: option._id,
+      yes: count('yes'),
+      maybe: count('maybe'),
+      no: count('no')
+    };
+  });
+};
+
+// Method to pick the winning option: most yes votes, then most maybes, then
+// fewest noes, then the earliest start
+PollSchema.methods.getWinningOption = function() {
+  const tally = this.getTally();
+  const ranked = [...tally].sort((a, b) =>
+    b.yes - a.yes ||
+    b.maybe - a.maybe ||
+    a.no - b.no ||
+    this.getOption(a.optionId).startDateTime - this.getOption(b.optionId).startDateTime
+  );
+  return this.getOption(ranked[0].optionId);
+};
+
+// Method to claim a poll for the rehearsal created from it. The update only
+// matches while the poll is not converted, so two conversions cannot both
+// win. Resolves to the updated poll, or null
+PollSchema.statics.claimConversion = function(pollId, optionId, rehearsalId) {
+  return this.findOneAndUpdate(
+    { _id: pollId, status: { $ne: 'converted' } },
+    { $set: { status: 'converted', chosenOptionId: optionId, rehearsalId } },
+    { new: true }
+  );
+};
+
+// Method to give up a claim whose rehearsal could not be created, putting
+// the poll back in the status it had
+PollSchema.statics.releaseConversion = function(pollId, rehearsalId, status) {
+  return this.updateOne(
+    { _id: pollId, rehearsalId },
+    { $set: { status }, $unset: { chosenOptionId: '', rehearsalId: '' } }
+  );
+};
+
+module.exports = mongoose.model('Poll', PollSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const Venue = require('./Venue');
+const Booking = require('./Booking');
+const { DAY, getOriginalStarts, getOccurrence, expandOccurrences } = require('../utils/recurrence');
+const { isValidTimeZone, getZonedParts } = require('../utils/timeZone');
 
 /**
  * @swagger
@@ -20,6 +24,9 @@ const mongoose = require('mongoose');
  *         venueId:
  *           type: string
  *           description: Reference to the Venue where the rehearsal takes place
+ *         roomId:
+ *           type: string
+ *           description: Room of the venue; without one the whole venue is used
  *         title:
  *           type: string
  *           description: Title or name of the rehearsal
@@ -34,6 +41,12 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  *           description: End date and time of the rehearsal
+ *         timeZone:
+ *           type: string
+ *           description: >
+ *             IANA time zone the recurrence is anchored in, taken from the group's home zone
+ *             when the rehearsal is scheduled. Occurrences keep their local wall-clock time
+ *             across daylight saving changes
  *         isRecurring:
  *           type: boolean
  *           description: Whether this is a recurring rehearsal
@@ -46,14 +59,14 @@ const mongoose = require('mongoose');
  *               description: How often the rehearsal repeats
  *             dayOfWeek:
  *               type: number
- *               description: Day of week (0-6, starting with Sunday)
+ *               description: Day of week (0-6, starting with Sunday) in the rehearsal's time zone
  *             interval:
  *               type: number
  *               description: Interval between occurrences
  *             endDate:
  *               type: string
  *               format: date
- *               description: When the recurring pattern ends
+ *               description: Last local date of the recurring pattern
  *         setlistId:
  *           type: string
  *           description: Reference to the Setlist for this rehearsal
@@ -64,18 +77,144 @@ const mongoose = require('mongoose');
  *             properties:
  *               userId:
  *                 type: string
- *                 description: Reference to a User
+ *                 description: Reference to a User; external guests have none
+ *               isGuest:
+ *                 type: boolean
+ *                 description: Whether this is a substitute rather than a group member
+ *               substituteId:
+ *                 type: string
+ *                 description: Reference to the Substitute a guest was booked from
+ *               name:
+ *                 type: string
+ *                 description: Display name of a guest
+ *               instruments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Instruments a guest covers
  *               status:
  *                 type: string
- *                 enum: [confirmed, declined, pending]
- *                 description: Attendance status
+ *                 enum: [confirmed, tentative, late, declined, pending]
+ *                 description: RSVP status; late means coming but arriving after the start
+ *               reason:
+ *                 type: string
+ *                 description: Optional note with the answer, e.g. why the member is late or unsure
+ *               eta:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expected arrival of a member arriving late
  *               responseTime:
  *                 type: string
  *                 format: date-time
  *                 description: When the user responded
+ *               absenceId:
+ *                 type: string
+ *                 description: The member's absence overlapping this rehearsal. Set when it declined a pending RSVP, or to flag an answer saying they would come
  *         notes:
  *           type: string
  *           description: Additional notes for the rehearsal
+ *         exceptions:
+ *           type: array
+ *           description: Per-occurrence overrides of a recurring rehearsal
+ *           items:
+ *             type: object
+ *             properties:
+ *               originalStartDateTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start the occurrence would have had without the exception
+ *               isCancelled:
+ *                 type: boolean
+ *                 description: Whether this occurrence is cancelled
+ *               cancellationReason:
+ *                 type: string
+ *                 description: Why this occurrence was cancelled
+ *               startDateTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New start when the occurrence was moved
+ *               endDateTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: New end when the occurrence was moved
+ *               venueId:
+ *                 type: string
+ *                 description: Venue override for this occurrence
+ *               roomId:
+ *                 type: string
+ *                 description: Room override for this occurrence
+ *               notes:
+ *                 type: string
+ *                 description: Notes override for this occurrence
+ *               attendees:
+ *                 type: array
+ *                 description: RSVPs for this occurrence only
+ *                 items:
+ *                   type: object
+ *         requirements:
+ *           $ref: '#/components/schemas/RehearsalRequirements'
+ *           description: Requirements of this rehearsal; without them the group defaults apply
+ *         riskFlags:
+ *           type: array
+ *           description: Upcoming occurrences whose requirements can no longer be met
+ *           items:
+ *             type: object
+ *             properties:
+ *               originalStartDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               reasons:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               flaggedAt:
+ *                 type: string
+ *                 format: date-time
+ *         checkIns:
+ *           type: array
+ *           description: Who actually turned up, recorded at each occurrence
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Reference to the User who attended
+ *               originalStartDateTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Occurrence the check-in belongs to
+ *               checkedInAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the member arrived
+ *               checkedInBy:
+ *                 type: string
+ *                 description: Reference to the User who recorded the check-in
+ *         cost:
+ *           $ref: '#/components/schemas/RehearsalCost'
+ *         status:
+ *           type: string
+ *           enum: [scheduled, cancelled]
+ *           description: Cancelled rehearsals are kept, with all their occurrences cancelled
+ *         cancellation:
+ *           type: object
+ *           description: Who cancelled the rehearsal, when and why
+ *           properties:
+ *             reason:
+ *               type: string
+ *             cancelledBy:
+ *               type: string
+ *             cancelledAt:
+ *               type: string
+ *               format: date-time
+ *         history:
+ *           type: array
+ *           description: Changes to time, venue, setlist and notes, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/RehearsalChange'
+ *         seriesParentId:
+ *           type: string
+ *           description: Series this one was split from by a "this and following" edit
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -84,6 +223,94 @@ const mongoose = require('mongoose');
  *           type: string
  *           format: date-time
  *           description: Rehearsal last update timestamp
+ *     RehearsalChange:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [updated, rescheduled, cancelled]
+ *         originalStartDateTime:
+ *           type: string
+ *           format: date-time
+ *           description: Set when the change only concerns one occurrence (or it and the following)
+ *         followingRehearsalId:
+ *           type: string
+ *           description: Series split off by a "this and following" edit
+ *         reason:
+ *           type: string
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 enum: [startDateTime, endDateTime, recurringPattern, venueId, roomId, setlistId, notes]
+ *               from:
+ *                 description: Value before the change
+ *               to:
+ *                 description: Value after the change
+ *         responsesReset:
+ *           type: boolean
+ *           description: Whether RSVPs were reset to pending because the time moved
+ *         changedBy:
+ *           type: string
+ *         changedAt:
+ *           type: string
+ *           format: date-time
+ *     RehearsalCost:
+ *       type: object
+ *       description: >
+ *         What each occurrence costs and who paid for it. Once an occurrence has taken place
+ *         its cost is split among the members who confirmed or checked in
+ *       required:
+ *         - source
+ *         - paidBy
+ *       properties:
+ *         source:
+ *           type: string
+ *           enum: [venue, manual]
+ *           description: venue prices occurrences by their length at the room's hourly rate
+ *         amount:
+ *           type: number
+ *           description: Cost of each occurrence, for manual costs
+ *         hourlyRate:
+ *           type: number
+ *           description: Hourly rate of the room when the cost was set, for venue costs
+ *         paidBy:
+ *           type: string
+ *           description: Reference to the member who pays the venue and is paid back
+ *         splitMode:
+ *           type: string
+ *           enum: [equal, custom]
+ *         shares:
+ *           type: array
+ *           description: >
+ *             Weights of a custom split; participants without one weigh 1, so a member with
+ *             weight 2 pays twice as much as the others
+ *           items:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *         setBy:
+ *           type: string
+ *         setAt:
+ *           type: string
+ *           format: date-time
+ *     RehearsalRequirements:
+ *       type: object
+ *       properties:
+ *         requiredInstruments:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Instruments that must be covered by members who can still come
+ *         minAttendees:
+ *           type: number
+ *           description: Fewest members who must be able to come
  */
 
 const RecurringPatternSchema = new mongoose.Schema({
@@ -115,15 +342,241 @@ const AttendeeSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: function() {
+      return !this.isGuest;
+    }
+  },
+  isGuest: {
+    type: Boolean,
+    default: false
+  },
+  substituteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Substitute'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  instruments: {
+    type: [String],
+    default: undefined
   },
   status: {
     type: String,
-    enum: ['confirmed', 'declined', 'pending'],
+    enum: ['confirmed', 'tentative', 'late', 'declined', 'pending'],
     default: 'pending'
   },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot be more than 200 characters']
+  },
+  eta: {
+    type: Date
+  },
   responseTime: {
     type: Date
+  },
+  absenceId: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, { _id: false });
+
+const RequirementsSchema = new mongoose.Schema({
+  requiredInstruments: {
+    type: [String],
+    default: []
+  },
+  minAttendees: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+
+const RiskFlagSchema = new mongoose.Schema({
+  originalStartDateTime: {
+    type: Date,
+    required: true
+  },
+  reasons: {
+    type: [String],
+    default: []
+  },
+  flaggedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const CheckInSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalStartDateTime: {
+    type: Date,
+    required: true
+  },
+  checkedInAt: {
+    type: Date,
+    default: Date.now
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const CostShareSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  weight: {
+    type: Number,
+    min: 0,
+    required: true
+  }
+}, { _id: false });
+
+const CostSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['venue', 'manual'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    min: 0,
+    required: function() {
+      return this.source === 'manual';
+    }
+  },
+  hourlyRate: {
+    type: Number,
+    min: 0,
+    required: function() {
+      return this.source === 'venue';
+    }
+  },
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Please choose who pays the venue']
+  },
+  splitMode: {
+    type: String,
+    enum: ['equal', 'custom'],
+    default: 'equal'
+  },
+  shares: {
+    type: [CostShareSchema],
+    default: []
+  },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  setAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const FieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const ChangeSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['updated', 'rescheduled', 'cancelled'],
+    required: true
+  },
+  originalStartDateTime: {
+    type: Date
+  },
+  followingRehearsalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rehearsal'
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  changes: {
+    type: [FieldChangeSchema],
+    default: []
+  },
+  responsesReset: {
+    type: Boolean,
+    default: false
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const CancellationSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const OccurrenceExceptionSchema = new mongoose.Schema({
+  originalStartDateTime: {
+    type: Date,
+    required: true
+  },
+  isCancelled: {
+    type: Boolean,
+    default: false
+  },
+  cancellationReason: {
+    type: String,
+    maxlength: [500, 'Reason cannot be more than 500 characters']
+  },
+  startDateTime: {
+    type: Date
+  },
+  endDateTime: {
+    type: Date
+  },
+  venueId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Venue'
+  },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  notes: {
+    type: String
+  },
+  attendees: {
+    type: [AttendeeSchema],
+    default: undefined
   }
 }, { _id: false });
 
@@ -137,6 +590,9 @@ const RehearsalSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Venue'
   },
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   title: {
     type: String,
     trim: true,
@@ -160,6 +616,14 @@ const RehearsalSchema = new mongoose.Schema({
       message: 'End time must be after start time'
     }
   },
+  timeZone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Invalid time zone'
+    }
+  },
   isRecurring: {
     type: Boolean,
     default: false
@@ -180,6 +644,43 @@ const RehearsalSchema = new mongoose.Schema({
   },
   notes: {
     type: String
+  },
+  exceptions: {
+    type: [OccurrenceExceptionSchema],
+    default: []
+  },
+  requirements: {
+    type: RequirementsSchema,
+    default: undefined
+  },
+  riskFlags: {
+    type: [RiskFlagSchema],
+    default: []
+  },
+  checkIns: {
+    type: [CheckInSchema],
+    default: []
+  },
+  cost: {
+    type: CostSchema,
+    default: undefined
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'cancelled'],
+    default: 'scheduled'
+  },
+  cancellation: {
+    type: CancellationSchema,
+    default: undefined
+  },
+  history: {
+    type: [ChangeSchema],
+    default: []
+  },
+  seriesParentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rehearsal'
   }
 }, {
   timestamps: true
@@ -189,6 +690,25 @@ const RehearsalSchema = new mongoose.Schema({
 RehearsalSchema.index({ groupId: 1, startDateTime: 1 });
 RehearsalSchema.index({ venueId: 1, startDateTime: 1 });
 
+// Query matching every rehearsal that may have an occurrence overlapping a range,
+// including recurring series that started earlier and occurrences moved into it.
+// A series runs to the end of its endDate in its own zone, up to 14 hours past
+// the UTC day, hence the two-day margin
+const overlapQuery = (rangeStart, rangeEnd) => ({
+  $or: [
+    { startDateTime: { $lt: rangeEnd }, endDateTime: { $gt: rangeStart } },
+    {
+      isRecurring: true,
+      startDateTime: { $lt: rangeEnd },
+      'recurringPattern.endDate': { $gte: new Date(rangeStart.getTime() - 2 * DAY) }
+    },
+    {
+      'exceptions.startDateTime': { $lt: rangeEnd },
+      'exceptions.endDateTime': { $gt: rangeStart }
+    }
+  ]
+});
+
 // Virtual for duration in minutes
 RehearsalSchema.virtual('durationMinutes').get(function() {
   return Math.round((this.endDateTime - this.startDateTime) / (1000 * 60));
@@ -198,6 +718,8 @@ RehearsalSchema.virtual('durationMinutes').get(function() {
 RehearsalSchema.virtual('attendanceStats').get(function() {
   const stats = {
     confirmed: 0,
+    tentative: 0,
+    late: 0,
     declined: 0,
     pending: 0,
     total: this.attendees.length
@@ -210,48 +732,135 @@ RehearsalSchema.virtual('attendanceStats').get(function() {
   return stats;
 });
 
-// Method to check for scheduling conflicts with existing rehearsals
-RehearsalSchema.statics.checkForConflicts = async function(venueId, startDateTime, endDateTime, excludeId = null) {
-  if (!venueId) return false;
+// Method to find what a rehearsal would clash with at a venue: occurrences of
+// other rehearsals (recurring ones included) and active room bookings. Rehearsals
+// in different rooms of the same venue do not clash, and the venue's setup and
+// teardown buffers are kept free between them
+RehearsalSchema.statics.findVenueConflicts = async function(venueId, startDateTime, endDateTime, excludeId = null, roomId = null) {
+  if (!venueId) return { rehearsals: [], bookings: [] };
+  
+  const venue = await Venue.findById(venueId).select('setupBufferMinutes teardownBufferMinutes');
+  const buffer = venue ? venue.bufferMinutes * 60 * 1000 : 0;
+  const rangeStart = new Date(new Date(startDateTime).getTime() - buffer);
+  const rangeEnd = new Date(new Date(endDateTime).getTime() + buffer);
   
   const query = {
-    venueId,
-    $or: [
-      { 
-        startDateTime: { $lt: endDateTime },
-        endDateTime: { $gt: startDateTime }
-      }
+    $and: [
+      { $or: [{ venueId }, { 'exceptions.venueId': venueId }] },
+      overlapQuery(rangeStart, rangeEnd)
     ]
   };
   
-  // Exclude the current rehearsal when checking for conflicts during updates
+  // Exclude the current rehearsal (or rehearsals, when a series is split)
+  // when checking for conflicts during updates
   if (excludeId) {
-    query._id = { $ne: excludeId };
+    query._id = Array.isArray(excludeId) ? { $nin: excludeId } : { $ne: excludeId };
   }
   
-  const conflicts = await this.find(query);
-  return conflicts.length > 0;
+  // A rehearsal without a room takes the whole venue
+  const sharesRoom = (otherRoomId) =>
+    !roomId || !otherRoomId || otherRoomId.toString() === roomId.toString();
+  
+  const candidates = await this.find(query);
+  const rehearsals = candidates.flatMap(rehearsal =>
+    expandOccurrences(rehearsal, rangeStart, rangeEnd).filter(occurrence =>
+      occurrence.venueId &&
+      occurrence.venueId.toString() === venueId.toString() &&
+      sharesRoom(occurrence.roomId)
+    )
+  );
+  
+  const bookings = await Booking.findOverlapping(venueId, rangeStart, rangeEnd, {
+    roomId,
+    excludeRehearsalId: excludeId
+  });
+  
+  return { rehearsals, bookings };
+};
+
+// Method to check for scheduling conflicts with existing rehearsals and venue bookings
+RehearsalSchema.statics.checkForConflicts = async function(venueId, startDateTime, endDateTime, excludeId = null, roomId = null) {
+  const { rehearsals, bookings } = await this.findVenueConflicts(
+    venueId,
+    startDateTime,
+    endDateTime,
+    excludeId,
+    roomId
+  );
+  return rehearsals.length > 0 || bookings.length > 0;
+};
+
+// Method to get the intervals (epoch ms) in which a venue, or a room of it, is
+// taken between two dates, padded by the venue's setup and teardown time
+RehearsalSchema.statics.getVenueBusyIntervals = async function(venueId, rangeStart, rangeEnd, roomId = null) {
+  if (!venueId) return [];
+  
+  const venue = await Venue.findById(venueId).select('setupBufferMinutes teardownBufferMinutes');
+  const buffer = venue ? venue.bufferMinutes * 60 * 1000 : 0;
+  const { rehearsals, bookings } = await this.findVenueConflicts(venueId, rangeStart, rangeEnd, null, roomId);
+  
+  return [...rehearsals, ...bookings].map(taken => ({
+    start: new Date(taken.startDateTime).getTime() - buffer,
+    end: new Date(taken.endDateTime).getTime() + buffer
+  }));
+};
+
+// Method to get the occurrences of every matching rehearsal within a date range
+RehearsalSchema.statics.findOccurrences = async function(filter, rangeStart, rangeEnd, options = {}) {
+  const rehearsals = await this.find({ $and: [filter, overlapQuery(rangeStart, rangeEnd)] })
+    .populate('venueId', 'name address')
+    .populate('setlistId', 'name');
+  
+  return rehearsals
+    .flatMap(rehearsal => expandOccurrences(rehearsal, rangeStart, rangeEnd, options))
+    .sort((a, b) => a.startDateTime - b.startDateTime);
+};
+
+// Method to get the occurrences a member is invited to within a date range
+RehearsalSchema.statics.getOccurrencesForMember = async function(userId, rangeStart, rangeEnd, options = {}) {
+  const { status, includeCancelled = false } = options;
+  
+  const occurrences = await this.findOccurrences(
+    { $or: [{ 'attendees.userId': userId }, { 'exceptions.attendees.userId': userId }] },
+    rangeStart,
+    rangeEnd,
+    { includeCancelled }
+  );
+  
+  return occurrences.filter(occurrence => {
+    const attendee = occurrence.attendees.find(a => a.userId && a.userId.toString() === userId.toString());
+    return attendee && (!status || attendee.status === status);
+  });
 };
 
 // Method to get all rehearsals for a member
 RehearsalSchema.statics.getForMember = async function(userId, options = {}) {
   const { startDate, endDate, status, limit = 10, skip = 0 } = options;
   
-  const query = {
-    'attendees.userId': userId
-  };
+  const conditions = [
+    {
+      $or: [
+        { attendees: { $elemMatch: status ? { userId, status } : { userId } } },
+        { 'exceptions.attendees.userId': userId }
+      ]
+    }
+  ];
   
+  // Recurring series count as long as their pattern still runs inside the range
   if (startDate) {
-    query.startDateTime = { $gte: startDate };
+    conditions.push({
+      $or: [
+        { endDateTime: { $gte: startDate } },
+        { isRecurring: true, 'recurringPattern.endDate': { $gte: new Date(new Date(startDate).getTime() - 2 * DAY) } }
+      ]
+    });
   }
   
   if (endDate) {
-    query.endDateTime = { $lte: endDate };
+    conditions.push({ startDateTime: { $lte: endDate } });
   }
   
-  if (status) {
-    query['attendees.status'] = status;
-  }
+  const query = { $and: conditions };
   
   return this.find(query)
     .sort({ startDateTime: 1 })
@@ -262,22 +871,33 @@ RehearsalSchema.statics.getForMember = async function(userId, options = {}) {
     .populate('setlistId', 'name');
 };
 
+// Record an answer on an attendee entry. The reason stays with any answer but
+// an ETA only makes sense when arriving late
+const applyResponse = (attendee, status, details = {}) => {
+  attendee.status = status;
+  attendee.reason = status === 'pending' ? undefined : details.reason;
+  attendee.eta = status === 'late' ? details.eta : undefined;
+  attendee.responseTime = new Date();
+  attendee.absenceId = undefined;
+};
+
 // Method to add an attendee to the rehearsal
-RehearsalSchema.methods.addAttendee = function(userId, status = 'pending') {
+RehearsalSchema.methods.addAttendee = function(userId, status = 'pending', details = {}) {
   // Check if user is already an attendee
   const existingIndex = this.attendees.findIndex(
-    attendee => attendee.userId.toString() === userId.toString()
+    attendee => attendee.userId && attendee.userId.toString() === userId.toString()
   );
   
   if (existingIndex >= 0) {
     // Update existing attendee
-    this.attendees[existingIndex].status = status;
-    this.attendees[existingIndex].responseTime = new Date();
+    applyResponse(this.attendees[existingIndex], status, details);
   } else {
     // Add new attendee
     this.attendees.push({
       userId,
       status,
+      reason: status !== 'pending' ? details.reason : undefined,
+      eta: status === 'late' ? details.eta : undefined,
       responseTime: status !== 'pending' ? new Date() : undefined
     });
   }
@@ -285,22 +905,466 @@ RehearsalSchema.methods.addAttendee = function(userId, status = 'pending') {
   return this;
 };
 
-// Method to update an attendee's status
-RehearsalSchema.methods.updateAttendeeStatus = function(userId, status) {
+// Method to update an attendee's status, with an optional reason and (when
+// arriving late) ETA
+RehearsalSchema.methods.updateAttendeeStatus = function(userId, status, details = {}) {
   // Find the attendee
   const attendee = this.attendees.find(
-    a => a.userId.toString() === userId.toString()
+    a => a.userId && a.userId.toString() === userId.toString()
   );
   
   if (!attendee) {
     return false;
   }
   
-  // Update the status
-  attendee.status = status;
-  attendee.responseTime = new Date();
+  applyResponse(attendee, status, details);
+  
+  return true;
+};
+
+// Method to expand this rehearsal into its occurrences within a date range
+RehearsalSchema.methods.getOccurrences = function(rangeStart, rangeEnd, options = {}) {
+  return expandOccurrences(this, rangeStart, rangeEnd, options);
+};
+
+// Method to get a single occurrence by its original start
+RehearsalSchema.methods.getOccurrence = function(originalStart) {
+  return getOccurrence(this, originalStart);
+};
+
+// Method to check whether a date is the original start of one of this rehearsal's occurrences
+RehearsalSchema.methods.isOccurrenceStart = function(originalStart) {
+  const time = new Date(originalStart).getTime();
+  return getOriginalStarts(this, time, time + 1).length > 0;
+};
+
+// Method to check whether a date is the original start of this rehearsal's first occurrence
+RehearsalSchema.methods.isFirstOccurrence = function(originalStart) {
+  const time = new Date(originalStart).getTime();
+  const [first] = getOriginalStarts(this, this.startDateTime.getTime(), time + 1);
+  return first === time;
+};
+
+// Method to get the exception for an occurrence, creating it when asked to
+RehearsalSchema.methods.getException = function(originalStart, create = false) {
+  const time = new Date(originalStart).getTime();
+  let exception = this.exceptions.find(e => e.originalStartDateTime.getTime() === time);
+  
+  if (!exception && create) {
+    this.exceptions.push({ originalStartDateTime: new Date(time) });
+    exception = this.exceptions[this.exceptions.length - 1];
+  }
+  
+  return exception || null;
+};
+
+// Method to keep per-occurrence changes, responses and check-ins attached
+// after the series is edited. `previous` holds the series' startDateTime,
+// isRecurring, recurringPattern and timeZone before the edit. When the series
+// still repeats at the same frequency and interval, the n-th occurrence keeps
+// the exception it had, even if its start moved; exceptions of occurrences
+// past the new end are dropped. When it repeats at a different frequency or
+// interval there is no such match, so it returns false, changing nothing, if
+// any exception would be left without its occurrence
+RehearsalSchema.methods.reanchorExceptions = function(previous) {
+  if (!this.isRecurring || !previous.isRecurring || this.exceptions.length === 0) {
+    return true;
+  }
+  
+  const before = previous.recurringPattern;
+  const after = this.recurringPattern;
+  const sameCadence = before.frequency === after.frequency && (before.interval || 1) === (after.interval || 1);
+  
+  if (!sameCadence) {
+    return this.exceptions.every(exception => {
+      const time = exception.originalStartDateTime.getTime();
+      const matchedBefore = getOriginalStarts(previous, time, time + 1).length > 0;
+      return !matchedBefore || this.isOccurrenceStart(time);
+    });
+  }
+  
+  const previousStart = new Date(previous.startDateTime).getTime();
+  const oldStarts = getOriginalStarts(previous, previousStart, Infinity);
+  const newStarts = getOriginalStarts(this, this.startDateTime.getTime(), Infinity);
+  const positions = new Map(oldStarts.map((start, index) => [start, index]));
+  
+  this.exceptions = this.exceptions.filter(exception => {
+    const index = positions.get(exception.originalStartDateTime.getTime());
+    if (index === undefined) return true;
+    if (index >= newStarts.length) return false;
+    
+    exception.originalStartDateTime = new Date(newStarts[index]);
+    return true;
+  });
+  return true;
+};
+
+// Method to cancel a single occurrence
+RehearsalSchema.methods.cancelOccurrence = function(originalStart, reason) {
+  if (!this.isOccurrenceStart(originalStart)) {
+    return false;
+  }
+  
+  const exception = this.getException(originalStart, true);
+  exception.isCancelled = true;
+  exception.cancellationReason = reason;
+  return true;
+};
+
+// Method to cancel the whole rehearsal (every occurrence of a series).
+// Returns false when it is already cancelled
+RehearsalSchema.methods.cancel = function(userId, reason) {
+  if (this.status === 'cancelled') {
+    return false;
+  }
+  
+  this.status = 'cancelled';
+  this.cancellation = { reason, cancelledBy: userId, cancelledAt: new Date() };
+  return true;
+};
+
+// Method to add an entry to the change history
+RehearsalSchema.methods.recordChange = function(change) {
+  this.history.push({ ...change, changedAt: new Date() });
+  return this.history[this.history.length - 1];
+};
+
+// Method to move or edit a single occurrence
+RehearsalSchema.methods.updateOccurrence = function(originalStart, updates) {
+  if (!this.isOccurrenceStart(originalStart)) {
+    return false;
+  }
+  
+  const exception = this.getException(originalStart, true);
+  const duration = this.endDateTime - this.startDateTime;
+  const { startDateTime, endDateTime, venueId, roomId, notes } = updates;
+  
+  if (startDateTime) {
+    exception.startDateTime = startDateTime;
+    exception.endDateTime = endDateTime || new Date(new Date(startDateTime).getTime() + duration);
+  } else if (endDateTime) {
+    exception.startDateTime = exception.startDateTime || new Date(originalStart);
+    exception.endDateTime = endDateTime;
+  }
+  
+  if (venueId !== undefined) exception.venueId = venueId;
+  if (roomId !== undefined) exception.roomId = roomId;
+  if (notes !== undefined) exception.notes = notes;
+  exception.isCancelled = false;
+  exception.cancellationReason = undefined;
+  
+  return true;
+};
+
+// Get the exception holding an occurrence's own attendee list. It starts from a
+// copy of the series RSVPs so other members keep their answers
+const getOccurrenceAttendees = (rehearsal, originalStart) => {
+  const exception = rehearsal.getException(originalStart, true);
+  if (!exception.attendees || exception.attendees.length === 0) {
+    exception.attendees = rehearsal.attendees.map(attendee => ({
+      userId: attendee.userId,
+      status: attendee.status,
+      reason: attendee.reason,
+      eta: attendee.eta,
+      responseTime: attendee.responseTime,
+      absenceId: attendee.absenceId
+    }));
+  }
+  return exception.attendees;
+};
+
+// Method to set an attendee's RSVP for a single occurrence
+RehearsalSchema.methods.setOccurrenceAttendeeStatus = function(originalStart, userId, status, details = {}) {
+  if (!this.isOccurrenceStart(originalStart)) {
+    return false;
+  }
+  
+  const attendee = getOccurrenceAttendees(this, originalStart)
+    .find(a => a.userId && a.userId.toString() === userId.toString());
+  if (!attendee) {
+    return false;
+  }
+  
+  applyResponse(attendee, status, details);
   
   return true;
 };
 
+const resetResponse = (attendee) => {
+  attendee.status = 'pending';
+  attendee.reason = undefined;
+  attendee.eta = undefined;
+  attendee.responseTime = undefined;
+  attendee.absenceId = undefined;
+};
+
+// Method to set every RSVP back to pending after the time moved: those of one
+// occurrence, or of the whole rehearsal including per-occurrence answers
+RehearsalSchema.methods.resetResponses = function(originalStart = null) {
+  if (originalStart) {
+    if (!this.isOccurrenceStart(originalStart)) {
+      return false;
+    }
+    getOccurrenceAttendees(this, originalStart).forEach(resetResponse);
+    return true;
+  }
+  
+  this.attendees.forEach(resetResponse);
+  this.exceptions.forEach(exception => (exception.attendees || []).forEach(resetResponse));
+  return true;
+};
+
+// Method to apply a member's absence to one occurrence: a pending RSVP is
+// declined, an answer saying they would come is only flagged. Returns the
+// member's previous status, or null when there was nothing to change
+RehearsalSchema.methods.applyAbsence = function(originalStart, userId, absence) {
+  const occurrence = this.isOccurrenceStart(originalStart) ? this.getOccurrence(originalStart) : null;
+  const current = occurrence && occurrence.attendees
+    .find(a => a.userId && a.userId.toString() === userId.toString());
+  if (!current || current.status === 'declined' ||
+      (current.absenceId && current.absenceId.toString() === absence._id.toString())) {
+    return null;
+  }
+  
+  // One-off rehearsals keep their RSVPs on the rehearsal itself
+  const attendee = this.isRecurring
+    ? getOccurrenceAttendees(this, originalStart).find(a => a.userId && a.userId.toString() === userId.toString())
+    : this.attendees.find(a => a.userId && a.userId.toString() === userId.toString());
+  const previousStatus = attendee.status;
+  
+  if (previousStatus === 'pending') {
+    attendee.status = 'declined';
+    attendee.reason = absence.reason ? `Away: ${absence.reason}` : 'Away';
+    attendee.responseTime = new Date();
+  }
+  attendee.absenceId = absence._id;
+  
+  return previousStatus;
+};
+
+// Method to undo a deleted absence on the occurrences starting after a date:
+// RSVPs it declined go back to pending and flags it set are cleared. Past
+// occurrences keep their record. Returns whether anything changed
+RehearsalSchema.methods.releaseAbsence = function(absenceId, after = new Date()) {
+  const isUpcoming = (start) => new Date(start) > after;
+  const attendees = [
+    ...(this.startDateTime > after ? this.attendees : []),
+    ...this.exceptions
+      .filter(exception => isUpcoming(exception.startDateTime || exception.originalStartDateTime))
+      .flatMap(exception => exception.attendees || [])
+  ].filter(a => a.absenceId && a.absenceId.toString() === absenceId.toString());
+  
+  // Answering clears the absence, so a declined entry still holding it was declined by it
+  attendees.forEach(attendee => {
+    if (attendee.status === 'declined') {
+      resetResponse(attendee);
+    } else {
+      attendee.absenceId = undefined;
+    }
+  });
+  
+  return attendees.length > 0;
+};
+
+// Method to add a substitute to a single occurrence as a confirmed guest.
+// `guest` holds substituteId, name, instruments and, for registered users, userId
+RehearsalSchema.methods.addGuestAttendee = function(originalStart, guest) {
+  if (!this.isOccurrenceStart(originalStart)) {
+    return null;
+  }
+  
+  const attendees = getOccurrenceAttendees(this, originalStart);
+  const existing = attendees.find(a =>
+    (guest.userId && a.userId && a.userId.toString() === guest.userId.toString()) ||
+    (a.substituteId && a.substituteId.toString() === guest.substituteId.toString())
+  );
+  if (existing) {
+    return null;
+  }
+  
+  attendees.push({
+    userId: guest.userId,
+    isGuest: true,
+    substituteId: guest.substituteId,
+    name: guest.name,
+    instruments: guest.instruments,
+    status: 'confirmed',
+    responseTime: new Date()
+  });
+  
+  return attendees[attendees.length - 1];
+};
+
+// Method to get the at-risk flag of an occurrence, if any
+RehearsalSchema.methods.getRiskFlag = function(originalStart) {
+  const time = new Date(originalStart).getTime();
+  return this.riskFlags.find(flag => flag.originalStartDateTime.getTime() === time) || null;
+};
+
+// Method to mark an occurrence at risk. Returns true when it was not flagged
+// before, so callers only alert once
+RehearsalSchema.methods.flagAtRisk = function(originalStart, reasons) {
+  const flag = this.getRiskFlag(originalStart);
+  if (flag) {
+    flag.reasons = reasons;
+    return false;
+  }
+  
+  this.riskFlags.push({ originalStartDateTime: new Date(originalStart), reasons });
+  return true;
+};
+
+// Method to clear the at-risk flag of an occurrence. Returns true when it was flagged
+RehearsalSchema.methods.clearRiskFlag = function(originalStart) {
+  const flag = this.getRiskFlag(originalStart);
+  if (!flag) {
+    return false;
+  }
+  
+  this.riskFlags.splice(this.riskFlags.indexOf(flag), 1);
+  return true;
+};
+
+// Method to get the check-ins recorded for an occurrence
+RehearsalSchema.methods.getCheckIns = function(originalStart) {
+  const time = new Date(originalStart).getTime();
+  return this.checkIns.filter(checkIn => checkIn.originalStartDateTime.getTime() === time);
+};
+
+// Method to record that a member turned up to an occurrence. Returns the
+// check-in, or null when the occurrence does not exist or the member is
+// already checked in
+RehearsalSchema.methods.checkIn = function(originalStart, userId, checkedInBy, checkedInAt = new Date()) {
+  if (!this.isOccurrenceStart(originalStart)) {
+    return null;
+  }
+  
+  if (this.getCheckIns(originalStart).some(c => c.userId.toString() === userId.toString())) {
+    return null;
+  }
+  
+  this.checkIns.push({
+    userId,
+    originalStartDateTime: new Date(originalStart),
+    checkedInAt,
+    checkedInBy
+  });
+  
+  return this.checkIns[this.checkIns.length - 1];
+};
+
+// Method to remove a check-in recorded by mistake
+RehearsalSchema.methods.undoCheckIn = function(originalStart, userId) {
+  const checkIn = this.getCheckIns(originalStart).find(c => c.userId.toString() === userId.toString());
+  if (!checkIn) {
+    return false;
+  }
+  
+  this.checkIns.splice(this.checkIns.indexOf(checkIn), 1);
+  return true;
+};
+
+// Method to get what an occurrence costs: the manual amount, or its length
+// at the hourly rate the cost was set with
+RehearsalSchema.methods.getOccurrenceCost = function(occurrence) {
+  if (!this.cost) {
+    return 0;
+  }
+  
+  if (this.cost.source === 'manual') {
+    return this.cost.amount;
+  }
+  
+  const hours = (occurrence.endDateTime - occurrence.startDateTime) / (60 * 60 * 1000);
+  return Math.round(this.cost.hourlyRate * hours * 100) / 100;
+};
+
+// Method to get who takes part in the cost of an occurrence: members who
+// confirmed and members who checked in. Guests are not charged
+RehearsalSchema.methods.getCostParticipants = function(occurrence) {
+  const confirmed = occurrence.attendees
+    .filter(attendee => attendee.userId && attendee.status === 'confirmed')
+    .map(attendee => attendee.userId.toString());
+  const checkedIn = occurrence.checkIns.map(checkIn => checkIn.userId.toString());
+  
+  return [...new Set([...confirmed, ...checkedIn])];
+};
+
+// Re-key an exception moved into a split-off series whose dates are shifted. The
+// split occurrence itself only keeps its RSVPs, since the edit redefines its time
+const shiftException = (exception, shift, splitTime) => {
+  const originalStartDateTime = new Date(exception.originalStartDateTime.getTime() + shift);
+  
+  if (exception.originalStartDateTime.getTime() === splitTime) {
+    return { originalStartDateTime, attendees: exception.attendees };
+  }
+  
+  return { ...exception, originalStartDateTime };
+};
+
+// Method to split the series at an occurrence for a "this and all following" edit.
+// This series is ended just before the occurrence and a new, unsaved series is
+// returned that starts at it with the updates applied and the later exceptions moved over
+RehearsalSchema.methods.splitSeries = function(originalStart, updates = {}) {
+  if (!this.isRecurring || !this.isOccurrenceStart(originalStart)) {
+    return null;
+  }
+  
+  const splitTime = new Date(originalStart).getTime();
+  const splitDay = getZonedParts(new Date(splitTime), this.timeZone);
+  const duration = this.endDateTime - this.startDateTime;
+  
+  const startDateTime = updates.startDateTime ? new Date(updates.startDateTime) : new Date(splitTime);
+  const endDateTime = updates.endDateTime
+    ? new Date(updates.endDateTime)
+    : new Date(startDateTime.getTime() + duration);
+  
+  const recurringPattern = {
+    frequency: this.recurringPattern.frequency,
+    dayOfWeek: this.recurringPattern.dayOfWeek,
+    interval: this.recurringPattern.interval,
+    endDate: this.recurringPattern.endDate,
+    ...updates.recurringPattern
+  };
+  if (recurringPattern.frequency !== 'monthly' && !(updates.recurringPattern && updates.recurringPattern.dayOfWeek !== undefined)) {
+    recurringPattern.dayOfWeek = getZonedParts(startDateTime, this.timeZone).weekday;
+  }
+  
+  const following = new this.constructor({
+    groupId: this.groupId,
+    venueId: updates.venueId !== undefined ? updates.venueId : this.venueId,
+    roomId: updates.roomId !== undefined ? updates.roomId : this.roomId,
+    title: updates.title !== undefined ? updates.title : this.title,
+    description: updates.description !== undefined ? updates.description : this.description,
+    startDateTime,
+    endDateTime,
+    timeZone: this.timeZone,
+    isRecurring: true,
+    recurringPattern,
+    setlistId: updates.setlistId !== undefined ? updates.setlistId : this.setlistId,
+    requirements: updates.requirements !== undefined ? updates.requirements : this.requirements,
+    cost: this.cost ? this.cost.toObject() : undefined,
+    attendees: this.attendees.map(attendee => attendee.toObject()),
+    notes: updates.notes !== undefined ? updates.notes : this.notes,
+    exceptions: this.exceptions
+      .filter(e => e.originalStartDateTime.getTime() >= splitTime)
+      .map(e => shiftException(e.toObject(), startDateTime.getTime() - splitTime, splitTime)),
+    checkIns: this.checkIns
+      .filter(c => c.originalStartDateTime.getTime() >= splitTime)
+      .map(c => ({
+        ...c.toObject(),
+        originalStartDateTime: new Date(c.originalStartDateTime.getTime() + startDateTime.getTime() - splitTime)
+      })),
+    seriesParentId: this.seriesParentId || this._id
+  });
+  
+  // End this series on the local day before the split occurrence
+  this.recurringPattern.endDate = new Date(Date.UTC(splitDay.year, splitDay.month - 1, splitDay.day - 1));
+  this.exceptions = this.exceptions.filter(e => e.originalStartDateTime.getTime() < splitTime);
+  this.checkIns = this.checkIns.filter(c => c.originalStartDateTime.getTime() < splitTime);
+  this.riskFlags = this.riskFlags.filter(f => f.originalStartDateTime.getTime() < splitTime);
+  
+  return following;
+};
+
 module.exports = mongoose.model('Rehearsal', RehearsalSchema);
\ No newline at end of file
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+// Failed sends are retried on later runs until this many attempts were made
+const MAX_ATTEMPTS = 3;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReminderLog:
+ *       type: object
+ *       required:
+ *         - key
+ *         - type
+ *         - userId
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         key:
+ *           type: string
+ *           description: Identifies the send (type, user, occurrence and offset or day) so it happens once
+ *         type:
+ *           type: string
+ *           enum: [reminder, rsvp_nudge, daily_digest]
+ *           description: Kind of email
+ *         userId:
+ *           type: string
+ *           description: Reference to the User the email went to
+ *         rehearsalId:
+ *           type: string
+ *           description: Reference to the Rehearsal, for reminders and nudges
+ *         occurrenceStart:
+ *           type: string
+ *           format: date-time
+ *           description: Original start of the occurrence the email was about
+ *         offsetHours:
+ *           type: number
+ *           description: Reminder offset that triggered the email
+ *         digestDate:
+ *           type: string
+ *           description: Day (YYYY-MM-DD, user's time zone) a digest was sent for
+ *         email:
+ *           type: string
+ *           description: Address the email was sent to
+ *         subject:
+ *           type: string
+ *           description: Email subject
+ *         status:
+ *           type: string
+ *           enum: [sending, sent, failed]
+ *           description: Delivery status
+ *         attempts:
+ *           type: number
+ *           description: Number of delivery attempts
+ *         error:
+ *           type: string
+ *           description: Error of the last failed attempt
+ *         sentAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the email was accepted by the mail server
+ */
+
+const ReminderLogSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['reminder', 'rsvp_nudge', 'daily_digest'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  rehearsalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rehearsal'
+  },
+  occurrenceStart: {
+    type: Date
+  },
+  offsetHours: {
+    type: Number
+  },
+  digestDate: {
+    type: String
+  },
+  email: {
+    type: String
+  },
+  subject: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ReminderLogSchema.index({ userId: 1, createdAt: -1 });
+
+// Method to claim a send before it happens. The unique key makes the claim
+// atomic, so when several server instances (or a restarted one) reach the same
+// reminder only one of them gets a log entry back and sends it. Returns null
+// when the send is already claimed or sent
+ReminderLogSchema.statics.claim = async function(key, fields) {
+  try {
+    return await this.create({ ...fields, key });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  return this.findOneAndUpdate(
+    { key, status: 'failed', attempts: { $lt: MAX_ATTEMPTS } },
+    { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// Method to record a successful send
+ReminderLogSchema.methods.markSent = function(subject) {
+  this.status = 'sent';
+  this.subject = subject;
+  this.sentAt = new Date();
+  this.error = undefined;
+  return this.save();
+};
+
+// Method to record a failed send so a later run can retry it
+ReminderLogSchema.methods.markFailed = function(error) {
+  this.status = 'failed';
+  this.error = error.message;
+  return this.save();
+};
+
+module.exports = mongoose.model('ReminderLog', ReminderLogSchema);
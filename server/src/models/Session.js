@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { createSecretToken, hashToken } = require('../utils/tokens');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = 30;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Session ID, also carried by the session's access tokens
+ *         userId:
+ *           type: string
+ *           description: Reference to the User logged in
+ *         userAgent:
+ *           type: string
+ *         ip:
+ *           type: string
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the refresh token was last exchanged
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: The session ends unless it is refreshed before then
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedReason:
+ *           type: string
+ *           enum: [logout, logout_all, password_reset, token_reuse]
+ */
+
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Hash of the current refresh token; every refresh replaces it
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Hashes of refresh tokens already exchanged. One of them coming back means
+  // the token was copied, so the whole session is revoked
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false,
+    index: true
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'password_reset', 'token_reuse']
+  }
+}, {
+  timestamps: true
+});
+
+// Expired sessions are removed by MongoDB a day after they run out
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const newExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Whether the session can still be used
+SessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to replace the refresh token, keeping the old hash to detect reuse.
+// Returns the new token
+SessionSchema.methods.rotateToken = function() {
+  const { token, hash } = createSecretToken();
+  this.previousTokenHashes.push(this.tokenHash);
+  this.tokenHash = hash;
+  this.lastUsedAt = new Date();
+  this.expiresAt = newExpiry();
+  return token;
+};
+
+// Method to end the session
+SessionSchema.methods.revoke = function(reason) {
+  if (this.revokedAt) {
+    return false;
+  }
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return true;
+};
+
+// Method to start a session for a user, returning it (unsaved) with its refresh token
+SessionSchema.statics.start = function(userId, { userAgent, ip } = {}) {
+  const { token, hash } = createSecretToken();
+  const session = new this({ userId, tokenHash: hash, userAgent, ip, expiresAt: newExpiry() });
+  return { session, refreshToken: token };
+};
+
+// Method to find the session of a refresh token. `reused` is set when the
+// token was already exchanged before
+SessionSchema.statics.findByRefreshToken = async function(refreshToken) {
+  const hash = hashToken(refreshToken);
+
+  const current = await this.findOne({ tokenHash: hash }).select('+tokenHash +previousTokenHashes');
+  if (current) {
+    return { session: current, reused: false };
+  }
+
+  const previous = await this.findOne({ previousTokenHashes: hash });
+  return previous ? { session: previous, reused: true } : null;
+};
+
+// Method to end every active session of a user, e.g. after a password reset
+SessionSchema.statics.revokeAllForUser = async function(userId, reason) {
+  const result = await this.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Setlist:
+ *       type: object
+ *       required:
+ *         - groupId
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         groupId:
+ *           type: string
+ *           description: Reference to the Group the setlist belongs to
+ *         name:
+ *           type: string
+ *           description: Setlist name
+ *         description:
+ *           type: string
+ *           description: Setlist description
+ *         type:
+ *           type: string
+ *           enum: [rehearsal, gig]
+ *           description: Whether the setlist is for a rehearsal or a gig
+ *         eventDate:
+ *           type: string
+ *           format: date-time
+ *           description: Date of the gig for gig setlists
+ *         entries:
+ *           type: array
+ *           description: Songs in playing order
+ *           items:
+ *             type: object
+ *             properties:
+ *               songId:
+ *                 type: string
+ *                 description: Reference to a Song of the group's catalog
+ *               transposedKey:
+ *                 type: string
+ *                 description: Key to play the song in for this setlist
+ *               durationSeconds:
+ *                 type: number
+ *                 description: Length override for this setlist (e.g. an extended outro)
+ *               notes:
+ *                 type: string
+ *                 description: Notes for this entry
+ *         clonedFrom:
+ *           type: string
+ *           description: Reference to the Setlist this one was copied from
+ *         createdBy:
+ *           type: string
+ *           description: Reference to the User who created the setlist
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Setlist creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Setlist last update timestamp
+ */
+
+const SetlistEntrySchema = new mongoose.Schema({
+  songId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Song',
+    required: true
+  },
+  transposedKey: {
+    type: String,
+    trim: true,
+    match: [/^[A-G][#b]?m?$/, 'Please provide a key such as "E", "Bb" or "F#m"']
+  },
+  durationSeconds: {
+    type: Number,
+    min: 0
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  }
+}, { _id: false });
+
+const SetlistSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a setlist name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  type: {
+    type: String,
+    enum: ['rehearsal', 'gig'],
+    default: 'rehearsal'
+  },
+  eventDate: {
+    type: Date
+  },
+  entries: {
+    type: [SetlistEntrySchema],
+    default: []
+  },
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Setlist'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+SetlistSchema.index({ groupId: 1, updatedAt: -1 });
+
+// Method to get the total length in seconds; entries must have songId populated.
+// Entry overrides take precedence over the song's own length
+SetlistSchema.methods.getTotalDurationSeconds = function() {
+  return this.entries.reduce((total, entry) => {
+    if (entry.durationSeconds !== undefined && entry.durationSeconds !== null) {
+      return total + entry.durationSeconds;
+    }
+    return total + (entry.songId && entry.songId.durationSeconds ? entry.songId.durationSeconds : 0);
+  }, 0);
+};
+
+// Method to copy the setlist, e.g. to reuse a rehearsal setlist for a gig
+SetlistSchema.methods.clone = function(overrides = {}) {
+  return new this.constructor({
+    groupId: this.groupId,
+    name: overrides.name || `${this.name} (copy)`,
+    description: this.description,
+    type: overrides.type || this.type,
+    eventDate: overrides.eventDate,
+    entries: this.entries.map(entry => ({
+      songId: entry.songId._id || entry.songId,
+      transposedKey: entry.transposedKey,
+      durationSeconds: entry.durationSeconds,
+      notes: entry.notes
+    })),
+    clonedFrom: this._id,
+    createdBy: overrides.createdBy
+  });
+};
+
+module.exports = mongoose.model('Setlist', SetlistSchema);
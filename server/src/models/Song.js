@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Song:
+ *       type: object
+ *       required:
+ *         - groupId
+ *         - title
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         groupId:
+ *           type: string
+ *           description: Reference to the Group whose catalog holds the song
+ *         title:
+ *           type: string
+ *           description: Song title
+ *         artist:
+ *           type: string
+ *           description: Original artist (empty for originals)
+ *         key:
+ *           type: string
+ *           description: Key the group plays the song in (e.g. "E", "F#m")
+ *         tempo:
+ *           type: number
+ *           description: Tempo in beats per minute
+ *         durationSeconds:
+ *           type: number
+ *           description: Length of the song in seconds
+ *         tuning:
+ *           type: string
+ *           description: Instrument tuning (e.g. "Standard", "Drop D")
+ *         notes:
+ *           type: string
+ *           description: Arrangement or rehearsal notes
+ *         createdBy:
+ *           type: string
+ *           description: Reference to the User who added the song
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Song creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Song last update timestamp
+ */
+
+const SongSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide a song title'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  artist: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Artist cannot be more than 100 characters']
+  },
+  key: {
+    type: String,
+    trim: true,
+    match: [/^[A-G][#b]?m?$/, 'Please provide a key such as "E", "Bb" or "F#m"']
+  },
+  tempo: {
+    type: Number,
+    min: [20, 'Tempo must be at least 20 BPM'],
+    max: [400, 'Tempo cannot be more than 400 BPM']
+  },
+  durationSeconds: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  tuning: {
+    type: String,
+    trim: true,
+    default: 'Standard'
+  },
+  notes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot be more than 2000 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+SongSchema.index({ groupId: 1, title: 1 });
+
+module.exports = mongoose.model('Song', SongSchema);
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const { createSecretToken, hashToken } = require('../utils/tokens');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SubRequest:
+ *       type: object
+ *       required:
+ *         - groupId
+ *         - rehearsalId
+ *         - originalStartDateTime
+ *         - instrument
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         groupId:
+ *           type: string
+ *           description: Reference to the Group looking for a substitute
+ *         rehearsalId:
+ *           type: string
+ *           description: Reference to the Rehearsal
+ *         originalStartDateTime:
+ *           type: string
+ *           format: date-time
+ *           description: Occurrence the substitute is needed for
+ *         instrument:
+ *           type: string
+ *           description: Instrument to cover
+ *         mode:
+ *           type: string
+ *           enum: [sequential, broadcast]
+ *           description: Ask candidates one after another, or all at once
+ *         responseHours:
+ *           type: number
+ *           description: How long each candidate gets to answer in sequential mode
+ *         status:
+ *           type: string
+ *           enum: [open, filled, exhausted, expired, cancelled]
+ *           description: Exhausted when every candidate declined or timed out; expired when the rehearsal started first
+ *         candidates:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               substituteId:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [waiting, asked, accepted, declined, timed_out, withdrawn]
+ *               askedAt:
+ *                 type: string
+ *                 format: date-time
+ *               respondedAt:
+ *                 type: string
+ *                 format: date-time
+ *         filledBy:
+ *           type: string
+ *           description: Reference to the Substitute who accepted
+ *         filledAt:
+ *           type: string
+ *           format: date-time
+ *         requestedBy:
+ *           type: string
+ *           description: Reference to the User who sent the request
+ */
+
+const CandidateSchema = new mongoose.Schema({
+  substituteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Substitute',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'asked', 'accepted', 'declined', 'timed_out', 'withdrawn'],
+    default: 'waiting'
+  },
+  tokenHash: {
+    type: String,
+    select: false
+  },
+  askedAt: {
+    type: Date
+  },
+  respondedAt: {
+    type: Date
+  }
+});
+
+const SubRequestSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  rehearsalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rehearsal',
+    required: true
+  },
+  originalStartDateTime: {
+    type: Date,
+    required: true
+  },
+  instrument: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mode: {
+    type: String,
+    enum: ['sequential', 'broadcast'],
+    default: 'sequential'
+  },
+  responseHours: {
+    type: Number,
+    min: 1,
+    max: 72,
+    default: 12
+  },
+  status: {
+    type: String,
+    enum: ['open', 'filled', 'exhausted', 'expired', 'cancelled'],
+    default: 'open'
+  },
+  candidates: {
+    type: [CandidateSchema],
+    validate: {
+      validator: candidates => candidates.length > 0,
+      message: 'A sub request needs at least one candidate'
+    }
+  },
+  filledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Substitute'
+  },
+  filledAt: {
+    type: Date
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+SubRequestSchema.index({ rehearsalId: 1, originalStartDateTime: 1 });
+SubRequestSchema.index({ status: 1, mode: 1 });
+SubRequestSchema.index({ 'candidates.tokenHash': 1 });
+
+// Method to find a request and the candidate behind the secret token of a
+// request link. Resolves to null when no candidate has the token
+SubRequestSchema.statics.findByToken = async function(token) {
+  const tokenHash = hashToken(token);
+  const request = await this.findOne({ 'candidates.tokenHash': tokenHash }).select('+candidates.tokenHash');
+  if (!request) return null;
+
+  const candidate = request.candidates.find(c => c.tokenHash === tokenHash);
+  return { request, candidate };
+};
+
+// Method to fill a request for a candidate. The update only matches while the
+// request is open and the candidate still asked, so two acceptances cannot
+// both win. Resolves to the updated request, or null
+SubRequestSchema.statics.claimFill = function(requestId, candidateId) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      _id: requestId,
+      status: 'open',
+      candidates: { $elemMatch: { _id: candidateId, status: 'asked' } }
+    },
+    {
+      $set: {
+        status: 'filled',
+        filledAt: now,
+        'candidates.$.status': 'accepted',
+        'candidates.$.respondedAt': now
+      }
+    },
+    { new: true }
+  );
+};
+
+// Method to ask a candidate, returning the secret token for their link
+SubRequestSchema.methods.askCandidate = function(candidate) {
+  const { token, hash } = createSecretToken();
+  candidate.tokenHash = hash;
+  candidate.status = 'asked';
+  candidate.askedAt = new Date();
+  return token;
+};
+
+// Method to get the next candidate to ask in sequential mode
+SubRequestSchema.methods.getNextWaitingCandidate = function() {
+  return this.candidates.find(candidate => candidate.status === 'waiting') || null;
+};
+
+// Method to check whether anyone can still answer
+SubRequestSchema.methods.hasOutstandingCandidates = function() {
+  return this.candidates.some(candidate => candidate.status === 'waiting' || candidate.status === 'asked');
+};
+
+// Method to cancel an open request; returns false when it is already closed
+SubRequestSchema.methods.cancel = function() {
+  if (this.status !== 'open') {
+    return false;
+  }
+
+  this.status = 'cancelled';
+  this.withdrawOutstanding();
+  return true;
+};
+
+// Method to stop asking everyone who has not answered, e.g. once filled or cancelled
+SubRequestSchema.methods.withdrawOutstanding = function() {
+  this.candidates.forEach(candidate => {
+    if (candidate.status === 'waiting' || candidate.status === 'asked') {
+      candidate.status = 'withdrawn';
+    }
+  });
+};
+
+module.exports = mongoose.model('SubRequest', SubRequestSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Substitute:
+ *       type: object
+ *       required:
+ *         - groupId
+ *         - name
+ *         - instruments
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         groupId:
+ *           type: string
+ *           description: Reference to the Group whose roster the substitute is on
+ *         userId:
+ *           type: string
+ *           description: Reference to the User, for substitutes with an account
+ *         name:
+ *           type: string
+ *           description: Display name
+ *         email:
+ *           type: string
+ *           description: Where sub requests are sent; required for external contacts
+ *         phone:
+ *           type: string
+ *           description: Phone number, for the band's reference
+ *         instruments:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Instruments the substitute can cover
+ *         notes:
+ *           type: string
+ *           description: Notes about the substitute, e.g. styles or fees
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive substitutes stay on the roster but are not asked
+ *         addedBy:
+ *           type: string
+ *           description: Reference to the User who added the substitute
+ */
+
+const SubstituteSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: [true, 'Please provide a name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    required: [
+      function() {
+        return !this.userId;
+      },
+      'External substitutes need an email address'
+    ]
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  instruments: {
+    type: [String],
+    validate: {
+      validator: instruments => instruments.length > 0,
+      message: 'A substitute needs at least one instrument'
+    }
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// A registered user is on a group's roster at most once
+SubstituteSchema.index(
+  { groupId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { userId: { $exists: true } } }
+);
+
+// Method to check whether the substitute plays an instrument
+SubstituteSchema.methods.playsInstrument = function(instrument) {
+  const wanted = instrument.trim().toLowerCase();
+  return this.instruments.some(candidate => candidate.trim().toLowerCase() === wanted);
+};
+
+module.exports = mongoose.model('Substitute', SubstituteSchema);
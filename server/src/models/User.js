@@ -1,6 +1,15 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { createSecretToken } = require('../utils/tokens');
+const { isValidTimeZone } = require('../utils/timeZone');
+
+// Failed logins in a row before the account is locked, and for how long
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+
+const RESET_PASSWORD_EXPIRE_MINUTES = 30;
+const EMAIL_VERIFICATION_EXPIRE_HOURS = 48;
 
 /**
  * @swagger
@@ -41,9 +50,10 @@ const jwt = require('jsonwebtoken');
  *           description: URL to the user's profile picture
  *         timeZone:
  *           type: string
- *           description: User's time zone (IANA format)
+ *           description: User's time zone (IANA format); availability times are read in it
  *         defaultAvailability:
  *           type: array
+ *           description: Weekly availability in the user's own time zone, so it keeps its wall-clock times across daylight saving changes
  *           items:
  *             type: object
  *             properties:
@@ -64,13 +74,22 @@ const jwt = require('jsonwebtoken');
  *               date:
  *                 type: string
  *                 format: date
- *                 description: Date in ISO format
+ *                 description: Calendar date (YYYY-MM-DD) in the user's time zone
  *               startTime:
  *                 type: string
  *                 description: Start time in HH:MM format
  *               endTime:
  *                 type: string
  *                 description: End time in HH:MM format
+ *         absences:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Absence'
+ *         notificationPreferences:
+ *           $ref: '#/components/schemas/NotificationPreferences'
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user confirmed their email address
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -79,6 +98,46 @@ const jwt = require('jsonwebtoken');
  *           type: string
  *           format: date-time
  *           description: User last update timestamp
+ *     Absence:
+ *       type: object
+ *       required:
+ *         - startDate
+ *         - endDate
+ *       properties:
+ *         _id:
+ *           type: string
+ *         startDate:
+ *           type: string
+ *           format: date
+ *           description: First day away (YYYY-MM-DD) in the user's time zone
+ *         endDate:
+ *           type: string
+ *           format: date
+ *           description: Last day away (YYYY-MM-DD) in the user's time zone, inclusive
+ *         reason:
+ *           type: string
+ *           example: On tour
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         emailEnabled:
+ *           type: boolean
+ *           description: Master switch for reminder, nudge and digest emails
+ *         reminderOffsetsHours:
+ *           type: array
+ *           items:
+ *             type: number
+ *           description: How many hours before each rehearsal to send a reminder
+ *           example: [48, 2]
+ *         rsvpNudges:
+ *           type: boolean
+ *           description: Nudge while the user's RSVP is still pending
+ *         dailyDigest:
+ *           type: boolean
+ *           description: Send one summary email per day instead of relying on reminders alone
+ *         digestHour:
+ *           type: integer
+ *           description: Hour of the day, in the user's time zone, the digest is sent at
  */
 
 const AvailabilitySlotSchema = new mongoose.Schema({
@@ -117,6 +176,57 @@ const OneTimeAvailabilitySchema = new mongoose.Schema({
   }
 });
 
+// A period the user is away, e.g. on tour. Dates are calendar days in the
+// user's time zone and both ends are included
+const AbsenceSchema = new mongoose.Schema({
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value >= this.startDate;
+      },
+      message: 'End date cannot be before start date'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+});
+
+const DEFAULT_REMINDER_OFFSETS_HOURS = [48, 2];
+
+const NotificationPreferencesSchema = new mongoose.Schema({
+  emailEnabled: {
+    type: Boolean,
+    default: true
+  },
+  reminderOffsetsHours: {
+    type: [{ type: Number, min: 1, max: 336 }],
+    default: () => [...DEFAULT_REMINDER_OFFSETS_HOURS]
+  },
+  rsvpNudges: {
+    type: Boolean,
+    default: true
+  },
+  dailyDigest: {
+    type: Boolean,
+    default: false
+  },
+  digestHour: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: 8
+  }
+}, { _id: false });
+
 const UserSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -155,7 +265,11 @@ const UserSchema = new mongoose.Schema({
   },
   timeZone: {
     type: String,
-    default: 'UTC'
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Invalid time zone'
+    }
   },
   defaultAvailability: {
     type: [AvailabilitySlotSchema],
@@ -164,27 +278,72 @@ const UserSchema = new mongoose.Schema({
   oneTimeAvailability: {
     type: [OneTimeAvailabilitySchema],
     default: []
+  },
+  absences: {
+    type: [AbsenceSchema],
+    default: []
+  },
+  notificationPreferences: {
+    type: NotificationPreferencesSchema,
+    default: () => ({})
+  },
+  calendarFeedToken: {
+    type: String,
+    select: false,
+    index: { unique: true, sparse: true }
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
 });
 
 // Encrypt password using bcrypt before saving
-UserSchema.pre('save', async function(next) {
+UserSchema.pre('save', async function() {
   if (!this.isModified('password')) {
-    next();
+    return;
   }
   
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function() {
+// Sign a short-lived access token for a session. Logging out revokes the
+// session, which the auth middleware checks on every request
+UserSchema.methods.getSignedJwtToken = function(sessionId) {
   return jwt.sign(
-    { id: this._id },
-    process.env.JWT_SECRET || 'mysecretkey',
-    { expiresIn: process.env.JWT_EXPIRE || '30d' }
+    { id: this._id, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
   );
 };
 
@@ -193,21 +352,78 @@ UserSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate and hash password reset token
+// Generate a password reset token, storing only its hash. A new token
+// replaces any earlier one
 UserSchema.methods.getResetPasswordToken = function() {
-  // Generate token
-  const resetToken = crypto.randomBytes(20).toString('hex');
+  const { token, hash } = createSecretToken();
+  this.resetPasswordToken = hash;
+  this.resetPasswordExpire = new Date(Date.now() + RESET_PASSWORD_EXPIRE_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Method to set a new password through a reset, using up the reset token and
+// lifting any lockout
+UserSchema.methods.resetPassword = function(password) {
+  this.password = password;
+  this.resetPasswordToken = undefined;
+  this.resetPasswordExpire = undefined;
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
+// Generate an email verification token, storing only its hash
+UserSchema.methods.getEmailVerificationToken = function() {
+  const { token, hash } = createSecretToken();
+  this.emailVerificationToken = hash;
+  this.emailVerificationExpire = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Method to mark the email address as verified, using up the token
+UserSchema.methods.verifyEmail = function() {
+  this.emailVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpire = undefined;
+};
 
-  // Hash token and set to resetPasswordToken field
-  this.resetPasswordToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
+// Whether too many failed logins locked the account for now
+UserSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Method to count a failed login, locking the account after too many in a row
+UserSchema.methods.registerFailedLogin = function() {
+  // A lockout that ran out starts the count again
+  if (this.lockUntil && this.lockUntil <= new Date()) {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+  }
 
-  // Set expire
-  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
+  this.failedLoginAttempts = (this.failedLoginAttempts || 0) + 1;
+  if (this.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    this.lockUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  }
+};
+
+// Method to clear the failed login count after a successful login
+UserSchema.methods.registerSuccessfulLogin = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+};
+
+// Generate a secret calendar feed token, storing only its hash. Generating a
+// new token revokes the previous feed URL
+UserSchema.methods.generateCalendarFeedToken = function() {
+  const { token, hash } = createSecretToken();
+  this.calendarFeedToken = hash;
+  return token;
+};
 
-  return resetToken;
+// Method to get the longest reminder offset any user has, in hours. Users saved
+// before they had preferences use the defaults
+UserSchema.statics.getMaxReminderOffsetHours = async function() {
+  const offsets = await this.distinct('notificationPreferences.reminderOffsetsHours');
+  return Math.max(...DEFAULT_REMINDER_OFFSETS_HOURS, ...offsets);
 };
 
 // Virtual for full name
@@ -0,0 +1,362 @@
+const mongoose = require('mongoose');
+const { isValidTimeZone, getZonedParts, timeToMinutes } = require('../utils/timeZone');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Venue:
+ *       type: object
+ *       required:
+ *         - name
+ *         - createdBy
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         name:
+ *           type: string
+ *           description: Venue name
+ *         description:
+ *           type: string
+ *           description: Venue description
+ *         address:
+ *           type: object
+ *           properties:
+ *             street:
+ *               type: string
+ *             city:
+ *               type: string
+ *             state:
+ *               type: string
+ *             postalCode:
+ *               type: string
+ *             country:
+ *               type: string
+ *         contactEmail:
+ *           type: string
+ *           format: email
+ *           description: Booking contact email
+ *         phone:
+ *           type: string
+ *           description: Booking contact phone number
+ *         timeZone:
+ *           type: string
+ *           description: Venue time zone (IANA format) that opening hours are given in
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 currency of the hourly rates
+ *         openingHours:
+ *           type: array
+ *           description: Weekly opening hours; a venue without any is always open
+ *           items:
+ *             type: object
+ *             properties:
+ *               day:
+ *                 type: number
+ *                 description: Day of week (0-6, starting with Sunday)
+ *               openTime:
+ *                 type: string
+ *                 description: Opening time in HH:MM format
+ *               closeTime:
+ *                 type: string
+ *                 description: Closing time in HH:MM format
+ *         rooms:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               _id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               capacity:
+ *                 type: number
+ *                 description: Maximum number of people in the room
+ *               equipment:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Equipment available in the room
+ *               hourlyRate:
+ *                 type: number
+ *                 description: Price per hour in the venue currency
+ *               isActive:
+ *                 type: boolean
+ *                 description: Whether the room can be booked
+ *         bookableSlots:
+ *           type: array
+ *           description: >
+ *             Weekly times, in the venue's time zone, at which rooms can be booked. Slots with a
+ *             room apply to that room only; without any slots rooms can be booked whenever the venue is open
+ *           items:
+ *             $ref: '#/components/schemas/BookableSlot'
+ *         requiresApproval:
+ *           type: boolean
+ *           description: Whether bookings are requests that a manager of the venue has to approve
+ *         managers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: References to the Users who manage the venue besides its creator
+ *         setupBufferMinutes:
+ *           type: number
+ *           description: Time kept free before each booking for setup
+ *         teardownBufferMinutes:
+ *           type: number
+ *           description: Time kept free after each booking for teardown
+ *         holdMinutes:
+ *           type: number
+ *           description: How long a booking hold lasts before it is released
+ *         createdBy:
+ *           type: string
+ *           description: Reference to the User who created the venue
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Venue creation timestamp
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Venue last update timestamp
+ *     BookableSlot:
+ *       type: object
+ *       required: [day, startTime, endTime]
+ *       properties:
+ *         roomId:
+ *           type: string
+ *           description: Room the slot applies to; every room without slots of its own when missing
+ *         day:
+ *           type: number
+ *           description: Day of week (0-6, starting with Sunday)
+ *         startTime:
+ *           type: string
+ *           description: Start time in HH:MM format
+ *         endTime:
+ *           type: string
+ *           description: End time in HH:MM format; at or before the start time runs past midnight
+ */
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const OpeningHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  openTime: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  closeTime: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  }
+}, { _id: false });
+
+const BookableSlotSchema = new mongoose.Schema({
+  roomId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  day: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: TIME_PATTERN
+  }
+}, { _id: false });
+
+const RoomSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a room name'],
+    trim: true,
+    maxlength: [50, 'Room name cannot be more than 50 characters']
+  },
+  capacity: {
+    type: Number,
+    min: 1
+  },
+  equipment: {
+    type: [String],
+    default: []
+  },
+  hourlyRate: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const VenueSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a venue name'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    postalCode: String,
+    country: String
+  },
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  timeZone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimeZone,
+      message: 'Please provide a valid IANA time zone'
+    }
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Please provide a 3-letter currency code']
+  },
+  openingHours: {
+    type: [OpeningHoursSchema],
+    default: []
+  },
+  rooms: {
+    type: [RoomSchema],
+    default: []
+  },
+  bookableSlots: {
+    type: [BookableSlotSchema],
+    default: []
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  managers: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: []
+  },
+  setupBufferMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  teardownBufferMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  holdMinutes: {
+    type: Number,
+    min: 5,
+    default: 60
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+VenueSchema.index({ name: 'text', 'address.city': 'text' });
+VenueSchema.index({ managers: 1 });
+
+// Bookable slots can only name rooms of the venue
+VenueSchema.pre('validate', function() {
+  const unknownSlot = this.bookableSlots.find(slot => slot.roomId && !this.rooms.id(slot.roomId));
+  if (unknownSlot) {
+    this.invalidate('bookableSlots', `Unknown room: ${unknownSlot.roomId}`);
+  }
+});
+
+// Virtual for the combined setup and teardown time kept between two bookings
+VenueSchema.virtual('bufferMinutes').get(function() {
+  return this.setupBufferMinutes + this.teardownBufferMinutes;
+});
+
+// Method to find the venues a user manages
+VenueSchema.statics.findManagedBy = function(userId) {
+  return this.find({ $or: [{ createdBy: userId }, { managers: userId }] });
+};
+
+// Method to check whether a user manages the venue. The creator always does
+VenueSchema.methods.isManager = function(userId) {
+  if (!userId) return false;
+  return this.createdBy.toString() === userId.toString() ||
+    this.managers.some(managerId => managerId.toString() === userId.toString());
+};
+
+// Method to get the bookable slots of a room: its own, otherwise the ones
+// published for every room. An empty list means bookable whenever open
+VenueSchema.methods.getBookableSlots = function(roomId) {
+  const own = this.bookableSlots.filter(slot => slot.roomId && slot.roomId.toString() === roomId.toString());
+  return own.length > 0 ? own : this.bookableSlots.filter(slot => !slot.roomId);
+};
+
+// Method to find a room by id
+VenueSchema.methods.getRoom = function(roomId) {
+  if (!roomId) return null;
+  return this.rooms.id(roomId);
+};
+
+// Method to check whether the venue is open for the whole of a time range.
+// Ranges may span several opening periods as long as there is no gap between them
+VenueSchema.methods.isOpenDuring = function(startDateTime, endDateTime) {
+  if (this.openingHours.length === 0) return true;
+
+  const MINUTE = 60 * 1000;
+  let cursor = new Date(startDateTime).getTime();
+  const end = new Date(endDateTime).getTime();
+
+  while (cursor < end) {
+    const local = getZonedParts(new Date(cursor), this.timeZone);
+    const minuteOfDay = local.hour * 60 + local.minute;
+
+    const period = this.openingHours.find(hours =>
+      hours.day === local.weekday &&
+      timeToMinutes(hours.openTime) <= minuteOfDay &&
+      minuteOfDay < timeToMinutes(hours.closeTime)
+    );
+    if (!period) return false;
+
+    // Jump to the end of this opening period
+    cursor += (timeToMinutes(period.closeTime) - minuteOfDay) * MINUTE - local.second * 1000;
+  }
+
+  return true;
+};
+
+module.exports = mongoose.model('Venue', VenueSchema);
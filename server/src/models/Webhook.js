@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { WEBHOOK_EVENTS } = require('../utils/webhookEvents');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       required:
+ *         - groupId
+ *         - url
+ *         - events
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         groupId:
+ *           type: string
+ *           description: Reference to the Group whose events are sent
+ *         url:
+ *           type: string
+ *           description: Where deliveries are POSTed
+ *           example: https://example.com/hooks/musicjam
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [rehearsal.created, rehearsal.updated, rehearsal.cancelled, rsvp.changed, member.added, member.removed, setlist.changed]
+ *         isActive:
+ *           type: boolean
+ *           description: Inactive webhooks get no new deliveries
+ *         createdBy:
+ *           type: string
+ *           description: Reference to the User who registered the webhook
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const WebhookSchema = new mongoose.Schema({
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Please provide a URL'],
+    trim: true,
+    match: [/^https?:\/\//i, 'Webhook URLs must use http or https']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  events: {
+    type: [{ type: String, enum: Object.values(WEBHOOK_EVENTS) }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'A webhook needs at least one event'
+    }
+  },
+  // Signs the deliveries, so it is kept in the clear but never selected by default
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+WebhookSchema.index({ groupId: 1, events: 1 });
+
+// Generate a new signing secret, replacing the old one
+WebhookSchema.methods.generateSecret = function() {
+  this.secret = `whsec_${crypto.randomBytes(32).toString('hex')}`;
+  return this.secret;
+};
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// Deliveries are kept this long for the logs
+const DELIVERY_RETENTION_DAYS = 30;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId, sent as the delivery id
+ *         webhookId:
+ *           type: string
+ *         groupId:
+ *           type: string
+ *         event:
+ *           type: string
+ *           example: rsvp.changed
+ *         payload:
+ *           type: object
+ *           description: The event data sent as `data`
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *           description: Failed deliveries ran out of attempts
+ *         attempts:
+ *           type: number
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: When a pending delivery is tried next
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         attemptLog:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               attemptedAt:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: number
+ *               error:
+ *                 type: string
+ *                 description: Why the request failed, e.g. a timeout or an internal address
+ *               durationMs:
+ *                 type: number
+ *         replayOf:
+ *           type: string
+ *           description: The delivery this one replays
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const AttemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: {
+    type: Number
+  },
+  error: {
+    type: String
+  },
+  durationMs: {
+    type: Number
+  }
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: {
+    type: Date
+  },
+  attemptLog: {
+    type: [AttemptSchema],
+    default: []
+  },
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
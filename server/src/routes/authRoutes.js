@@ -0,0 +1,281 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { validate, emailField } = require('../middleware/validationMiddleware');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { rateLimit } = require('../middleware/rateLimitMiddleware');
+const { isValidTimeZone } = require('../utils/timeZone');
+const {
+  register,
+  login,
+  refreshToken,
+  logout,
+  logoutAll,
+  getMe,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail
+} = require('../controllers/authController');
+
+const router = express.Router();
+
+// Every auth route is limited per IP; the routes that take a password, a token
+// or send an email are limited more strictly, counted per route
+router.use(rateLimit({ max: 100, windowMinutes: 15 }));
+const strictLimit = rateLimit({
+  max: 10,
+  windowMinutes: 15,
+  key: (req) => `${req.ip}:${req.path}`
+});
+
+const passwordValidator = body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters');
+const tokenValidator = [param('token').isHexadecimal().isLength({ min: 64, max: 64 })];
+
+const registerValidators = [
+  emailField(),
+  passwordValidator,
+  body('firstName').trim().notEmpty().isLength({ max: 50 }),
+  body('lastName').trim().notEmpty().isLength({ max: 50 }),
+  body('instruments').optional().isArray(),
+  body('instruments.*').isString().trim().notEmpty(),
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone')
+];
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Register a user
+ *     description: >
+ *       Sends an email to verify the address; the user logs in afterwards.
+ *       The answer is the same when the email already has an account, whose
+ *       owner is sent an email instead, so registering does not reveal who
+ *       is signed up.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password, firstName, lastName]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               instruments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               timeZone:
+ *                 type: string
+ *     responses:
+ *       202:
+ *         description: A message asking the user to check their email
+ *       429:
+ *         description: Too many requests
+ */
+router.post('/register', strictLimit, registerValidators, validate, register);
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in
+ *     description: Five failed attempts in a row lock the account for 15 minutes.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The user with an access token and a refresh token
+ *       401:
+ *         description: Invalid email or password
+ *       423:
+ *         description: The account is locked after too many failed logins
+ *       429:
+ *         description: Too many requests
+ */
+router.post(
+  '/login',
+  strictLimit,
+  [emailField(), body('password').notEmpty()],
+  validate,
+  login
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new tokens
+ *     description: Each refresh token works once. Using an old one again ends its session.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: A new access token and refresh token
+ *       401:
+ *         description: Invalid, reused or ended refresh token
+ */
+router.post('/refresh', strictLimit, [body('refreshToken').isString().notEmpty()], validate, refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out, ending the current session
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Session ended
+ */
+router.post('/logout', authMiddleware, logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out everywhere, ending every session of the current user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Number of sessions ended
+ */
+router.post('/logout-all', authMiddleware, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the current user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: The current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ */
+router.get('/me', authMiddleware, getMe);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a link to reset the password
+ *     description: Answers the same whether or not the email has an account.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ */
+router.post('/forgot-password', strictLimit, [emailField()], validate, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   put:
+ *     summary: Set a new password with the token from the reset email
+ *     description: Ends every session of the user.
+ *     tags: [Auth]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [password]
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password updated
+ *       400:
+ *         description: Invalid or expired reset link
+ */
+router.put('/reset-password/:token', strictLimit, [...tokenValidator, passwordValidator], validate, resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Send another verification email to the current user
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: The email address is already verified
+ */
+router.post('/verify-email', strictLimit, authMiddleware, resendVerificationEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   post:
+ *     summary: Confirm an email address with the token from the verification email
+ *     tags: [Auth]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *       400:
+ *         description: Invalid or expired verification link
+ */
+router.post('/verify-email/:token', tokenValidator, validate, verifyEmail);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { getUserCalendarFeed, getGroupCalendarFeed } = require('../controllers/calendarController');
+
+const router = express.Router();
+
+// Calendar clients cannot send a JWT, so these routes are authenticated by the
+// secret token in the URL and mounted without authMiddleware
+const tokenValidator = [param('token').isHexadecimal().isLength({ min: 64, max: 64 })];
+
+/**
+ * @swagger
+ * /api/calendar/users/{token}/rehearsals.ics:
+ *   get:
+ *     summary: iCalendar feed of a user's rehearsals
+ *     description: Read-only feed for Google, Apple or Outlook calendars. The token comes from POST /api/users/me/calendar-feed.
+ *     tags: [Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked token
+ */
+router.get('/users/:token/rehearsals.ics', tokenValidator, validate, getUserCalendarFeed);
+
+/**
+ * @swagger
+ * /api/calendar/groups/{token}/rehearsals.ics:
+ *   get:
+ *     summary: iCalendar feed of a group's rehearsals
+ *     description: Read-only feed for Google, Apple or Outlook calendars. The token comes from POST /api/groups/{id}/calendar-feed.
+ *     tags: [Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar document
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or revoked token
+ */
+router.get('/groups/:token/rehearsals.ics', tokenValidator, validate, getGroupCalendarFeed);
+
+module.exports = router;
@@ -0,0 +1,1703 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validate, emailField } = require('../middleware/validationMiddleware');
+const { requireGroupPermission } = require('../middleware/groupPermissionMiddleware');
+const { resolveTimeZone } = require('../middleware/timeZoneMiddleware');
+const { PERMISSIONS, ASSIGNABLE_PERMISSIONS } = require('../utils/permissions');
+const { AUDIT_ACTIONS, AUDIT_TARGET_TYPES } = require('../utils/auditActions');
+const { isValidTimeZone } = require('../utils/timeZone');
+const { WEBHOOK_EVENTS } = require('../utils/webhookEvents');
+const {
+  getSuggestedTimes,
+  updateRehearsalRequirements,
+  updateTimeZone,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  updateMemberRole,
+  removeMember,
+  leaveGroup,
+  requestOwnershipTransfer,
+  acceptOwnershipTransfer,
+  cancelOwnershipTransfer
+} = require('../controllers/groupController');
+const { createGroupCalendarFeed, revokeGroupCalendarFeed } = require('../controllers/calendarController');
+const { getAttendanceAnalytics } = require('../controllers/analyticsController');
+const { getAuditLog } = require('../controllers/auditController');
+const {
+  getLedger,
+  createPayment,
+  deletePayment,
+  updateCurrency
+} = require('../controllers/ledgerController');
+const {
+  getGroupAvailability,
+  getBlackouts,
+  createBlackout,
+  deleteBlackout
+} = require('../controllers/availabilityController');
+const {
+  createInvitation,
+  getGroupInvitations,
+  revokeInvitation
+} = require('../controllers/invitationController');
+const {
+  getSubstitutes,
+  createSubstitute,
+  updateSubstitute,
+  deleteSubstitute
+} = require('../controllers/substituteController');
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  replayWebhookDelivery
+} = require('../controllers/webhookController');
+
+const router = express.Router();
+
+const groupIdValidator = [param('id').isMongoId()];
+
+// Calendar dates (YYYY-MM-DD) in the group's zone, both days included
+const blackoutValidators = [
+  body('startDate').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  body('endDate').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  body('endDate').custom((endDate, { req }) => endDate >= req.body.startDate)
+    .withMessage('End date cannot be before start date'),
+  body('reason').optional().isString().trim().isLength({ max: 200 })
+];
+
+const roleValidators = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().notEmpty().isLength({ max: 50 })
+    : body('name').trim().notEmpty().isLength({ max: 50 }),
+  body('name').optional().custom(name => /[a-z0-9]/i.test(name))
+    .withMessage('Role name must contain a letter or digit'),
+  isUpdate ? body('permissions').optional().isArray() : body('permissions').isArray(),
+  body('permissions.*').isIn(ASSIGNABLE_PERMISSIONS)
+];
+
+/**
+ * @swagger
+ * /api/groups/{id}/suggested-times:
+ *   get:
+ *     summary: Suggest rehearsal times from every member's availability
+ *     description: >
+ *       Combines each member's recurring and one-time availability (converted from
+ *       their own time zone) and returns ranked windows with who can and cannot attend.
+ *       Members on an absence count as unavailable. Windows on the group's blackout dates
+ *       or in which the given venue is already booked are skipped.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: At most 31 days after startDate
+ *       - in: query
+ *         name: duration
+ *         schema:
+ *           type: integer
+ *           default: 120
+ *         description: Minimum rehearsal length in minutes
+ *       - in: query
+ *         name: requiredMembers
+ *         schema:
+ *           type: string
+ *         description: Comma-separated user IDs that must be able to attend
+ *       - in: query
+ *         name: requiredInstruments
+ *         schema:
+ *           type: string
+ *         description: Comma-separated instruments that must be covered
+ *       - in: query
+ *         name: venueId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: roomId
+ *         schema:
+ *           type: string
+ *         description: Room of the venue; without one the whole venue must be free
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Ranked list of candidate windows
+ *       400:
+ *         description: Invalid parameters
+ *       403:
+ *         description: Not a member of the group
+ *       404:
+ *         description: Group not found
+ */
+router.get(
+  '/:id/suggested-times',
+  [
+    param('id').isMongoId(),
+    query('startDate').isISO8601().toDate(),
+    query('endDate').isISO8601().toDate(),
+    query('duration').optional().isInt({ min: 15, max: 720 }).toInt(),
+    query('venueId').optional().isMongoId(),
+    query('roomId').optional().isMongoId(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP),
+  getSuggestedTimes
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/availability:
+ *   get:
+ *     summary: Get when each member of the group is free in a date range
+ *     description: >
+ *       Each member's availability is read in their own time zone, minus busy time imported
+ *       from their calendars. Free intervals are returned in UTC and, under `local`, in the
+ *       zone asked for (the requesting user's own zone by default).
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Free intervals of every member
+ */
+router.get(
+  '/:id/availability',
+  [
+    ...groupIdValidator,
+    query('startDate').isISO8601().toDate(),
+    query('endDate').isISO8601().toDate(),
+    query('endDate').custom((endDate, { req }) => endDate > req.query.startDate)
+      .withMessage('End date must be after start date'),
+    query('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone')
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP),
+  resolveTimeZone,
+  getGroupAvailability
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/rehearsal-requirements:
+ *   put:
+ *     summary: Set the default requirements of the group's rehearsals
+ *     description: >
+ *       Rehearsals without requirements of their own need these instruments covered and
+ *       this many members able to come. Upcoming rehearsals are re-checked right away and
+ *       the ones that cannot meet them are flagged at risk.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               requiredInstruments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               minAttendees:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null removes the minimum
+ *     responses:
+ *       200:
+ *         description: The group's rehearsal requirements
+ *       403:
+ *         description: Missing the manage_group permission
+ */
+router.put(
+  '/:id/rehearsal-requirements',
+  [
+    ...groupIdValidator,
+    body('requiredInstruments').optional().isArray(),
+    body('requiredInstruments.*').isString().trim().notEmpty(),
+    body('minAttendees').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  updateRehearsalRequirements
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/time-zone:
+ *   put:
+ *     summary: Set the group's home time zone
+ *     description: >
+ *       Recurring rehearsals scheduled from then on keep their local wall-clock time in
+ *       this zone across daylight saving changes. Existing rehearsals keep the zone they
+ *       were scheduled in.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [timeZone]
+ *             properties:
+ *               timeZone:
+ *                 type: string
+ *                 example: Europe/Berlin
+ *     responses:
+ *       200:
+ *         description: The group's time zone
+ *       403:
+ *         description: Missing the manage_group permission
+ */
+router.put(
+  '/:id/time-zone',
+  [...groupIdValidator, body('timeZone').custom(isValidTimeZone).withMessage('Invalid time zone')],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  updateTimeZone
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/currency:
+ *   put:
+ *     summary: Set the currency the group keeps its rehearsal costs and payments in
+ *     description: Only possible while the ledger has no costs or payments.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [currency]
+ *             properties:
+ *               currency:
+ *                 type: string
+ *                 example: EUR
+ *     responses:
+ *       200:
+ *         description: The group's currency
+ *       400:
+ *         description: The ledger already has entries
+ *       403:
+ *         description: Missing the manage_finances permission
+ */
+router.put(
+  '/:id/currency',
+  [...groupIdValidator, body('currency').isISO4217()],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_FINANCES),
+  updateCurrency
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/blackouts:
+ *   get:
+ *     summary: Get the days the whole group is off
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Blackout dates, earliest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BlackoutDate'
+ *   post:
+ *     summary: Add days the whole group is off
+ *     description: >
+ *       The days are read in the group's time zone. Suggested times skip them, and scheduling
+ *       a rehearsal or poll option on them is reported as a conflict. Rehearsals already planned
+ *       in the period are returned so they can be cancelled or moved.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [startDate, endDate]
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 example: '2024-12-23'
+ *               endDate:
+ *                 type: string
+ *                 example: '2025-01-02'
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The blackout, and under `rehearsals` the upcoming occurrences falling in it
+ *       403:
+ *         description: Missing the manage_group permission
+ */
+router.get(
+  '/:id/blackouts',
+  groupIdValidator,
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP),
+  getBlackouts
+);
+router.post(
+  '/:id/blackouts',
+  [...groupIdValidator, ...blackoutValidators],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  createBlackout
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/blackouts/{blackoutId}:
+ *   delete:
+ *     summary: Remove one of the group's blackout dates
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: blackoutId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Blackout removed
+ *       403:
+ *         description: Missing the manage_group permission
+ *       404:
+ *         description: Blackout not found
+ */
+router.delete(
+  '/:id/blackouts/:blackoutId',
+  [...groupIdValidator, param('blackoutId').isMongoId()],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  deleteBlackout
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/calendar-feed:
+ *   post:
+ *     summary: Create a secret iCalendar feed URL for the group
+ *     description: Replaces (and so revokes) any previous feed URL. The URL is only shown once.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: The new feed URL
+ *       403:
+ *         description: Missing the manage_group permission
+ *   delete:
+ *     summary: Revoke the group's iCalendar feed URL
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Feed revoked
+ *       403:
+ *         description: Missing the manage_group permission
+ */
+router.post(
+  '/:id/calendar-feed',
+  groupIdValidator,
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  createGroupCalendarFeed
+);
+router.delete(
+  '/:id/calendar-feed',
+  groupIdValidator,
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  revokeGroupCalendarFeed
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/roles:
+ *   get:
+ *     summary: Get the group's permission matrix
+ *     description: Lists the built-in roles (owner, admin, member) and the group's custom roles with the permissions each grants.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Roles with their permissions
+ *   post:
+ *     summary: Define a custom role such as "Musical Director"
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GroupRole'
+ *     responses:
+ *       201:
+ *         description: The new role; assign it to members with its key
+ *       400:
+ *         description: A role with this name already exists
+ *       403:
+ *         description: Missing the manage_roles permission, or granting permissions you do not have
+ */
+router.get('/:id/roles', groupIdValidator, validate, requireGroupPermission(PERMISSIONS.VIEW_GROUP), getRoles);
+router.post(
+  '/:id/roles',
+  [...groupIdValidator, ...roleValidators(false)],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_ROLES),
+  createRole
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/roles/{roleKey}:
+ *   put:
+ *     summary: Rename a custom role or change its permissions
+ *     description: >
+ *       A role can only grant permissions you have yourself, and only owners and admins
+ *       can change the role they have.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: roleKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GroupRole'
+ *     responses:
+ *       200:
+ *         description: The updated role
+ *       403:
+ *         description: Not allowed to change this role, or to grant these permissions
+ *       404:
+ *         description: Role not found
+ *   delete:
+ *     summary: Delete a custom role
+ *     description: Members who had the role become regular members.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: roleKey
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role deleted
+ *       403:
+ *         description: Not allowed to delete this role
+ *       404:
+ *         description: Role not found
+ */
+router.put(
+  '/:id/roles/:roleKey',
+  [...groupIdValidator, param('roleKey').isSlug(), ...roleValidators(true)],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_ROLES),
+  updateRole
+);
+router.delete(
+  '/:id/roles/:roleKey',
+  [...groupIdValidator, param('roleKey').isSlug()],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_ROLES),
+  deleteRole
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/members/{userId}/role:
+ *   put:
+ *     summary: Change a member's role
+ *     description: >
+ *       The member is notified of the change. Nobody can change their own role or the
+ *       owner's, only the owner can make or unmake admins, and nobody can give a role
+ *       granting permissions they do not have. Ownership is handed over with an ownership
+ *       transfer instead.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 description: member, admin or the key of a custom role
+ *     responses:
+ *       200:
+ *         description: The updated member
+ *       400:
+ *         description: Unknown role
+ *       403:
+ *         description: Missing the manage_roles permission, or the change is not allowed
+ *       404:
+ *         description: Group or member not found
+ */
+router.put(
+  '/:id/members/:userId/role',
+  [...groupIdValidator, param('userId').isMongoId(), body('role').isString().notEmpty()],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_ROLES),
+  updateMemberRole
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/members/me:
+ *   delete:
+ *     summary: Leave a group
+ *     description: The owner has to transfer ownership before leaving.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Left the group
+ *       400:
+ *         description: The user is the owner
+ */
+router.delete(
+  '/:id/members/me',
+  groupIdValidator,
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP),
+  leaveGroup
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a group
+ *     description: >
+ *       The member's sockets are taken out of the group's room and the group receives a
+ *       member_left event. Only the owner can remove admins, and the owner cannot be removed.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: The member is the owner
+ *       403:
+ *         description: Missing the manage_members permission
+ *       404:
+ *         description: Group or member not found
+ */
+router.delete(
+  '/:id/members/:userId',
+  [...groupIdValidator, param('userId').isMongoId()],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_MEMBERS),
+  removeMember
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/ownership-transfer:
+ *   post:
+ *     summary: Offer ownership of the group to another member
+ *     description: >
+ *       Nothing changes until the member accepts within 7 days. The owner then becomes
+ *       an admin. A new offer replaces any pending one.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The pending transfer
+ *       400:
+ *         description: The user is not another member of the group
+ *       403:
+ *         description: Not the owner
+ *   delete:
+ *     summary: Withdraw (owner) or decline (recipient) a pending ownership transfer
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *       404:
+ *         description: No pending transfer involving the user
+ */
+router.post(
+  '/:id/ownership-transfer',
+  [...groupIdValidator, body('userId').isMongoId()],
+  validate,
+  requireGroupPermission(PERMISSIONS.TRANSFER_OWNERSHIP),
+  requestOwnershipTransfer
+);
+router.delete(
+  '/:id/ownership-transfer',
+  groupIdValidator,
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP),
+  cancelOwnershipTransfer
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/ownership-transfer/accept:
+ *   post:
+ *     summary: Accept ownership of the group
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The group's members with their new roles
+ *       400:
+ *         description: No pending transfer to the user
+ */
+router.post(
+  '/:id/ownership-transfer/accept',
+  groupIdValidator,
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP),
+  acceptOwnershipTransfer
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/analytics/attendance:
+ *   get:
+ *     summary: Get attendance analytics of the group
+ *     description: >
+ *       Aggregates the RSVPs of rehearsal occurrences that started in the range. Returns
+ *       each member's confirmation, decline and no-response rates and median RSVP latency
+ *       (time from scheduling to response), a group summary, and confirmation rates by
+ *       weekday and time of day. Turnout compares promises (confirmed or late) with
+ *       check-ins over the occurrences where check-ins were taken. With format=csv the
+ *       per-member rows are downloaded as CSV.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 90 days before endDate
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now; at most 366 days after startDate
+ *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *         description: IANA zone for the weekday and time-of-day patterns (defaults to the user's)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Attendance analytics, or a CSV file of the member rows
+ *       400:
+ *         description: Invalid parameters
+ *       403:
+ *         description: Missing the view_analytics permission
+ */
+router.get(
+  '/:id/analytics/attendance',
+  [
+    ...groupIdValidator,
+    query('startDate').optional().isISO8601().toDate(),
+    query('endDate').optional().isISO8601().toDate(),
+    query('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone'),
+    query('format').optional().isIn(['json', 'csv'])
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_ANALYTICS),
+  resolveTimeZone,
+  getAttendanceAnalytics
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/audit-log:
+ *   get:
+ *     summary: Get the group's audit log of administrative actions, newest first
+ *     description: >
+ *       Records who changed roles and members, invitations, ownership, rehearsals,
+ *       setlists and venue bookings, with the values before and after. Entries
+ *       cannot be changed or deleted.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: A single action, e.g. member.removed
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [group, role, member, ownership, invitation, rehearsal, setlist, venue, booking]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Matching entries and the total number of matches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *       403:
+ *         description: Missing the manage_group permission
+ */
+router.get(
+  '/:id/audit-log',
+  [
+    ...groupIdValidator,
+    query('actorId').optional().isMongoId(),
+    query('action').optional().isIn(Object.values(AUDIT_ACTIONS)),
+    query('targetType').optional().isIn(AUDIT_TARGET_TYPES),
+    query('targetId').optional().isMongoId(),
+    query('startDate').optional().isISO8601().toDate(),
+    query('endDate').optional().isISO8601().toDate(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('skip').optional().isInt({ min: 0 }).toInt()
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  getAuditLog
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/ledger:
+ *   get:
+ *     summary: Get the group's ledger of rehearsal costs and payments
+ *     description: >
+ *       Balances run over the whole history: a member's balance goes up by the costs they
+ *       paid and the payments they made, and down by their shares and the payments they
+ *       received, so a negative balance is what they owe. Settlements suggest the fewest
+ *       payments that even everyone out. The date range only narrows the entries listed.
+ *       With format=csv the entries are downloaded as CSV, one line per member affected.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Currency, balances, settlements and entries, or a CSV file of the entries
+ * /api/groups/{id}/payments:
+ *   post:
+ *     summary: Record a payment between two members
+ *     description: >
+ *       Members can record payments they made; recording one for someone else takes the
+ *       manage_finances permission. Amounts are in the group's currency.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fromUserId, toUserId, amount]
+ *             properties:
+ *               fromUserId:
+ *                 type: string
+ *               toUserId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               note:
+ *                 type: string
+ *               paidAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       201:
+ *         description: The payment
+ *       400:
+ *         description: One of the two is not a member of the group
+ *       403:
+ *         description: Recording a payment made by someone else
+ * /api/groups/{id}/payments/{paymentId}:
+ *   delete:
+ *     summary: Delete a payment recorded by mistake
+ *     description: Allowed to whoever recorded it and members with the manage_finances permission.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment deleted
+ *       404:
+ *         description: Payment not found
+ */
+router.get(
+  '/:id/ledger',
+  [
+    ...groupIdValidator,
+    query('startDate').optional().isISO8601().toDate(),
+    query('endDate').optional().isISO8601().toDate(),
+    query('format').optional().isIn(['json', 'csv'])
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP),
+  getLedger
+);
+router.post(
+  '/:id/payments',
+  [
+    ...groupIdValidator,
+    body('fromUserId').isMongoId(),
+    body('toUserId').isMongoId(),
+    body('toUserId').custom((toUserId, { req }) => toUserId !== req.body.fromUserId)
+      .withMessage('A member cannot pay themselves'),
+    body('amount').isFloat({ min: 0.01 }).toFloat(),
+    body('note').optional().isString().trim().isLength({ max: 200 }),
+    body('paidAt').optional().isISO8601().toDate()
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP),
+  createPayment
+);
+router.delete(
+  '/:id/payments/:paymentId',
+  [...groupIdValidator, param('paymentId').isMongoId()],
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP),
+  deletePayment
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/invitations:
+ *   post:
+ *     summary: Invite someone by email, or create a shareable join link
+ *     description: >
+ *       With an email the invitation is mailed to that address and only the account with
+ *       it can accept. Without one a join link is created that up to maxUses people can
+ *       use. Either way the response includes the link; the token is not shown again.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 default: member
+ *               instruments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               maxUses:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Join links only
+ *               expiresInDays:
+ *                 type: integer
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: The invitation with its url
+ *       403:
+ *         description: Not allowed to invite people, or into that role
+ *       409:
+ *         description: The invited person is already a member
+ *   get:
+ *     summary: Get the group's invitations
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, revoked, all]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: List of invitations
+ */
+router.post(
+  '/:id/invitations',
+  [
+    ...groupIdValidator,
+    emailField().optional(),
+    body('role').optional().isString().trim().notEmpty(),
+    body('instruments').optional().isArray(),
+    body('instruments.*').isString().trim().notEmpty(),
+    body('maxUses').optional().isInt({ min: 1, max: 100 }).toInt(),
+    body('expiresInDays').optional().isInt({ min: 1, max: 30 }).toInt()
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.INVITE_MEMBERS),
+  createInvitation
+);
+router.get(
+  '/:id/invitations',
+  [...groupIdValidator, query('status').optional().isIn(['pending', 'accepted', 'declined', 'revoked', 'all'])],
+  validate,
+  requireGroupPermission(PERMISSIONS.INVITE_MEMBERS),
+  getGroupInvitations
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The revoked invitation
+ *       400:
+ *         description: The invitation is no longer pending
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete(
+  '/:id/invitations/:invitationId',
+  [...groupIdValidator, param('invitationId').isMongoId()],
+  validate,
+  requireGroupPermission(PERMISSIONS.INVITE_MEMBERS),
+  revokeInvitation
+);
+
+const substituteValidators = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().isString().trim().notEmpty().isLength({ max: 100 })
+    : body('name').optional().isString().trim().isLength({ max: 100 }),
+  body('email').optional().isEmail(),
+  body('phone').optional().isString().trim().isLength({ max: 30 }),
+  isUpdate ? body('instruments').optional().isArray({ min: 1 }) : body('instruments').isArray({ min: 1 }),
+  body('instruments.*').isString().trim().notEmpty(),
+  body('notes').optional().isString().isLength({ max: 500 }),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
+/**
+ * @swagger
+ * /api/groups/{id}/substitutes:
+ *   get:
+ *     summary: Get the group's substitute roster
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: instrument
+ *         schema:
+ *           type: string
+ *         description: Only substitutes who play this instrument
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: List of substitutes
+ *   post:
+ *     summary: Add a substitute to the roster
+ *     description: >
+ *       Either a registered user who is not a member of the group (userId), or an
+ *       external contact with a name and an email address to send sub requests to.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - instruments
+ *             properties:
+ *               userId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 description: Defaults to the user's name for registered users
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               instruments:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The substitute
+ *       400:
+ *         description: Invalid input, or the user is a member of the group
+ *       409:
+ *         description: The user is already on the roster
+ */
+router.get(
+  '/:id/substitutes',
+  [
+    ...groupIdValidator,
+    query('instrument').optional().isString().trim().notEmpty(),
+    query('includeInactive').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.SCHEDULE_REHEARSALS),
+  getSubstitutes
+);
+router.post(
+  '/:id/substitutes',
+  [
+    ...groupIdValidator,
+    body('userId').optional().isMongoId(),
+    body().custom(({ userId, name, email }) => Boolean(userId || (name && email)))
+      .withMessage('Give a userId, or a name and email for an external substitute'),
+    ...substituteValidators(false)
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.SCHEDULE_REHEARSALS),
+  createSubstitute
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/substitutes/{substituteId}:
+ *   put:
+ *     summary: Update a substitute on the roster
+ *     description: Inactive substitutes stay on the roster but are not suggested or asked.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: substituteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Substitute'
+ *     responses:
+ *       200:
+ *         description: The updated substitute
+ *       404:
+ *         description: Substitute not found
+ *   delete:
+ *     summary: Remove a substitute from the roster
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: substituteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Substitute removed
+ *       404:
+ *         description: Substitute not found
+ */
+router.put(
+  '/:id/substitutes/:substituteId',
+  [...groupIdValidator, param('substituteId').isMongoId(), ...substituteValidators(true)],
+  validate,
+  requireGroupPermission(PERMISSIONS.SCHEDULE_REHEARSALS),
+  updateSubstitute
+);
+router.delete(
+  '/:id/substitutes/:substituteId',
+  [...groupIdValidator, param('substituteId').isMongoId()],
+  validate,
+  requireGroupPermission(PERMISSIONS.SCHEDULE_REHEARSALS),
+  deleteSubstitute
+);
+
+const webhookValidators = (isUpdate) => [
+  (isUpdate ? body('url').optional() : body('url'))
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Give an http or https URL'),
+  body('description').optional().isString().trim().isLength({ max: 200 }),
+  isUpdate ? body('events').optional().isArray({ min: 1 }) : body('events').isArray({ min: 1 }),
+  body('events.*').isIn(Object.values(WEBHOOK_EVENTS)),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
+const webhookIdValidators = [...groupIdValidator, param('webhookId').isMongoId()];
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks:
+ *   get:
+ *     summary: Get the group's webhooks
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of webhooks, without their secrets
+ *   post:
+ *     summary: Register a webhook for some of the group's events
+ *     description: >
+ *       Each event is POSTed to the URL as JSON `{ id, event, groupId, createdAt, data }`
+ *       with the headers X-MusicJam-Event, X-MusicJam-Delivery, X-MusicJam-Timestamp and
+ *       X-MusicJam-Signature, `sha256=` followed by the hex HMAC-SHA256 of
+ *       `<timestamp>.<body>` keyed with the webhook's secret. Deliveries that do not get
+ *       a 2xx response are retried after 1, 5, 30, 120 and 720 minutes; redirects are not
+ *       followed. Only hosts on the public internet are accepted and connected to. The
+ *       response includes the secret; it is not shown again.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [rehearsal.created, rehearsal.updated, rehearsal.cancelled, rsvp.changed, member.added, member.removed, setlist.changed]
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: The webhook with its secret
+ *       400:
+ *         description: Invalid input, or the URL's host is not on the public internet
+ *       403:
+ *         description: Missing the manage_group permission
+ */
+router.get('/:id/webhooks', groupIdValidator, validate, requireGroupPermission(PERMISSIONS.MANAGE_GROUP), getWebhooks);
+router.post(
+  '/:id/webhooks',
+  [...groupIdValidator, ...webhookValidators(false)],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  createWebhook
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks/{webhookId}:
+ *   put:
+ *     summary: Update a webhook
+ *     description: Inactive webhooks keep their delivery log but get no new deliveries.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       200:
+ *         description: The updated webhook
+ *       400:
+ *         description: Invalid input, or the URL's host is not on the public internet
+ *       404:
+ *         description: Webhook not found
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.put(
+  '/:id/webhooks/:webhookId',
+  [...webhookIdValidators, ...webhookValidators(true)],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  updateWebhook
+);
+router.delete(
+  '/:id/webhooks/:webhookId',
+  webhookIdValidators,
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  deleteWebhook
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks/{webhookId}/secret:
+ *   post:
+ *     summary: Replace a webhook's signing secret
+ *     description: Later attempts, including retries, are signed with the new secret.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new secret
+ *       404:
+ *         description: Webhook not found
+ */
+router.post(
+  '/:id/webhooks/:webhookId/secret',
+  webhookIdValidators,
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  rotateWebhookSecret
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Get a webhook's delivery log, newest first
+ *     description: Deliveries are kept for 30 days.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: >
+ *           Deliveries with the status code and timing of each attempt, and the total
+ *           matching the filters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook not found
+ */
+router.get(
+  '/:id/webhooks/:webhookId/deliveries',
+  [
+    ...webhookIdValidators,
+    query('status').optional().isIn(['pending', 'succeeded', 'failed']),
+    query('event').optional().isIn(Object.values(WEBHOOK_EVENTS)),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('skip').optional().isInt({ min: 0 }).toInt()
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  getWebhookDeliveries
+);
+
+/**
+ * @swagger
+ * /api/groups/{id}/webhooks/{webhookId}/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: >
+ *       The same event and data are sent as a new delivery, linked to the original by
+ *       replayOf, with its own retries. The first attempt is made right away.
+ *     tags: [Groups]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: The new delivery
+ *       404:
+ *         description: Delivery not found
+ */
+router.post(
+  '/:id/webhooks/:webhookId/deliveries/:deliveryId/replay',
+  [...webhookIdValidators, param('deliveryId').isMongoId()],
+  validate,
+  requireGroupPermission(PERMISSIONS.MANAGE_GROUP),
+  replayWebhookDelivery
+);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const {
+  getInvitation,
+  acceptInvitation,
+  declineInvitation
+} = require('../controllers/invitationController');
+
+const router = express.Router();
+
+const tokenValidator = [param('token').isHexadecimal().isLength({ min: 64, max: 64 })];
+
+/**
+ * @swagger
+ * /api/invitations/{token}:
+ *   get:
+ *     summary: Look at an invitation before answering it
+ *     description: The token comes from the invitation email or the shared join link.
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The group, role and expiry of the invitation
+ *       404:
+ *         description: Invitation not found
+ */
+router.get('/:token', tokenValidator, validate, getInvitation);
+
+/**
+ * @swagger
+ * /api/invitations/{token}/accept:
+ *   post:
+ *     summary: Accept an invitation and join the group
+ *     description: >
+ *       The new member gets the role and instruments set on the invitation and the
+ *       group room receives a member_joined event. Email invitations can only be
+ *       accepted by the account with that address.
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new membership
+ *       403:
+ *         description: The invitation was sent to another email address
+ *       409:
+ *         description: Already a member
+ *       410:
+ *         description: Expired, revoked or used up
+ */
+router.post('/:token/accept', tokenValidator, validate, acceptInvitation);
+
+/**
+ * @swagger
+ * /api/invitations/{token}/decline:
+ *   post:
+ *     summary: Decline an email invitation
+ *     tags: [Invitations]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation declined
+ *       400:
+ *         description: A join link, or an invitation that can no longer be answered
+ */
+router.post('/:token/decline', tokenValidator, validate, declineInvitation);
+
+module.exports = router;
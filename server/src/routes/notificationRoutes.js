@@ -0,0 +1,95 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get the current user's notification inbox
+ *     description: >
+ *       Notifications are also pushed live as `notification` socket events to
+ *       connected users.
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Notifications, newest first, with the total unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                 unreadCount:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ */
+router.get(
+  '/',
+  [
+    query('unread').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('skip').optional().isInt({ min: 0 }).toInt()
+  ],
+  validate,
+  getNotifications
+);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   patch:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked as read
+ */
+router.patch('/read-all', markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   patch:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The notification and the remaining unread count
+ *       404:
+ *         description: Notification not found
+ */
+router.patch('/:id/read', [param('id').isMongoId()], validate, markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,261 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { requireGroupPermission, groupIdFrom } = require('../middleware/groupPermissionMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const Poll = require('../models/Poll');
+const {
+  getPolls,
+  getPoll,
+  createPoll,
+  votePoll,
+  closePoll,
+  convertPoll,
+  deletePoll
+} = require('../controllers/pollController');
+
+const router = express.Router();
+
+const fromPoll = groupIdFrom.document(Poll, 'Poll');
+const canViewPoll = requireGroupPermission(PERMISSIONS.VIEW_GROUP, fromPoll);
+const canManagePoll = requireGroupPermission(PERMISSIONS.SCHEDULE_REHEARSALS, fromPoll);
+
+const pollValidators = [
+  body('groupId').isMongoId(),
+  body('title').trim().notEmpty().isLength({ max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('deadline').isISO8601().toDate(),
+  body('deadline').custom(deadline => deadline > new Date())
+    .withMessage('Deadline must be in the future'),
+  body('options').isArray({ min: 2, max: 10 }),
+  body('options.*.startDateTime').isISO8601().toDate(),
+  body('options.*.endDateTime').isISO8601().toDate(),
+  body('options.*.venueId').optional({ nullable: true }).isMongoId(),
+  body('options.*.roomId').optional({ nullable: true }).isMongoId(),
+  body('options.*.notes').optional().isString().isLength({ max: 200 })
+];
+
+/**
+ * @swagger
+ * /api/polls:
+ *   get:
+ *     summary: Get a group's scheduling polls with their vote counts
+ *     tags: [Polls]
+ *     parameters:
+ *       - in: query
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed, converted]
+ *     responses:
+ *       200:
+ *         description: Polls, newest first
+ *   post:
+ *     summary: Propose candidate times for a rehearsal and let the group vote
+ *     description: Every member is notified. The deadline must be before the earliest option.
+ *     tags: [Polls]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - groupId
+ *               - title
+ *               - options
+ *               - deadline
+ *             properties:
+ *               groupId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               deadline:
+ *                 type: string
+ *                 format: date-time
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PollOption'
+ *     responses:
+ *       201:
+ *         description: The poll, with the conflicts of each option
+ *       400:
+ *         description: Invalid input
+ */
+router.get(
+  '/',
+  [query('groupId').isMongoId(), query('status').optional().isIn(['open', 'closed', 'converted'])],
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP, groupIdFrom.query()),
+  getPolls
+);
+router.post(
+  '/',
+  pollValidators,
+  validate,
+  requireGroupPermission(PERMISSIONS.SCHEDULE_REHEARSALS, groupIdFrom.body()),
+  createPoll
+);
+
+/**
+ * @swagger
+ * /api/polls/{id}:
+ *   get:
+ *     summary: Get a poll with its results
+ *     description: >
+ *       Each option lists its yes/maybe/no counts, the current user's vote, and the
+ *       group's rehearsals and blackout dates and the venue's rehearsals and bookings it
+ *       would clash with.
+ *     tags: [Polls]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The poll
+ *       404:
+ *         description: Poll not found
+ *   delete:
+ *     summary: Delete a poll
+ *     tags: [Polls]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Poll deleted
+ */
+router.get('/:id', [param('id').isMongoId()], validate, canViewPoll, getPoll);
+router.delete('/:id', [param('id').isMongoId()], validate, canManagePoll, deletePoll);
+
+/**
+ * @swagger
+ * /api/polls/{id}/votes:
+ *   put:
+ *     summary: Vote yes, maybe or no on options
+ *     description: Votes can be changed until the deadline or until the poll is closed.
+ *     tags: [Polls]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               votes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     optionId:
+ *                       type: string
+ *                     choice:
+ *                       type: string
+ *                       enum: [yes, maybe, no]
+ *     responses:
+ *       200:
+ *         description: The poll with the updated counts
+ *       400:
+ *         description: Voting has closed, or an unknown option
+ */
+router.put(
+  '/:id/votes',
+  [
+    param('id').isMongoId(),
+    body('votes').isArray({ min: 1 }),
+    body('votes.*.optionId').isMongoId(),
+    body('votes.*.choice').isIn(['yes', 'maybe', 'no'])
+  ],
+  validate,
+  canViewPoll,
+  votePoll
+);
+
+/**
+ * @swagger
+ * /api/polls/{id}/close:
+ *   post:
+ *     summary: Close voting before the deadline
+ *     tags: [Polls]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The closed poll
+ *       400:
+ *         description: Already closed
+ */
+router.post('/:id/close', [param('id').isMongoId()], validate, canManagePoll, closePoll);
+
+/**
+ * @swagger
+ * /api/polls/{id}/convert:
+ *   post:
+ *     summary: Turn an option into a rehearsal
+ *     description: >
+ *       Uses the leading option (most yes, then maybe votes) unless optionId is given.
+ *       Every member is invited; yes votes become confirmed RSVPs, maybe votes tentative
+ *       and no votes declined. Can be done before the deadline, which closes the poll.
+ *     tags: [Polls]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               optionId:
+ *                 type: string
+ *               override:
+ *                 type: boolean
+ *                 description: Create the rehearsal despite scheduling conflicts
+ *     responses:
+ *       201:
+ *         description: The new rehearsal and its conflict report
+ *       400:
+ *         description: The option is in the past
+ *       409:
+ *         description: Already converted, or scheduling conflicts (report included)
+ */
+router.post(
+  '/:id/convert',
+  [
+    param('id').isMongoId(),
+    body('optionId').optional().isMongoId(),
+    body('override').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  canManagePoll,
+  convertPoll
+);
+
+module.exports = router;
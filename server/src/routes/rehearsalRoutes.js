@@ -0,0 +1,1463 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { requireGroupPermission, groupIdFrom } = require('../middleware/groupPermissionMiddleware');
+const { resolveTimeZone } = require('../middleware/timeZoneMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const { isValidTimeZone } = require('../utils/timeZone');
+const Rehearsal = require('../models/Rehearsal');
+const {
+  getRehearsals,
+  getRehearsal,
+  previewConflicts,
+  createRehearsal,
+  updateRehearsal,
+  deleteRehearsal,
+  cancelRehearsal,
+  rescheduleRehearsal,
+  getRehearsalHistory,
+  getRehearsalSetlistFit,
+  getMyOccurrences,
+  getRehearsalOccurrences,
+  updateOccurrence,
+  cancelOccurrence,
+  rescheduleOccurrence,
+  updateFollowingOccurrences,
+  respondToOccurrence,
+  checkInToOccurrence,
+  undoCheckIn,
+  getOccurrenceAttendance,
+  getOccurrenceRequirements
+} = require('../controllers/rehearsalController');
+const {
+  getOccurrenceSubstitutes,
+  createSubRequest,
+  getSubRequests,
+  cancelSubRequest
+} = require('../controllers/substituteController');
+const {
+  getRehearsalCost,
+  setRehearsalCost,
+  removeRehearsalCost
+} = require('../controllers/ledgerController');
+
+const router = express.Router();
+
+const fromRehearsal = groupIdFrom.document(Rehearsal, 'Rehearsal');
+const canViewRehearsal = requireGroupPermission(PERMISSIONS.VIEW_GROUP, fromRehearsal);
+const canEditRehearsal = requireGroupPermission(PERMISSIONS.SCHEDULE_REHEARSALS, fromRehearsal);
+const canSchedule = requireGroupPermission(PERMISSIONS.SCHEDULE_REHEARSALS, groupIdFrom.body());
+const canManageCost = requireGroupPermission(PERMISSIONS.MANAGE_FINANCES, fromRehearsal);
+
+const RSVP_STATUSES = ['confirmed', 'tentative', 'late', 'declined', 'pending'];
+
+const rangeValidators = [
+  query('startDate').isISO8601().toDate(),
+  query('endDate').isISO8601().toDate(),
+  query('endDate').custom((endDate, { req }) => endDate > req.query.startDate)
+    .withMessage('End date must be after start date')
+];
+
+// Zone of the `local` times in responses; defaults to the user's own zone
+const timeZoneValidator = query('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone');
+
+// A null requirements object goes back to the group defaults
+const requirementsValidators = [
+  body('requirements').optional({ nullable: true }).isObject(),
+  body('requirements.requiredInstruments').optional().isArray(),
+  body('requirements.requiredInstruments.*').isString().trim().notEmpty(),
+  body('requirements.minAttendees').optional({ nullable: true }).isInt({ min: 1 }).toInt()
+];
+
+const rehearsalValidators = (isUpdate) => [
+  isUpdate
+    ? body('startDateTime').optional().isISO8601().toDate()
+    : body('startDateTime').isISO8601().toDate(),
+  isUpdate
+    ? body('endDateTime').optional().isISO8601().toDate()
+    : body('endDateTime').isISO8601().toDate(),
+  body('title').optional().isString().isLength({ max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('venueId').optional({ nullable: true }).isMongoId(),
+  body('roomId').optional({ nullable: true }).isMongoId(),
+  body('setlistId').optional({ nullable: true }).isMongoId(),
+  body('notes').optional().isString(),
+  body('isRecurring').optional().isBoolean().toBoolean(),
+  body('recurringPattern.frequency').optional().isIn(['weekly', 'biweekly', 'monthly']),
+  body('recurringPattern.dayOfWeek').optional().isInt({ min: 0, max: 6 }).toInt(),
+  body('recurringPattern.interval').optional().isInt({ min: 1 }).toInt(),
+  body('recurringPattern.endDate').optional().isISO8601().toDate(),
+  body('attendees').optional().isArray(),
+  body('attendees.*').isMongoId(),
+  ...requirementsValidators,
+  body('override').optional().isBoolean().toBoolean()
+];
+
+// Manual costs need an amount; venue costs take the room's hourly rate
+const costValidators = [
+  body('source').isIn(['venue', 'manual']),
+  body('amount').if(body('source').equals('manual')).isFloat({ min: 0 }).toFloat(),
+  body('paidBy').isMongoId(),
+  body('splitMode').optional().isIn(['equal', 'custom']),
+  body('shares').optional().isArray(),
+  body('shares.*.userId').isMongoId(),
+  body('shares.*.weight').isFloat({ min: 0 }).toFloat()
+];
+
+const occurrenceValidators = [
+  param('id').isMongoId(),
+  param('occurrenceStart').isISO8601().toDate()
+];
+
+const reasonValidator = body('reason').optional().isString().trim().isLength({ max: 500 });
+
+// The end defaults to the new start plus the current duration
+const rescheduleValidators = [
+  body('startDateTime').isISO8601().toDate(),
+  body('endDateTime').optional().isISO8601().toDate(),
+  body('endDateTime').optional().custom((endDateTime, { req }) => endDateTime > req.body.startDateTime)
+    .withMessage('End time must be after start time'),
+  body('venueId').optional({ nullable: true }).isMongoId(),
+  body('roomId').optional({ nullable: true }).isMongoId(),
+  reasonValidator
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RehearsalOccurrence:
+ *       type: object
+ *       properties:
+ *         rehearsalId:
+ *           type: string
+ *         originalStartDateTime:
+ *           type: string
+ *           format: date-time
+ *           description: Identifies the occurrence within its series
+ *         startDateTime:
+ *           type: string
+ *           format: date-time
+ *         endDateTime:
+ *           type: string
+ *           format: date-time
+ *         venueId:
+ *           type: string
+ *         roomId:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         isException:
+ *           type: boolean
+ *         isCancelled:
+ *           type: boolean
+ *         attendees:
+ *           type: array
+ *           items:
+ *             type: object
+ *         checkIns:
+ *           type: array
+ *           description: Who checked in at this occurrence
+ *           items:
+ *             type: object
+ *         riskFlag:
+ *           type: object
+ *           nullable: true
+ *           description: Set while the occurrence's requirements cannot be met (reasons, flaggedAt)
+ *         local:
+ *           $ref: '#/components/schemas/LocalTimes'
+ *     LocalTimes:
+ *       type: object
+ *       description: >
+ *         Start and end in the time zone asked for with the timeZone query parameter,
+ *         or the requesting user's own zone, as ISO 8601 with the UTC offset
+ *       properties:
+ *         timeZone:
+ *           type: string
+ *           example: America/New_York
+ *         startDateTime:
+ *           type: string
+ *           example: '2024-03-12T19:00:00-04:00'
+ *         endDateTime:
+ *           type: string
+ *           example: '2024-03-12T21:00:00-04:00'
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ConflictReport:
+ *       type: object
+ *       properties:
+ *         venueConflicts:
+ *           type: array
+ *           description: Rehearsals and room bookings clashing at the venue, per occurrence
+ *           items:
+ *             type: object
+ *         memberConflicts:
+ *           type: array
+ *           description: Attendees already confirmed for an overlapping rehearsal of another group
+ *           items:
+ *             type: object
+ *         availabilityViolations:
+ *           type: array
+ *           description: >
+ *             Attendees scheduled outside their declared availability (reason outside_availability)
+ *             or during busy time imported from their calendars (reason busy)
+ *           items:
+ *             type: object
+ *         blackoutConflicts:
+ *           type: array
+ *           description: Occurrences falling on one of the group's blackout dates
+ *           items:
+ *             type: object
+ *         absences:
+ *           type: array
+ *           description: >
+ *             Attendees who are away for an occurrence. Not a conflict: saving declines
+ *             their pending RSVPs and flags answers saying they would come
+ *           items:
+ *             type: object
+ *         checkedOccurrences:
+ *           type: number
+ *           description: How many occurrences were checked (recurring rehearsals are checked over their next 26)
+ *         hasConflicts:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/rehearsals:
+ *   get:
+ *     summary: Get the rehearsals of a group
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: query
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *         description: Zone of the `local` start and end times (defaults to the user's own zone)
+ *     responses:
+ *       200:
+ *         description: Rehearsals, most recent first, each with its times in the `local` zone
+ *   post:
+ *     summary: Schedule a rehearsal
+ *     description: >
+ *       Attendees default to every member of the group. When the rehearsal has scheduling
+ *       conflicts it is not saved and a 409 with the conflict report is returned, unless
+ *       `override` is set.
+ *     tags: [Rehearsals]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Rehearsal'
+ *               - type: object
+ *                 properties:
+ *                   attendees:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: User IDs of the members to invite
+ *                   override:
+ *                     type: boolean
+ *                     description: Save the rehearsal despite scheduling conflicts
+ *     responses:
+ *       201:
+ *         description: The rehearsal, its conflict report and warnings such as a setlist longer than the rehearsal
+ *       409:
+ *         description: Scheduling conflicts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 conflicts:
+ *                   $ref: '#/components/schemas/ConflictReport'
+ */
+router.get(
+  '/',
+  [
+    query('groupId').isMongoId(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('skip').optional().isInt({ min: 0 }).toInt(),
+    timeZoneValidator
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP, groupIdFrom.query()),
+  resolveTimeZone,
+  getRehearsals
+);
+router.post('/', [body('groupId').isMongoId(), ...rehearsalValidators(false)], validate, canSchedule, createRehearsal);
+
+/**
+ * @swagger
+ * /api/rehearsals/conflicts:
+ *   post:
+ *     summary: Check a new or changed rehearsal for scheduling conflicts without saving it
+ *     tags: [Rehearsals]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/Rehearsal'
+ *               - type: object
+ *                 properties:
+ *                   rehearsalId:
+ *                     type: string
+ *                     description: Existing rehearsal the changes apply to
+ *     responses:
+ *       200:
+ *         description: The conflict report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ConflictReport'
+ */
+router.post(
+  '/conflicts',
+  [body('groupId').isMongoId(), body('rehearsalId').optional().isMongoId(), ...rehearsalValidators(true)],
+  validate,
+  canSchedule,
+  previewConflicts
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/occurrences:
+ *   get:
+ *     summary: Get the current user's rehearsal occurrences in a date range
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [confirmed, tentative, late, declined, pending]
+ *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *         description: Zone of the `local` start and end times (defaults to the user's own zone)
+ *     responses:
+ *       200:
+ *         description: Occurrences sorted by start time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RehearsalOccurrence'
+ */
+router.get(
+  '/occurrences',
+  [...rangeValidators, query('status').optional().isIn(RSVP_STATUSES), timeZoneValidator],
+  validate,
+  resolveTimeZone,
+  getMyOccurrences
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}:
+ *   get:
+ *     summary: Get a rehearsal
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *         description: Zone of the `local` start and end times (defaults to the user's own zone)
+ *     responses:
+ *       200:
+ *         description: The rehearsal, with its times in the `local` zone
+ *       404:
+ *         description: Rehearsal not found
+ *   put:
+ *     summary: Update a rehearsal (the whole series when recurring)
+ *     description: >
+ *       Conflicts are refused with a 409 and the conflict report unless `override` is set.
+ *       Fields of `recurringPattern` that are not sent keep their values. When the series
+ *       moves, each occurrence keeps its own changes, responses and check-ins; if it starts
+ *       repeating at another frequency or interval and they would be lost, the update is
+ *       refused with a 400.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Rehearsal'
+ *     responses:
+ *       200:
+ *         description: The rehearsal, its conflict report and warnings such as a setlist longer than the rehearsal
+ *       400:
+ *         description: Invalid input, or occurrences with their own changes would not match the new schedule
+ *       409:
+ *         description: Scheduling conflicts
+ *   delete:
+ *     summary: Delete a rehearsal
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rehearsal deleted
+ */
+router.get('/:id', [param('id').isMongoId(), timeZoneValidator], validate, canViewRehearsal, resolveTimeZone, getRehearsal);
+router.put('/:id', [param('id').isMongoId(), ...rehearsalValidators(true)], validate, canEditRehearsal, updateRehearsal);
+router.delete('/:id', [param('id').isMongoId()], validate, canEditRehearsal, deleteRehearsal);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/cancel:
+ *   post:
+ *     summary: Cancel a rehearsal (every occurrence of a series)
+ *     description: >
+ *       Unlike deleting, the rehearsal is kept with its history and shows as
+ *       cancelled. Invited members are notified with the reason.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Cancelled rehearsal
+ *       400:
+ *         description: Rehearsal already cancelled
+ */
+router.post(
+  '/:id/cancel',
+  [param('id').isMongoId(), reasonValidator],
+  validate,
+  canEditRehearsal,
+  cancelRehearsal
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/reschedule:
+ *   post:
+ *     summary: Move a rehearsal (the whole series) to a new time
+ *     description: >
+ *       RSVPs go back to pending when the start or end time moved, and invited
+ *       members are notified of exactly what changed. Scheduling conflicts are
+ *       refused with a report unless `override` is set. As with an update,
+ *       fields of `recurringPattern` that are not sent keep their values and
+ *       each occurrence keeps its own changes, responses and check-ins.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDateTime
+ *             properties:
+ *               startDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               endDateTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to keeping the current duration
+ *               recurringPattern:
+ *                 type: object
+ *               venueId:
+ *                 type: string
+ *               roomId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *               override:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Rescheduled rehearsal with its conflict report
+ *       400:
+ *         description: >
+ *           Rehearsal cancelled, nothing would change, or occurrences with their
+ *           own changes would not match the new schedule
+ *       409:
+ *         description: Scheduling conflicts
+ */
+router.post(
+  '/:id/reschedule',
+  [
+    param('id').isMongoId(),
+    ...rescheduleValidators,
+    body('recurringPattern.frequency').optional().isIn(['weekly', 'biweekly', 'monthly']),
+    body('recurringPattern.dayOfWeek').optional().isInt({ min: 0, max: 6 }).toInt(),
+    body('recurringPattern.interval').optional().isInt({ min: 1 }).toInt(),
+    body('recurringPattern.endDate').optional().isISO8601().toDate(),
+    body('override').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  canEditRehearsal,
+  rescheduleRehearsal
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/history:
+ *   get:
+ *     summary: Get the changes made to a rehearsal, newest first
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *         description: Zone times in the summaries are written in (defaults to the user's own zone)
+ *     responses:
+ *       200:
+ *         description: History entries, each with a `summary` of the changes in words
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RehearsalChange'
+ */
+router.get(
+  '/:id/history',
+  [param('id').isMongoId(), timeZoneValidator],
+  validate,
+  canViewRehearsal,
+  resolveTimeZone,
+  getRehearsalHistory
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/setlist-fit:
+ *   get:
+ *     summary: Check whether the rehearsal's setlist fits into the rehearsal
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Setlist and rehearsal lengths in minutes, with a warning when the setlist is too long
+ *       404:
+ *         description: Rehearsal not found or without a setlist
+ */
+router.get('/:id/setlist-fit', [param('id').isMongoId()], validate, canViewRehearsal, getRehearsalSetlistFit);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences:
+ *   get:
+ *     summary: Expand a rehearsal into its occurrences in a date range
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: includeCancelled
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *         description: Zone of the `local` start and end times (defaults to the user's own zone)
+ *     responses:
+ *       200:
+ *         description: Occurrences sorted by start time
+ */
+router.get(
+  '/:id/occurrences',
+  [
+    param('id').isMongoId(),
+    ...rangeValidators,
+    query('includeCancelled').optional().isBoolean().toBoolean(),
+    timeZoneValidator
+  ],
+  validate,
+  canViewRehearsal,
+  resolveTimeZone,
+  getRehearsalOccurrences
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences/{occurrenceStart}:
+ *   patch:
+ *     summary: Move or edit a single occurrence
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         description: Original start date-time of the occurrence
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               endDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               venueId:
+ *                 type: string
+ *               roomId:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated rehearsal
+ *       404:
+ *         description: Rehearsal or occurrence not found
+ *       409:
+ *         description: Venue already booked
+ *   delete:
+ *     summary: Cancel a single occurrence
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Updated rehearsal
+ *       404:
+ *         description: Rehearsal or occurrence not found
+ */
+router.patch(
+  '/:id/occurrences/:occurrenceStart',
+  [
+    ...occurrenceValidators,
+    body('startDateTime').optional().isISO8601().toDate(),
+    body('endDateTime').optional().isISO8601().toDate(),
+    body('venueId').optional({ nullable: true }).isMongoId(),
+    body('roomId').optional({ nullable: true }).isMongoId(),
+    body('notes').optional().isString()
+  ],
+  validate,
+  canEditRehearsal,
+  updateOccurrence
+);
+router.delete('/:id/occurrences/:occurrenceStart', occurrenceValidators, validate, canEditRehearsal, cancelOccurrence);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences/{occurrenceStart}/cancel:
+ *   post:
+ *     summary: Cancel a single occurrence with a reason
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Updated rehearsal
+ *       404:
+ *         description: Rehearsal or occurrence not found, or already cancelled
+ */
+router.post(
+  '/:id/occurrences/:occurrenceStart/cancel',
+  [...occurrenceValidators, reasonValidator],
+  validate,
+  canEditRehearsal,
+  cancelOccurrence
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences/{occurrenceStart}/reschedule:
+ *   post:
+ *     summary: Move a single occurrence to a new time
+ *     description: >
+ *       The occurrence's RSVPs go back to pending when its start or end time
+ *       moved, and its attendees are notified of exactly what changed.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         description: Original start date-time of the occurrence
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDateTime
+ *             properties:
+ *               startDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               endDateTime:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to keeping the current duration
+ *               venueId:
+ *                 type: string
+ *               roomId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Rescheduled occurrence
+ *       400:
+ *         description: Rehearsal cancelled, or nothing would change
+ *       404:
+ *         description: Rehearsal or occurrence not found
+ *       409:
+ *         description: Venue already booked
+ */
+router.post(
+  '/:id/occurrences/:occurrenceStart/reschedule',
+  [...occurrenceValidators, ...rescheduleValidators],
+  validate,
+  canEditRehearsal,
+  rescheduleOccurrence
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences/{occurrenceStart}/following:
+ *   put:
+ *     summary: Edit an occurrence and all following occurrences
+ *     description: >
+ *       Ends the series before the occurrence and starts a new series from it with
+ *       the changes applied. Exceptions after the split move to the new series. Every
+ *       occurrence of the new series is checked for conflicts; they are refused with a
+ *       409 and the conflict report unless `override` is set.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               startDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               endDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               venueId:
+ *                 type: string
+ *               roomId:
+ *                 type: string
+ *               setlistId:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               requirements:
+ *                 $ref: '#/components/schemas/RehearsalRequirements'
+ *               recurringPattern:
+ *                 type: object
+ *               override:
+ *                 type: boolean
+ *                 description: Save despite scheduling conflicts
+ *     responses:
+ *       200:
+ *         description: The shortened series and the new following series, with the conflict report
+ *       400:
+ *         description: Rehearsal is not recurring or occurrence is the first one
+ *       409:
+ *         description: Scheduling conflicts, with the conflict report
+ */
+router.put(
+  '/:id/occurrences/:occurrenceStart/following',
+  [
+    ...occurrenceValidators,
+    body('title').optional().isString(),
+    body('description').optional().isString(),
+    body('startDateTime').optional().isISO8601().toDate(),
+    body('endDateTime').optional().isISO8601().toDate(),
+    body('venueId').optional({ nullable: true }).isMongoId(),
+    body('roomId').optional({ nullable: true }).isMongoId(),
+    body('setlistId').optional({ nullable: true }).isMongoId(),
+    body('notes').optional().isString(),
+    ...requirementsValidators,
+    body('recurringPattern.frequency').optional().isIn(['weekly', 'biweekly', 'monthly']),
+    body('recurringPattern.dayOfWeek').optional().isInt({ min: 0, max: 6 }).toInt(),
+    body('recurringPattern.interval').optional().isInt({ min: 1 }).toInt(),
+    body('recurringPattern.endDate').optional().isISO8601().toDate(),
+    body('override').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  canEditRehearsal,
+  updateFollowingOccurrences
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences/{occurrenceStart}/rsvp:
+ *   put:
+ *     summary: RSVP to a single occurrence
+ *     description: >
+ *       Besides yes and no, members can answer tentative or late. Any answer can carry a
+ *       short reason; late answers can also give an ETA.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [confirmed, tentative, late, declined, pending]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *               eta:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Expected arrival; only with status late
+ *     responses:
+ *       200:
+ *         description: The occurrence exception holding the RSVPs
+ */
+router.put(
+  '/:id/occurrences/:occurrenceStart/rsvp',
+  [
+    ...occurrenceValidators,
+    body('status').isIn(RSVP_STATUSES),
+    body('reason').optional().isString().trim().isLength({ max: 200 }),
+    body('eta').optional().isISO8601().toDate()
+  ],
+  validate,
+  canViewRehearsal,
+  respondToOccurrence
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences/{occurrenceStart}/check-ins:
+ *   post:
+ *     summary: Record who turned up to an occurrence
+ *     description: >
+ *       Check-in opens an hour before the start. Members check themselves in until the
+ *       rehearsal ends. Members with the schedule_rehearsals permission can check in
+ *       anyone, also after the rehearsal, and may give the arrival time.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: Member to check in (defaults to the current user)
+ *               checkedInAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Arrival time (defaults to now)
+ *     responses:
+ *       201:
+ *         description: The check-in
+ *       400:
+ *         description: Check-in is not open, or the user is not a member
+ *       409:
+ *         description: Already checked in
+ */
+router.post(
+  '/:id/occurrences/:occurrenceStart/check-ins',
+  [
+    ...occurrenceValidators,
+    body('userId').optional().isMongoId(),
+    body('checkedInAt').optional().isISO8601().toDate(),
+    body('checkedInAt').optional().custom(checkedInAt => checkedInAt <= new Date())
+      .withMessage('Check-in time cannot be in the future')
+  ],
+  validate,
+  canViewRehearsal,
+  checkInToOccurrence
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences/{occurrenceStart}/check-ins/{userId}:
+ *   delete:
+ *     summary: Remove a check-in recorded by mistake
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Check-in removed
+ *       404:
+ *         description: Check-in not found
+ */
+router.delete(
+  '/:id/occurrences/:occurrenceStart/check-ins/:userId',
+  [...occurrenceValidators, param('userId').isMongoId()],
+  validate,
+  canViewRehearsal,
+  undoCheckIn
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences/{occurrenceStart}/requirements:
+ *   get:
+ *     summary: Check an occurrence against its required instruments and head count
+ *     description: >
+ *       Uses the rehearsal's requirements, or the group defaults when it has none. Members
+ *       who have not declined count as able to come. Upcoming occurrences that fail are
+ *       flagged at risk whenever RSVPs change, and schedulers are notified.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Whether the requirements are met, what is missing, and the risk flag
+ *       404:
+ *         description: Occurrence not found
+ */
+router.get(
+  '/:id/occurrences/:occurrenceStart/requirements',
+  occurrenceValidators,
+  validate,
+  canViewRehearsal,
+  getOccurrenceRequirements
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences/{occurrenceStart}/attendance:
+ *   get:
+ *     summary: Compare the RSVPs of an occurrence with who checked in
+ *     description: >
+ *       Each attendee gets an outcome: kept (promised and came), no_show (promised but
+ *       did not check in), unannounced (came without promising) or absent. Confirmed and
+ *       late count as promises. Members checked in without an invitation are listed too.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Summary counts and per-attendee outcomes
+ *       404:
+ *         description: Occurrence not found
+ */
+router.get(
+  '/:id/occurrences/:occurrenceStart/attendance',
+  occurrenceValidators,
+  validate,
+  canViewRehearsal,
+  getOccurrenceAttendance
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences/{occurrenceStart}/substitutes:
+ *   get:
+ *     summary: List the substitutes who could cover an instrument at an occurrence
+ *     description: >
+ *       Without an instrument, the instruments the occurrence is missing according to its
+ *       requirements are used. Registered substitutes who are busy, booked for another
+ *       rehearsal or outside their declared availability are left out. The others are
+ *       listed as available, or unknown for external contacts and users who declared no
+ *       availability.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: instrument
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The instruments looked for and the matching substitutes
+ *       400:
+ *         description: The occurrence has already started
+ *       404:
+ *         description: Occurrence not found
+ */
+router.get(
+  '/:id/occurrences/:occurrenceStart/substitutes',
+  [...occurrenceValidators, query('instrument').optional().isString().trim().notEmpty()],
+  validate,
+  canEditRehearsal,
+  getOccurrenceSubstitutes
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/occurrences/{occurrenceStart}/sub-requests:
+ *   post:
+ *     summary: Ask substitutes to cover an instrument at an occurrence
+ *     description: >
+ *       In sequential mode candidates are asked one at a time, moving on when one declines
+ *       or does not answer within responseHours. In broadcast mode everyone is asked at
+ *       once. Candidates get an email link (and a notification if registered); the first to
+ *       accept is added to the occurrence as a confirmed guest attendee.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               instrument:
+ *                 type: string
+ *                 description: Defaults to the first missing required instrument
+ *               substituteIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Who to ask, in order (defaults to every available substitute)
+ *               mode:
+ *                 type: string
+ *                 enum: [sequential, broadcast]
+ *                 default: sequential
+ *               responseHours:
+ *                 type: integer
+ *                 default: 12
+ *     responses:
+ *       201:
+ *         description: The sub request
+ *       400:
+ *         description: No instrument given or missing, or no substitutes to ask
+ *       409:
+ *         description: Subs are already being asked for the instrument
+ *   get:
+ *     summary: Get the sub requests of an occurrence
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: occurrenceStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: List of sub requests with their candidates
+ */
+router.post(
+  '/:id/occurrences/:occurrenceStart/sub-requests',
+  [
+    ...occurrenceValidators,
+    body('instrument').optional().isString().trim().notEmpty(),
+    body('substituteIds').optional().isArray({ min: 1 }),
+    body('substituteIds.*').isMongoId(),
+    body('mode').optional().isIn(['sequential', 'broadcast']),
+    body('responseHours').optional().isInt({ min: 1, max: 72 }).toInt()
+  ],
+  validate,
+  canEditRehearsal,
+  createSubRequest
+);
+router.get(
+  '/:id/occurrences/:occurrenceStart/sub-requests',
+  occurrenceValidators,
+  validate,
+  canEditRehearsal,
+  getSubRequests
+);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/cost:
+ *   get:
+ *     summary: Get the cost of a rehearsal and how each occurrence is split
+ *     description: >
+ *       Occurrences that have ended are charged to the members who confirmed or checked
+ *       in (isCharged); later ones are estimated from the current RSVPs.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 180 days before endDate
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 90 days from now
+ *     responses:
+ *       200:
+ *         description: The cost, the group's currency and the split of each occurrence
+ *       404:
+ *         description: The rehearsal has no cost
+ *   put:
+ *     summary: Set the cost of a rehearsal
+ *     description: >
+ *       With source venue each occurrence costs its length at the hourly rate of the
+ *       rehearsal's room, taken when the cost is set; with source manual each occurrence
+ *       costs the amount. paidBy is the member who pays the venue and is owed the shares.
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [source, paidBy]
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 enum: [venue, manual]
+ *               amount:
+ *                 type: number
+ *                 description: Cost of each occurrence, required for manual costs
+ *               paidBy:
+ *                 type: string
+ *               splitMode:
+ *                 type: string
+ *                 enum: [equal, custom]
+ *                 default: equal
+ *               shares:
+ *                 type: array
+ *                 description: Weights of a custom split; unlisted participants weigh 1
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     weight:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: The rehearsal's cost
+ *       400:
+ *         description: >
+ *           No room to take the rate from, a venue charging in another currency, or a
+ *           payer or share outside the group
+ *       403:
+ *         description: Missing the manage_finances permission
+ *   delete:
+ *     summary: Remove the cost of a rehearsal, taking its charges out of the ledger
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cost removed
+ *       404:
+ *         description: The rehearsal has no cost
+ */
+router.get(
+  '/:id/cost',
+  [
+    param('id').isMongoId(),
+    query('startDate').optional().isISO8601().toDate(),
+    query('endDate').optional().isISO8601().toDate()
+  ],
+  validate,
+  canViewRehearsal,
+  getRehearsalCost
+);
+router.put('/:id/cost', [param('id').isMongoId(), ...costValidators], validate, canManageCost, setRehearsalCost);
+router.delete('/:id/cost', [param('id').isMongoId()], validate, canManageCost, removeRehearsalCost);
+
+/**
+ * @swagger
+ * /api/rehearsals/{id}/sub-requests/{subRequestId}:
+ *   delete:
+ *     summary: Stop asking substitutes on an open sub request
+ *     tags: [Rehearsals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subRequestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The cancelled sub request
+ *       400:
+ *         description: The request is no longer open
+ *       404:
+ *         description: Sub request not found
+ */
+router.delete(
+  '/:id/sub-requests/:subRequestId',
+  [param('id').isMongoId(), param('subRequestId').isMongoId()],
+  validate,
+  canEditRehearsal,
+  cancelSubRequest
+);
+
+module.exports = router;
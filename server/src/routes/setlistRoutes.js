@@ -0,0 +1,187 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { requireGroupPermission, groupIdFrom } = require('../middleware/groupPermissionMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const Setlist = require('../models/Setlist');
+const {
+  getSetlists,
+  getSetlist,
+  createSetlist,
+  updateSetlist,
+  deleteSetlist,
+  cloneSetlist
+} = require('../controllers/setlistController');
+
+const router = express.Router();
+
+const fromSetlist = groupIdFrom.document(Setlist, 'Setlist');
+const canViewSetlist = requireGroupPermission(PERMISSIONS.VIEW_GROUP, fromSetlist);
+const canEditSetlist = requireGroupPermission(PERMISSIONS.EDIT_SETLISTS, fromSetlist);
+
+const KEY_PATTERN = /^[A-G][#b]?m?$/;
+
+const setlistValidators = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().notEmpty().isLength({ max: 100 })
+    : body('name').trim().notEmpty().isLength({ max: 100 }),
+  body('description').optional().isString().isLength({ max: 500 }),
+  body('type').optional().isIn(['rehearsal', 'gig']),
+  body('eventDate').optional({ nullable: true }).isISO8601().toDate(),
+  body('entries').optional().isArray({ max: 200 }),
+  body('entries.*.songId').isMongoId(),
+  body('entries.*.transposedKey').optional().matches(KEY_PATTERN),
+  body('entries.*.durationSeconds').optional().isInt({ min: 0 }).toInt(),
+  body('entries.*.notes').optional().isString().isLength({ max: 500 })
+];
+
+/**
+ * @swagger
+ * /api/setlists:
+ *   get:
+ *     summary: Get a group's setlists with their total length
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: query
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [rehearsal, gig]
+ *     responses:
+ *       200:
+ *         description: Setlists, most recently updated first
+ *   post:
+ *     summary: Create a setlist from songs of the group's catalog
+ *     tags: [Setlists]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Setlist'
+ *     responses:
+ *       201:
+ *         description: The new setlist
+ *       400:
+ *         description: An entry refers to a song outside the group's catalog
+ */
+router.get(
+  '/',
+  [query('groupId').isMongoId(), query('type').optional().isIn(['rehearsal', 'gig'])],
+  validate,
+  requireGroupPermission(PERMISSIONS.VIEW_GROUP, groupIdFrom.query()),
+  getSetlists
+);
+router.post(
+  '/',
+  [body('groupId').isMongoId(), ...setlistValidators(false)],
+  validate,
+  requireGroupPermission(PERMISSIONS.EDIT_SETLISTS, groupIdFrom.body()),
+  createSetlist
+);
+
+/**
+ * @swagger
+ * /api/setlists/{id}:
+ *   get:
+ *     summary: Get a setlist with its songs and total length
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The setlist
+ *   put:
+ *     summary: Update a setlist
+ *     description: When given, `entries` replaces the whole ordered list of songs.
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Setlist'
+ *     responses:
+ *       200:
+ *         description: The updated setlist
+ *   delete:
+ *     summary: Delete a setlist and detach it from rehearsals
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Setlist deleted
+ */
+router.get('/:id', [param('id').isMongoId()], validate, canViewSetlist, getSetlist);
+router.put('/:id', [param('id').isMongoId(), ...setlistValidators(true)], validate, canEditSetlist, updateSetlist);
+router.delete('/:id', [param('id').isMongoId()], validate, canEditSetlist, deleteSetlist);
+
+/**
+ * @swagger
+ * /api/setlists/{id}/clone:
+ *   post:
+ *     summary: Copy a setlist
+ *     description: Reuse a rehearsal setlist for a gig (or the other way round), optionally attaching the copy to a rehearsal.
+ *     tags: [Setlists]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [rehearsal, gig]
+ *               eventDate:
+ *                 type: string
+ *                 format: date-time
+ *               rehearsalId:
+ *                 type: string
+ *                 description: Rehearsal of the same group to use the copy
+ *     responses:
+ *       201:
+ *         description: The copy
+ */
+router.post(
+  '/:id/clone',
+  [
+    param('id').isMongoId(),
+    body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+    body('type').optional().isIn(['rehearsal', 'gig']),
+    body('eventDate').optional().isISO8601().toDate(),
+    body('rehearsalId').optional().isMongoId()
+  ],
+  validate,
+  canEditSetlist,
+  cloneSetlist
+);
+
+module.exports = router;
@@ -0,0 +1,125 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { requireGroupPermission, groupIdFrom } = require('../middleware/groupPermissionMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const Song = require('../models/Song');
+const {
+  getSongs,
+  getSong,
+  createSong,
+  updateSong,
+  deleteSong
+} = require('../controllers/songController');
+
+const router = express.Router();
+
+const fromSong = groupIdFrom.document(Song, 'Song');
+const canViewCatalog = requireGroupPermission(PERMISSIONS.VIEW_GROUP, groupIdFrom.query());
+const canAddSong = requireGroupPermission(PERMISSIONS.EDIT_SETLISTS, groupIdFrom.body());
+const canViewSong = requireGroupPermission(PERMISSIONS.VIEW_GROUP, fromSong);
+const canEditSong = requireGroupPermission(PERMISSIONS.EDIT_SETLISTS, fromSong);
+
+const KEY_PATTERN = /^[A-G][#b]?m?$/;
+
+const songValidators = (isUpdate) => [
+  isUpdate
+    ? body('title').optional().trim().notEmpty().isLength({ max: 100 })
+    : body('title').trim().notEmpty().isLength({ max: 100 }),
+  body('artist').optional().trim().isLength({ max: 100 }),
+  body('key').optional().matches(KEY_PATTERN),
+  body('tempo').optional().isInt({ min: 20, max: 400 }).toInt(),
+  body('durationSeconds').optional().isInt({ min: 0 }).toInt(),
+  body('tuning').optional().trim().isString(),
+  body('notes').optional().isString().isLength({ max: 2000 })
+];
+
+/**
+ * @swagger
+ * /api/songs:
+ *   get:
+ *     summary: Get a group's song catalog
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: query
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches the title or artist
+ *     responses:
+ *       200:
+ *         description: Songs sorted by title
+ *   post:
+ *     summary: Add a song to a group's catalog
+ *     tags: [Songs]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Song'
+ *     responses:
+ *       201:
+ *         description: The new song
+ *       403:
+ *         description: Missing the edit_setlists permission
+ */
+router.get('/', [query('groupId').isMongoId(), query('search').optional().isString()], validate, canViewCatalog, getSongs);
+router.post('/', [body('groupId').isMongoId(), ...songValidators(false)], validate, canAddSong, createSong);
+
+/**
+ * @swagger
+ * /api/songs/{id}:
+ *   get:
+ *     summary: Get a song
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The song
+ *   put:
+ *     summary: Update a song
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Song'
+ *     responses:
+ *       200:
+ *         description: The updated song
+ *   delete:
+ *     summary: Delete a song and remove it from the group's setlists
+ *     tags: [Songs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Song deleted
+ */
+router.get('/:id', [param('id').isMongoId()], validate, canViewSong, getSong);
+router.put('/:id', [param('id').isMongoId(), ...songValidators(true)], validate, canEditSong, updateSong);
+router.delete('/:id', [param('id').isMongoId()], validate, canEditSong, deleteSong);
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const {
+  getSubRequestByToken,
+  acceptSubRequest,
+  declineSubRequest
+} = require('../controllers/substituteController');
+
+const router = express.Router();
+
+// Substitutes answer through the link they were sent, so these routes need no
+// account: external contacts have none
+const tokenValidator = [param('token').isHexadecimal().isLength({ min: 64, max: 64 })];
+
+/**
+ * @swagger
+ * /api/sub-requests/{token}:
+ *   get:
+ *     summary: Look at a sub request before answering it
+ *     description: The token comes from the sub request email or notification.
+ *     tags: [Sub Requests]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The group, rehearsal time, instrument and status of the request
+ *       404:
+ *         description: Sub request not found
+ */
+router.get('/:token', tokenValidator, validate, getSubRequestByToken);
+
+/**
+ * @swagger
+ * /api/sub-requests/{token}/accept:
+ *   post:
+ *     summary: Accept a sub request
+ *     description: >
+ *       The first substitute to accept is added to the rehearsal as a confirmed guest,
+ *       and the request is withdrawn from everyone else.
+ *     tags: [Sub Requests]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Accepted
+ *       404:
+ *         description: Sub request not found
+ *       409:
+ *         description: The spot is taken, or the request is no longer open
+ */
+router.post('/:token/accept', tokenValidator, validate, acceptSubRequest);
+
+/**
+ * @swagger
+ * /api/sub-requests/{token}/decline:
+ *   post:
+ *     summary: Decline a sub request
+ *     description: In sequential mode the next substitute is asked.
+ *     tags: [Sub Requests]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Declined
+ *       404:
+ *         description: Sub request not found
+ *       409:
+ *         description: The request is no longer open
+ */
+router.post('/:token/decline', tokenValidator, validate, declineSubRequest);
+
+module.exports = router;
@@ -0,0 +1,436 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validationMiddleware');
+const { isValidTimeZone } = require('../utils/timeZone');
+const {
+  getMyAvailability,
+  updateMyAvailability,
+  getMyAbsences,
+  createAbsence,
+  deleteAbsence
+} = require('../controllers/availabilityController');
+const { createMyCalendarFeed, revokeMyCalendarFeed } = require('../controllers/calendarController');
+const {
+  getCalendarSources,
+  createCalendarSource,
+  uploadCalendar,
+  syncCalendarSource,
+  deleteCalendarSource,
+  getBusyBlocks
+} = require('../controllers/calendarSourceController');
+const {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getReminderLog
+} = require('../controllers/notificationPreferencesController');
+
+const router = express.Router();
+
+const sourceIdValidator = [param('sourceId').isMongoId()];
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const availabilityValidators = [
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone'),
+  body('defaultAvailability').optional().isArray(),
+  body('defaultAvailability.*.day').isInt({ min: 0, max: 6 }).toInt(),
+  body('defaultAvailability.*.startTime').matches(TIME_PATTERN),
+  body('defaultAvailability.*.endTime').matches(TIME_PATTERN),
+  body('oneTimeAvailability').optional().isArray(),
+  body('oneTimeAvailability.*.date').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  body('oneTimeAvailability.*.startTime').matches(TIME_PATTERN),
+  body('oneTimeAvailability.*.endTime').matches(TIME_PATTERN)
+];
+
+// Calendar dates (YYYY-MM-DD) in the user's zone, both days included
+const absenceValidators = [
+  body('startDate').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  body('endDate').isISO8601({ strict: true }).isLength({ min: 10, max: 10 }),
+  body('endDate').custom((endDate, { req }) => endDate >= req.body.startDate)
+    .withMessage('End date cannot be before start date'),
+  body('reason').optional().isString().trim().isLength({ max: 200 })
+];
+
+/**
+ * @swagger
+ * /api/users/me/availability:
+ *   get:
+ *     summary: Get the current user's time zone and availability
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: timeZone, defaultAvailability and oneTimeAvailability
+ *   put:
+ *     summary: Update the current user's time zone and availability
+ *     description: >
+ *       Slot times are wall-clock times in the user's time zone, so a 19:00 slot stays at
+ *       19:00 local time across daylight saving changes. Lists sent replace the stored ones.
+ *       Slots ending at or before their start run past midnight.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timeZone:
+ *                 type: string
+ *                 example: America/Chicago
+ *               defaultAvailability:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day:
+ *                       type: integer
+ *                     startTime:
+ *                       type: string
+ *                       example: '19:00'
+ *                     endTime:
+ *                       type: string
+ *                       example: '22:00'
+ *               oneTimeAvailability:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       example: '2024-03-16'
+ *                     startTime:
+ *                       type: string
+ *                     endTime:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: The updated availability
+ */
+router.get('/me/availability', getMyAvailability);
+router.put('/me/availability', availabilityValidators, validate, updateMyAvailability);
+
+/**
+ * @swagger
+ * /api/users/me/absences:
+ *   get:
+ *     summary: Get the periods the current user is away
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Absences, earliest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Absence'
+ *   post:
+ *     summary: Add a period the current user is away
+ *     description: >
+ *       The user counts as unavailable on these days, in their own time zone. Pending RSVPs
+ *       to upcoming rehearsals in the period are declined, also on rehearsals scheduled later.
+ *       Where the user had already said they would come the answer stays but is flagged, and
+ *       the group's schedulers are notified either way.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Absence'
+ *     responses:
+ *       201:
+ *         description: The absence, and under `affected` the occurrences it declined or flagged
+ */
+router.get('/me/absences', getMyAbsences);
+router.post('/me/absences', absenceValidators, validate, createAbsence);
+
+/**
+ * @swagger
+ * /api/users/me/absences/{absenceId}:
+ *   delete:
+ *     summary: Remove one of the current user's absences
+ *     description: RSVPs it declined on upcoming rehearsals go back to pending.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: absenceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Absence removed
+ *       404:
+ *         description: Absence not found
+ */
+router.delete('/me/absences/:absenceId', [param('absenceId').isMongoId()], validate, deleteAbsence);
+
+/**
+ * @swagger
+ * /api/users/me/calendar-feed:
+ *   post:
+ *     summary: Create a secret iCalendar feed URL for the current user
+ *     description: Replaces (and so revokes) any previous feed URL. The URL is only shown once.
+ *     tags: [Users]
+ *     responses:
+ *       201:
+ *         description: The new feed URL
+ *   delete:
+ *     summary: Revoke the current user's iCalendar feed URL
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Feed revoked
+ */
+router.post('/me/calendar-feed', createMyCalendarFeed);
+router.delete('/me/calendar-feed', revokeMyCalendarFeed);
+
+/**
+ * @swagger
+ * /api/users/me/calendar-sources:
+ *   get:
+ *     summary: List the calendars busy time is imported from
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Calendar sources
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CalendarSource'
+ *   post:
+ *     summary: Register a calendar to import busy time from
+ *     description: >
+ *       With a URL the calendar is imported immediately and then polled every 30 minutes.
+ *       Without one, upload the file with PUT /api/users/me/calendar-sources/{sourceId}/ics.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               url:
+ *                 type: string
+ *                 description: http(s) or webcal URL of an iCalendar feed on a public host
+ *     responses:
+ *       201:
+ *         description: The calendar source with the outcome of its first import
+ *       400:
+ *         description: Invalid input, or the URL points to a local or private address
+ */
+router.get('/me/calendar-sources', getCalendarSources);
+router.post(
+  '/me/calendar-sources',
+  [
+    body('name').trim().notEmpty().isLength({ max: 100 }),
+    body('url').optional().isURL({ protocols: ['http', 'https', 'webcal', 'webcals'] })
+  ],
+  validate,
+  createCalendarSource
+);
+
+/**
+ * @swagger
+ * /api/users/me/calendar-sources/{sourceId}/ics:
+ *   put:
+ *     summary: Upload an iCalendar file into a calendar source
+ *     description: Re-uploading updates the existing busy blocks instead of duplicating them.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/calendar:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The calendar source after the import
+ *       400:
+ *         description: Not an iCalendar document or not an upload source
+ */
+router.put(
+  '/me/calendar-sources/:sourceId/ics',
+  express.text({ type: 'text/calendar', limit: '5mb' }),
+  sourceIdValidator,
+  validate,
+  uploadCalendar
+);
+
+/**
+ * @swagger
+ * /api/users/me/calendar-sources/{sourceId}/sync:
+ *   post:
+ *     summary: Import a URL calendar now
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The calendar source after the import
+ *       502:
+ *         description: The calendar URL could not be fetched or parsed
+ */
+router.post('/me/calendar-sources/:sourceId/sync', sourceIdValidator, validate, syncCalendarSource);
+
+/**
+ * @swagger
+ * /api/users/me/calendar-sources/{sourceId}:
+ *   delete:
+ *     summary: Remove a calendar source and its busy blocks
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calendar source removed
+ */
+router.delete('/me/calendar-sources/:sourceId', sourceIdValidator, validate, deleteCalendarSource);
+
+/**
+ * @swagger
+ * /api/users/me/busy-blocks:
+ *   get:
+ *     summary: Get the current user's imported busy time in a date range
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Busy blocks sorted by start time
+ */
+router.get(
+  '/me/busy-blocks',
+  [query('startDate').isISO8601().toDate(), query('endDate').isISO8601().toDate()],
+  validate,
+  getBusyBlocks
+);
+
+/**
+ * @swagger
+ * /api/users/me/notification-preferences:
+ *   get:
+ *     summary: Get the current user's reminder and digest settings
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *   put:
+ *     summary: Update the current user's reminder and digest settings
+ *     description: Only the fields sent are changed. An empty reminderOffsetsHours list turns reminders off.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200:
+ *         description: The updated notification preferences
+ */
+router.get('/me/notification-preferences', getNotificationPreferences);
+router.put(
+  '/me/notification-preferences',
+  [
+    body('emailEnabled').optional().isBoolean().toBoolean(),
+    body('reminderOffsetsHours').optional().isArray({ max: 5 }),
+    body('reminderOffsetsHours.*').isFloat({ min: 1, max: 336 }).toFloat(),
+    body('rsvpNudges').optional().isBoolean().toBoolean(),
+    body('dailyDigest').optional().isBoolean().toBoolean(),
+    body('digestHour').optional().isInt({ min: 0, max: 23 }).toInt()
+  ],
+  validate,
+  updateNotificationPreferences
+);
+
+/**
+ * @swagger
+ * /api/users/me/reminder-log:
+ *   get:
+ *     summary: List the reminder, RSVP nudge and digest emails sent to the current user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Log entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReminderLog'
+ */
+router.get(
+  '/me/reminder-log',
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('skip').optional().isInt({ min: 0 }).toInt()
+  ],
+  validate,
+  getReminderLog
+);
+
+module.exports = router;
@@ -0,0 +1,737 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { validate, emailField } = require('../middleware/validationMiddleware');
+const { requireGroupPermission, groupIdFrom } = require('../middleware/groupPermissionMiddleware');
+const { PERMISSIONS } = require('../utils/permissions');
+const { isValidTimeZone } = require('../utils/timeZone');
+const {
+  getVenues,
+  getManagedVenues,
+  getManagedBookings,
+  getVenue,
+  createVenue,
+  updateVenue,
+  deleteVenue,
+  addRoom,
+  updateRoom,
+  deleteRoom,
+  getVenueManagers,
+  addVenueManager,
+  removeVenueManager,
+  getVenueAvailability,
+  getVenueCalendar,
+  getVenueUtilization,
+  getBookings,
+  createBooking,
+  confirmBooking,
+  approveBooking,
+  rejectBooking,
+  releaseBooking
+} = require('../controllers/venueController');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const BOOKING_STATUSES = ['hold', 'requested', 'confirmed', 'rejected', 'released'];
+
+const venueValidators = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().notEmpty().isLength({ max: 100 })
+    : body('name').trim().notEmpty().isLength({ max: 100 }),
+  body('contactEmail').optional().isEmail(),
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone'),
+  body('currency').optional().isISO4217(),
+  body('openingHours').optional().isArray(),
+  body('openingHours.*.day').isInt({ min: 0, max: 6 }).toInt(),
+  body('openingHours.*.openTime').matches(TIME_PATTERN),
+  body('openingHours.*.closeTime').matches(TIME_PATTERN),
+  body('bookableSlots').optional().isArray(),
+  body('bookableSlots.*.roomId').optional().isMongoId(),
+  body('bookableSlots.*.day').isInt({ min: 0, max: 6 }).toInt(),
+  body('bookableSlots.*.startTime').matches(TIME_PATTERN),
+  body('bookableSlots.*.endTime').matches(TIME_PATTERN),
+  body('requiresApproval').optional().isBoolean().toBoolean(),
+  body('setupBufferMinutes').optional().isInt({ min: 0, max: 240 }).toInt(),
+  body('teardownBufferMinutes').optional().isInt({ min: 0, max: 240 }).toInt(),
+  body('holdMinutes').optional().isInt({ min: 5, max: 10080 }).toInt()
+];
+
+const roomValidators = (isUpdate) => [
+  isUpdate
+    ? body('name').optional().trim().notEmpty().isLength({ max: 50 })
+    : body('name').trim().notEmpty().isLength({ max: 50 }),
+  body('capacity').optional().isInt({ min: 1 }).toInt(),
+  body('equipment').optional().isArray(),
+  body('hourlyRate').optional().isFloat({ min: 0 }).toFloat(),
+  body('isActive').optional().isBoolean().toBoolean()
+];
+
+const bookingIdValidators = [param('id').isMongoId(), param('bookingId').isMongoId()];
+
+// Confirming or approving a booking moves its rehearsal into the room
+const overrideValidators = [...bookingIdValidators, body('override').optional().isBoolean().toBoolean()];
+
+const dateRangeValidators = [
+  query('startDate').isISO8601().toDate(),
+  query('endDate').isISO8601().toDate(),
+  query('endDate').custom((endDate, { req }) => endDate > req.query.startDate)
+    .withMessage('End date must be after start date')
+];
+
+/**
+ * @swagger
+ * /api/venues:
+ *   get:
+ *     summary: List venues
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Text search on the venue name and city
+ *     responses:
+ *       200:
+ *         description: Venues sorted by name
+ *   post:
+ *     summary: Create a venue
+ *     tags: [Venues]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Venue'
+ *     responses:
+ *       201:
+ *         description: The new venue
+ */
+router.get('/', getVenues);
+router.post('/', venueValidators(false), validate, createVenue);
+
+/**
+ * @swagger
+ * /api/venues/managed:
+ *   get:
+ *     summary: List the venues the current user manages
+ *     tags: [Venues]
+ *     responses:
+ *       200:
+ *         description: Venues the user created or was made a manager of, sorted by name
+ * /api/venues/managed/bookings:
+ *   get:
+ *     summary: Get the bookings of every venue the current user manages in a date range
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [hold, requested, confirmed, rejected, released]
+ *         description: Use requested to find the bookings waiting for approval
+ *     responses:
+ *       200:
+ *         description: Bookings sorted by start time, with their venue, group and requester
+ */
+router.get('/managed', getManagedVenues);
+router.get(
+  '/managed/bookings',
+  [...dateRangeValidators, query('status').optional().isIn(BOOKING_STATUSES)],
+  validate,
+  getManagedBookings
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}:
+ *   get:
+ *     summary: Get a venue
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The venue
+ *       404:
+ *         description: Venue not found
+ *   put:
+ *     summary: Update a venue
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Venue'
+ *     responses:
+ *       200:
+ *         description: The updated venue
+ *       403:
+ *         description: Not a manager of the venue
+ *   delete:
+ *     summary: Delete a venue without upcoming bookings
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Venue deleted
+ *       400:
+ *         description: The venue still has upcoming bookings
+ */
+router.get('/:id', [param('id').isMongoId()], validate, getVenue);
+router.put('/:id', [param('id').isMongoId(), ...venueValidators(true)], validate, updateVenue);
+router.delete('/:id', [param('id').isMongoId()], validate, deleteVenue);
+
+/**
+ * @swagger
+ * /api/venues/{id}/rooms:
+ *   post:
+ *     summary: Add a room to a venue
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               capacity:
+ *                 type: number
+ *               equipment:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               hourlyRate:
+ *                 type: number
+ *     responses:
+ *       201:
+ *         description: The new room
+ */
+router.post('/:id/rooms', [param('id').isMongoId(), ...roomValidators(false)], validate, addRoom);
+
+/**
+ * @swagger
+ * /api/venues/{id}/rooms/{roomId}:
+ *   put:
+ *     summary: Update a room
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated room
+ *   delete:
+ *     summary: Remove a room without upcoming bookings
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: roomId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Room removed
+ */
+router.put(
+  '/:id/rooms/:roomId',
+  [param('id').isMongoId(), param('roomId').isMongoId(), ...roomValidators(true)],
+  validate,
+  updateRoom
+);
+router.delete('/:id/rooms/:roomId', [param('id').isMongoId(), param('roomId').isMongoId()], validate, deleteRoom);
+
+/**
+ * @swagger
+ * /api/venues/{id}/managers:
+ *   get:
+ *     summary: List the managers of a venue
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The venue's creator and managers, with isCreator set on the creator
+ *   post:
+ *     summary: Make a user a manager of a venue
+ *     description: >
+ *       Managers can edit the venue and its rooms and bookable slots, approve or reject
+ *       booking requests, and see the venue's calendar and utilization report.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       201:
+ *         description: The venue's managers
+ *       400:
+ *         description: The user already manages the venue
+ *       403:
+ *         description: Not a manager of the venue
+ *       404:
+ *         description: User not found
+ * /api/venues/{id}/managers/{userId}:
+ *   delete:
+ *     summary: Remove a manager from a venue
+ *     description: The creator of a venue always manages it and cannot be removed.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The venue's remaining managers
+ *       404:
+ *         description: Manager not found
+ */
+router.get('/:id/managers', [param('id').isMongoId()], validate, getVenueManagers);
+router.post(
+  '/:id/managers',
+  [param('id').isMongoId(), emailField()],
+  validate,
+  addVenueManager
+);
+router.delete(
+  '/:id/managers/:userId',
+  [param('id').isMongoId(), param('userId').isMongoId()],
+  validate,
+  removeVenueManager
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/availability:
+ *   get:
+ *     summary: Get when each room of a venue is free to book
+ *     description: >
+ *       Free intervals lie within the room's bookable slots (or the venue's opening hours
+ *       when it publishes none) and keep the setup and teardown buffers around active
+ *       bookings and rehearsals. Ranges are limited to 92 days.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: The free intervals of every active room
+ * /api/venues/{id}/calendar:
+ *   get:
+ *     summary: Get every booking and rehearsal in the rooms of a venue
+ *     description: Ranges are limited to 92 days. Released bookings are left out.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: roomId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The bookings and the rehearsal occurrences at the venue
+ *       403:
+ *         description: Not a manager of the venue
+ * /api/venues/{id}/utilization:
+ *   get:
+ *     summary: Get a utilization report of a venue
+ *     description: >
+ *       Per room: the hours booked by confirmed bookings and rehearsals, the hours it
+ *       could be booked, the occupancy between the two and the revenue at the room's
+ *       hourly rate. Ranges are limited to 366 days.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: The report per room, with totals in the venue's currency
+ *       403:
+ *         description: Not a manager of the venue
+ */
+router.get(
+  '/:id/availability',
+  [param('id').isMongoId(), ...dateRangeValidators],
+  validate,
+  getVenueAvailability
+);
+router.get(
+  '/:id/calendar',
+  [param('id').isMongoId(), ...dateRangeValidators, query('roomId').optional().isMongoId()],
+  validate,
+  getVenueCalendar
+);
+router.get(
+  '/:id/utilization',
+  [param('id').isMongoId(), ...dateRangeValidators],
+  validate,
+  getVenueUtilization
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/bookings:
+ *   get:
+ *     summary: Get a venue's bookings in a date range
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [hold, requested, confirmed, rejected, released]
+ *     responses:
+ *       200:
+ *         description: Bookings sorted by start time
+ *   post:
+ *     summary: Place a hold on a room
+ *     description: >
+ *       Holds block the room (plus the venue's setup and teardown buffers) until they
+ *       are confirmed or released, or until they expire after the venue's hold time.
+ *       At venues requiring approval the booking is requested instead: it blocks the
+ *       room until a venue manager approves or rejects it, and the managers are notified.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [roomId, groupId, startDateTime, endDateTime]
+ *             properties:
+ *               roomId:
+ *                 type: string
+ *               groupId:
+ *                 type: string
+ *               rehearsalId:
+ *                 type: string
+ *               startDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               endDateTime:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: The hold
+ *       400:
+ *         description: The venue is closed or the room cannot be booked during this time
+ *       409:
+ *         description: The room is already booked
+ */
+router.get(
+  '/:id/bookings',
+  [
+    param('id').isMongoId(),
+    query('startDate').isISO8601().toDate(),
+    query('endDate').isISO8601().toDate(),
+    query('status').optional().isIn(BOOKING_STATUSES)
+  ],
+  validate,
+  getBookings
+);
+router.post(
+  '/:id/bookings',
+  [
+    param('id').isMongoId(),
+    body('roomId').isMongoId(),
+    body('groupId').isMongoId(),
+    body('rehearsalId').optional().isMongoId(),
+    body('startDateTime').isISO8601().toDate(),
+    body('endDateTime').isISO8601().toDate(),
+    body('endDateTime').custom((endDateTime, { req }) => endDateTime > req.body.startDateTime)
+      .withMessage('End time must be after start time'),
+    body('notes').optional().isString().isLength({ max: 500 })
+  ],
+  validate,
+  requireGroupPermission(PERMISSIONS.BOOK_VENUES, groupIdFrom.body()),
+  createBooking
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/bookings/{bookingId}/confirm:
+ *   post:
+ *     summary: Confirm a hold
+ *     description: >
+ *       Moves the booking's rehearsal into the booked room, as an update kept in its
+ *       history. If that double-books the room it is refused with a 409 and the conflict
+ *       report unless `override` is set.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               override:
+ *                 type: boolean
+ *                 description: Move the rehearsal even if the room is taken
+ *     responses:
+ *       200:
+ *         description: The confirmed booking, with the rehearsal's conflict report
+ *       400:
+ *         description: The hold expired, was released or is waiting for approval
+ *       409:
+ *         description: The rehearsal would double-book the room
+ */
+router.post('/:id/bookings/:bookingId/confirm', overrideValidators, validate, confirmBooking);
+
+/**
+ * @swagger
+ * /api/venues/{id}/bookings/{bookingId}/approve:
+ *   post:
+ *     summary: Approve a booking request
+ *     description: >
+ *       Confirms the booking and moves its rehearsal into the booked room, as an update
+ *       kept in its history. If that double-books the room it is refused with a 409 and
+ *       the conflict report unless `override` is set.
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               override:
+ *                 type: boolean
+ *                 description: Move the rehearsal even if the room is taken
+ *     responses:
+ *       200:
+ *         description: The confirmed booking, with the rehearsal's conflict report
+ *       400:
+ *         description: The booking is not a request
+ *       403:
+ *         description: Not a manager of the venue
+ *       409:
+ *         description: The rehearsal would double-book the room
+ * /api/venues/{id}/bookings/{bookingId}/reject:
+ *   post:
+ *     summary: Reject a booking request
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: The rejected booking
+ *       400:
+ *         description: The booking is not a request
+ *       403:
+ *         description: Not a manager of the venue
+ */
+router.post('/:id/bookings/:bookingId/approve', overrideValidators, validate, approveBooking);
+router.post(
+  '/:id/bookings/:bookingId/reject',
+  [...bookingIdValidators, body('reason').optional().isString().trim().isLength({ max: 500 })],
+  validate,
+  rejectBooking
+);
+
+/**
+ * @swagger
+ * /api/venues/{id}/bookings/{bookingId}/release:
+ *   post:
+ *     summary: Release a hold, booking request or confirmed booking
+ *     tags: [Venues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The released booking
+ */
+router.post('/:id/bookings/:bookingId/release', bookingIdValidators, validate, releaseBooking);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const Rehearsal = require('../models/Rehearsal');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { emitToGroup } = require('./socketService');
+const { notifyMemberAway } = require('./notificationService');
+const { reevaluateRisk } = require('./requirementService');
+const { isValidTimeZone, getDayRangeInterval } = require('../utils/timeZone');
+const { SERVER_EVENTS } = require('../utils/socketEvents');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const zoneOf = (document) => (isValidTimeZone(document.timeZone) ? document.timeZone : 'UTC');
+
+// UTC interval (epoch ms) of an absence, whose dates are days in the user's zone
+const getAbsenceInterval = (absence, user) =>
+  getDayRangeInterval(absence.startDate, absence.endDate, zoneOf(user));
+
+// UTC interval (epoch ms) of a blackout, whose dates are days in the group's zone
+const getBlackoutInterval = (blackout, group) =>
+  getDayRangeInterval(blackout.startDate, blackout.endDate, zoneOf(group));
+
+const overlaps = (interval, start, end) =>
+  interval.start < new Date(end).getTime() && interval.end > new Date(start).getTime();
+
+// Get the user's absence overlapping a time span, or null
+const findAbsence = (user, start, end) =>
+  (user.absences || []).find(absence => overlaps(getAbsenceInterval(absence, user), start, end)) || null;
+
+// Get the group's blackout overlapping a time span, or null
+const findBlackout = (group, start, end) =>
+  (group.blackoutDates || []).find(blackout => overlaps(getBlackoutInterval(blackout, group), start, end)) || null;
+
+const uniqueAttendeeIds = (rehearsal) => [...new Set(
+  [...rehearsal.attendees, ...rehearsal.exceptions.flatMap(exception => exception.attendees || [])]
+    .filter(attendee => attendee.userId)
+    .map(attendee => attendee.userId.toString())
+)];
+
+/**
+ * Apply the absences of a rehearsal's attendees to its upcoming occurrences
+ * before it is saved: pending RSVPs of absent members are declined and answers
+ * saying they would come are flagged. Called whenever a rehearsal is created
+ * or its time changes, so new and reset RSVPs start out declined.
+ *
+ * @param {Object} rehearsal - Rehearsal document, not saved yet
+ * @returns {Promise<Array>} { originalStartDateTime, userId, previousStatus } per change
+ */
+const declineAbsentAttendees = async (rehearsal) => {
+  const now = Date.now();
+  const userIds = uniqueAttendeeIds(rehearsal);
+  if (userIds.length === 0) return [];
+
+  // Absence dates are days in the user's zone, so allow for its offset
+  const users = await User.find({
+    _id: { $in: userIds },
+    'absences.endDate': { $gte: new Date(now - 2 * DAY) }
+  }).select('timeZone absences');
+  if (users.length === 0) return [];
+
+  const horizon = Math.max(...users.flatMap(user =>
+    user.absences.map(absence => getAbsenceInterval(absence, user).end)
+  ));
+  const occurrences = rehearsal
+    .getOccurrences(new Date(now), new Date(horizon))
+    .filter(occurrence => !occurrence.isCancelled && occurrence.startDateTime.getTime() > now);
+
+  const changes = [];
+  occurrences.forEach(occurrence => {
+    users.forEach(user => {
+      const absence = findAbsence(user, occurrence.startDateTime, occurrence.endDateTime);
+      if (!absence) return;
+
+      const previousStatus = rehearsal.applyAbsence(occurrence.originalStartDateTime, user._id, absence);
+      if (previousStatus !== null) {
+        changes.push({ originalStartDateTime: occurrence.originalStartDateTime, userId: user._id, previousStatus });
+      }
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Apply a new absence to the rehearsals the user is already invited to. Pending
+ * RSVPs in the period are declined; where the user had said they would come the
+ * answer stays but is flagged, and the group's schedulers are told either way.
+ *
+ * @param {Object} io - Socket.io server
+ * @param {Object} user - User document holding the absence
+ * @param {Object} absence - The saved absence subdocument
+ * @returns {Promise<Array>} The affected occurrences
+ */
+const applyAbsence = async (io, user, absence) => {
+  const interval = getAbsenceInterval(absence, user);
+  const from = Math.max(interval.start, Date.now());
+  if (from >= interval.end) return [];
+
+  const occurrences = (await Rehearsal.getOccurrencesForMember(user._id, new Date(from), new Date(interval.end)))
+    .filter(occurrence => occurrence.startDateTime.getTime() >= Date.now());
+  const rehearsalIds = [...new Set(occurrences.map(occurrence => occurrence.rehearsalId.toString()))];
+  const rehearsals = await Rehearsal.find({ _id: { $in: rehearsalIds } });
+
+  const affected = [];
+  for (const rehearsal of rehearsals) {
+    const changes = occurrences
+      .filter(occurrence => occurrence.rehearsalId.toString() === rehearsal._id.toString())
+      .map(occurrence => {
+        const previousStatus = rehearsal.applyAbsence(occurrence.originalStartDateTime, user._id, absence);
+        return previousStatus === null ? null : {
+          rehearsalId: rehearsal._id,
+          groupId: rehearsal.groupId,
+          title: rehearsal.title,
+          originalStartDateTime: occurrence.originalStartDateTime,
+          startDateTime: occurrence.startDateTime,
+          endDateTime: occurrence.endDateTime,
+          previousStatus,
+          status: previousStatus === 'pending' ? 'declined' : previousStatus,
+          flagged: previousStatus !== 'pending'
+        };
+      })
+      .filter(Boolean);
+    if (changes.length === 0) continue;
+
+    await rehearsal.save();
+    affected.push(...changes);
+
+    changes
+      .filter(change => !change.flagged)
+      .forEach(change => {
+        emitToGroup(io, rehearsal.groupId, SERVER_EVENTS.RSVP_CHANGED, {
+          rehearsalId: rehearsal._id,
+          userId: user._id,
+          status: 'declined',
+          reason: absence.reason,
+          originalStartDateTime: change.originalStartDateTime
+        });
+      });
+
+    const group = await Group.findById(rehearsal.groupId);
+    if (group) {
+      await notifyMemberAway(io, group, rehearsal, user, absence, changes);
+      await reevaluateRisk(io, group, rehearsal, { actorId: user._id });
+    }
+  }
+
+  return affected;
+};
+
+/**
+ * Undo a deleted absence on upcoming occurrences: RSVPs it declined go back to
+ * pending and flags it set are cleared.
+ *
+ * @param {Object} io - Socket.io server
+ * @param {string} absenceId - The deleted absence
+ * @param {string} actorId - User who deleted it
+ * @returns {Promise<number>} How many rehearsals changed
+ */
+const releaseAbsence = async (io, absenceId, actorId) => {
+  const rehearsals = await Rehearsal.find({
+    $or: [{ 'attendees.absenceId': absenceId }, { 'exceptions.attendees.absenceId': absenceId }]
+  });
+
+  let released = 0;
+  for (const rehearsal of rehearsals) {
+    if (!rehearsal.releaseAbsence(absenceId)) continue;
+
+    await rehearsal.save();
+    released += 1;
+
+    emitToGroup(io, rehearsal.groupId, SERVER_EVENTS.REHEARSAL_UPDATED, { rehearsalId: rehearsal._id });
+    const group = await Group.findById(rehearsal.groupId);
+    if (group) {
+      await reevaluateRisk(io, group, rehearsal, { actorId });
+    }
+  }
+
+  return released;
+};
+
+module.exports = {
+  getAbsenceInterval,
+  getBlackoutInterval,
+  findAbsence,
+  findBlackout,
+  declineAbsentAttendees,
+  applyAbsence,
+  releaseAbsence
+};
@@ -0,0 +1,200 @@
+const Rehearsal = require('../models/Rehearsal');
+const User = require('../models/User');
+const { getZonedParts } = require('../utils/timeZone');
+const { isPromised } = require('./attendanceService');
+
+const HOUR = 60 * 60 * 1000;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Parts of the day rehearsals are grouped into, by local start hour
+const TIMES_OF_DAY = ['morning', 'afternoon', 'evening', 'night'];
+
+const getTimeOfDay = (hour) => {
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 22) return 'evening';
+  return 'night';
+};
+
+const emptyCounts = () => ({ invited: 0, confirmed: 0, tentative: 0, late: 0, declined: 0, pending: 0 });
+
+// Promises against check-ins, only over occurrences where check-ins were taken
+const emptyTurnout = () => ({ tracked: 0, promised: 0, kept: 0, noShows: 0, unannounced: 0 });
+
+const countResponse = (counts, status) => {
+  counts.invited++;
+  counts[status]++;
+};
+
+// Share of invitations, rounded to three decimals; null when nobody was invited
+const rate = (count, invited) => (invited > 0 ? Math.round((count / invited) * 1000) / 1000 : null);
+
+const withRates = (counts) => ({
+  ...counts,
+  confirmationRate: rate(counts.confirmed, counts.invited),
+  tentativeRate: rate(counts.tentative, counts.invited),
+  lateRate: rate(counts.late, counts.invited),
+  declineRate: rate(counts.declined, counts.invited),
+  noResponseRate: rate(counts.pending, counts.invited)
+});
+
+const countTurnout = (turnout, status, checkedIn) => {
+  turnout.tracked++;
+  if (isPromised(status)) {
+    turnout.promised++;
+    turnout[checkedIn ? 'kept' : 'noShows']++;
+  } else if (checkedIn) {
+    turnout.unannounced++;
+  }
+};
+
+// Share of promises kept; null when nothing was promised
+const withShowUpRate = (turnout) => ({ ...turnout, showUpRate: rate(turnout.kept, turnout.promised) });
+
+const median = (values) => {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const hoursOrNull = (milliseconds) =>
+  milliseconds === null ? null : Math.round((milliseconds / HOUR) * 10) / 10;
+
+// Counters per weekday and per time of day
+const emptyPatterns = () => ({
+  dayOfWeek: WEEKDAY_NAMES.map(() => emptyCounts()),
+  timeOfDay: Object.fromEntries(TIMES_OF_DAY.map(key => [key, emptyCounts()]))
+});
+
+const emptyMemberStats = () => ({
+  counts: emptyCounts(),
+  turnout: emptyTurnout(),
+  patterns: emptyPatterns(),
+  latencies: []
+});
+
+const describePatterns = (patterns) => ({
+  dayOfWeek: patterns.dayOfWeek.map((counts, day) => ({ day, name: WEEKDAY_NAMES[day], ...withRates(counts) })),
+  timeOfDay: TIMES_OF_DAY.map(key => ({ timeOfDay: key, ...withRates(patterns.timeOfDay[key]) }))
+});
+
+/**
+ * Aggregate a group's RSVPs over the rehearsal occurrences in a date range.
+ *
+ * Occurrences that have not started yet are left out, so open RSVPs for
+ * upcoming rehearsals do not count as missing responses. RSVP latency is the
+ * time from the rehearsal being scheduled to the member's response; a series
+ * RSVP shared by many occurrences counts once. Turnout compares RSVPs with
+ * check-ins, counting only occurrences where anyone was checked in so groups
+ * that do not take check-ins are not reported as no-shows.
+ *
+ * @param {Object} group - Group document
+ * @param {Object} options
+ * @param {Date} options.startDate - Start of the range
+ * @param {Date} options.endDate - End of the range
+ * @param {string} options.timeZone - Zone the weekday and time-of-day patterns are read in
+ */
+const getGroupAttendanceAnalytics = async (group, { startDate, endDate, timeZone }) => {
+  const rangeEnd = new Date(Math.min(endDate.getTime(), Date.now()));
+  const occurrences = rangeEnd > startDate
+    ? (await Rehearsal.findOccurrences({ groupId: group._id }, startDate, rangeEnd))
+      .filter(occurrence => occurrence.startDateTime >= startDate && occurrence.startDateTime < rangeEnd)
+    : [];
+
+  const rehearsals = await Rehearsal.find({
+    _id: { $in: [...new Set(occurrences.map(occurrence => occurrence.rehearsalId.toString()))] }
+  }).select('createdAt');
+  const scheduledAt = new Map(rehearsals.map(rehearsal => [rehearsal._id.toString(), rehearsal.createdAt]));
+
+  const totals = emptyCounts();
+  const turnout = emptyTurnout();
+  const groupPatterns = emptyPatterns();
+  const groupLatencies = [];
+  const members = new Map();
+  const countedResponses = new Set();
+
+  const getMemberStats = (userId) => {
+    if (!members.has(userId)) {
+      members.set(userId, emptyMemberStats());
+    }
+    return members.get(userId);
+  };
+
+  occurrences.forEach(occurrence => {
+    const local = getZonedParts(occurrence.startDateTime, timeZone);
+    const timeOfDay = getTimeOfDay(local.hour);
+    const rehearsalId = occurrence.rehearsalId.toString();
+    const checkedIn = new Set(occurrence.checkIns.map(checkIn => checkIn.userId.toString()));
+
+    // Substitutes are not members, so they stay out of member statistics
+    occurrence.attendees.filter(attendee => !attendee.isGuest).forEach(attendee => {
+      const userId = attendee.userId.toString();
+      const stats = getMemberStats(userId);
+
+      if (checkedIn.size > 0) {
+        countTurnout(turnout, attendee.status, checkedIn.has(userId));
+        countTurnout(stats.turnout, attendee.status, checkedIn.has(userId));
+      }
+
+      [totals, groupPatterns.dayOfWeek[local.weekday], groupPatterns.timeOfDay[timeOfDay]]
+        .forEach(counts => countResponse(counts, attendee.status));
+      [stats.counts, stats.patterns.dayOfWeek[local.weekday], stats.patterns.timeOfDay[timeOfDay]]
+        .forEach(counts => countResponse(counts, attendee.status));
+
+      if (attendee.status === 'pending' || !attendee.responseTime) return;
+
+      const responseKey = `${rehearsalId}:${userId}:${attendee.responseTime.getTime()}`;
+      const createdAt = scheduledAt.get(rehearsalId);
+      if (countedResponses.has(responseKey) || !createdAt || attendee.responseTime < createdAt) return;
+
+      countedResponses.add(responseKey);
+      const latency = attendee.responseTime - createdAt;
+      stats.latencies.push(latency);
+      groupLatencies.push(latency);
+    });
+  });
+
+  const memberIds = new Set([
+    ...group.members.map(member => member.userId.toString()),
+    ...members.keys()
+  ]);
+  const users = await User.find({ _id: { $in: [...memberIds] } }).select('firstName lastName');
+  const names = new Map(users.map(user => [user._id.toString(), `${user.firstName} ${user.lastName}`]));
+
+  const memberResults = [...memberIds]
+    .map(userId => {
+      const stats = members.get(userId) || emptyMemberStats();
+      return {
+        userId,
+        name: names.get(userId) || null,
+        isMember: group.isMember(userId),
+        ...withRates(stats.counts),
+        medianResponseHours: hoursOrNull(median(stats.latencies)),
+        turnout: withShowUpRate(stats.turnout),
+        patterns: describePatterns(stats.patterns)
+      };
+    })
+    .sort((a, b) => b.invited - a.invited || (a.name || '').localeCompare(b.name || ''));
+
+  return {
+    range: { startDate, endDate: rangeEnd, timeZone },
+    summary: {
+      occurrences: occurrences.length,
+      ...withRates(totals),
+      averageConfirmedPerOccurrence: occurrences.length > 0
+        ? Math.round((totals.confirmed / occurrences.length) * 10) / 10
+        : null,
+      medianResponseHours: hoursOrNull(median(groupLatencies)),
+      turnout: withShowUpRate(turnout)
+    },
+    patterns: describePatterns(groupPatterns),
+    members: memberResults
+  };
+};
+
+module.exports = {
+  getGroupAttendanceAnalytics
+};
@@ -0,0 +1,76 @@
+// RSVP answers that promise the member will be there
+const PROMISED_STATUSES = ['confirmed', 'late'];
+
+const isPromised = (status) => PROMISED_STATUSES.includes(status);
+
+/**
+ * Compare an RSVP with the check-in record. Outcomes:
+ * - kept: said they would come and checked in
+ * - no_show: said they would come but did not check in
+ * - unannounced: checked in without having promised to come
+ * - absent: did not promise and did not come
+ */
+const getOutcome = (status, checkedIn) => {
+  if (isPromised(status)) return checkedIn ? 'kept' : 'no_show';
+  return checkedIn ? 'unannounced' : 'absent';
+};
+
+/**
+ * Build the promised-versus-actual attendance report of one occurrence.
+ * Members checked in without being on the attendee list are included with
+ * a null status.
+ *
+ * @param {Object} occurrence - Occurrence from expandOccurrences / getOccurrence
+ */
+const buildAttendanceReport = (occurrence) => {
+  const checkIns = new Map(occurrence.checkIns.map(checkIn => [checkIn.userId.toString(), checkIn]));
+  const startTime = occurrence.startDateTime.getTime();
+
+  const describe = (userId, attendee) => {
+    const checkIn = userId ? checkIns.get(userId) : null;
+    const minutesLate = checkIn ? Math.round((checkIn.checkedInAt.getTime() - startTime) / 60000) : null;
+    return {
+      userId,
+      isGuest: Boolean(attendee && attendee.isGuest),
+      name: attendee && attendee.isGuest ? attendee.name : undefined,
+      status: attendee ? attendee.status : null,
+      reason: attendee ? attendee.reason : undefined,
+      eta: attendee ? attendee.eta : undefined,
+      checkedInAt: checkIn ? checkIn.checkedInAt : null,
+      minutesLate: minutesLate !== null && minutesLate > 0 ? minutesLate : 0,
+      outcome: getOutcome(attendee && attendee.status, Boolean(checkIn))
+    };
+  };
+
+  const idOf = (attendee) => (attendee.userId ? attendee.userId.toString() : null);
+  const invited = new Set(occurrence.attendees.map(idOf));
+  const attendees = [
+    ...occurrence.attendees.map(attendee => describe(idOf(attendee), attendee)),
+    ...[...checkIns.keys()].filter(userId => !invited.has(userId)).map(userId => describe(userId, null))
+  ];
+
+  const count = (outcome) => attendees.filter(attendee => attendee.outcome === outcome).length;
+
+  return {
+    rehearsalId: occurrence.rehearsalId,
+    originalStartDateTime: occurrence.originalStartDateTime,
+    startDateTime: occurrence.startDateTime,
+    endDateTime: occurrence.endDateTime,
+    summary: {
+      invited: occurrence.attendees.length,
+      promised: attendees.filter(attendee => isPromised(attendee.status)).length,
+      attended: checkIns.size,
+      kept: count('kept'),
+      noShows: count('no_show'),
+      unannounced: count('unannounced'),
+      arrivedLate: attendees.filter(attendee => attendee.minutesLate > 0).length
+    },
+    attendees
+  };
+};
+
+module.exports = {
+  isPromised,
+  getOutcome,
+  buildAttendanceReport
+};
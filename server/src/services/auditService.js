@@ -0,0 +1,68 @@
+const AuditLog = require('../models/AuditLog');
+const { logError } = require('../utils/logger');
+
+/**
+ * Append an entry to the audit log. Logging never fails the action it records:
+ * errors are reported and swallowed.
+ *
+ * @param {Object} entry
+ * @param {string} [entry.groupId] - Group the action concerns
+ * @param {string} entry.actorId - User who took the action
+ * @param {string} entry.action - One of AUDIT_ACTIONS; its prefix is the target type
+ * @param {string} [entry.targetId]
+ * @param {string} [entry.targetLabel] - Name of the target, kept after it is deleted
+ * @param {Object} [entry.before] - Changed values before the action
+ * @param {Object} [entry.after] - Changed values after the action
+ * @param {Object} [entry.details] - Context, e.g. the occurrence concerned or a reason
+ * @returns {Promise<Object|null>} The entry, or null when it could not be stored
+ */
+const recordAudit = async ({ groupId, actorId, action, targetId, targetLabel, before, after, details }) => {
+  try {
+    return await AuditLog.create({
+      groupId,
+      actorId,
+      action,
+      targetType: action.split('.')[0],
+      targetId,
+      targetLabel,
+      before,
+      after,
+      details
+    });
+  } catch (error) {
+    logError(`Recording audit entry ${action} failed`, error);
+    return null;
+  }
+};
+
+// Split a list of field changes ([{ field, from, to }], as kept in a
+// rehearsal's history) into the before and after values of an audit entry
+const fromChanges = (changes) => ({
+  before: Object.fromEntries(changes.map(({ field, from }) => [field, from])),
+  after: Object.fromEntries(changes.map(({ field, to }) => [field, to]))
+});
+
+// Pick the values of some fields of a document, as plain values
+const valuesOf = (doc, fields) =>
+  Object.fromEntries(fields.map(field => [
+    field,
+    doc[field] && typeof doc[field].toObject === 'function' ? doc[field].toObject() : doc[field]
+  ]));
+
+// Keep only the fields whose values differ between two sets of values
+const changedValues = (before, after) => {
+  const fields = Object.keys({ ...before, ...after })
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+  return {
+    before: Object.fromEntries(fields.map(field => [field, before[field]])),
+    after: Object.fromEntries(fields.map(field => [field, after[field]]))
+  };
+};
+
+module.exports = {
+  recordAudit,
+  fromChanges,
+  valuesOf,
+  changedValues
+};
@@ -0,0 +1,162 @@
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const BusyBlock = require('../models/BusyBlock');
+const CalendarSource = require('../models/CalendarSource');
+const User = require('../models/User');
+const { parseCalendar } = require('../utils/icalendar');
+const { isInternalAddress, hostOf, publicOnlyLookup } = require('../utils/networkAddress');
+
+const DAY = 24 * 60 * 60 * 1000;
+const IMPORT_HORIZON_DAYS = 180;
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+
+// What a failed sync records and reports. Why it failed stays on the server,
+// so calendar URLs cannot be used to find out what other hosts answer
+const SYNC_FAILED_MESSAGE = 'The calendar could not be downloaded or is not a valid iCalendar feed';
+
+// Download an iCalendar document, accepting webcal:// links as calendar apps do.
+// Only public hosts are connected to, also when following a redirect
+const fetchCalendar = (url, redirects = 0) => new Promise((resolve, reject) => {
+  const target = new URL(url.replace(/^webcals?:\/\//i, 'https://'));
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    reject(new Error(`Unsupported protocol ${target.protocol}`));
+    return;
+  }
+
+  // Addresses are connected to without a lookup, so check them here
+  const host = hostOf(target);
+  if (net.isIP(host) && isInternalAddress(host)) {
+    reject(new Error(`${host} is an internal address`));
+    return;
+  }
+
+  const client = target.protocol === 'http:' ? http : https;
+  const request = client.get(target, { timeout: FETCH_TIMEOUT_MS, lookup: publicOnlyLookup }, (response) => {
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      if (redirects >= MAX_REDIRECTS) {
+        reject(new Error('Too many redirects'));
+        return;
+      }
+      resolve(fetchCalendar(new URL(headers.location, target).toString(), redirects + 1));
+      return;
+    }
+
+    if (statusCode !== 200) {
+      response.resume();
+      reject(new Error(`Calendar URL responded with status ${statusCode}`));
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_CALENDAR_BYTES) {
+        request.destroy(new Error('Calendar is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    response.on('error', reject);
+  });
+
+  request.on('timeout', () => request.destroy(new Error('Calendar URL timed out')));
+  request.on('error', reject);
+});
+
+/**
+ * Replace the busy blocks of a calendar source with the events of an iCalendar
+ * document. Blocks are upserted on the event identifiers, so importing the same
+ * calendar again updates the existing blocks instead of duplicating them, and
+ * events that disappeared from the calendar are removed.
+ */
+const importCalendar = async (source, text) => {
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('The file is not an iCalendar document');
+  }
+
+  const user = await User.findById(source.userId).select('timeZone');
+  const events = parseCalendar(text, {
+    defaultTimeZone: user ? user.timeZone : 'UTC',
+    horizonStart: new Date(Date.now() - DAY),
+    horizonEnd: new Date(Date.now() + IMPORT_HORIZON_DAYS * DAY)
+  });
+
+  // Calendars may repeat an event identifier; the last definition wins
+  const eventsById = new Map(events.map(event => [event.externalId, event]));
+
+  if (eventsById.size > 0) {
+    await BusyBlock.bulkWrite([...eventsById.values()].map(event => ({
+      updateOne: {
+        filter: { sourceId: source._id, externalId: event.externalId },
+        update: {
+          $set: {
+            userId: source.userId,
+            summary: event.summary,
+            startDateTime: event.startDateTime,
+            endDateTime: event.endDateTime,
+            allDay: event.allDay
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  await BusyBlock.deleteMany({
+    sourceId: source._id,
+    externalId: { $nin: [...eventsById.keys()] }
+  });
+
+  source.lastSyncedAt = new Date();
+  source.lastSyncStatus = 'success';
+  source.lastError = undefined;
+  source.eventCount = eventsById.size;
+  await source.save();
+
+  return source;
+};
+
+// Fetch and import a URL calendar source, recording failures on the source.
+// Failures are recorded and thrown as SYNC_FAILED_MESSAGE
+const syncUrlSource = async (source) => {
+  try {
+    const text = await fetchCalendar(source.url);
+    return await importCalendar(source, text);
+  } catch (error) {
+    source.lastSyncStatus = 'error';
+    source.lastError = SYNC_FAILED_MESSAGE;
+    await source.save();
+    throw new Error(SYNC_FAILED_MESSAGE);
+  }
+};
+
+// Re-import every URL calendar source; used by the scheduled sync job
+const syncAllUrlSources = async () => {
+  const sources = await CalendarSource.find({ type: 'url' });
+  let failed = 0;
+
+  for (const source of sources) {
+    try {
+      await syncUrlSource(source);
+    } catch (error) {
+      failed++;
+    }
+  }
+
+  return { synced: sources.length - failed, failed };
+};
+
+module.exports = {
+  fetchCalendar,
+  importCalendar,
+  syncUrlSource,
+  syncAllUrlSources
+};
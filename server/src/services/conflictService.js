@@ -0,0 +1,251 @@
+const Rehearsal = require('../models/Rehearsal');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const BusyBlock = require('../models/BusyBlock');
+const {
+  getMemberFreeIntervals,
+  isFreeDuring,
+  hasDeclaredAvailability
+} = require('./schedulingService');
+const { isPromised } = require('./attendanceService');
+const { findAbsence, findBlackout } = require('./absenceService');
+
+// Recurring rehearsals are checked over their next occurrences only, from
+// now or their start if that is later
+const MAX_CHECKED_OCCURRENCES = 26;
+const CHECK_HORIZON_DAYS = 366;
+
+const summarizeOccurrence = (occurrence) => ({
+  rehearsalId: occurrence.rehearsalId,
+  groupId: occurrence.groupId,
+  title: occurrence.title,
+  originalStartDateTime: occurrence.originalStartDateTime,
+  startDateTime: occurrence.startDateTime,
+  endDateTime: occurrence.endDateTime,
+  venueId: occurrence.venueId,
+  roomId: occurrence.roomId
+});
+
+const summarizeBlackout = (blackout) => ({
+  blackoutId: blackout._id,
+  startDate: blackout.startDate,
+  endDate: blackout.endDate,
+  reason: blackout.reason
+});
+
+const summarizeBooking = (booking) => ({
+  bookingId: booking._id,
+  groupId: booking.groupId,
+  roomId: booking.roomId,
+  status: booking.status,
+  startDateTime: booking.startDateTime,
+  endDateTime: booking.endDateTime
+});
+
+/**
+ * Build a detailed conflict report for a (possibly unsaved) rehearsal.
+ *
+ * For every checked occurrence the report lists:
+ * - venueConflicts: other rehearsals and room bookings clashing at the venue
+ * - memberConflicts: attendees already confirmed for an overlapping rehearsal
+ *   of another group
+ * - availabilityViolations: attendees scheduled outside their declared
+ *   availability or during busy time imported from their calendars
+ * - blackoutConflicts: occurrences falling on the group's blackout dates
+ *
+ * Attendees who are away are listed under absences instead. They do not count
+ * as conflicts since saving the rehearsal declines them.
+ *
+ * Declined attendees are not checked, and neither are members who have not
+ * declared any availability.
+ *
+ * `excludeRehearsalIds` lists other rehearsals not to count as conflicts, like
+ * the series a new series is split from, which is not saved yet.
+ *
+ * Occurrences that are over by `now` are not checked, so editing a series
+ * that started long ago checks its upcoming occurrences.
+ */
+const buildConflictReport = async (rehearsal, { excludeRehearsalIds = [], now = new Date() } = {}) => {
+  const excluded = [rehearsal._id, ...excludeRehearsalIds];
+  const from = new Date(Math.max(now.getTime(), rehearsal.startDateTime.getTime()));
+  const horizon = new Date(from.getTime() + CHECK_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+  const occurrences = rehearsal
+    .getOccurrences(from, horizon)
+    .slice(0, MAX_CHECKED_OCCURRENCES);
+
+  const report = {
+    venueConflicts: [],
+    memberConflicts: [],
+    availabilityViolations: [],
+    blackoutConflicts: [],
+    absences: [],
+    checkedOccurrences: occurrences.length,
+    hasConflicts: false
+  };
+  if (occurrences.length === 0) return report;
+
+  const rangeStart = occurrences[0].startDateTime;
+  const rangeEnd = new Date(Math.max(...occurrences.map(occurrence => occurrence.endDateTime.getTime())));
+
+  const attendeeIds = [...new Set(
+    occurrences.flatMap(occurrence => occurrence.attendees
+      .filter(attendee => attendee.status !== 'declined' && attendee.userId)
+      .map(attendee => attendee.userId.toString()))
+  )];
+
+  const [group, users, busyBlocks, otherOccurrences] = await Promise.all([
+    Group.findById(rehearsal.groupId).select('timeZone blackoutDates'),
+    User.find({ _id: { $in: attendeeIds } })
+      .select('firstName lastName timeZone defaultAvailability oneTimeAvailability absences'),
+    BusyBlock.findForUsers(attendeeIds, rangeStart, rangeEnd),
+    Rehearsal.findOccurrences(
+      {
+        _id: { $nin: excluded },
+        groupId: { $ne: rehearsal.groupId },
+        $or: [
+          { 'attendees.userId': { $in: attendeeIds } },
+          { 'exceptions.attendees.userId': { $in: attendeeIds } }
+        ]
+      },
+      rangeStart,
+      rangeEnd
+    )
+  ]);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  for (const occurrence of occurrences) {
+    const start = occurrence.startDateTime.getTime();
+    const end = occurrence.endDateTime.getTime();
+
+    const venue = await Rehearsal.findVenueConflicts(
+      occurrence.venueId,
+      occurrence.startDateTime,
+      occurrence.endDateTime,
+      excluded,
+      occurrence.roomId
+    );
+    if (venue.rehearsals.length > 0 || venue.bookings.length > 0) {
+      report.venueConflicts.push({
+        occurrenceStart: occurrence.startDateTime,
+        rehearsals: venue.rehearsals.map(summarizeOccurrence),
+        bookings: venue.bookings.map(summarizeBooking)
+      });
+    }
+
+    const blackout = group && findBlackout(group, occurrence.startDateTime, occurrence.endDateTime);
+    if (blackout) {
+      report.blackoutConflicts.push({
+        occurrenceStart: occurrence.startDateTime,
+        blackout: summarizeBlackout(blackout)
+      });
+    }
+
+    const activeAttendees = occurrence.attendees.filter(attendee => attendee.status !== 'declined' && attendee.userId);
+
+    activeAttendees.forEach(attendee => {
+      const userId = attendee.userId.toString();
+      const user = usersById.get(userId);
+      const name = user ? user.fullName : undefined;
+
+      const clashes = otherOccurrences.filter(other =>
+        other.startDateTime.getTime() < end &&
+        other.endDateTime.getTime() > start &&
+        other.attendees.some(a => a.userId && a.userId.toString() === userId && isPromised(a.status))
+      );
+      if (clashes.length > 0) {
+        report.memberConflicts.push({
+          occurrenceStart: occurrence.startDateTime,
+          userId,
+          name,
+          rehearsals: clashes.map(summarizeOccurrence)
+        });
+      }
+
+      const absence = user && findAbsence(user, occurrence.startDateTime, occurrence.endDateTime);
+      if (absence) {
+        report.absences.push({
+          occurrenceStart: occurrence.startDateTime,
+          userId,
+          name,
+          status: attendee.status,
+          absence: {
+            absenceId: absence._id,
+            startDate: absence.startDate,
+            endDate: absence.endDate,
+            reason: absence.reason
+          }
+        });
+        return;
+      }
+
+      if (!user || !hasDeclaredAvailability(user)) return;
+
+      const userBusyBlocks = busyBlocks.filter(block => block.userId.toString() === userId);
+      const isAvailable = isFreeDuring(
+        getMemberFreeIntervals(user, occurrence.startDateTime, occurrence.endDateTime),
+        start,
+        end
+      );
+      const isFree = isAvailable && isFreeDuring(
+        getMemberFreeIntervals(user, occurrence.startDateTime, occurrence.endDateTime, userBusyBlocks),
+        start,
+        end
+      );
+
+      if (!isFree) {
+        report.availabilityViolations.push({
+          occurrenceStart: occurrence.startDateTime,
+          userId,
+          name,
+          reason: isAvailable ? 'busy' : 'outside_availability'
+        });
+      }
+    });
+  }
+
+  report.hasConflicts = report.venueConflicts.length > 0 ||
+    report.memberConflicts.length > 0 ||
+    report.availabilityViolations.length > 0 ||
+    report.blackoutConflicts.length > 0;
+
+  return report;
+};
+
+/**
+ * Check a proposed time slot (e.g. a poll option) before any rehearsal exists
+ * for it: the group's own rehearsals overlapping it, its blackout dates, and
+ * other rehearsals and room bookings at its venue.
+ *
+ * @param {string} groupId - Group proposing the slot
+ * @param {Object} slot - { startDateTime, endDateTime, venueId?, roomId? }
+ * @returns {Promise<Object>} { groupRehearsals, blackouts, venueRehearsals, bookings, hasConflicts }
+ */
+const checkSlotConflicts = async (groupId, slot) => {
+  const [group, groupOccurrences, venue] = await Promise.all([
+    Group.findById(groupId).select('timeZone blackoutDates'),
+    Rehearsal.findOccurrences({ groupId }, slot.startDateTime, slot.endDateTime),
+    Rehearsal.findVenueConflicts(slot.venueId, slot.startDateTime, slot.endDateTime, null, slot.roomId)
+  ]);
+
+  const groupRehearsals = groupOccurrences.map(summarizeOccurrence);
+  const blackout = group && findBlackout(group, slot.startDateTime, slot.endDateTime);
+  const blackouts = blackout ? [summarizeBlackout(blackout)] : [];
+  const venueRehearsals = venue.rehearsals
+    .filter(occurrence => occurrence.groupId.toString() !== groupId.toString())
+    .map(summarizeOccurrence);
+  const bookings = venue.bookings.map(summarizeBooking);
+
+  return {
+    groupRehearsals,
+    blackouts,
+    venueRehearsals,
+    bookings,
+    hasConflicts: groupRehearsals.length > 0 || blackouts.length > 0 ||
+      venueRehearsals.length > 0 || bookings.length > 0
+  };
+};
+
+module.exports = {
+  buildConflictReport,
+  checkSlotConflicts
+};
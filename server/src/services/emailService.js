@@ -0,0 +1,38 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// SMTP settings come from the environment. Without SMTP_HOST the transport
+// talks to localhost:1025, where a local stand-in such as MailHog or
+// smtp4dev catches every message during development
+const getTransporter = () => {
+  if (!transporter) {
+    const auth = process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} Delivery info from nodemailer
+ */
+const sendEmail = ({ to, subject, text, html }) =>
+  getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || 'MusicJam Scheduler <no-reply@musicjam.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+module.exports = { sendEmail };
@@ -0,0 +1,240 @@
+const Rehearsal = require('../models/Rehearsal');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+
+// Amounts are added up in whole cents so splits and balances do not drift
+const toCents = (amount) => Math.round(amount * 100);
+const fromCents = (cents) => cents / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Split an amount of cents by weight. The cents left over by rounding go to
+ * the largest remainders, so the parts always add up to the amount. Without
+ * any weight the amount is split equally.
+ *
+ * @param {number} cents - Amount to split
+ * @param {Array<number>} weights - One weight per part
+ * @returns {Array<number>} The parts, in cents, in the order of the weights
+ */
+const splitCents = (cents, weights) => {
+  if (weights.length === 0) return [];
+
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const effective = total > 0 ? weights : weights.map(() => 1);
+  const effectiveTotal = total > 0 ? total : weights.length;
+
+  const exact = effective.map(weight => (cents * weight) / effectiveTotal);
+  const parts = exact.map(Math.floor);
+  let leftover = cents - parts.reduce((sum, part) => sum + part, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(({ index }) => {
+      if (leftover <= 0) return;
+      parts[index] += 1;
+      leftover -= 1;
+    });
+
+  return parts;
+};
+
+// Weight of each participant: 1 for equal splits, otherwise the custom share,
+// defaulting to 1 for participants the shares do not name
+const getWeights = (cost, participants) => {
+  if (cost.splitMode !== 'custom') return participants.map(() => 1);
+
+  const weights = new Map(cost.shares.map(share => [share.userId.toString(), share.weight]));
+  return participants.map(userId => (weights.has(userId) ? weights.get(userId) : 1));
+};
+
+/**
+ * Work out the cost of an occurrence and how it is split. Occurrences that
+ * have ended are charged; later ones are an estimate from the current RSVPs.
+ * Nobody is charged for an occurrence nobody confirmed or checked in to.
+ *
+ * @param {Object} rehearsal - Rehearsal document with a cost
+ * @param {Object} occurrence - One of its occurrences
+ * @param {Date} [now] - When occurrences count as having taken place
+ */
+const getOccurrenceCharge = (rehearsal, occurrence, now = new Date()) => {
+  const amount = rehearsal.getOccurrenceCost(occurrence);
+  const participants = rehearsal.getCostParticipants(occurrence);
+  const parts = splitCents(toCents(amount), getWeights(rehearsal.cost, participants));
+
+  return {
+    rehearsalId: rehearsal._id,
+    title: rehearsal.title,
+    originalStartDateTime: occurrence.originalStartDateTime,
+    startDateTime: occurrence.startDateTime,
+    endDateTime: occurrence.endDateTime,
+    amount,
+    paidBy: rehearsal.cost.paidBy,
+    isCharged: occurrence.endDateTime <= now,
+    shares: participants.map((userId, index) => ({ userId, amount: fromCents(parts[index]) }))
+  };
+};
+
+// Get the charges of every occurrence of a rehearsal with a cost within a range
+const getRehearsalCharges = (rehearsal, rangeStart, rangeEnd) => {
+  if (!rehearsal.cost) return [];
+
+  const now = new Date();
+  return rehearsal
+    .getOccurrences(rangeStart, rangeEnd)
+    .map(occurrence => getOccurrenceCharge(rehearsal, occurrence, now));
+};
+
+/**
+ * Suggest the fewest payments that settle every balance: whoever owes the
+ * most pays whoever is owed the most, until everyone is even.
+ *
+ * @param {Map<string, number>} balances - Balance in cents per user; positive is owed money
+ * @returns {Array} { fromUserId, toUserId, amount } per payment
+ */
+const suggestSettlements = (balances) => {
+  const debtors = [];
+  const creditors = [];
+  balances.forEach((cents, userId) => {
+    if (cents < 0) debtors.push({ userId, cents: -cents });
+    if (cents > 0) creditors.push({ userId, cents });
+  });
+
+  const byAmount = (a, b) => b.cents - a.cents || a.userId.localeCompare(b.userId);
+  debtors.sort(byAmount);
+  creditors.sort(byAmount);
+
+  const settlements = [];
+  let debtorIndex = 0;
+  let creditorIndex = 0;
+  while (debtorIndex < debtors.length && creditorIndex < creditors.length) {
+    const debtor = debtors[debtorIndex];
+    const creditor = creditors[creditorIndex];
+    const cents = Math.min(debtor.cents, creditor.cents);
+
+    settlements.push({ fromUserId: debtor.userId, toUserId: creditor.userId, amount: fromCents(cents) });
+    debtor.cents -= cents;
+    creditor.cents -= cents;
+    if (debtor.cents === 0) debtorIndex++;
+    if (creditor.cents === 0) creditorIndex++;
+  }
+
+  return settlements;
+};
+
+/**
+ * Build a group's ledger: every charged rehearsal occurrence and recorded
+ * payment, the resulting balance of each member and payments that would
+ * settle up. Balances always run over the whole history; a date range only
+ * narrows the entries listed.
+ *
+ * A member's balance goes up by the costs they paid and the payments they
+ * made, and down by their shares and the payments they received, so a
+ * positive balance is owed to them and a negative one is what they owe.
+ *
+ * @param {Object} group - Group document
+ * @param {Object} [options] - { startDate, endDate } of the entries to list
+ * @returns {Promise<Object>} { currency, balances, settlements, entries }
+ */
+const getGroupLedger = async (group, options = {}) => {
+  const { startDate, endDate } = options;
+  const now = new Date();
+
+  const [rehearsals, payments] = await Promise.all([
+    Rehearsal.find({ groupId: group._id, 'cost.source': { $exists: true } }),
+    Payment.find({ groupId: group._id, paidAt: { $lte: now } }).sort({ paidAt: 1 })
+  ]);
+
+  const charges = rehearsals
+    .flatMap(rehearsal => getRehearsalCharges(rehearsal, new Date(0), now))
+    .filter(charge => charge.isCharged && charge.shares.length > 0);
+
+  const balances = new Map();
+  const totals = new Map();
+  const add = (userId, field, cents) => {
+    const key = idOf(userId);
+    const entry = totals.get(key) || { paid: 0, share: 0, sent: 0, received: 0 };
+    entry[field] += cents;
+    totals.set(key, entry);
+    balances.set(key, (balances.get(key) || 0) + (field === 'paid' || field === 'sent' ? cents : -cents));
+  };
+
+  charges.forEach(charge => {
+    add(charge.paidBy, 'paid', toCents(charge.amount));
+    charge.shares.forEach(share => add(share.userId, 'share', toCents(share.amount)));
+  });
+  payments.forEach(payment => {
+    add(payment.fromUserId, 'sent', toCents(payment.amount));
+    add(payment.toUserId, 'received', toCents(payment.amount));
+  });
+
+  const users = await User.find({ _id: { $in: [...totals.keys()] } }).select('firstName lastName');
+  const names = new Map(users.map(user => [user._id.toString(), `${user.firstName} ${user.lastName}`]));
+  const nameOf = (userId) => names.get(idOf(userId)) || null;
+
+  const inRange = (date) => (!startDate || date >= startDate) && (!endDate || date < endDate);
+  const entries = [
+    ...charges
+      .filter(charge => inRange(charge.startDateTime))
+      .map(charge => ({
+        type: 'charge',
+        date: charge.startDateTime,
+        rehearsalId: charge.rehearsalId,
+        originalStartDateTime: charge.originalStartDateTime,
+        description: charge.title || 'Rehearsal',
+        amount: charge.amount,
+        paidBy: { userId: charge.paidBy, name: nameOf(charge.paidBy) },
+        shares: charge.shares.map(share => ({ ...share, name: nameOf(share.userId) }))
+      })),
+    ...payments
+      .filter(payment => inRange(payment.paidAt))
+      .map(payment => ({
+        type: 'payment',
+        date: payment.paidAt,
+        paymentId: payment._id,
+        description: payment.note || 'Payment',
+        amount: payment.amount,
+        from: { userId: payment.fromUserId, name: nameOf(payment.fromUserId) },
+        to: { userId: payment.toUserId, name: nameOf(payment.toUserId) }
+      }))
+  ].sort((a, b) => a.date - b.date);
+
+  return {
+    currency: group.currency,
+    balances: [...totals.entries()]
+      .map(([userId, entry]) => ({
+        userId,
+        name: nameOf(userId),
+        isMember: group.isMember(userId),
+        paid: fromCents(entry.paid),
+        share: fromCents(entry.share),
+        paymentsSent: fromCents(entry.sent),
+        paymentsReceived: fromCents(entry.received),
+        balance: fromCents(balances.get(userId))
+      }))
+      .sort((a, b) => a.balance - b.balance),
+    settlements: suggestSettlements(balances).map(settlement => ({
+      from: { userId: settlement.fromUserId, name: nameOf(settlement.fromUserId) },
+      to: { userId: settlement.toUserId, name: nameOf(settlement.toUserId) },
+      amount: settlement.amount
+    })),
+    entries
+  };
+};
+
+// Whether a group has anything in its ledger, so its currency can no longer change
+const hasLedgerEntries = async (groupId) =>
+  Boolean(
+    (await Rehearsal.exists({ groupId, 'cost.source': { $exists: true } })) ||
+    (await Payment.exists({ groupId }))
+  );
+
+module.exports = {
+  splitCents,
+  getOccurrenceCharge,
+  getRehearsalCharges,
+  suggestSettlements,
+  getGroupLedger,
+  hasLedgerEntries
+};
@@ -0,0 +1,322 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { emitToUser } = require('./socketService');
+const { SERVER_EVENTS } = require('../utils/socketEvents');
+const { PERMISSIONS } = require('../utils/permissions');
+const { describeChanges, isTimeChange } = require('./rehearsalHistoryService');
+
+const uniqueIds = (userIds) => [...new Set(userIds.map(userId => userId.toString()))];
+
+/**
+ * Store a notification for each recipient and push it to those online.
+ * The actor is never notified about their own action.
+ *
+ * @param {Object} io - Socket.io server
+ * @param {Array} userIds - Recipients
+ * @param {Object} notification - { type, title, message, groupId, rehearsalId, data }
+ * @param {string} actorId - User who caused the notification
+ * @returns {Promise<Array>} The stored notifications
+ */
+const notifyUsers = async (io, userIds, notification, actorId = null) => {
+  const recipients = uniqueIds(userIds).filter(userId => !actorId || userId !== actorId.toString());
+  if (recipients.length === 0) return [];
+
+  const notifications = await Notification.insertMany(
+    recipients.map(userId => ({ ...notification, userId, actorId }))
+  );
+
+  notifications.forEach(stored => {
+    emitToUser(io, stored.userId, SERVER_EVENTS.NOTIFICATION, stored);
+  });
+
+  return notifications;
+};
+
+// External substitutes have no account to notify
+const attendeeIds = (attendees) => attendees.filter(attendee => attendee.userId).map(attendee => attendee.userId);
+
+const RSVP_PHRASES = {
+  confirmed: 'is coming to',
+  tentative: 'might come to',
+  late: 'will be late to',
+  declined: "can't make it to",
+  pending: 'is not sure about'
+};
+
+// Members who schedule rehearsals follow their RSVPs
+const schedulerIds = (group) =>
+  group.getMembersWithPermission(PERMISSIONS.SCHEDULE_REHEARSALS).map(member => member.userId);
+
+// Notify the invited members of a newly scheduled rehearsal
+const notifyRehearsalCreated = (io, rehearsal, actorId) =>
+  notifyUsers(io, attendeeIds(rehearsal.attendees), {
+    type: 'rehearsal_created',
+    groupId: rehearsal.groupId,
+    rehearsalId: rehearsal._id,
+    title: `New rehearsal: ${rehearsal.title}`,
+    message: 'Let your bandmates know whether you can make it.',
+    data: {
+      startDateTime: rehearsal.startDateTime,
+      endDateTime: rehearsal.endDateTime,
+      isRecurring: rehearsal.isRecurring
+    }
+  }, actorId);
+
+const describeScope = (change) => {
+  if (change.followingRehearsalId) return 'This and all following rehearsals of the series have changed.';
+  if (change.originalStartDateTime) return 'One rehearsal of the series has changed.';
+  return 'The rehearsal has changed.';
+};
+
+// Notify the invited members of exactly what changed in a rehearsal (or part
+// of a series). `change` is the entry recorded in the rehearsal's history
+const notifyRehearsalChanged = async (io, rehearsal, change, actorId, attendees = rehearsal.attendees) => {
+  const timeChanged = isTimeChange(change.changes);
+  const message = [
+    describeScope(change),
+    ...(await describeChanges(change.changes, rehearsal.timeZone)),
+    change.reason ? `Reason: ${change.reason}` : '',
+    change.responsesReset ? 'Please let your bandmates know again whether you can make it.' : ''
+  ].filter(Boolean).join('\n');
+
+  return notifyUsers(io, attendeeIds(attendees), {
+    type: timeChanged ? 'rehearsal_time_changed' : 'rehearsal_updated',
+    groupId: rehearsal.groupId,
+    rehearsalId: rehearsal._id,
+    title: timeChanged ? `New time for ${rehearsal.title}` : `Changes to ${rehearsal.title}`,
+    message,
+    data: {
+      action: change.action,
+      originalStartDateTime: change.originalStartDateTime,
+      followingRehearsalId: change.followingRehearsalId,
+      changes: change.changes,
+      reason: change.reason,
+      responsesReset: change.responsesReset
+    }
+  }, actorId);
+};
+
+// Notify the invited members that a rehearsal (or one occurrence of it) is off
+const notifyRehearsalCancelled = (io, rehearsal, originalStartDateTime, reason, actorId, attendees = rehearsal.attendees) =>
+  notifyUsers(io, attendeeIds(attendees), {
+    type: 'rehearsal_cancelled',
+    groupId: rehearsal.groupId,
+    rehearsalId: rehearsal._id,
+    title: `Cancelled: ${rehearsal.title}`,
+    message: [
+      originalStartDateTime
+        ? 'One rehearsal of the series has been cancelled.'
+        : 'The rehearsal has been cancelled.',
+      reason ? `Reason: ${reason}` : ''
+    ].filter(Boolean).join('\n'),
+    data: originalStartDateTime ? { originalStartDateTime, reason } : { reason }
+  }, actorId);
+
+// Notify the group's schedulers that a member answered an invitation.
+// `rsvp` holds the member's userId, the new status and the occurrence start
+const notifyRsvpChanged = async (io, group, rehearsal, rsvp, actorId) => {
+  const member = await User.findById(rsvp.userId).select('firstName lastName');
+  const name = member ? `${member.firstName} ${member.lastName}` : 'A member';
+
+  return notifyUsers(io, schedulerIds(group), {
+    type: 'rsvp_changed',
+    groupId: group._id,
+    rehearsalId: rehearsal._id,
+    title: `${name} ${RSVP_PHRASES[rsvp.status] || 'answered'} ${rehearsal.title}`,
+    message: rsvp.reason,
+    data: rsvp
+  }, actorId);
+};
+
+// Warn the group's schedulers that an occurrence can no longer meet its
+// requirements. The actions point at the endpoints to cancel or reschedule it
+const notifyRehearsalAtRisk = (io, group, rehearsal, originalStartDateTime, reasons, actorId) => {
+  const occurrencePath = `/api/rehearsals/${rehearsal._id}/occurrences/${originalStartDateTime.toISOString()}`;
+  return notifyUsers(io, schedulerIds(group), {
+    type: 'rehearsal_at_risk',
+    groupId: group._id,
+    rehearsalId: rehearsal._id,
+    title: `At risk: ${rehearsal.title}`,
+    message: `${reasons.join(' ')} Cancel or reschedule it if it cannot go ahead.`,
+    data: {
+      originalStartDateTime,
+      reasons,
+      actions: {
+        cancel: { method: 'POST', path: `${occurrencePath}/cancel` },
+        reschedule: { method: 'POST', path: `${occurrencePath}/reschedule` }
+      }
+    }
+  }, actorId);
+};
+
+// Tell the group's schedulers that a member will be away for occurrences they
+// were invited to. `changes` lists each occurrence with the member's previous
+// answer; flagged ones had said they would come
+const notifyMemberAway = (io, group, rehearsal, user, absence, changes) => {
+  const flagged = changes.filter(change => change.flagged).length;
+  const count = changes.length === 1 ? 'an occurrence' : `${changes.length} occurrences`;
+
+  return notifyUsers(io, schedulerIds(group), {
+    type: 'member_away',
+    groupId: group._id,
+    rehearsalId: rehearsal._id,
+    title: `${user.firstName} ${user.lastName} is away for ${count} of ${rehearsal.title}`,
+    message: flagged > 0
+      ? `They had said they would come to ${flagged === 1 ? 'one of them' : `${flagged} of them`}.`
+      : 'Their RSVPs were declined.',
+    data: {
+      userId: user._id,
+      absence: {
+        _id: absence._id,
+        startDate: absence.startDate,
+        endDate: absence.endDate,
+        reason: absence.reason
+      },
+      occurrences: changes.map(change => ({
+        originalStartDateTime: change.originalStartDateTime,
+        previousStatus: change.previousStatus,
+        flagged: change.flagged
+      }))
+    }
+  }, user._id);
+};
+
+// Ask the members of a group to vote on a scheduling poll
+const notifyPollCreated = (io, group, poll, actorId) =>
+  notifyUsers(io, group.members.map(member => member.userId), {
+    type: 'poll_created',
+    groupId: group._id,
+    title: `Vote: ${poll.title}`,
+    message: `Pick the times that work for you before ${poll.deadline.toUTCString()}.`,
+    data: { pollId: poll._id, deadline: poll.deadline }
+  }, actorId);
+
+// Managers of a venue: its creator and the users added as managers
+const venueManagerIds = (venue) => [venue.createdBy, ...venue.managers];
+
+const describeBooking = (venue, booking) => {
+  const room = venue.getRoom(booking.roomId);
+  return `${room ? room.name : venue.name}, ${booking.startDateTime.toUTCString()}`;
+};
+
+// Ask the managers of a venue to approve or reject a group's booking request
+const notifyBookingRequested = (io, venue, booking, group, actorId) =>
+  notifyUsers(io, venueManagerIds(venue), {
+    type: 'booking_requested',
+    groupId: group._id,
+    title: `${group.name} would like to book ${venue.name}`,
+    message: describeBooking(venue, booking),
+    data: {
+      venueId: venue._id,
+      bookingId: booking._id,
+      roomId: booking.roomId,
+      startDateTime: booking.startDateTime,
+      endDateTime: booking.endDateTime
+    }
+  }, actorId);
+
+// Tell a group how a venue decided on its booking request: the member who
+// asked and everyone who books venues for the group
+const notifyBookingDecided = (io, venue, booking, group, actorId) => {
+  const approved = booking.status === 'confirmed';
+  const recipients = [
+    ...(booking.requestedBy ? [booking.requestedBy] : []),
+    ...group.getMembersWithPermission(PERMISSIONS.BOOK_VENUES).map(member => member.userId)
+  ];
+
+  return notifyUsers(io, recipients, {
+    type: approved ? 'booking_approved' : 'booking_rejected',
+    groupId: group._id,
+    rehearsalId: booking.rehearsalId,
+    title: `${venue.name} ${approved ? 'approved' : 'turned down'} your booking`,
+    message: approved || !booking.rejectionReason
+      ? describeBooking(venue, booking)
+      : `${describeBooking(venue, booking)}: ${booking.rejectionReason}`,
+    data: {
+      venueId: venue._id,
+      bookingId: booking._id,
+      status: booking.status
+    }
+  }, actorId);
+};
+
+// Ask a registered substitute to stand in; `url` is their personal answer link
+const notifySubRequested = (io, group, rehearsal, request, occurrence, userId, url) =>
+  notifyUsers(io, [userId], {
+    type: 'sub_requested',
+    groupId: group._id,
+    rehearsalId: rehearsal._id,
+    title: `${group.name} needs a ${request.instrument} sub`,
+    message: `Can you play at ${rehearsal.title}?`,
+    data: {
+      subRequestId: request._id,
+      originalStartDateTime: request.originalStartDateTime,
+      startDateTime: occurrence.startDateTime,
+      endDateTime: occurrence.endDateTime,
+      url
+    }
+  });
+
+// Tell the group's schedulers who accepted a sub request
+const notifySubRequestFilled = (io, group, rehearsal, request, substitute) =>
+  notifyUsers(io, schedulerIds(group), {
+    type: 'sub_request_filled',
+    groupId: group._id,
+    rehearsalId: rehearsal._id,
+    title: `${substitute.name} will play ${request.instrument} at ${rehearsal.title}`,
+    data: {
+      subRequestId: request._id,
+      substituteId: substitute._id,
+      originalStartDateTime: request.originalStartDateTime
+    }
+  }, substitute.userId);
+
+// Tell the group's schedulers that nobody on a sub request could play
+const notifySubRequestExhausted = (io, group, rehearsal, request) =>
+  notifyUsers(io, schedulerIds(group), {
+    type: 'sub_request_exhausted',
+    groupId: group._id,
+    rehearsalId: rehearsal._id,
+    title: `No ${request.instrument} sub found for ${rehearsal.title}`,
+    message: 'Every substitute asked has declined or did not answer in time.',
+    data: { subRequestId: request._id, originalStartDateTime: request.originalStartDateTime }
+  });
+
+// Notify a member that their role in a group changed
+const notifyRoleChanged = (io, group, userId, role, actorId) =>
+  notifyUsers(io, [userId], {
+    type: 'role_changed',
+    groupId: group._id,
+    title: `You are now ${/^[aeiou]/.test(role) ? 'an' : 'a'} ${role} of ${group.name}`,
+    data: { role }
+  }, actorId);
+
+// Ask a member to accept ownership of a group
+const notifyOwnershipTransferRequested = (io, group, actorId) => {
+  const transfer = group.pendingOwnershipTransfer;
+  return notifyUsers(io, [transfer.toUserId], {
+    type: 'ownership_transfer_requested',
+    groupId: group._id,
+    title: `You have been offered ownership of ${group.name}`,
+    message: 'Accept the transfer to become the owner of the group.',
+    data: { expiresAt: transfer.expiresAt }
+  }, actorId);
+};
+
+module.exports = {
+  notifyUsers,
+  notifyRehearsalCreated,
+  notifyRehearsalChanged,
+  notifyRehearsalCancelled,
+  notifyRsvpChanged,
+  notifyRehearsalAtRisk,
+  notifyMemberAway,
+  notifyPollCreated,
+  notifyBookingRequested,
+  notifyBookingDecided,
+  notifySubRequested,
+  notifySubRequestFilled,
+  notifySubRequestExhausted,
+  notifyRoleChanged,
+  notifyOwnershipTransferRequested
+};
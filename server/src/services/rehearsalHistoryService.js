@@ -0,0 +1,111 @@
+const Venue = require('../models/Venue');
+const Setlist = require('../models/Setlist');
+
+// Fields whose changes are kept in a rehearsal's history, in display order
+const TRACKED_FIELDS = ['startDateTime', 'endDateTime', 'recurringPattern', 'venueId', 'roomId', 'setlistId', 'notes'];
+
+const TIME_FIELDS = ['startDateTime', 'endDateTime', 'recurringPattern'];
+
+const FIELD_LABELS = {
+  startDateTime: 'Start',
+  endDateTime: 'End',
+  recurringPattern: 'Repeats',
+  venueId: 'Venue',
+  roomId: 'Room',
+  setlistId: 'Setlist',
+  notes: 'Notes'
+};
+
+// Reduce a stored value to something comparable and storable: dates and IDs
+// become primitives, empty values undefined
+const normalizeValue = (value) => {
+  if (value === null || value === undefined || value === '') return undefined;
+  if (value instanceof Date) return new Date(value);
+  if (value._id) return value._id.toString();
+  if (typeof value.toHexString === 'function') return value.toHexString();
+  if (typeof value === 'object') {
+    const { frequency, dayOfWeek, interval, endDate } = value;
+    return { frequency, dayOfWeek, interval, endDate: endDate ? new Date(endDate) : undefined };
+  }
+  return value;
+};
+
+const isSameValue = (a, b) => {
+  if (a === undefined || b === undefined) return a === b;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Take the tracked fields of a rehearsal, or of an occurrence from
+ * getOccurrence (which has no recurring pattern of its own).
+ */
+const snapshot = (source) =>
+  TRACKED_FIELDS.reduce((values, field) => {
+    values[field] = normalizeValue(source[field]);
+    return values;
+  }, {});
+
+// List the tracked fields that differ between two snapshots
+const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS
+    .filter(field => !isSameValue(before[field], after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+
+// Whether a list of changes moves the rehearsal in time
+const isTimeChange = (changes) => changes.some(change => TIME_FIELDS.includes(change.field));
+
+const formatDate = (date, timeZone) =>
+  new Date(date).toLocaleString('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+
+const formatPattern = (pattern) =>
+  (pattern.endDate ? `${pattern.frequency} until ${new Date(pattern.endDate).toDateString()}` : pattern.frequency);
+
+/**
+ * Describe changes in words, one line per field, e.g.
+ * "Venue: Riverside Studios → The Garage". Venue and setlist names are looked up.
+ *
+ * @param {Array} changes - From diffSnapshots, or a history entry
+ * @param {string} [timeZone] - Zone times are written in
+ * @returns {Promise<Array<string>>}
+ */
+const describeChanges = async (changes, timeZone = 'UTC') => {
+  const idsOf = (field) => changes
+    .filter(change => change.field === field)
+    .flatMap(change => [change.from, change.to])
+    .filter(Boolean);
+
+  const [venues, setlists] = await Promise.all([
+    Venue.find({ _id: { $in: idsOf('venueId') } }).select('name rooms'),
+    Setlist.find({ _id: { $in: idsOf('setlistId') } }).select('name')
+  ]);
+  const names = new Map([...venues, ...setlists].map(doc => [doc._id.toString(), doc.name]));
+  venues.forEach(venue => (venue.rooms || []).forEach(room => names.set(room._id.toString(), room.name)));
+
+  const format = (field, value) => {
+    if (value === undefined) return 'none';
+    if (field === 'startDateTime' || field === 'endDateTime') return formatDate(value, timeZone);
+    if (field === 'recurringPattern') return formatPattern(value);
+    if (field === 'notes') return `"${value}"`;
+    return names.get(value.toString()) || 'unknown';
+  };
+
+  return changes.map(({ field, from, to }) =>
+    `${FIELD_LABELS[field] || field}: ${format(field, from)} → ${format(field, to)}`
+  );
+};
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  isTimeChange,
+  describeChanges
+};
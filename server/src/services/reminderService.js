@@ -0,0 +1,282 @@
+const Rehearsal = require('../models/Rehearsal');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const ReminderLog = require('../models/ReminderLog');
+const { sendEmail } = require('./emailService');
+const { isValidTimeZone, getZonedParts } = require('../utils/timeZone');
+
+const HOUR = 60 * 60 * 1000;
+
+// Pending attendees are nudged once an occurrence is this close
+const NUDGE_WINDOW_HOURS = 72;
+// Digests cover the rehearsals of the coming week
+const DIGEST_HORIZON_HOURS = 7 * 24;
+
+const USER_FIELDS = 'email firstName timeZone notificationPreferences';
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const userTimeZone = (user) => (isValidTimeZone(user.timeZone) ? user.timeZone : 'UTC');
+
+const formatTime = (date, timeZone) =>
+  date.toLocaleString('en-US', {
+    timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+
+const describeOccurrence = (occurrence, groupNames, timeZone) => {
+  const lines = [
+    `${occurrence.title} (${groupNames.get(occurrence.groupId.toString()) || 'your group'})`,
+    `When: ${formatTime(occurrence.startDateTime, timeZone)}`
+  ];
+  if (occurrence.venueId && occurrence.venueId.name) {
+    lines.push(`Where: ${occurrence.venueId.name}`);
+  }
+  return lines.join('\n');
+};
+
+const rehearsalLink = (occurrence) =>
+  `${getClientUrl()}/rehearsals/${occurrence.rehearsalId}?occurrence=${occurrence.originalStartDateTime.toISOString()}`;
+
+const loadGroupNames = async (occurrences) => {
+  const groupIds = [...new Set(occurrences.map(occurrence => occurrence.groupId.toString()))];
+  const groups = await Group.find({ _id: { $in: groupIds } }).select('name');
+  return new Map(groups.map(group => [group._id.toString(), group.name]));
+};
+
+const loadUsers = async (occurrences) => {
+  const userIds = new Set();
+  occurrences.forEach(occurrence => {
+    occurrence.attendees
+      .filter(attendee => attendee.userId)
+      .forEach(attendee => userIds.add(attendee.userId.toString()));
+  });
+
+  const users = await User.find({ _id: { $in: [...userIds] } }).select(USER_FIELDS);
+  return new Map(users.map(user => [user._id.toString(), user]));
+};
+
+// Claim a send in the log, deliver it and record the outcome. Returns whether
+// an email went out on this call
+const deliverOnce = async (key, fields, buildMessage) => {
+  const log = await ReminderLog.claim(key, fields);
+  if (!log) return false;
+
+  const message = buildMessage();
+  try {
+    await sendEmail({ to: fields.email, ...message });
+  } catch (error) {
+    await log.markFailed(error);
+    return false;
+  }
+
+  await log.markSent(message.subject);
+  return true;
+};
+
+/**
+ * Send reminders for upcoming rehearsal occurrences.
+ *
+ * Each attendee who has not declined is reminded at the offsets in their
+ * notification preferences (48h and 2h before by default). When several
+ * offsets are already due, for example for a rehearsal scheduled at short
+ * notice, only the closest one is sent. Reminders are keyed on the
+ * occurrence's actual start, so moving an occurrence reminds people again.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of reminders sent
+ */
+const processReminders = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + (await User.getMaxReminderOffsetHours()) * HOUR);
+  const occurrences = await Rehearsal.findOccurrences({}, now, horizon);
+  const upcoming = occurrences.filter(occurrence => occurrence.startDateTime > now);
+  const [users, groupNames] = await Promise.all([loadUsers(upcoming), loadGroupNames(upcoming)]);
+
+  let sent = 0;
+  for (const occurrence of upcoming) {
+    for (const attendee of occurrence.attendees) {
+      const user = attendee.userId && users.get(attendee.userId.toString());
+      if (!user || attendee.status === 'declined') continue;
+
+      const preferences = user.notificationPreferences || {};
+      if (preferences.emailEnabled === false) continue;
+
+      const dueOffsets = (preferences.reminderOffsetsHours || []).filter(offset =>
+        occurrence.startDateTime.getTime() - offset * HOUR <= now.getTime()
+      );
+      if (dueOffsets.length === 0) continue;
+
+      const offsetHours = Math.min(...dueOffsets);
+      const key = [
+        'reminder',
+        user._id,
+        occurrence.rehearsalId,
+        occurrence.startDateTime.toISOString(),
+        offsetHours
+      ].join(':');
+
+      const delivered = await deliverOnce(
+        key,
+        {
+          type: 'reminder',
+          userId: user._id,
+          rehearsalId: occurrence.rehearsalId,
+          occurrenceStart: occurrence.originalStartDateTime,
+          offsetHours,
+          email: user.email
+        },
+        () => ({
+          subject: `Reminder: ${occurrence.title} ${formatTime(occurrence.startDateTime, userTimeZone(user))}`,
+          text: [
+            `Hi ${user.firstName},`,
+            '',
+            'This is a reminder of your upcoming rehearsal:',
+            '',
+            describeOccurrence(occurrence, groupNames, userTimeZone(user)),
+            '',
+            attendee.status === 'pending'
+              ? `You have not responded yet: ${rehearsalLink(occurrence)}`
+              : rehearsalLink(occurrence)
+          ].join('\n')
+        })
+      );
+      if (delivered) sent++;
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Nudge attendees whose RSVP is still pending once an occurrence is less than
+ * three days away. Each attendee is nudged once per occurrence.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of nudges sent
+ */
+const processRsvpNudges = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + NUDGE_WINDOW_HOURS * HOUR);
+  const occurrences = await Rehearsal.findOccurrences({}, now, horizon);
+  const upcoming = occurrences.filter(occurrence =>
+    occurrence.startDateTime > now &&
+    occurrence.attendees.some(attendee => attendee.status === 'pending')
+  );
+  const [users, groupNames] = await Promise.all([loadUsers(upcoming), loadGroupNames(upcoming)]);
+
+  let sent = 0;
+  for (const occurrence of upcoming) {
+    for (const attendee of occurrence.attendees) {
+      const user = attendee.userId && users.get(attendee.userId.toString());
+      if (!user || attendee.status !== 'pending') continue;
+
+      const preferences = user.notificationPreferences || {};
+      if (preferences.emailEnabled === false || preferences.rsvpNudges === false) continue;
+
+      const key = [
+        'rsvp_nudge',
+        user._id,
+        occurrence.rehearsalId,
+        occurrence.originalStartDateTime.toISOString()
+      ].join(':');
+
+      const delivered = await deliverOnce(
+        key,
+        {
+          type: 'rsvp_nudge',
+          userId: user._id,
+          rehearsalId: occurrence.rehearsalId,
+          occurrenceStart: occurrence.originalStartDateTime,
+          email: user.email
+        },
+        () => ({
+          subject: `Are you coming? ${occurrence.title}`,
+          text: [
+            `Hi ${user.firstName},`,
+            '',
+            'Your bandmates are waiting for your answer:',
+            '',
+            describeOccurrence(occurrence, groupNames, userTimeZone(user)),
+            '',
+            `Let them know whether you can make it: ${rehearsalLink(occurrence)}`
+          ].join('\n')
+        })
+      );
+      if (delivered) sent++;
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Send the daily digest to users who opted in, once their local clock has
+ * reached their digest hour. The digest lists the coming week's rehearsals
+ * and which of them still need an answer; nothing is sent on empty days.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of digests sent
+ */
+const processDailyDigests = async (now = new Date()) => {
+  const users = await User.find({
+    'notificationPreferences.dailyDigest': true,
+    'notificationPreferences.emailEnabled': { $ne: false }
+  }).select(USER_FIELDS);
+
+  const horizon = new Date(now.getTime() + DIGEST_HORIZON_HOURS * HOUR);
+  let sent = 0;
+
+  for (const user of users) {
+    const timeZone = userTimeZone(user);
+    const local = getZonedParts(now, timeZone);
+    if (local.hour < user.notificationPreferences.digestHour) continue;
+
+    const digestDate = [
+      local.year,
+      String(local.month).padStart(2, '0'),
+      String(local.day).padStart(2, '0')
+    ].join('-');
+    const key = `daily_digest:${user._id}:${digestDate}`;
+    if (await ReminderLog.exists({ key, status: 'sent' })) continue;
+
+    const occurrences = (await Rehearsal.getOccurrencesForMember(user._id, now, horizon))
+      .filter(occurrence => occurrence.startDateTime > now);
+    if (occurrences.length === 0) continue;
+
+    const groupNames = await loadGroupNames(occurrences);
+    const statusOf = (occurrence) =>
+      occurrence.attendees.find(attendee => attendee.userId && attendee.userId.toString() === user._id.toString()).status;
+    const pending = occurrences.filter(occurrence => statusOf(occurrence) === 'pending');
+
+    const delivered = await deliverOnce(
+      key,
+      { type: 'daily_digest', userId: user._id, digestDate, email: user.email },
+      () => ({
+        subject: `Your rehearsals this week: ${occurrences.length} upcoming, ${pending.length} awaiting your answer`,
+        text: [
+          `Hi ${user.firstName},`,
+          '',
+          ...occurrences.map(occurrence => [
+            describeOccurrence(occurrence, groupNames, timeZone),
+            `Your answer: ${statusOf(occurrence)}`,
+            rehearsalLink(occurrence),
+            ''
+          ].join('\n'))
+        ].join('\n')
+      })
+    );
+    if (delivered) sent++;
+  }
+
+  return sent;
+};
+
+module.exports = {
+  processReminders,
+  processRsvpNudges,
+  processDailyDigests
+};
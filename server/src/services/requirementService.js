@@ -0,0 +1,169 @@
+const Rehearsal = require('../models/Rehearsal');
+const { emitToGroup } = require('./socketService');
+const { notifyRehearsalAtRisk } = require('./notificationService');
+const { isPromised } = require('./attendanceService');
+const { SERVER_EVENTS } = require('../utils/socketEvents');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// How far ahead the occurrences of a series are re-checked after it changes
+const RISK_HORIZON_DAYS = 90;
+
+const normalizeInstrument = (instrument) => instrument.trim().toLowerCase();
+
+const hasRequirements = (requirements) =>
+  Boolean(requirements) &&
+  ((requirements.requiredInstruments && requirements.requiredInstruments.length > 0) ||
+    Boolean(requirements.minAttendees));
+
+/**
+ * Get the requirements that apply to a rehearsal: its own when it sets any,
+ * otherwise the group's defaults.
+ */
+const getEffectiveRequirements = (rehearsal, group) => {
+  const own = rehearsal.requirements;
+  const source = hasRequirements(own) ? own : group.rehearsalRequirements;
+
+  return {
+    requiredInstruments: source && source.requiredInstruments ? [...source.requiredInstruments] : [],
+    minAttendees: source && source.minAttendees ? source.minAttendees : null,
+    source: hasRequirements(own) ? 'rehearsal' : 'group'
+  };
+};
+
+/**
+ * Check an occurrence against requirements. Members who have not declined can
+ * still come, so the rule fails once declines make it impossible to meet,
+ * rather than while answers are outstanding.
+ *
+ * @param {Object} occurrence - Occurrence from getOccurrence / expandOccurrences
+ * @param {Object} group - Group document, for the instruments of each member
+ * @param {Object} requirements - From getEffectiveRequirements
+ * @returns {Object} { met, expectedAttendees, confirmedAttendees, missingInstruments, reasons }
+ */
+const evaluateRequirements = (occurrence, group, requirements) => {
+  const expected = occurrence.attendees.filter(attendee => attendee.status !== 'declined');
+  const confirmed = expected.filter(attendee => isPromised(attendee.status));
+
+  // Guests cover the instruments they were booked for
+  const coveredInstruments = new Set(
+    expected.flatMap(attendee => {
+      if (attendee.isGuest) return (attendee.instruments || []).map(normalizeInstrument);
+      const member = group.getMember(attendee.userId);
+      return member ? member.instruments.map(normalizeInstrument) : [];
+    })
+  );
+  const missingInstruments = requirements.requiredInstruments.filter(
+    instrument => !coveredInstruments.has(normalizeInstrument(instrument))
+  );
+
+  const reasons = [];
+  if (missingInstruments.length > 0) {
+    reasons.push(`Nobody who can come plays ${missingInstruments.join(', ')}.`);
+  }
+  if (requirements.minAttendees && expected.length < requirements.minAttendees) {
+    reasons.push(`Only ${expected.length} of the ${requirements.minAttendees} members needed can come.`);
+  }
+
+  return {
+    met: reasons.length === 0,
+    requirements,
+    expectedAttendees: expected.length,
+    confirmedAttendees: confirmed.length,
+    missingInstruments,
+    reasons
+  };
+};
+
+// Flag or clear one occurrence; returns the change for alerting, or null
+const updateRiskFlag = (rehearsal, group, occurrence) => {
+  const requirements = getEffectiveRequirements(rehearsal, group);
+  const { met, reasons } = evaluateRequirements(occurrence, group, requirements);
+  const originalStart = occurrence.originalStartDateTime;
+
+  if (!met) {
+    const previous = rehearsal.getRiskFlag(originalStart);
+    const reasonsChanged = previous && previous.reasons.join('\n') !== reasons.join('\n');
+    const newlyFlagged = rehearsal.flagAtRisk(originalStart, reasons);
+    return newlyFlagged || reasonsChanged ? { originalStart, atRisk: true, reasons, newlyFlagged } : null;
+  }
+
+  return rehearsal.clearRiskFlag(originalStart) ? { originalStart, atRisk: false, reasons: [] } : null;
+};
+
+/**
+ * Re-check the requirements of upcoming occurrences of a rehearsal and mark
+ * them at risk or clear them. Occurrences that just became at risk are
+ * notified to the members who schedule rehearsals; every change is pushed to
+ * the group room. Saves the rehearsal when a flag changed.
+ *
+ * @param {Object} io - Socket.io server
+ * @param {Object} group - Group document
+ * @param {Object} rehearsal - Rehearsal document (saved)
+ * @param {Object} options
+ * @param {Date} options.originalStart - Only re-check this occurrence
+ * @param {string} options.actorId - User whose change triggered the check
+ * @returns {Promise<Array>} The changes made
+ */
+const reevaluateRisk = async (io, group, rehearsal, options = {}) => {
+  const { originalStart, actorId } = options;
+  const now = new Date();
+
+  let occurrences;
+  if (originalStart) {
+    const occurrence = rehearsal.getOccurrence(originalStart);
+    occurrences = occurrence ? [occurrence] : [];
+  } else {
+    occurrences = rehearsal.getOccurrences(now, new Date(now.getTime() + RISK_HORIZON_DAYS * DAY));
+  }
+
+  const changes = occurrences
+    .filter(occurrence => !occurrence.isCancelled && occurrence.startDateTime > now)
+    .map(occurrence => updateRiskFlag(rehearsal, group, occurrence))
+    .filter(Boolean);
+
+  if (changes.length === 0) return changes;
+
+  await rehearsal.save();
+
+  for (const change of changes) {
+    emitToGroup(io, group._id, SERVER_EVENTS.REHEARSAL_RISK_CHANGED, {
+      rehearsalId: rehearsal._id,
+      originalStartDateTime: change.originalStart,
+      atRisk: change.atRisk,
+      reasons: change.reasons
+    });
+
+    if (change.newlyFlagged) {
+      await notifyRehearsalAtRisk(io, group, rehearsal, change.originalStart, change.reasons, actorId);
+    }
+  }
+
+  return changes;
+};
+
+// Re-check every upcoming rehearsal of a group that follows the group's
+// default requirements, after the defaults changed
+const reevaluateGroupRisk = async (io, group, actorId) => {
+  const now = new Date();
+  const occurrences = await Rehearsal.findOccurrences(
+    { groupId: group._id },
+    now,
+    new Date(now.getTime() + RISK_HORIZON_DAYS * DAY)
+  );
+  const rehearsalIds = [...new Set(occurrences.map(occurrence => occurrence.rehearsalId.toString()))];
+  const rehearsals = await Rehearsal.find({ _id: { $in: rehearsalIds } });
+
+  for (const rehearsal of rehearsals) {
+    if (getEffectiveRequirements(rehearsal, group).source === 'group') {
+      await reevaluateRisk(io, group, rehearsal, { actorId });
+    }
+  }
+};
+
+module.exports = {
+  getEffectiveRequirements,
+  evaluateRequirements,
+  reevaluateRisk,
+  reevaluateGroupRisk
+};
@@ -0,0 +1,260 @@
+const Rehearsal = require('../models/Rehearsal');
+const BusyBlock = require('../models/BusyBlock');
+const {
+  isValidTimeZone,
+  getZonedParts,
+  timeToMinutes,
+  zonedTimeToUtc,
+  addDays,
+  toCalendarDay,
+  getDayRangeInterval,
+  getWeekday,
+  compareDays
+} = require('../utils/timeZone');
+
+const MINUTE = 60 * 1000;
+
+// Turn an HH:MM slot on a calendar day into a UTC interval; slots ending at or
+// before their start time run past midnight into the next day
+const slotToInterval = (calendarDay, slot, timeZone) => {
+  const start = zonedTimeToUtc(calendarDay, slot.startTime, timeZone);
+  const overnight = timeToMinutes(slot.endTime) <= timeToMinutes(slot.startTime);
+  const endDay = overnight ? addDays(calendarDay, 1) : calendarDay;
+  const end = zonedTimeToUtc(endDay, slot.endTime, timeZone);
+
+  return { start: start.getTime(), end: end.getTime() };
+};
+
+// Expand weekly slots ({ day, startTime, endTime }) in a time zone into UTC
+// intervals. Every local calendar day touching the range is walked, padded by
+// a day on each side so overnight slots and zone offsets are not cut off
+const expandWeeklySlots = (slots, rangeStart, rangeEnd, timeZone) => {
+  const intervals = [];
+  const firstDay = addDays(getZonedParts(rangeStart, timeZone), -1);
+  const lastDay = addDays(getZonedParts(rangeEnd, timeZone), 1);
+
+  for (let day = firstDay; compareDays(day, lastDay) <= 0; day = addDays(day, 1)) {
+    const weekday = getWeekday(day);
+
+    slots
+      .filter(slot => slot.day === weekday)
+      .forEach(slot => intervals.push(slotToInterval(day, slot, timeZone)));
+  }
+
+  return intervals;
+};
+
+// Sort intervals and merge any that overlap or touch
+const mergeIntervals = (intervals) => {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  sorted.forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  });
+
+  return merged;
+};
+
+// Remove busy intervals from a list of merged free intervals
+const subtractIntervals = (free, busy) => {
+  const sortedBusy = mergeIntervals(busy);
+
+  return free.flatMap(interval => {
+    const pieces = [];
+    let cursor = interval.start;
+
+    sortedBusy
+      .filter(block => block.start < interval.end && block.end > interval.start)
+      .forEach(block => {
+        if (block.start > cursor) pieces.push({ start: cursor, end: block.start });
+        cursor = Math.max(cursor, block.end);
+      });
+
+    if (cursor < interval.end) pieces.push({ start: cursor, end: interval.end });
+    return pieces;
+  });
+};
+
+// Get the merged intervals (epoch ms) in which a user is free between two dates.
+// Busy blocks imported from the user's calendars and the user's absences are
+// taken out of the free time
+const getMemberFreeIntervals = (user, rangeStart, rangeEnd, busyBlocks = []) => {
+  const timeZone = isValidTimeZone(user.timeZone) ? user.timeZone : 'UTC';
+  const intervals = expandWeeklySlots(user.defaultAvailability || [], rangeStart, rangeEnd, timeZone);
+
+  // One-time dates are stored as midnight UTC of the calendar date they describe
+  (user.oneTimeAvailability || []).forEach(slot => {
+    intervals.push(slotToInterval(toCalendarDay(slot.date), slot, timeZone));
+  });
+
+  const busy = busyBlocks.map(block => ({
+    start: new Date(block.startDateTime).getTime(),
+    end: new Date(block.endDateTime).getTime()
+  }));
+
+  // Absences take out whole days in the user's zone
+  (user.absences || []).forEach(absence => {
+    busy.push(getDayRangeInterval(absence.startDate, absence.endDate, timeZone));
+  });
+
+  return subtractIntervals(mergeIntervals(intervals), busy)
+    .map(interval => ({
+      start: Math.max(interval.start, rangeStart.getTime()),
+      end: Math.min(interval.end, rangeEnd.getTime())
+    }))
+    .filter(interval => interval.end > interval.start);
+};
+
+// Whether a user has said when they are available at all
+const hasDeclaredAvailability = (user) =>
+  (user.defaultAvailability && user.defaultAvailability.length > 0) ||
+  (user.oneTimeAvailability && user.oneTimeAvailability.length > 0);
+
+const isFreeDuring = (intervals, start, end) =>
+  intervals.some(interval => interval.start <= start && interval.end >= end);
+
+/**
+ * Suggest rehearsal windows for a group based on every member's availability.
+ *
+ * `group` must have `members.userId` populated with the availability fields.
+ * Windows are ranked by how many members can attend, then by start time.
+ * Absent members count as unavailable and blackout dates are skipped.
+ */
+const suggestRehearsalTimes = async (group, options) => {
+  const {
+    startDate,
+    endDate,
+    durationMinutes = 120,
+    requiredMembers = [],
+    requiredInstruments = [],
+    venueId = null,
+    roomId = null,
+    stepMinutes = 30,
+    limit = 10
+  } = options;
+
+  const duration = durationMinutes * MINUTE;
+  const step = stepMinutes * MINUTE;
+
+  const groupMembers = group.members.filter(member => member.userId && member.userId._id);
+
+  const busyBlocks = await BusyBlock.findForUsers(
+    groupMembers.map(member => member.userId._id),
+    startDate,
+    endDate
+  );
+
+  const members = groupMembers.map(member => {
+    const user = member.userId;
+    const instruments = member.instruments.length > 0 ? member.instruments : user.instruments || [];
+    const userBusyBlocks = busyBlocks.filter(block => block.userId.toString() === user._id.toString());
+
+    return {
+      userId: user._id.toString(),
+      name: `${user.firstName} ${user.lastName}`,
+      instruments,
+      freeIntervals: getMemberFreeIntervals(user, startDate, endDate, userBusyBlocks)
+    };
+  });
+
+  const required = requiredMembers.map(id => id.toString());
+  const neededInstruments = requiredInstruments.map(instrument => instrument.toLowerCase());
+
+  const meetsRequirements = (available) => {
+    const availableIds = available.map(member => member.userId);
+    if (!required.every(id => availableIds.includes(id))) return false;
+
+    const playable = new Set(
+      available.flatMap(member => member.instruments.map(instrument => instrument.toLowerCase()))
+    );
+    return neededInstruments.every(instrument => playable.has(instrument));
+  };
+
+  // Nothing is suggested on the group's blackout dates
+  const groupTimeZone = isValidTimeZone(group.timeZone) ? group.timeZone : 'UTC';
+  const blackouts = (group.blackoutDates || []).map(blackout =>
+    getDayRangeInterval(blackout.startDate, blackout.endDate, groupTimeZone)
+  );
+
+  // Slide over the range, grouping consecutive starts with the same attendees into windows
+  const windows = [];
+  let current = null;
+  const firstStart = Math.ceil(startDate.getTime() / step) * step;
+
+  for (let start = firstStart; start + duration <= endDate.getTime(); start += step) {
+    const isBlackedOut = blackouts.some(blackout => blackout.start < start + duration && blackout.end > start);
+    const available = isBlackedOut
+      ? []
+      : members.filter(member => isFreeDuring(member.freeIntervals, start, start + duration));
+
+    if (available.length === 0 || !meetsRequirements(available)) {
+      current = null;
+      continue;
+    }
+
+    const key = available.map(member => member.userId).join(',');
+    if (current && current.key === key && current.lastStart + step === start) {
+      current.lastStart = start;
+    } else {
+      current = { key, firstStart: start, lastStart: start, available };
+      windows.push(current);
+    }
+  }
+
+  windows.sort((a, b) =>
+    b.available.length - a.available.length || a.firstStart - b.firstStart
+  );
+
+  // The venue's rehearsals and bookings are loaded once for the whole range
+  const venueBusy = await Rehearsal.getVenueBusyIntervals(venueId, startDate, endDate, roomId);
+  const isVenueTaken = (start, end) => venueBusy.some(busy => busy.start < end && busy.end > start);
+
+  const suggestions = [];
+
+  for (const window of windows) {
+    if (suggestions.length >= limit) break;
+
+    // Take the earliest start in the window at which the venue is still free
+    let proposedStart = null;
+    for (let start = window.firstStart; start <= window.lastStart; start += step) {
+      if (!isVenueTaken(start, start + duration)) {
+        proposedStart = start;
+        break;
+      }
+    }
+
+    if (proposedStart === null) continue;
+
+    const availableIds = window.available.map(member => member.userId);
+    const toAttendee = ({ userId, name, instruments }) => ({ userId, name, instruments });
+
+    suggestions.push({
+      startDateTime: new Date(proposedStart),
+      endDateTime: new Date(proposedStart + duration),
+      availableUntil: new Date(window.lastStart + duration),
+      score: members.length > 0 ? window.available.length / members.length : 0,
+      available: window.available.map(toAttendee),
+      unavailable: members
+        .filter(member => !availableIds.includes(member.userId))
+        .map(toAttendee)
+    });
+  }
+
+  return suggestions;
+};
+
+module.exports = {
+  expandWeeklySlots,
+  mergeIntervals,
+  subtractIntervals,
+  getMemberFreeIntervals,
+  isFreeDuring,
+  hasDeclaredAvailability,
+  suggestRehearsalTimes
+};
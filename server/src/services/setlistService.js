@@ -0,0 +1,37 @@
+const Setlist = require('../models/Setlist');
+
+/**
+ * Compare the total length of a rehearsal's setlist with the rehearsal's own
+ * length. Resolves to null when the rehearsal has no setlist.
+ */
+const getSetlistFit = async (rehearsal) => {
+  if (!rehearsal.setlistId) return null;
+
+  const setlistId = rehearsal.setlistId._id || rehearsal.setlistId;
+  const setlist = await Setlist.findById(setlistId).populate('entries.songId', 'durationSeconds');
+  if (!setlist) return null;
+
+  const setlistMinutes = Math.ceil(setlist.getTotalDurationSeconds() / 60);
+  const rehearsalMinutes = rehearsal.durationMinutes;
+
+  return {
+    setlistId: setlist._id,
+    setlistMinutes,
+    rehearsalMinutes,
+    fits: setlistMinutes <= rehearsalMinutes,
+    overByMinutes: Math.max(0, setlistMinutes - rehearsalMinutes)
+  };
+};
+
+// Turn a setlist fit into the warnings returned with a rehearsal
+const getSetlistWarnings = (fit) => {
+  if (!fit || fit.fits) return [];
+  return [
+    `The setlist runs ${fit.setlistMinutes} minutes, ${fit.overByMinutes} more than the ${fit.rehearsalMinutes}-minute rehearsal`
+  ];
+};
+
+module.exports = {
+  getSetlistFit,
+  getSetlistWarnings
+};
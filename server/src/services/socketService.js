@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const { verifyAccessToken } = require('../middleware/authMiddleware');
+const { SERVER_EVENTS, CLIENT_EVENTS } = require('../utils/socketEvents');
+const { queueWebhookDeliveries } = require('./webhookService');
+const { logError } = require('../utils/logger');
+
+// Every connected socket of a user joins this room, so pushes reach all of
+// their open tabs and devices
+const userRoom = (userId) => `user:${userId}`;
+
+const groupRoom = (groupId) => groupId.toString();
+
+// Read the JWT from the handshake: `auth: { token }` in socket.io-client, or an
+// Authorization header for clients that cannot set handshake auth
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+
+  const header = handshake.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length);
+  }
+
+  return null;
+};
+
+// Handshake middleware: only sockets with a valid access token of an active session connect
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  try {
+    const verified = await verifyAccessToken(token);
+    if (!verified) {
+      return next(new Error('Authentication failed'));
+    }
+
+    socket.data.userId = verified.userId;
+    next();
+  } catch (error) {
+    next(new Error('Authentication failed'));
+  }
+};
+
+const acknowledge = (ack, response) => {
+  if (typeof ack === 'function') ack(response);
+};
+
+/**
+ * Set up authentication and room handling on the Socket.io server
+ * @param {Object} io - Socket.io server
+ */
+const initSocket = (io) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const { userId } = socket.data;
+    socket.join(userRoom(userId));
+
+    socket.on(CLIENT_EVENTS.JOIN_ROOM, async (groupId, ack) => {
+      try {
+        if (!mongoose.isValidObjectId(groupId)) {
+          return acknowledge(ack, { success: false, message: 'Invalid group' });
+        }
+
+        const group = await Group.findById(groupId).select('members');
+        if (!group || !group.isMember(userId)) {
+          return acknowledge(ack, { success: false, message: 'Not authorized to join this group' });
+        }
+
+        socket.join(groupRoom(groupId));
+        acknowledge(ack, { success: true });
+      } catch (error) {
+        acknowledge(ack, { success: false, message: 'Could not join the group' });
+      }
+    });
+
+    socket.on(CLIENT_EVENTS.LEAVE_ROOM, (groupId, ack) => {
+      if (typeof groupId === 'string') {
+        socket.leave(groupRoom(groupId));
+      }
+      acknowledge(ack, { success: true });
+    });
+  });
+};
+
+// Send an event to everyone in a group's room and to the group's webhooks
+// subscribed to it. Webhook failures never fail the request that emitted
+const emitToGroup = (io, groupId, event, payload) => {
+  if (io) io.to(groupRoom(groupId)).emit(event, payload);
+
+  queueWebhookDeliveries(groupId, event, payload)
+    .catch(error => logError(`Queueing webhooks for ${event} failed`, error));
+};
+
+// Send an event to every connected socket of a user
+const emitToUser = (io, userId, event, payload) => {
+  if (io) io.to(userRoom(userId)).emit(event, payload);
+};
+
+// Take a removed member's sockets out of the group's room and tell the group
+const removeUserFromGroupRoom = (io, groupId, userId) => {
+  if (io) io.in(userRoom(userId)).socketsLeave(groupRoom(groupId));
+  emitToGroup(io, groupId, SERVER_EVENTS.MEMBER_LEFT, { groupId, userId });
+};
+
+module.exports = {
+  initSocket,
+  userRoom,
+  emitToGroup,
+  emitToUser,
+  removeUserFromGroupRoom
+};
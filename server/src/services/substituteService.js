@@ -0,0 +1,359 @@
+const Substitute = require('../models/Substitute');
+const SubRequest = require('../models/SubRequest');
+const Rehearsal = require('../models/Rehearsal');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const BusyBlock = require('../models/BusyBlock');
+const { sendEmail } = require('./emailService');
+const { emitToGroup } = require('./socketService');
+const {
+  notifySubRequested,
+  notifySubRequestFilled,
+  notifySubRequestExhausted
+} = require('./notificationService');
+const {
+  getMemberFreeIntervals,
+  isFreeDuring,
+  hasDeclaredAvailability
+} = require('./schedulingService');
+const { isPromised } = require('./attendanceService');
+const { findAbsence } = require('./absenceService');
+const {
+  getEffectiveRequirements,
+  evaluateRequirements,
+  reevaluateRisk
+} = require('./requirementService');
+const { SERVER_EVENTS } = require('../utils/socketEvents');
+const { logError } = require('../utils/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+const subRequestUrl = (token) => `${getClientUrl()}/sub-requests/${token}`;
+
+// Whether a roster entry is already on the attendee list of an occurrence
+const isAttending = (occurrence, substitute) =>
+  occurrence.attendees.some(attendee =>
+    (attendee.substituteId && attendee.substituteId.toString() === substitute._id.toString()) ||
+    (substitute.userId && attendee.userId && attendee.userId.toString() === substitute.userId.toString())
+  );
+
+/**
+ * Find the substitutes on a group's roster who could cover an instrument at an
+ * occurrence. Registered substitutes are checked against their declared
+ * availability, imported busy time and the rehearsals they promised to attend;
+ * those who cannot make it are left out. External contacts, and users who
+ * declared no availability, are listed with an unknown availability.
+ *
+ * @param {Object} group - Group document
+ * @param {Object} rehearsal - Rehearsal document
+ * @param {Object} occurrence - Occurrence from getOccurrence
+ * @param {string} instrument - Instrument to cover; defaults to the instruments
+ *   the occurrence is missing according to its requirements
+ * @returns {Promise<Object>} { instruments, substitutes: [{ substitute, availability, covers }] }
+ */
+const getAvailableSubstitutes = async (group, rehearsal, occurrence, instrument) => {
+  const instruments = instrument
+    ? [instrument]
+    : evaluateRequirements(occurrence, group, getEffectiveRequirements(rehearsal, group)).missingInstruments;
+  if (instruments.length === 0) return { instruments, substitutes: [] };
+
+  const roster = await Substitute.find({ groupId: group._id, isActive: true }).sort({ name: 1 });
+  const candidates = roster
+    .filter(substitute => !isAttending(occurrence, substitute))
+    .map(substitute => ({
+      substitute,
+      covers: instruments.filter(wanted => substitute.playsInstrument(wanted))
+    }))
+    .filter(candidate => candidate.covers.length > 0);
+
+  const userIds = candidates
+    .filter(candidate => candidate.substitute.userId)
+    .map(candidate => candidate.substitute.userId);
+  const { startDateTime, endDateTime } = occurrence;
+  const start = startDateTime.getTime();
+  const end = endDateTime.getTime();
+
+  const [users, busyBlocks, otherOccurrences] = userIds.length === 0 ? [[], [], []] : await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('timeZone defaultAvailability oneTimeAvailability absences'),
+    BusyBlock.findForUsers(userIds, startDateTime, endDateTime),
+    Rehearsal.findOccurrences(
+      {
+        _id: { $ne: rehearsal._id },
+        $or: [
+          { 'attendees.userId': { $in: userIds } },
+          { 'exceptions.attendees.userId': { $in: userIds } }
+        ]
+      },
+      startDateTime,
+      endDateTime
+    )
+  ]);
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const getAvailability = (substitute) => {
+    if (!substitute.userId) return 'unknown';
+
+    const userId = substitute.userId.toString();
+    const isBooked = otherOccurrences.some(other =>
+      other.attendees.some(a => a.userId && a.userId.toString() === userId && isPromised(a.status))
+    );
+    if (isBooked) return 'unavailable';
+
+    const userBusyBlocks = busyBlocks.filter(block => block.userId.toString() === userId);
+    const user = usersById.get(userId);
+    if (user && findAbsence(user, startDateTime, endDateTime)) return 'unavailable';
+    if (!user || !hasDeclaredAvailability(user)) {
+      return userBusyBlocks.length > 0 ? 'unavailable' : 'unknown';
+    }
+
+    const intervals = getMemberFreeIntervals(user, startDateTime, endDateTime, userBusyBlocks);
+    return isFreeDuring(intervals, start, end) ? 'available' : 'unavailable';
+  };
+
+  const substitutes = candidates
+    .map(candidate => ({ ...candidate, availability: getAvailability(candidate.substitute) }))
+    .filter(candidate => candidate.availability !== 'unavailable')
+    // Confirmed availability first, keeping the roster order otherwise
+    .sort((a, b) => (a.availability === 'available' ? 0 : 1) - (b.availability === 'available' ? 0 : 1));
+
+  return { instruments, substitutes };
+};
+
+const sendSubRequestEmail = (substitute, group, rehearsal, request, occurrence, url) =>
+  sendEmail({
+    to: substitute.email,
+    subject: `${group.name} needs a ${request.instrument} sub`,
+    text: [
+      `Hi ${substitute.name},`,
+      '',
+      `${group.name} is looking for someone to play ${request.instrument} at "${rehearsal.title}".`,
+      `When: ${occurrence.startDateTime.toUTCString()} - ${occurrence.endDateTime.toUTCString()}`,
+      '',
+      `Let them know whether you can make it: ${url}`,
+      request.mode === 'sequential'
+        ? `Please answer within ${request.responseHours} hours, after that the next sub is asked.`
+        : 'The first sub to accept gets the spot.'
+    ].join('\n')
+  });
+
+// Send one candidate their request link by email, and as a notification when
+// they have an account. Candidates removed from the roster meanwhile are
+// withdrawn; sending failures are logged so the request still goes ahead
+const contactCandidate = async (io, request, candidate, context) => {
+  const { group, rehearsal, occurrence, substitutesById } = context;
+  const substitute = substitutesById.get(candidate.substituteId.toString());
+  if (!substitute) {
+    candidate.status = 'withdrawn';
+    return;
+  }
+
+  const token = request.askCandidate(candidate);
+  const url = subRequestUrl(token);
+
+  let { email } = substitute;
+  if (substitute.userId) {
+    await notifySubRequested(io, group, rehearsal, request, occurrence, substitute.userId, url);
+    if (!email) {
+      const user = await User.findById(substitute.userId).select('email');
+      email = user && user.email;
+    }
+  }
+  if (!email) return;
+
+  try {
+    await sendSubRequestEmail({ name: substitute.name, email }, group, rehearsal, request, occurrence, url);
+  } catch (error) {
+    logError('Sending sub request email failed', error);
+  }
+};
+
+// Load what contacting candidates needs: the group, rehearsal, occurrence and roster entries
+const loadRequestContext = async (request) => {
+  const [group, rehearsal, substitutes] = await Promise.all([
+    Group.findById(request.groupId),
+    Rehearsal.findById(request.rehearsalId),
+    Substitute.find({ _id: { $in: request.candidates.map(candidate => candidate.substituteId) } })
+  ]);
+  const occurrence = rehearsal && rehearsal.getOccurrence(request.originalStartDateTime);
+
+  return {
+    group,
+    rehearsal,
+    occurrence,
+    substitutesById: new Map(substitutes.map(substitute => [substitute._id.toString(), substitute]))
+  };
+};
+
+// Ask the next candidate in line (sequential) or everyone (broadcast). A
+// request nobody is left to answer is marked exhausted and the schedulers told
+const askNextCandidates = async (io, request, context) => {
+  if (request.mode === 'broadcast') {
+    for (const candidate of request.candidates.filter(c => c.status === 'waiting')) {
+      await contactCandidate(io, request, candidate, context);
+    }
+  } else {
+    let next;
+    while (!request.candidates.some(c => c.status === 'asked') && (next = request.getNextWaitingCandidate())) {
+      await contactCandidate(io, request, next, context);
+    }
+  }
+
+  if (!request.hasOutstandingCandidates()) {
+    request.status = 'exhausted';
+  }
+  await request.save();
+
+  if (request.status === 'exhausted') {
+    await notifySubRequestExhausted(io, context.group, context.rehearsal, request);
+  }
+  emitToGroup(io, request.groupId, SERVER_EVENTS.SUB_REQUEST_UPDATED, {
+    subRequestId: request._id,
+    rehearsalId: request.rehearsalId,
+    originalStartDateTime: request.originalStartDateTime,
+    status: request.status
+  });
+};
+
+/**
+ * Open a sub request for an occurrence and contact the first candidates.
+ *
+ * @param {Object} io - Socket.io server
+ * @param {Object} group - Group document
+ * @param {Object} rehearsal - Rehearsal document
+ * @param {Object} occurrence - Occurrence from getOccurrence
+ * @param {Object} options - { instrument, substituteIds (in asking order), mode, responseHours, requestedBy }
+ * @returns {Promise<Object>} The saved request
+ */
+const openSubRequest = async (io, group, rehearsal, occurrence, options) => {
+  const { instrument, substituteIds, mode, responseHours, requestedBy } = options;
+  const substitutes = await Substitute.find({ _id: { $in: substituteIds }, groupId: group._id, isActive: true });
+  const substitutesById = new Map(substitutes.map(substitute => [substitute._id.toString(), substitute]));
+
+  const request = new SubRequest({
+    groupId: group._id,
+    rehearsalId: rehearsal._id,
+    originalStartDateTime: occurrence.originalStartDateTime,
+    instrument,
+    mode,
+    responseHours,
+    requestedBy,
+    candidates: [...new Set(substituteIds.map(String))]
+      .filter(substituteId => substitutesById.has(substituteId))
+      .map(substituteId => ({ substituteId }))
+  });
+  await request.validate();
+
+  await askNextCandidates(io, request, { group, rehearsal, occurrence, substitutesById });
+  return request;
+};
+
+/**
+ * Record a candidate's answer to a sub request. The first candidate to accept
+ * is added to the occurrence as a confirmed guest and everyone else still
+ * asked is withdrawn; a decline in sequential mode moves on to the next one.
+ *
+ * @param {Object} io - Socket.io server
+ * @param {Object} request - SubRequest document
+ * @param {Object} candidate - The answering candidate
+ * @param {boolean} accepted - Whether they can play
+ * @returns {Promise<Object>} { success, message } - message explains a refusal
+ */
+const respondToSubRequest = async (io, request, candidate, accepted) => {
+  if (request.status !== 'open' || candidate.status !== 'asked') {
+    return { success: false, message: 'This request is no longer open' };
+  }
+
+  const context = await loadRequestContext(request);
+  const { group, rehearsal, occurrence, substitutesById } = context;
+  if (!occurrence || occurrence.isCancelled || occurrence.startDateTime <= new Date()) {
+    return { success: false, message: 'This rehearsal no longer needs a sub' };
+  }
+
+  if (!accepted) {
+    candidate.status = 'declined';
+    candidate.respondedAt = new Date();
+    await askNextCandidates(io, request, context);
+    return { success: true };
+  }
+
+  const filled = await SubRequest.claimFill(request._id, candidate._id);
+  if (!filled) {
+    return { success: false, message: 'Someone else has already taken this spot' };
+  }
+
+  const substitute = substitutesById.get(candidate.substituteId.toString());
+  filled.filledBy = candidate.substituteId;
+  filled.withdrawOutstanding();
+  await filled.save();
+
+  rehearsal.addGuestAttendee(request.originalStartDateTime, {
+    userId: substitute.userId,
+    substituteId: substitute._id,
+    name: substitute.name,
+    instruments: [request.instrument]
+  });
+  await rehearsal.save();
+
+  emitToGroup(io, group._id, SERVER_EVENTS.REHEARSAL_UPDATED, {
+    rehearsalId: rehearsal._id,
+    originalStartDateTime: request.originalStartDateTime
+  });
+  emitToGroup(io, group._id, SERVER_EVENTS.SUB_REQUEST_UPDATED, {
+    subRequestId: filled._id,
+    rehearsalId: rehearsal._id,
+    originalStartDateTime: request.originalStartDateTime,
+    status: filled.status,
+    filledBy: { substituteId: substitute._id, name: substitute.name }
+  });
+  await notifySubRequestFilled(io, group, rehearsal, filled, substitute);
+  await reevaluateRisk(io, group, rehearsal, { originalStart: request.originalStartDateTime });
+
+  return { success: true };
+};
+
+/**
+ * Move sequential requests on when the asked candidate did not answer in time,
+ * and expire open requests whose rehearsal has started.
+ *
+ * @param {Object} io - Socket.io server
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} How many requests changed
+ */
+const processSubRequestTimeouts = async (io, now = new Date()) => {
+  const requests = await SubRequest.find({ status: 'open' });
+  let changed = 0;
+
+  for (const request of requests) {
+    const context = await loadRequestContext(request);
+    const { occurrence } = context;
+
+    if (!context.group || !occurrence || occurrence.isCancelled || occurrence.startDateTime <= now) {
+      request.status = 'expired';
+      request.withdrawOutstanding();
+      await request.save();
+      changed += 1;
+      continue;
+    }
+
+    if (request.mode !== 'sequential') continue;
+
+    const asked = request.candidates.find(candidate => candidate.status === 'asked');
+    if (!asked || asked.askedAt.getTime() + request.responseHours * HOUR > now.getTime()) continue;
+
+    asked.status = 'timed_out';
+    asked.respondedAt = now;
+    await askNextCandidates(io, request, context);
+    changed += 1;
+  }
+
+  return changed;
+};
+
+module.exports = {
+  getAvailableSubstitutes,
+  openSubRequest,
+  respondToSubRequest,
+  processSubRequestTimeouts
+};
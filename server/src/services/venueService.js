@@ -0,0 +1,192 @@
+const Rehearsal = require('../models/Rehearsal');
+const Booking = require('../models/Booking');
+const {
+  expandWeeklySlots,
+  mergeIntervals,
+  subtractIntervals,
+  isFreeDuring
+} = require('./schedulingService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const toInterval = (item) => ({
+  start: new Date(item.startDateTime).getTime(),
+  end: new Date(item.endDateTime).getTime()
+});
+
+const clipIntervals = (intervals, rangeStart, rangeEnd) =>
+  intervals
+    .map(interval => ({
+      start: Math.max(interval.start, rangeStart.getTime()),
+      end: Math.min(interval.end, rangeEnd.getTime())
+    }))
+    .filter(interval => interval.end > interval.start);
+
+const totalHours = (intervals) =>
+  intervals.reduce((total, interval) => total + interval.end - interval.start, 0) / HOUR;
+
+/**
+ * Get the merged intervals (epoch ms) in which a room can be booked between two
+ * dates: the venue's published slots for it, otherwise its opening hours,
+ * otherwise the whole range.
+ */
+const getBookableIntervals = (venue, roomId, rangeStart, rangeEnd) => {
+  const slots = venue.getBookableSlots(roomId);
+  const weekly = slots.length > 0
+    ? slots
+    : venue.openingHours.map(hours => ({ day: hours.day, startTime: hours.openTime, endTime: hours.closeTime }));
+
+  const intervals = weekly.length > 0
+    ? mergeIntervals(expandWeeklySlots(weekly, rangeStart, rangeEnd, venue.timeZone))
+    : [{ start: rangeStart.getTime(), end: rangeEnd.getTime() }];
+
+  return clipIntervals(intervals, rangeStart, rangeEnd);
+};
+
+// Whether a booking of a room fits into the venue's published slots. Venues that
+// publish none leave it to their opening hours
+const isBookableDuring = (venue, roomId, startDateTime, endDateTime) => {
+  if (venue.getBookableSlots(roomId).length === 0) return true;
+
+  const start = new Date(startDateTime);
+  const end = new Date(endDateTime);
+  return isFreeDuring(getBookableIntervals(venue, roomId, start, end), start.getTime(), end.getTime());
+};
+
+// Get the occurrences of rehearsals held at a venue within a range, found
+// through the rehearsals' venueId index
+const findVenueOccurrences = async (venueId, rangeStart, rangeEnd) => {
+  const occurrences = await Rehearsal.findOccurrences(
+    { $or: [{ venueId }, { 'exceptions.venueId': venueId }] },
+    rangeStart,
+    rangeEnd
+  );
+  return occurrences.filter(occurrence =>
+    occurrence.venueId && idOf(occurrence.venueId).toString() === venueId.toString()
+  );
+};
+
+// A rehearsal without a room takes the whole venue
+const usesRoom = (item, roomId) => !item.roomId || item.roomId.toString() === roomId.toString();
+
+/**
+ * Get when each active room of a venue is still free to book in a date range:
+ * its bookable intervals minus active bookings and rehearsals, with the venue's
+ * setup and teardown buffers kept around them.
+ *
+ * @returns {Promise<Array>} { roomId, name, capacity, hourlyRate, freeIntervals } per room
+ */
+const getRoomAvailability = async (venue, rangeStart, rangeEnd) => {
+  const buffer = venue.bufferMinutes * MINUTE;
+  const paddedStart = new Date(rangeStart.getTime() - buffer);
+  const paddedEnd = new Date(rangeEnd.getTime() + buffer);
+
+  const [bookings, occurrences] = await Promise.all([
+    Booking.findOverlapping(venue._id, paddedStart, paddedEnd),
+    findVenueOccurrences(venue._id, paddedStart, paddedEnd)
+  ]);
+
+  return venue.rooms
+    .filter(room => room.isActive)
+    .map(room => {
+      const busy = [...bookings, ...occurrences]
+        .filter(item => usesRoom(item, room._id))
+        .map(toInterval)
+        .map(interval => ({ start: interval.start - buffer, end: interval.end + buffer }));
+      const free = subtractIntervals(getBookableIntervals(venue, room._id, rangeStart, rangeEnd), busy);
+
+      return {
+        roomId: room._id,
+        name: room.name,
+        capacity: room.capacity,
+        hourlyRate: room.hourlyRate,
+        freeIntervals: free.map(interval => ({
+          startDateTime: new Date(interval.start),
+          endDateTime: new Date(interval.end)
+        }))
+      };
+    });
+};
+
+/**
+ * Build a utilization report of a venue over a date range. A room counts as
+ * booked while it has a confirmed booking or a rehearsal takes place in it;
+ * overlapping ones (like a rehearsal and its booking) are counted once.
+ * Occupancy compares the booked hours with the hours the room could be booked,
+ * and revenue prices the booked hours at the room's hourly rate.
+ *
+ * @returns {Promise<Object>} { rooms, unassigned, totals } with the venue's currency
+ */
+const getUtilizationReport = async (venue, rangeStart, rangeEnd) => {
+  const [bookings, occurrences] = await Promise.all([
+    Booking.find({
+      venueId: venue._id,
+      status: 'confirmed',
+      startDateTime: { $lt: rangeEnd },
+      endDateTime: { $gt: rangeStart }
+    }),
+    findVenueOccurrences(venue._id, rangeStart, rangeEnd)
+  ]);
+
+  const rooms = venue.rooms.map(room => {
+    const roomId = room._id.toString();
+    const roomBookings = bookings.filter(booking => booking.roomId.toString() === roomId);
+    const roomOccurrences = occurrences.filter(occurrence => occurrence.roomId && occurrence.roomId.toString() === roomId);
+
+    const booked = clipIntervals(
+      mergeIntervals([...roomBookings, ...roomOccurrences].map(toInterval)),
+      rangeStart,
+      rangeEnd
+    );
+    const bookedHours = totalHours(booked);
+    const availableHours = totalHours(getBookableIntervals(venue, room._id, rangeStart, rangeEnd));
+
+    return {
+      roomId: room._id,
+      name: room.name,
+      hourlyRate: room.hourlyRate,
+      bookings: roomBookings.length,
+      rehearsals: roomOccurrences.length,
+      bookedHours: round(bookedHours),
+      availableHours: round(availableHours),
+      occupancy: availableHours > 0 ? round(bookedHours / availableHours, 3) : null,
+      revenue: round(bookedHours * room.hourlyRate)
+    };
+  });
+
+  // Rehearsals that only name the venue are reported but not priced
+  const unassigned = occurrences.filter(occurrence => !occurrence.roomId);
+
+  const sum = (field) => round(rooms.reduce((total, room) => total + room[field], 0));
+  const bookedHours = sum('bookedHours');
+  const availableHours = sum('availableHours');
+
+  return {
+    currency: venue.currency,
+    rooms,
+    unassigned: {
+      rehearsals: unassigned.length,
+      bookedHours: round(totalHours(clipIntervals(mergeIntervals(unassigned.map(toInterval)), rangeStart, rangeEnd)))
+    },
+    totals: {
+      bookings: bookings.length,
+      bookedHours,
+      availableHours,
+      occupancy: availableHours > 0 ? round(bookedHours / availableHours, 3) : null,
+      revenue: sum('revenue')
+    }
+  };
+};
+
+module.exports = {
+  getBookableIntervals,
+  isBookableDuring,
+  findVenueOccurrences,
+  getRoomAvailability,
+  getUtilizationReport
+};
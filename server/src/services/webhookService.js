@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { WEBHOOK_EVENT_FOR } = require('../utils/webhookEvents');
+const { isInternalAddress, hostOf, publicOnlyLookup } = require('../utils/networkAddress');
+const { logError } = require('../utils/logger');
+
+const MINUTE = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Wait before each retry; a delivery failing after the last one is given up
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// A claimed delivery is left alone by other workers for this long
+const CLAIM_MS = 5 * MINUTE;
+
+const BATCH_SIZE = 50;
+
+const USER_AGENT = 'MusicJam-Webhooks/1.0';
+
+/**
+ * Sign a delivery body. Receivers recompute the HMAC-SHA256 of
+ * `<timestamp>.<body>` with the webhook's secret and compare it with the
+ * X-MusicJam-Signature header; the timestamp lets them reject old replays.
+ *
+ * @param {string} secret - The webhook's secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-MusicJam-Timestamp
+ * @param {string} body - The raw JSON body
+ * @returns {string} `sha256=<hex digest>`
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// POST a body to a URL. Resolves with the status code, or with the error when
+// the request failed; never rejects. Only public hosts are connected to, and
+// the response itself is discarded so deliveries cannot be used to read from
+// other servers
+const postJson = (url, body, headers) => new Promise((resolve) => {
+  const startedAt = Date.now();
+  const done = (result) => resolve({ ...result, durationMs: Date.now() - startedAt });
+
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    done({ error: 'Invalid URL' });
+    return;
+  }
+
+  // Addresses are connected to without a lookup, so check them here
+  const host = hostOf(target);
+  if (net.isIP(host) && isInternalAddress(host)) {
+    done({ error: `${host} is an internal address` });
+    return;
+  }
+
+  const client = target.protocol === 'http:' ? http : https;
+  const request = client.request(target, {
+    method: 'POST',
+    timeout: REQUEST_TIMEOUT_MS,
+    lookup: publicOnlyLookup,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': USER_AGENT
+    }
+  }, (response) => {
+    response.resume();
+    done({ statusCode: response.statusCode });
+    request.destroy();
+  });
+
+  request.on('timeout', () => request.destroy(new Error('Request timed out')));
+  request.on('error', (error) => done({ error: error.message }));
+  request.end(body);
+});
+
+// Claim a pending delivery that is due, so overlapping runs never send it twice
+const claimDelivery = (filter) => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { ...filter, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+/**
+ * Make one attempt at a claimed delivery and record it. Any 2xx response
+ * counts as delivered; otherwise the next attempt is scheduled with backoff,
+ * or the delivery is given up after the last one. Redirects are not followed:
+ * a 3xx response is a failed attempt.
+ *
+ * @param {Object} delivery - Claimed WebhookDelivery document
+ * @returns {Promise<Object>} The updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+  if (!webhook) {
+    delivery.status = 'failed';
+    delivery.attemptLog.push({ error: 'Webhook was deleted' });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify({
+    id: delivery._id,
+    event: delivery.event,
+    groupId: delivery.groupId,
+    createdAt: delivery.createdAt,
+    data: delivery.payload
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const result = await postJson(webhook.url, body, {
+    'X-MusicJam-Event': delivery.event,
+    'X-MusicJam-Delivery': delivery._id.toString(),
+    'X-MusicJam-Timestamp': String(timestamp),
+    'X-MusicJam-Signature': signPayload(webhook.secret, timestamp, body)
+  });
+
+  const succeeded = !result.error && result.statusCode >= 200 && result.statusCode < 300;
+  delivery.attempts += 1;
+  delivery.attemptLog.push({
+    attemptedAt: new Date(),
+    statusCode: result.statusCode,
+    error: result.error,
+    durationMs: result.durationMs
+  });
+
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_MINUTES[delivery.attempts - 1] * MINUTE);
+  }
+
+  return delivery.save();
+};
+
+// Claim a new delivery and make its first attempt in the background
+const sendNow = (delivery) => {
+  claimDelivery({ _id: delivery._id })
+    .then(claimed => claimed && attemptDelivery(claimed))
+    .catch(error => logError(`Webhook delivery ${delivery._id} failed`, error));
+};
+
+/**
+ * Queue a live update of a group for the webhooks subscribed to it. Each
+ * delivery is stored before it is sent, so it survives restarts and is retried
+ * by the scheduled job until it gets through. Updates without a webhook event
+ * are ignored.
+ *
+ * @param {string} groupId - Group the update belongs to
+ * @param {string} socketEvent - One of SERVER_EVENTS
+ * @param {Object} payload - The update's payload
+ * @returns {Promise<number>} How many deliveries were queued
+ */
+const queueWebhookDeliveries = async (groupId, socketEvent, payload) => {
+  const event = WEBHOOK_EVENT_FOR[socketEvent];
+  if (!event) return 0;
+
+  const webhooks = await Webhook.find({ groupId, isActive: true, events: event }).select('_id');
+  if (webhooks.length === 0) return 0;
+
+  // Documents are stored as the JSON they are sent as
+  const data = JSON.parse(JSON.stringify(payload));
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map(webhook => ({ webhookId: webhook._id, groupId, event, payload: data }))
+  );
+
+  deliveries.forEach(sendNow);
+  return deliveries.length;
+};
+
+/**
+ * Send a past delivery again as a new delivery, with its own retries.
+ *
+ * @param {Object} delivery - WebhookDelivery document to replay
+ * @returns {Promise<Object>} The new delivery
+ */
+const replayDelivery = async (delivery) => {
+  const replay = await WebhookDelivery.create({
+    webhookId: delivery.webhookId,
+    groupId: delivery.groupId,
+    event: delivery.event,
+    payload: delivery.payload,
+    replayOf: delivery._id
+  });
+
+  sendNow(replay);
+  return replay;
+};
+
+// Retry every pending delivery that is due. Returns how many were attempted
+const processDueDeliveries = async () => {
+  let attempted = 0;
+  while (attempted < BATCH_SIZE) {
+    const delivery = await claimDelivery({});
+    if (!delivery) break;
+
+    await attemptDelivery(delivery);
+    attempted++;
+  }
+  return attempted;
+};
+
+module.exports = {
+  signPayload,
+  queueWebhookDeliveries,
+  replayDelivery,
+  processDueDeliveries
+};
@@ -0,0 +1,54 @@
+/**
+ * Administrative actions recorded in the audit log, as `<target>.<what happened>`.
+ * Filtering the log by a target type (e.g. `member`) matches all its actions.
+ */
+const AUDIT_ACTIONS = {
+  GROUP_REQUIREMENTS_UPDATED: 'group.requirements_updated',
+  GROUP_TIME_ZONE_UPDATED: 'group.time_zone_updated',
+  GROUP_CURRENCY_UPDATED: 'group.currency_updated',
+  BLACKOUT_CREATED: 'blackout.created',
+  BLACKOUT_DELETED: 'blackout.deleted',
+  ROLE_CREATED: 'role.created',
+  ROLE_UPDATED: 'role.updated',
+  ROLE_DELETED: 'role.deleted',
+  MEMBER_JOINED: 'member.joined',
+  MEMBER_ROLE_CHANGED: 'member.role_changed',
+  MEMBER_REMOVED: 'member.removed',
+  MEMBER_LEFT: 'member.left',
+  OWNERSHIP_TRANSFER_REQUESTED: 'ownership.transfer_requested',
+  OWNERSHIP_TRANSFER_CANCELLED: 'ownership.transfer_cancelled',
+  OWNERSHIP_TRANSFERRED: 'ownership.transferred',
+  INVITATION_CREATED: 'invitation.created',
+  INVITATION_REVOKED: 'invitation.revoked',
+  WEBHOOK_CREATED: 'webhook.created',
+  WEBHOOK_UPDATED: 'webhook.updated',
+  WEBHOOK_SECRET_ROTATED: 'webhook.secret_rotated',
+  WEBHOOK_DELETED: 'webhook.deleted',
+  REHEARSAL_CREATED: 'rehearsal.created',
+  REHEARSAL_UPDATED: 'rehearsal.updated',
+  REHEARSAL_RESCHEDULED: 'rehearsal.rescheduled',
+  REHEARSAL_CANCELLED: 'rehearsal.cancelled',
+  REHEARSAL_DELETED: 'rehearsal.deleted',
+  REHEARSAL_COST_UPDATED: 'rehearsal.cost_updated',
+  REHEARSAL_COST_REMOVED: 'rehearsal.cost_removed',
+  PAYMENT_RECORDED: 'payment.recorded',
+  PAYMENT_DELETED: 'payment.deleted',
+  SETLIST_CREATED: 'setlist.created',
+  SETLIST_UPDATED: 'setlist.updated',
+  SETLIST_DELETED: 'setlist.deleted',
+  VENUE_CREATED: 'venue.created',
+  VENUE_UPDATED: 'venue.updated',
+  VENUE_DELETED: 'venue.deleted',
+  VENUE_MANAGER_ADDED: 'venue.manager_added',
+  VENUE_MANAGER_REMOVED: 'venue.manager_removed',
+  BOOKING_CREATED: 'booking.created',
+  BOOKING_CONFIRMED: 'booking.confirmed',
+  BOOKING_APPROVED: 'booking.approved',
+  BOOKING_REJECTED: 'booking.rejected',
+  BOOKING_RELEASED: 'booking.released'
+};
+
+// The kinds of things actions are taken on, from the action names
+const AUDIT_TARGET_TYPES = [...new Set(Object.values(AUDIT_ACTIONS).map(action => action.split('.')[0]))];
+
+module.exports = { AUDIT_ACTIONS, AUDIT_TARGET_TYPES };
@@ -0,0 +1,96 @@
+const cron = require('node-cron');
+const Booking = require('../models/Booking');
+const { syncAllUrlSources } = require('../services/calendarImportService');
+const {
+  processReminders,
+  processRsvpNudges,
+  processDailyDigests
+} = require('../services/reminderService');
+const { processSubRequestTimeouts } = require('../services/substituteService');
+const { processDueDeliveries } = require('../services/webhookService');
+const { logInfo, logError } = require('./logger');
+
+// Re-import subscribed calendars every 30 minutes
+const scheduleCalendarSync = () => {
+  cron.schedule(process.env.CALENDAR_SYNC_CRON || '*/30 * * * *', async () => {
+    try {
+      const { synced, failed } = await syncAllUrlSources();
+      logInfo(`Calendar sync finished: ${synced} synced, ${failed} failed`);
+    } catch (error) {
+      logError('Calendar sync failed', error);
+    }
+  });
+};
+
+// Release venue holds that were not confirmed in time
+const scheduleHoldExpiry = () => {
+  cron.schedule('*/5 * * * *', async () => {
+    try {
+      const released = await Booking.releaseExpiredHolds();
+      if (released > 0) {
+        logInfo(`Released ${released} expired venue holds`);
+      }
+    } catch (error) {
+      logError('Releasing expired holds failed', error);
+    }
+  });
+};
+
+// Send due rehearsal reminders, RSVP nudges and daily digests. Every send is
+// claimed in the reminder log first, so overlapping runs never send twice
+const scheduleReminders = () => {
+  cron.schedule(process.env.REMINDER_CRON || '*/5 * * * *', async () => {
+    try {
+      const now = new Date();
+      const reminders = await processReminders(now);
+      const nudges = await processRsvpNudges(now);
+      const digests = await processDailyDigests(now);
+      if (reminders + nudges + digests > 0) {
+        logInfo(`Sent ${reminders} reminders, ${nudges} RSVP nudges and ${digests} digests`);
+      }
+    } catch (error) {
+      logError('Sending reminders failed', error);
+    }
+  });
+};
+
+// Ask the next substitute when one did not answer in time, and expire sub
+// requests whose rehearsal has started
+const scheduleSubRequestTimeouts = (io) => {
+  cron.schedule('*/10 * * * *', async () => {
+    try {
+      const changed = await processSubRequestTimeouts(io);
+      if (changed > 0) {
+        logInfo(`Moved on ${changed} sub requests`);
+      }
+    } catch (error) {
+      logError('Processing sub requests failed', error);
+    }
+  });
+};
+
+// Retry webhook deliveries whose backoff has passed. Deliveries are claimed
+// before they are sent, so overlapping runs never send one twice
+const scheduleWebhookRetries = () => {
+  cron.schedule('* * * * *', async () => {
+    try {
+      const attempted = await processDueDeliveries();
+      if (attempted > 0) {
+        logInfo(`Retried ${attempted} webhook deliveries`);
+      }
+    } catch (error) {
+      logError('Retrying webhook deliveries failed', error);
+    }
+  });
+};
+
+// Start every scheduled job; called once the database connection is up
+const initScheduledJobs = (io) => {
+  scheduleCalendarSync();
+  scheduleHoldExpiry();
+  scheduleReminders();
+  scheduleSubRequestTimeouts(io);
+  scheduleWebhookRetries();
+};
+
+module.exports = { initScheduledJobs };
@@ -0,0 +1,33 @@
+// Spreadsheets run text starting with one of these as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value when it contains a separator, quote or line break (RFC 4180).
+// Text that would be read as a formula, like a member named "=HYPERLINK(...)",
+// is prefixed with a quote first; numbers are written as they are, so negative
+// amounts stay numbers
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document from rows of objects.
+ *
+ * @param {Array<{ key: string, header: string }>} columns - Columns in output order
+ * @param {Array<Object>} rows - One object per line, read by column key
+ * @returns {string} CSV text with a header line and CRLF line endings
+ */
+const toCsv = (columns, rows) =>
+  [
+    columns.map(column => escapeCsvValue(column.header)),
+    ...rows.map(row => columns.map(column => escapeCsvValue(row[column.key])))
+  ]
+    .map(values => values.join(','))
+    .join('\r\n') + '\r\n';
+
+module.exports = { toCsv };
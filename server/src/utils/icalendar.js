@@ -0,0 +1,588 @@
+const { DAY, getOriginalStarts, getSeriesEnd, getSeriesTimeZone } = require('./recurrence');
+const {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  formatOffset,
+  zonedTimeToUtc,
+  addDays,
+  getWeekday,
+  compareDays
+} = require('./timeZone');
+
+const PRODUCT_ID = '-//MusicJam Scheduler Pro//Rehearsals//EN';
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// How far past the first occurrence VTIMEZONE components list offset changes
+const MAX_TIME_ZONE_YEARS = 10;
+const MINUTE = 60 * 1000;
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold a content line to at most 75 octets, continuing with a leading space
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// Format a date as a UTC DATE-TIME value (e.g. 20240105T190000Z)
+const formatDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Format a date as a local DATE-TIME value in a time zone (e.g. 20240105T190000)
+const formatLocalDateTime = (date, timeZone) =>
+  formatDateTime(new Date(new Date(date).getTime() + getTimeZoneOffset(new Date(date), timeZone))).slice(0, -1);
+
+// Build a DATE-TIME property, in UTC or with a TZID (e.g. DTSTART;TZID=Europe/Berlin:20240105T190000)
+const dateTimeProperty = (name, dates, timeZone = 'UTC') =>
+  (timeZone === 'UTC'
+    ? `${name}:${dates.map(formatDateTime).join(',')}`
+    : `${name};TZID=${timeZone}:${dates.map(date => formatLocalDateTime(date, timeZone)).join(',')}`);
+
+const formatUtcOffset = (offsetMs) => formatOffset(Math.round(offsetMs / MINUTE), '');
+
+/**
+ * Build the VTIMEZONE of a zone with every UTC offset change between two instants,
+ * found by checking the offset daily and narrowing each change down to the minute.
+ * Each change is its own STANDARD or DAYLIGHT component, so no rules are needed.
+ */
+const buildTimeZone = (timeZone, from, to) => {
+  const offsetAt = (time) => getTimeZoneOffset(new Date(time), timeZone);
+  const firstYear = new Date(from).getUTCFullYear();
+  const scanStart = Date.UTC(firstYear, 0, 1);
+  const scanEnd = Math.min(to, Date.UTC(firstYear + MAX_TIME_ZONE_YEARS + 1, 0, 1));
+
+  const periods = [{ start: scanStart, offsetFrom: offsetAt(scanStart), offsetTo: offsetAt(scanStart) }];
+  for (let time = scanStart + DAY; time <= scanEnd + DAY; time += DAY) {
+    const previous = periods[periods.length - 1].offsetTo;
+    if (offsetAt(time) === previous) continue;
+
+    // The change lies in the past day: find its first minute
+    let low = (time - DAY) / MINUTE;
+    let high = time / MINUTE;
+    while (high - low > 1) {
+      const middle = Math.floor((low + high) / 2);
+      if (offsetAt(middle * MINUTE) === previous) low = middle;
+      else high = middle;
+    }
+    periods.push({ start: high * MINUTE, offsetFrom: previous, offsetTo: offsetAt(high * MINUTE) });
+  }
+
+  // Offsets above the zone's lowest count as daylight saving time
+  const standardOffset = Math.min(...periods.map(period => period.offsetTo));
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timeZone}`,
+    ...periods.flatMap(period => {
+      const kind = period.offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+      return [
+        `BEGIN:${kind}`,
+        // Onsets are written in the local time in effect before the change
+        `DTSTART:${formatDateTime(period.start + period.offsetFrom).slice(0, -1)}`,
+        `TZOFFSETFROM:${formatUtcOffset(period.offsetFrom)}`,
+        `TZOFFSETTO:${formatUtcOffset(period.offsetTo)}`,
+        `END:${kind}`
+      ];
+    }),
+    'END:VTIMEZONE'
+  ];
+};
+
+// Zone a rehearsal's events are written in: recurring series keep their own zone
+// so calendars repeat them at the same local time; everything else is in UTC
+const getEventTimeZone = (rehearsal) =>
+  (rehearsal.isRecurring && rehearsal.recurringPattern ? getSeriesTimeZone(rehearsal) : 'UTC');
+
+const getName = (ref) => (ref && ref.name ? ref.name : null);
+
+// Build the DESCRIPTION and LOCATION of an event from a rehearsal or occurrence
+const describe = (rehearsal, venue, notes) => {
+  const lines = [];
+  if (rehearsal.groupId && rehearsal.groupId.name) lines.push(`Group: ${rehearsal.groupId.name}`);
+  if (rehearsal.description) lines.push(rehearsal.description);
+  if (getName(rehearsal.setlistId)) lines.push(`Setlist: ${rehearsal.setlistId.name}`);
+  if (notes) lines.push(`Notes: ${notes}`);
+
+  let location = getName(venue);
+  if (location && venue.address) {
+    const { street, city, state, postalCode, country } = venue.address;
+    const address = [street, city, state, postalCode, country].filter(Boolean).join(', ');
+    if (address) location = `${location}, ${address}`;
+  }
+
+  return { description: lines.join('\n'), location };
+};
+
+// Build the RRULE value for a recurring pattern. UNTIL stays in UTC, as RFC 5545
+// requires when DTSTART has a TZID
+const buildRecurrenceRule = (rehearsal) => {
+  const pattern = rehearsal.recurringPattern;
+  const timeZone = getSeriesTimeZone(rehearsal);
+  const until = formatDateTime(getSeriesEnd(pattern, timeZone) - 1000);
+  const interval = pattern.interval || 1;
+
+  if (pattern.frequency === 'monthly') {
+    const dayOfMonth = getZonedParts(new Date(rehearsal.startDateTime), timeZone).day;
+    return `FREQ=MONTHLY;INTERVAL=${interval};BYMONTHDAY=${dayOfMonth};UNTIL=${until}`;
+  }
+
+  const weeks = (pattern.frequency === 'biweekly' ? 2 : 1) * interval;
+  return `FREQ=WEEKLY;INTERVAL=${weeks};BYDAY=${BYDAY[pattern.dayOfWeek]};UNTIL=${until}`;
+};
+
+const buildEvent = ({ uid, start, end, timeZone, summary, description, location, lastModified, extra = [] }) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(lastModified || Date.now())}`,
+    dateTimeProperty('DTSTART', [start], timeZone),
+    dateTimeProperty('DTEND', [end], timeZone),
+    ...extra,
+    `SUMMARY:${escapeText(summary)}`
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Convert a rehearsal into VEVENT lines. Recurring rehearsals become a single
+ * event with an RRULE; cancelled occurrences are listed as EXDATEs and moved or
+ * edited occurrences are emitted as overrides with a RECURRENCE-ID. Cancelled
+ * rehearsals stay in the feed with STATUS:CANCELLED so calendars drop them.
+ * Recurring rehearsals outside UTC are written with a TZID (see getEventTimeZone).
+ *
+ * Expects `groupId`, `venueId`, `setlistId` and `exceptions.venueId` to be populated.
+ */
+const rehearsalToEvents = (rehearsal, domain) => {
+  const uid = `${rehearsal._id}@${domain}`;
+  const summary = rehearsal.title || (rehearsal.groupId && rehearsal.groupId.name
+    ? `${rehearsal.groupId.name} rehearsal`
+    : 'Rehearsal');
+  const lastModified = rehearsal.updatedAt;
+  const { description, location } = describe(rehearsal, rehearsal.venueId, rehearsal.notes);
+  const status = rehearsal.status === 'cancelled' ? ['STATUS:CANCELLED'] : [];
+
+  if (!rehearsal.isRecurring || !rehearsal.recurringPattern) {
+    return buildEvent({
+      uid,
+      start: rehearsal.startDateTime,
+      end: rehearsal.endDateTime,
+      summary,
+      description,
+      location,
+      lastModified,
+      extra: status
+    });
+  }
+
+  // DTSTART has to be the first real occurrence, which may be after the series start
+  const [firstStart] = getOriginalStarts(rehearsal, rehearsal.startDateTime.getTime(), Infinity);
+  if (firstStart === undefined) return [];
+
+  const duration = rehearsal.endDateTime - rehearsal.startDateTime;
+  const exceptions = rehearsal.exceptions || [];
+  const timeZone = getEventTimeZone(rehearsal);
+
+  const cancelled = exceptions.filter(exception => exception.isCancelled);
+  const overridden = exceptions.filter(exception =>
+    !exception.isCancelled &&
+    (exception.startDateTime || exception.venueId || exception.notes !== undefined)
+  );
+
+  const extra = [`RRULE:${buildRecurrenceRule(rehearsal)}`, ...status];
+  if (cancelled.length > 0) {
+    extra.push(dateTimeProperty('EXDATE', cancelled.map(exception => exception.originalStartDateTime), timeZone));
+  }
+
+  const lines = buildEvent({
+    uid,
+    start: firstStart,
+    end: firstStart + duration,
+    timeZone,
+    summary,
+    description,
+    location,
+    lastModified,
+    extra
+  });
+
+  overridden.forEach(exception => {
+    const start = exception.startDateTime || exception.originalStartDateTime;
+    const end = exception.endDateTime || new Date(new Date(start).getTime() + duration);
+    const venue = exception.venueId || rehearsal.venueId;
+    const notes = exception.notes !== undefined ? exception.notes : rehearsal.notes;
+    const details = describe(rehearsal, venue, notes);
+
+    lines.push(...buildEvent({
+      uid,
+      start,
+      end,
+      timeZone,
+      summary,
+      description: details.description,
+      location: details.location,
+      lastModified,
+      extra: [dateTimeProperty('RECURRENCE-ID', [exception.originalStartDateTime], timeZone), ...status]
+    }));
+  });
+
+  return lines;
+};
+
+// Build a VTIMEZONE for every zone the rehearsals' events use, covering all their series
+const buildTimeZones = (rehearsals) => {
+  const ranges = new Map();
+  rehearsals.forEach(rehearsal => {
+    const timeZone = getEventTimeZone(rehearsal);
+    if (timeZone === 'UTC') return;
+
+    const from = new Date(rehearsal.startDateTime).getTime();
+    const to = getSeriesEnd(rehearsal.recurringPattern, timeZone);
+    const range = ranges.get(timeZone) || { from, to };
+    ranges.set(timeZone, { from: Math.min(range.from, from), to: Math.max(range.to, to) });
+  });
+
+  return [...ranges].flatMap(([timeZone, { from, to }]) => buildTimeZone(timeZone, from, to));
+};
+
+/**
+ * Build a complete iCalendar document for a list of rehearsals.
+ */
+const buildCalendar = (name, rehearsals, domain) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...buildTimeZones(rehearsals),
+    ...rehearsals.flatMap(rehearsal => rehearsalToEvents(rehearsal, domain)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+const PARSE_WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const MAX_RULE_ITERATIONS = 5000;
+
+// Split a content line into its name, parameters and value
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let separator = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+  if (separator < 0) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, value = ''] = param.split('=');
+    params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+};
+
+const unescapeText = (value) =>
+  value.replace(/\\[nN]/g, '\n').replace(/\\([\\;,])/g, '$1');
+
+/**
+ * Parse a DATE or DATE-TIME value into { date, timeZone, allDay }. UTC values keep
+ * the 'UTC' zone; TZID and floating values are resolved in their zone, falling
+ * back to `defaultTimeZone` when the TZID is not an IANA name.
+ */
+const parseDateValue = (value, params, defaultTimeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const calendarDay = { year: Number(year), month: Number(month), day: Number(day) };
+
+  if (utc) {
+    return {
+      date: new Date(Date.UTC(calendarDay.year, calendarDay.month - 1, calendarDay.day, hour, minute, second)),
+      timeZone: 'UTC',
+      allDay: false
+    };
+  }
+
+  const timeZone = isValidTimeZone(params.TZID) ? params.TZID : defaultTimeZone;
+  const allDay = hour === undefined;
+  const date = zonedTimeToUtc(calendarDay, allDay ? '00:00' : `${hour}:${minute}`, timeZone);
+  if (!allDay) date.setUTCSeconds(Number(second));
+
+  return { date, timeZone, allDay };
+};
+
+// Parse a DURATION value (e.g. PT1H30M, P1D) into milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 +
+    Number(seconds)) * 1000;
+  return sign === '-' ? -total : total;
+};
+
+const parseRule = (value) => {
+  const rule = {};
+  value.split(';').forEach(part => {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue !== undefined) rule[key.toUpperCase()] = ruleValue;
+  });
+  return rule;
+};
+
+// Only plain DAILY/WEEKLY/MONTHLY/YEARLY rules are expanded; anything finer-grained
+// (BYSETPOS, ordinal BYDAY, BYMONTH lists...) only contributes its first instance
+const isSupportedRule = (rule) => {
+  const supported = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'WKST', 'BYDAY', 'BYMONTHDAY'];
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) return false;
+  if (Object.keys(rule).some(key => !supported.includes(key))) return false;
+  if (rule.BYDAY && (rule.FREQ !== 'WEEKLY' || !rule.BYDAY.split(',').every(day => day in PARSE_WEEKDAYS))) {
+    return false;
+  }
+  if (rule.BYMONTHDAY && (rule.FREQ !== 'MONTHLY' || !/^\d{1,2}$/.test(rule.BYMONTHDAY))) return false;
+  return true;
+};
+
+/**
+ * Expand a recurrence rule into instance start times (epoch ms) up to `horizonEnd`.
+ * Instances are generated on the wall clock of the event's zone so they keep
+ * their local time across daylight-saving changes.
+ */
+const expandRule = (start, timeZone, allDay, rule, horizonEnd) => {
+  if (!isSupportedRule(rule)) return [start.getTime()];
+
+  const interval = Number(rule.INTERVAL) || 1;
+  const count = rule.COUNT ? Number(rule.COUNT) : Infinity;
+  const until = rule.UNTIL ? parseDateValue(rule.UNTIL, {}, timeZone) : null;
+  const limit = Math.min(horizonEnd, until ? until.date.getTime() : Infinity);
+
+  const local = getZonedParts(start, timeZone);
+  const startDay = { year: local.year, month: local.month, day: local.day };
+  const time = allDay ? '00:00' : `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+  const toInstant = (calendarDay) => zonedTimeToUtc(calendarDay, time, timeZone).getTime() + local.second * 1000;
+
+  const starts = [];
+  const push = (calendarDay) => {
+    if (compareDays(calendarDay, startDay) < 0) return true;
+    const instant = toInstant(calendarDay);
+    if (instant > limit || starts.length >= count) return false;
+    starts.push(instant);
+    return true;
+  };
+
+  for (let step = 0; step < MAX_RULE_ITERATIONS; step++) {
+    let keepGoing = true;
+
+    if (rule.FREQ === 'DAILY') {
+      keepGoing = push(addDays(startDay, step * interval));
+    } else if (rule.FREQ === 'WEEKLY') {
+      const weekdays = rule.BYDAY
+        ? rule.BYDAY.split(',').map(day => PARSE_WEEKDAYS[day])
+        : [getWeekday(startDay)];
+      // Weeks start on Monday unless WKST says otherwise
+      const weekStart = PARSE_WEEKDAYS[rule.WKST] !== undefined ? PARSE_WEEKDAYS[rule.WKST] : 1;
+      const firstWeekDay = addDays(startDay, -((getWeekday(startDay) - weekStart + 7) % 7));
+      const days = weekdays
+        .map(weekday => addDays(firstWeekDay, step * interval * 7 + ((weekday - weekStart + 7) % 7)))
+        .sort(compareDays);
+      keepGoing = days.every(push);
+    } else {
+      const months = rule.FREQ === 'MONTHLY' ? step * interval : step * interval * 12;
+      const dayOfMonth = rule.BYMONTHDAY ? Number(rule.BYMONTHDAY) : startDay.day;
+      const first = new Date(Date.UTC(startDay.year, startDay.month - 1 + months, 1));
+      const calendarDay = { year: first.getUTCFullYear(), month: first.getUTCMonth() + 1, day: dayOfMonth };
+      // Skip months that do not have the day (e.g. the 31st)
+      if (addDays(calendarDay, 0).month === calendarDay.month) {
+        keepGoing = push(calendarDay);
+      } else if (toInstant({ ...calendarDay, day: 1 }) > limit) {
+        keepGoing = false;
+      }
+    }
+
+    if (!keepGoing || starts.length >= count) break;
+  }
+
+  return starts;
+};
+
+/**
+ * Parse the VEVENTs of an iCalendar document into busy intervals within
+ * [horizonStart, horizonEnd). Recurring events are expanded, EXDATEs removed and
+ * RECURRENCE-ID overrides applied. Transparent and cancelled events are skipped.
+ *
+ * Each returned event has an `externalId` that is stable across re-imports.
+ */
+const parseCalendar = (text, options = {}) => {
+  const {
+    defaultTimeZone = 'UTC',
+    horizonStart = new Date(),
+    horizonEnd = new Date(Date.now() + 180 * 24 * 60 * 60 * 1000)
+  } = options;
+
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const rawEvents = [];
+  let current = null;
+  let nestedDepth = 0;
+
+  lines.forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT' && !current) {
+        current = { exdates: [] };
+      } else if (current) {
+        nestedDepth++;
+      }
+      return;
+    }
+
+    if (property.name === 'END') {
+      if (current && nestedDepth > 0) {
+        nestedDepth--;
+      } else if (current && property.value.toUpperCase() === 'VEVENT') {
+        rawEvents.push(current);
+        current = null;
+      }
+      return;
+    }
+
+    // Skip properties of nested components such as VALARM
+    if (!current || nestedDepth > 0) return;
+
+    switch (property.name) {
+      case 'UID':
+        current.uid = property.value.trim();
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(property.value);
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(property.value, property.params, defaultTimeZone);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(property.value, property.params, defaultTimeZone);
+        break;
+      case 'DURATION':
+        current.duration = parseDuration(property.value);
+        break;
+      case 'RRULE':
+        current.rule = parseRule(property.value);
+        break;
+      case 'EXDATE':
+        property.value.split(',').forEach(value => {
+          const exdate = parseDateValue(value, property.params, defaultTimeZone);
+          if (exdate) current.exdates.push(exdate.date.getTime());
+        });
+        break;
+      case 'RECURRENCE-ID':
+        current.recurrenceId = parseDateValue(property.value, property.params, defaultTimeZone);
+        break;
+      case 'TRANSP':
+        current.transparent = property.value.trim().toUpperCase() === 'TRANSPARENT';
+        break;
+      case 'STATUS':
+        current.cancelled = property.value.trim().toUpperCase() === 'CANCELLED';
+        break;
+      default:
+        break;
+    }
+  });
+
+  // Instances replaced by RECURRENCE-ID overrides are dropped from the expansion
+  const overridden = new Map();
+  rawEvents
+    .filter(event => event.recurrenceId && event.uid)
+    .forEach(event => {
+      if (!overridden.has(event.uid)) overridden.set(event.uid, new Set());
+      overridden.get(event.uid).add(event.recurrenceId.date.getTime());
+    });
+
+  const from = new Date(horizonStart).getTime();
+  const to = new Date(horizonEnd).getTime();
+  const events = [];
+
+  rawEvents.forEach(event => {
+    if (!event.start || event.transparent || event.cancelled) return;
+
+    const startTime = event.start.date.getTime();
+    let duration;
+    if (event.end) {
+      duration = event.end.date.getTime() - startTime;
+    } else if (event.duration !== null && event.duration !== undefined) {
+      duration = event.duration;
+    } else {
+      duration = event.start.allDay ? 24 * 60 * 60 * 1000 : 0;
+    }
+    if (duration <= 0) return;
+
+    const uid = event.uid || `${startTime}-${duration}-${event.summary || ''}`;
+    const skipped = new Set([...event.exdates, ...(event.rule && overridden.has(uid) ? overridden.get(uid) : [])]);
+    const starts = event.rule && !event.recurrenceId
+      ? expandRule(event.start.date, event.start.timeZone, event.start.allDay, event.rule, to)
+      : [startTime];
+
+    starts
+      .filter(start => !skipped.has(start) && start < to && start + duration > from)
+      .forEach(start => {
+        const instanceKey = event.recurrenceId ? event.recurrenceId.date.getTime() : start;
+        events.push({
+          externalId: event.rule || event.recurrenceId ? `${uid}#${new Date(instanceKey).toISOString()}` : uid,
+          summary: event.summary || '',
+          startDateTime: new Date(start),
+          endDateTime: new Date(start + duration),
+          allDay: event.start.allDay
+        });
+      });
+  });
+
+  return events;
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  buildCalendar,
+  parseCalendar
+};
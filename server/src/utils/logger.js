@@ -0,0 +1,13 @@
+// The one place the server writes its logs from, so where they go can be
+// changed here alone
+
+const logInfo = (message) => {
+  console.log(message);
+};
+
+// Log a failure that is not passed on, like an email that could not be sent
+const logError = (message, error) => {
+  console.error(error ? `${message}: ${error.message}` : message);
+};
+
+module.exports = { logInfo, logError };
@@ -0,0 +1,89 @@
+const dns = require('dns');
+const net = require('net');
+
+// Addresses that reach the server itself or its internal network: loopback,
+// private, link-local (including cloud metadata endpoints), unique-local,
+// carrier-grade NAT, multicast and unspecified. IPv4-mapped IPv6 addresses
+// are checked against the IPv4 ranges
+const internalAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => internalAddresses.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([prefix, bits]) => internalAddresses.addSubnet(prefix, bits, 'ipv6'));
+
+// Check whether an IP address is internal rather than on the public internet
+const isInternalAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return internalAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// The host of a URL as an address or name to resolve; IPv6 hosts lose their brackets
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '');
+
+/**
+ * A `lookup` for http.request that refuses hosts resolving to an internal
+ * address. Checking while connecting, rather than only when a URL is saved,
+ * keeps a host from switching to an internal address later.
+ */
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(({ address }) => isInternalAddress(address))) {
+      const refused = new Error(`${hostname} resolves to an internal address`);
+      refused.code = 'EINTERNALADDRESS';
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * Check that a URL's host is on the public internet, resolving names.
+ *
+ * @param {string} url
+ * @returns {Promise<boolean>} False for internal or unresolvable hosts
+ */
+const isPublicUrl = async (url) => {
+  let host;
+  try {
+    host = hostOf(new URL(url));
+  } catch (error) {
+    return false;
+  }
+
+  if (net.isIP(host)) return !isInternalAddress(host);
+
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.length > 0 && !addresses.some(({ address }) => isInternalAddress(address));
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  isInternalAddress,
+  hostOf,
+  publicOnlyLookup,
+  isPublicUrl
+};
@@ -0,0 +1,62 @@
+// Actions that can be allowed per group role
+const PERMISSIONS = {
+  VIEW_GROUP: 'view_group',
+  SCHEDULE_REHEARSALS: 'schedule_rehearsals',
+  EDIT_SETLISTS: 'edit_setlists',
+  BOOK_VENUES: 'book_venues',
+  INVITE_MEMBERS: 'invite_members',
+  VIEW_ANALYTICS: 'view_analytics',
+  MANAGE_FINANCES: 'manage_finances',
+  MANAGE_MEMBERS: 'manage_members',
+  MANAGE_ROLES: 'manage_roles',
+  MANAGE_GROUP: 'manage_group',
+  TRANSFER_OWNERSHIP: 'transfer_ownership'
+};
+
+// Used in "You do not have permission to ..." errors
+const PERMISSION_DESCRIPTIONS = {
+  view_group: 'view this group',
+  schedule_rehearsals: 'schedule rehearsals',
+  edit_setlists: 'edit songs and setlists',
+  book_venues: 'book venues',
+  invite_members: 'invite people',
+  view_analytics: 'view attendance analytics',
+  manage_finances: 'manage rehearsal costs and payments',
+  manage_members: 'remove members',
+  manage_roles: 'manage roles',
+  manage_group: 'manage group settings',
+  transfer_ownership: 'transfer ownership'
+};
+
+// Every member can view the group, and only the owner can hand it over, so
+// custom roles choose from the permissions in between
+const ASSIGNABLE_PERMISSIONS = Object.values(PERMISSIONS).filter(
+  permission => permission !== PERMISSIONS.VIEW_GROUP && permission !== PERMISSIONS.TRANSFER_OWNERSHIP
+);
+
+// The permission matrix of the built-in roles
+const BUILT_IN_ROLES = {
+  owner: Object.values(PERMISSIONS),
+  admin: Object.values(PERMISSIONS).filter(permission => permission !== PERMISSIONS.TRANSFER_OWNERSHIP),
+  member: [PERMISSIONS.VIEW_GROUP]
+};
+
+const isBuiltInRole = (role) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, role);
+
+// Turn a custom role name into the key stored on members, e.g.
+// "Musical Director" -> "musical-director"
+const toRoleKey = (name) =>
+  name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_DESCRIPTIONS,
+  ASSIGNABLE_PERMISSIONS,
+  BUILT_IN_ROLES,
+  isBuiltInRole,
+  toRoleKey
+};
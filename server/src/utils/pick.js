@@ -0,0 +1,9 @@
+// Copy the listed fields that are present on an object, e.g. to whitelist the
+// updatable fields of a request body
+const pick = (source, fields) =>
+  fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+
+module.exports = { pick };
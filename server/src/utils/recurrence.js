@@ -0,0 +1,212 @@
+const {
+  isValidTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  addDays,
+  getDayRangeInterval
+} = require('./timeZone');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Zone a rehearsal's recurrence is anchored in. Rehearsals saved before zones
+// were tracked have none and keep repeating in UTC
+const getSeriesTimeZone = (rehearsal) =>
+  (isValidTimeZone(rehearsal.timeZone) ? rehearsal.timeZone : 'UTC');
+
+// Exclusive upper bound of a recurring pattern: the end of its endDate in the
+// series' time zone. The endDate is stored as midnight UTC of the calendar date
+const getSeriesEnd = (pattern, timeZone = 'UTC') =>
+  getDayRangeInterval(pattern.endDate, pattern.endDate, timeZone).end;
+
+// Start (epoch ms) of an occurrence on a calendar day, at the series' local
+// wall-clock time. Keeping the wall-clock time rather than a fixed interval is
+// what keeps a 7pm rehearsal at 7pm across daylight saving changes
+const startOnDay = (calendarDay, local, timeZone) => {
+  const time = `${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+  return zonedTimeToUtc(calendarDay, time, timeZone).getTime() + local.second * 1000;
+};
+
+// Original start times (epoch ms) of a weekly or biweekly series that fall in [from, to)
+const getWeeklyStarts = (seriesStart, pattern, from, to, timeZone) => {
+  const weeks = (pattern.frequency === 'biweekly' ? 2 : 1) * (pattern.interval || 1);
+  const stepDays = weeks * 7;
+  const local = getZonedParts(seriesStart, timeZone);
+
+  // The first occurrence is the first matching local weekday on or after the series start
+  const dayShift = (pattern.dayOfWeek - local.weekday + 7) % 7;
+  const firstDay = addDays(local, dayShift);
+
+  // Jump close to the range, one step early since offsets shift by a few hours
+  const first = startOnDay(firstDay, local, timeZone);
+  const skip = Math.max(0, Math.floor((from - first) / (stepDays * DAY)) - 1);
+
+  const starts = [];
+  for (let index = skip; ; index++) {
+    const start = startOnDay(addDays(firstDay, index * stepDays), local, timeZone);
+    if (start >= to) break;
+    if (start >= from) starts.push(start);
+  }
+  return starts;
+};
+
+// Original start times (epoch ms) of a monthly series that fall in [from, to). Months
+// without the series' local day of month (e.g. the 31st) are skipped
+const getMonthlyStarts = (seriesStart, pattern, from, to, timeZone) => {
+  const interval = pattern.interval || 1;
+  const local = getZonedParts(seriesStart, timeZone);
+  const starts = [];
+
+  for (let monthIndex = 0; ; monthIndex += interval) {
+    const month = new Date(Date.UTC(local.year, local.month - 1 + monthIndex, 1));
+    const calendarDay = {
+      year: month.getUTCFullYear(),
+      month: month.getUTCMonth() + 1,
+      day: local.day
+    };
+    const exists = new Date(Date.UTC(calendarDay.year, calendarDay.month - 1, calendarDay.day)).getUTCDate() === local.day;
+
+    const start = startOnDay(exists ? calendarDay : { ...calendarDay, day: 1 }, local, timeZone);
+    if (start >= to) break;
+    if (exists && start >= from) {
+      starts.push(start);
+    }
+  }
+  return starts;
+};
+
+/**
+ * Get the original start times (epoch ms) of a rehearsal's occurrences in [from, to),
+ * before any per-occurrence exceptions are applied. A non-recurring rehearsal has
+ * a single occurrence at its own start time. Recurring rehearsals repeat on the
+ * local calendar of their time zone, at the local time of their first start.
+ */
+const getOriginalStarts = (rehearsal, from, to) => {
+  const seriesStart = new Date(rehearsal.startDateTime);
+
+  if (!rehearsal.isRecurring || !rehearsal.recurringPattern) {
+    const start = seriesStart.getTime();
+    return start >= from && start < to ? [start] : [];
+  }
+
+  const pattern = rehearsal.recurringPattern;
+  const lower = Math.max(from, seriesStart.getTime());
+  const timeZone = getSeriesTimeZone(rehearsal);
+  const upper = Math.min(to, getSeriesEnd(pattern, timeZone));
+  if (lower >= upper) return [];
+
+  return pattern.frequency === 'monthly'
+    ? getMonthlyStarts(seriesStart, pattern, lower, upper, timeZone)
+    : getWeeklyStarts(seriesStart, pattern, lower, upper, timeZone);
+};
+
+// Why an occurrence is off: the whole rehearsal was cancelled, or just this one
+const getCancellationReason = (rehearsal, exception) => {
+  if (rehearsal.status === 'cancelled') {
+    return rehearsal.cancellation ? rehearsal.cancellation.reason : undefined;
+  }
+  return exception && exception.isCancelled ? exception.cancellationReason : undefined;
+};
+
+// Build the occurrence starting originally at `originalStart`, with its exception
+// (moved time, venue, notes and occurrence-level RSVPs) applied, with its
+// check-ins and at-risk flag
+const buildOccurrence = (rehearsal, originalStart, exception) => {
+  const duration = new Date(rehearsal.endDateTime) - new Date(rehearsal.startDateTime);
+  const startDateTime = exception && exception.startDateTime
+    ? new Date(exception.startDateTime)
+    : new Date(originalStart);
+  const endDateTime = exception && exception.endDateTime
+    ? new Date(exception.endDateTime)
+    : new Date(originalStart + duration);
+
+  return {
+    rehearsalId: rehearsal._id,
+    groupId: rehearsal.groupId,
+    title: rehearsal.title,
+    originalStartDateTime: new Date(originalStart),
+    startDateTime,
+    endDateTime,
+    venueId: exception && exception.venueId ? exception.venueId : rehearsal.venueId,
+    roomId: exception && (exception.venueId || exception.roomId) ? exception.roomId : rehearsal.roomId,
+    setlistId: rehearsal.setlistId,
+    notes: exception && exception.notes !== undefined ? exception.notes : rehearsal.notes,
+    isRecurring: rehearsal.isRecurring,
+    isException: Boolean(exception),
+    isCancelled: rehearsal.status === 'cancelled' || Boolean(exception && exception.isCancelled),
+    cancellationReason: getCancellationReason(rehearsal, exception),
+    attendees: exception && exception.attendees && exception.attendees.length > 0
+      ? exception.attendees
+      : rehearsal.attendees,
+    checkIns: (rehearsal.checkIns || []).filter(
+      checkIn => new Date(checkIn.originalStartDateTime).getTime() === originalStart
+    ),
+    riskFlag: (rehearsal.riskFlags || []).find(
+      flag => new Date(flag.originalStartDateTime).getTime() === originalStart
+    ) || null
+  };
+};
+
+const findException = (rehearsal, originalStart) =>
+  (rehearsal.exceptions || []).find(
+    exception => new Date(exception.originalStartDateTime).getTime() === originalStart
+  );
+
+/**
+ * Get a single occurrence by its original start, or null when the rehearsal has
+ * no occurrence starting then.
+ */
+const getOccurrence = (rehearsal, originalStart) => {
+  const time = new Date(originalStart).getTime();
+  if (getOriginalStarts(rehearsal, time, time + 1).length === 0) return null;
+
+  return buildOccurrence(rehearsal, time, findException(rehearsal, time));
+};
+
+/**
+ * Expand a rehearsal into the occurrences overlapping [rangeStart, rangeEnd).
+ *
+ * Exceptions are applied on top of the generated dates: moved occurrences take
+ * their new time, venue and notes, and occurrence-level attendees replace the
+ * series attendees. Cancelled occurrences are only returned with `includeCancelled`.
+ */
+const expandOccurrences = (rehearsal, rangeStart, rangeEnd, options = {}) => {
+  const { includeCancelled = false } = options;
+  const from = new Date(rangeStart).getTime();
+  const to = new Date(rangeEnd).getTime();
+  const duration = new Date(rehearsal.endDateTime) - new Date(rehearsal.startDateTime);
+
+  // Widen the search by the duration so occurrences starting before the range
+  // but still running into it are found
+  const originalStarts = new Set(getOriginalStarts(rehearsal, from - duration, to));
+
+  // Moved occurrences may land in the range from anywhere in the series
+  (rehearsal.exceptions || []).forEach(exception => {
+    const originalStart = new Date(exception.originalStartDateTime).getTime();
+    if (
+      exception.startDateTime &&
+      new Date(exception.startDateTime).getTime() < to &&
+      new Date(exception.endDateTime).getTime() > from &&
+      getOriginalStarts(rehearsal, originalStart, originalStart + 1).length > 0
+    ) {
+      originalStarts.add(originalStart);
+    }
+  });
+
+  return [...originalStarts]
+    .map(originalStart => buildOccurrence(rehearsal, originalStart, findException(rehearsal, originalStart)))
+    .filter(occurrence =>
+      occurrence.startDateTime.getTime() < to &&
+      occurrence.endDateTime.getTime() > from &&
+      (includeCancelled || !occurrence.isCancelled)
+    )
+    .sort((a, b) => a.startDateTime - b.startDateTime);
+};
+
+module.exports = {
+  DAY,
+  getSeriesTimeZone,
+  getSeriesEnd,
+  getOriginalStarts,
+  getOccurrence,
+  expandOccurrences
+};
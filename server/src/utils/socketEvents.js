@@ -0,0 +1,46 @@
+/**
+ * Socket.io event names shared by the server and the client's SocketProvider
+ * (mirrored in client/src/types/socketEvents.ts, which also types the payloads).
+ *
+ * Group events are sent to the group's room, which only members can join.
+ * Notifications are sent to each user's personal room, joined automatically.
+ */
+
+// Events the server emits
+const SERVER_EVENTS = {
+  // Payload: the new rehearsal
+  REHEARSAL_CREATED: 'rehearsal_created',
+  // Payload: { rehearsalId, originalStartDateTime?, followingRehearsalId? }
+  REHEARSAL_UPDATED: 'rehearsal_updated',
+  // Payload: { rehearsalId, originalStartDateTime? }
+  REHEARSAL_CANCELLED: 'rehearsal_cancelled',
+  // Payload: { rehearsalId, originalStartDateTime, userId, status, reason?, eta? }
+  RSVP_CHANGED: 'rsvp_changed',
+  // Payload: { rehearsalId, originalStartDateTime, atRisk, reasons }
+  REHEARSAL_RISK_CHANGED: 'rehearsal_risk_changed',
+  // Payload: { rehearsalId, originalStartDateTime, userId, checkedIn, checkedInAt? }
+  CHECK_IN_CHANGED: 'check_in_changed',
+  // Payload: the new poll
+  POLL_CREATED: 'poll_created',
+  // Payload: { pollId, status, tally: [{ optionId, yes, maybe, no }], rehearsalId? }
+  POLL_UPDATED: 'poll_updated',
+  // Payload: { subRequestId, rehearsalId, originalStartDateTime, status, filledBy? }
+  SUB_REQUEST_UPDATED: 'sub_request_updated',
+  // Payload: { groupId, userId, role }
+  MEMBER_JOINED: 'member_joined',
+  // Payload: { groupId, userId }
+  MEMBER_LEFT: 'member_left',
+  // Payload: { setlistId, change: 'created' | 'updated' | 'deleted' }
+  SETLIST_CHANGED: 'setlist_changed',
+  // Payload: the stored notification
+  NOTIFICATION: 'notification'
+};
+
+// Events the client emits. Both take a groupId and an optional acknowledgement
+// callback receiving { success, message? }
+const CLIENT_EVENTS = {
+  JOIN_ROOM: 'join_room',
+  LEAVE_ROOM: 'leave_room'
+};
+
+module.exports = { SERVER_EVENTS, CLIENT_EVENTS };
@@ -0,0 +1,159 @@
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Intl formatters are expensive to build, so keep one per time zone
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+// Check whether a string is a time zone known to the runtime (IANA format)
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Get the wall-clock parts of an instant as seen in the given time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Offset of the time zone from UTC at the given instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+// Minutes since midnight of an H:MM or HH:MM time. Times are compared this way
+// rather than as strings, where "9:00" sorts after "17:00"
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Convert a calendar day ({ year, month, day }) and an HH:MM time in a time zone to a UTC Date
+const zonedTimeToUtc = (calendarDay, time, timeZone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(calendarDay.year, calendarDay.month - 1, calendarDay.day, hours, minutes);
+
+  // The offset at the wall-clock guess may differ from the real one around DST changes,
+  // so correct once using the offset at the first estimate
+  const offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  const corrected = getTimeZoneOffset(new Date(wallClock - offset), timeZone);
+
+  return new Date(wallClock - corrected);
+};
+
+// Format a UTC offset in minutes as +HH:MM, or +HHMM without the separator
+const formatOffset = (offsetMinutes, separator = ':') => {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${sign}${pad(Math.floor(absolute / 60))}${separator}${pad(absolute % 60)}`;
+};
+
+// Format an instant as an ISO 8601 date-time in a time zone, with its offset
+// (e.g. 2024-03-10T19:00:00-04:00)
+const formatZonedDateTime = (date, timeZone) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const offset = Math.round(getTimeZoneOffset(instant, timeZone) / 60000);
+
+  return `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${formatOffset(offset)}`;
+};
+
+// Build the `local` block added to API responses: the given date fields of an
+// object formatted in a time zone, e.g. { timeZone, startDateTime, endDateTime }
+const localizeTimes = (source, timeZone, fields = ['startDateTime', 'endDateTime']) => {
+  const local = { timeZone };
+  fields.forEach(field => {
+    if (source[field]) local[field] = formatZonedDateTime(source[field], timeZone);
+  });
+  return local;
+};
+
+// Shift a calendar day by a number of days
+const addDays = (calendarDay, days) => {
+  const date = new Date(Date.UTC(calendarDay.year, calendarDay.month - 1, calendarDay.day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate()
+  };
+};
+
+// Calendar day of a date stored as midnight UTC of the day it describes
+const toCalendarDay = (date) => {
+  const value = new Date(date);
+  return {
+    year: value.getUTCFullYear(),
+    month: value.getUTCMonth() + 1,
+    day: value.getUTCDate()
+  };
+};
+
+// UTC interval (epoch ms) covered by whole calendar days in a time zone, from
+// the start of startDate to the end of endDate. Both are stored as midnight UTC
+const getDayRangeInterval = (startDate, endDate, timeZone) => ({
+  start: zonedTimeToUtc(toCalendarDay(startDate), '00:00', timeZone).getTime(),
+  end: zonedTimeToUtc(addDays(toCalendarDay(endDate), 1), '00:00', timeZone).getTime()
+});
+
+// Day of week (0-6, starting with Sunday) of a calendar day
+const getWeekday = (calendarDay) =>
+  new Date(Date.UTC(calendarDay.year, calendarDay.month - 1, calendarDay.day)).getUTCDay();
+
+// Compare two calendar days, returning a negative, zero or positive number
+const compareDays = (a, b) =>
+  Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  timeToMinutes,
+  zonedTimeToUtc,
+  formatOffset,
+  formatZonedDateTime,
+  localizeTimes,
+  addDays,
+  toCalendarDay,
+  getDayRangeInterval,
+  getWeekday,
+  compareDays
+};
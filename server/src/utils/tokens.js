@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+// Hash a secret token for storage so a database leak does not expose usable tokens
+const hashToken = (token) =>
+  crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+
+// Generate a random URL-safe token together with the hash to store for it
+const createSecretToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: hashToken(token) };
+};
+
+module.exports = {
+  hashToken,
+  createSecretToken
+};
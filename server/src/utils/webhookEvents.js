@@ -0,0 +1,28 @@
+const { SERVER_EVENTS } = require('./socketEvents');
+
+/**
+ * Events a group's webhooks can subscribe to. Each is sent for the live
+ * update of the same name (see socketEvents.js), with its payload as `data`.
+ */
+const WEBHOOK_EVENTS = {
+  REHEARSAL_CREATED: 'rehearsal.created',
+  REHEARSAL_UPDATED: 'rehearsal.updated',
+  REHEARSAL_CANCELLED: 'rehearsal.cancelled',
+  RSVP_CHANGED: 'rsvp.changed',
+  MEMBER_ADDED: 'member.added',
+  MEMBER_REMOVED: 'member.removed',
+  SETLIST_CHANGED: 'setlist.changed'
+};
+
+// The webhook event sent for each live update; the others are not sent out
+const WEBHOOK_EVENT_FOR = {
+  [SERVER_EVENTS.REHEARSAL_CREATED]: WEBHOOK_EVENTS.REHEARSAL_CREATED,
+  [SERVER_EVENTS.REHEARSAL_UPDATED]: WEBHOOK_EVENTS.REHEARSAL_UPDATED,
+  [SERVER_EVENTS.REHEARSAL_CANCELLED]: WEBHOOK_EVENTS.REHEARSAL_CANCELLED,
+  [SERVER_EVENTS.RSVP_CHANGED]: WEBHOOK_EVENTS.RSVP_CHANGED,
+  [SERVER_EVENTS.MEMBER_JOINED]: WEBHOOK_EVENTS.MEMBER_ADDED,
+  [SERVER_EVENTS.MEMBER_LEFT]: WEBHOOK_EVENTS.MEMBER_REMOVED,
+  [SERVER_EVENTS.SETLIST_CHANGED]: WEBHOOK_EVENTS.SETLIST_CHANGED
+};
+
+module.exports = { WEBHOOK_EVENTS, WEBHOOK_EVENT_FOR };
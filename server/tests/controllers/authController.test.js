@@ -0,0 +1,71 @@
+jest.mock('../../src/services/emailService', () => ({
+  sendEmail: jest.fn().mockResolvedValue(null)
+}));
+
+const User = require('../../src/models/User');
+const { sendEmail } = require('../../src/services/emailService');
+const { register } = require('../../src/controllers/authController');
+
+const body = {
+  email: 'Jane@Example.com',
+  password: 'secret1',
+  firstName: 'Jane',
+  lastName: 'Doe'
+};
+
+const callRegister = async () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  const next = jest.fn();
+
+  await register({ body, get: () => 'jest', ip: '203.0.113.7' }, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendEmail.mockClear();
+});
+
+describe('register', () => {
+  it('creates the account and sends a verification email', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const save = jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const res = await callRegister();
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'jane@example.com',
+      subject: 'Confirm your email address'
+    }));
+    expect(res.status).toHaveBeenCalledWith(202);
+  });
+
+  it('answers the same for a taken email and tells its owner instead', async () => {
+    const existing = new User({ ...body, email: 'jane@example.com' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(existing);
+    const save = jest.spyOn(User.prototype, 'save');
+
+    const taken = await callRegister();
+
+    expect(save).not.toHaveBeenCalled();
+    expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'jane@example.com',
+      subject: 'You already have an account'
+    }));
+
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    save.mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const created = await callRegister();
+
+    expect(taken.status.mock.calls).toEqual(created.status.mock.calls);
+    expect(taken.json.mock.calls).toEqual(created.json.mock.calls);
+  });
+});
@@ -0,0 +1,41 @@
+const dns = require('dns');
+const mongoose = require('mongoose');
+
+const CalendarSource = require('../../src/models/CalendarSource');
+const { createCalendarSource } = require('../../src/controllers/calendarSourceController');
+
+const create = async (url) => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  const next = jest.fn();
+
+  await createCalendarSource({ user: { id: new mongoose.Types.ObjectId() }, body: { name: 'Work', url } }, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createCalendarSource', () => {
+  it('refuses URLs on local or private hosts', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+    const created = jest.spyOn(CalendarSource, 'create');
+
+    const res = await create('webcal://localhost/calendar.ics');
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(created).not.toHaveBeenCalled();
+  });
+
+  it('registers sources without a URL for uploads', async () => {
+    jest.spyOn(CalendarSource, 'create').mockImplementation(async (fields) => fields);
+
+    const res = await create(undefined);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json.mock.calls[0][0].data.type).toBe('upload');
+  });
+});
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/services/auditService', () => ({
+  recordAudit: jest.fn().mockResolvedValue(null)
+}));
+
+const Group = require('../../src/models/Group');
+const { createRole, updateRole, deleteRole } = require('../../src/controllers/groupController');
+
+const ownerId = new mongoose.Types.ObjectId();
+const managerId = new mongoose.Types.ObjectId();
+const memberId = new mongoose.Types.ObjectId();
+
+// A group in which the stage manager may manage roles and schedule rehearsals
+const buildGroup = () => {
+  const group = new Group({
+    name: 'The Testers',
+    createdBy: ownerId,
+    members: [
+      { userId: ownerId, role: 'owner' },
+      { userId: managerId, role: 'stage-manager' },
+      { userId: memberId, role: 'member' }
+    ],
+    customRoles: [
+      { key: 'stage-manager', name: 'Stage Manager', permissions: ['manage_roles', 'schedule_rehearsals'] },
+      { key: 'roadie', name: 'Roadie', permissions: ['book_venues'] }
+    ]
+  });
+  group.save = jest.fn().mockResolvedValue(group);
+  return group;
+};
+
+const buildRequest = (group, actorId, params, body) => ({
+  group,
+  user: { id: actorId },
+  params,
+  body
+});
+
+const buildResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const run = async (controller, req) => {
+  const res = buildResponse();
+  const next = jest.fn();
+  await controller(req, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+describe('custom role escalation', () => {
+  describe('createRole', () => {
+    it('refuses a role granting permissions the actor does not hold', async () => {
+      const group = buildGroup();
+      const res = await run(createRole, buildRequest(group, managerId, {}, {
+        name: 'Boss',
+        permissions: ['manage_roles', 'manage_group', 'manage_members']
+      }));
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(group.isKnownRole('boss')).toBe(false);
+      expect(group.save).not.toHaveBeenCalled();
+    });
+
+    it('allows a role within the actor\'s own permissions', async () => {
+      const group = buildGroup();
+      const res = await run(createRole, buildRequest(group, managerId, {}, {
+        name: 'Scheduler',
+        permissions: ['schedule_rehearsals']
+      }));
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(group.getRolePermissions('scheduler')).toContain('schedule_rehearsals');
+    });
+
+    it('lets the owner grant any assignable permission', async () => {
+      const group = buildGroup();
+      const res = await run(createRole, buildRequest(group, ownerId, {}, {
+        name: 'Treasurer',
+        permissions: ['manage_finances', 'manage_group']
+      }));
+
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe('updateRole', () => {
+    it('refuses a non-admin editing the role they have themselves', async () => {
+      const group = buildGroup();
+      const res = await run(updateRole, buildRequest(group, managerId, { roleKey: 'stage-manager' }, {
+        permissions: ['manage_roles', 'schedule_rehearsals', 'manage_group']
+      }));
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(group.hasPermission(managerId, 'manage_group')).toBe(false);
+      expect(group.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses adding permissions the actor does not hold to another role', async () => {
+      const group = buildGroup();
+      group.customRoles.find(role => role.key === 'roadie').permissions = ['schedule_rehearsals'];
+
+      const res = await run(updateRole, buildRequest(group, managerId, { roleKey: 'roadie' }, {
+        permissions: ['schedule_rehearsals', 'manage_finances']
+      }));
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(group.getRolePermissions('roadie')).not.toContain('manage_finances');
+    });
+
+    it('refuses editing a role granting permissions the actor does not hold', async () => {
+      const group = buildGroup();
+      const res = await run(updateRole, buildRequest(group, managerId, { roleKey: 'roadie' }, {
+        name: 'Crew'
+      }));
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    it('allows changing another role within the actor\'s permissions', async () => {
+      const group = buildGroup();
+      group.customRoles.find(role => role.key === 'roadie').permissions = [];
+
+      const res = await run(updateRole, buildRequest(group, managerId, { roleKey: 'roadie' }, {
+        permissions: ['schedule_rehearsals']
+      }));
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(group.getRolePermissions('roadie')).toContain('schedule_rehearsals');
+    });
+
+    it('lets the owner change any custom role', async () => {
+      const group = buildGroup();
+      const res = await run(updateRole, buildRequest(group, ownerId, { roleKey: 'stage-manager' }, {
+        permissions: ['manage_roles', 'manage_group']
+      }));
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(group.hasPermission(managerId, 'manage_group')).toBe(true);
+    });
+  });
+
+  describe('deleteRole', () => {
+    it('refuses deleting a role granting permissions the actor does not hold', async () => {
+      const group = buildGroup();
+      const res = await run(deleteRole, buildRequest(group, managerId, { roleKey: 'roadie' }, {}));
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(group.isKnownRole('roadie')).toBe(true);
+    });
+  });
+
+  describe('canAssignRole', () => {
+    it('refuses handing out a role granting more than the actor holds', () => {
+      const group = buildGroup();
+      group.customRoles.push({ key: 'treasurer', name: 'Treasurer', permissions: ['manage_finances'] });
+
+      expect(group.canAssignRole(managerId, memberId, 'treasurer')).toBe(false);
+      expect(group.canAssignRole(ownerId, memberId, 'treasurer')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/services/auditService', () => ({
+  ...jest.requireActual('../../src/services/auditService'),
+  recordAudit: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../src/services/conflictService', () => ({
+  buildConflictReport: jest.fn().mockResolvedValue({ hasConflicts: false }),
+  checkSlotConflicts: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../src/services/absenceService', () => ({
+  declineAbsentAttendees: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyPollCreated: jest.fn().mockResolvedValue([]),
+  notifyRehearsalCreated: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/requirementService', () => ({
+  reevaluateRisk: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../src/services/socketService', () => ({
+  emitToGroup: jest.fn()
+}));
+
+const Poll = require('../../src/models/Poll');
+const Rehearsal = require('../../src/models/Rehearsal');
+const { convertPoll } = require('../../src/controllers/pollController');
+
+const userId = new mongoose.Types.ObjectId();
+const group = {
+  _id: new mongoose.Types.ObjectId(),
+  timeZone: 'UTC',
+  members: [{ userId }]
+};
+
+const buildPoll = () => {
+  const poll = new Poll({
+    groupId: group._id,
+    title: 'Extra rehearsal',
+    createdBy: userId,
+    deadline: new Date('2026-11-01T00:00:00Z'),
+    options: [
+      { startDateTime: new Date('2026-11-09T19:00:00Z'), endDateTime: new Date('2026-11-09T21:00:00Z') },
+      { startDateTime: new Date('2026-11-10T19:00:00Z'), endDateTime: new Date('2026-11-10T21:00:00Z') }
+    ]
+  });
+  poll.castVote(userId, poll.options[1]._id, 'yes');
+  return poll;
+};
+
+const convert = async (poll) => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  const next = jest.fn();
+
+  await convertPoll({ resource: poll, group, user: { id: userId }, body: {} }, res, next);
+  return { res, next };
+};
+
+// Stand in for the database: the first claim of a poll wins
+const givenClaims = () => {
+  const claimed = new Set();
+  jest.spyOn(Poll, 'claimConversion').mockImplementation((pollId, optionId, rehearsalId) => {
+    if (claimed.has(pollId.toString())) return Promise.resolve(null);
+    claimed.add(pollId.toString());
+    return Promise.resolve({ _id: pollId, status: 'converted', chosenOptionId: optionId, rehearsalId, getTally: () => [] });
+  });
+  jest.spyOn(Poll, 'releaseConversion').mockImplementation((pollId) => {
+    claimed.delete(pollId.toString());
+    return Promise.resolve({});
+  });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('convertPoll', () => {
+  it('claims the poll for the rehearsal of the leading option', async () => {
+    givenClaims();
+    const save = jest.spyOn(Rehearsal.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const poll = buildPoll();
+
+    const { res } = await convert(poll);
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const rehearsal = res.json.mock.calls[0][0].data;
+    expect(Poll.claimConversion).toHaveBeenCalledWith(poll._id, poll.options[1]._id, rehearsal._id);
+    expect(rehearsal.attendees[0].status).toBe('confirmed');
+    expect(save).toHaveBeenCalledTimes(1);
+  });
+
+  it('creates a single rehearsal when two conversions run at once', async () => {
+    givenClaims();
+    const save = jest.spyOn(Rehearsal.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    const poll = buildPoll();
+
+    const [first, second] = await Promise.all([convert(poll), convert(poll)]);
+
+    expect(save).toHaveBeenCalledTimes(1);
+    expect([first.res.status.mock.calls[0][0], second.res.status.mock.calls[0][0]].sort()).toEqual([201, 409]);
+  });
+
+  it('gives the poll back when the rehearsal cannot be saved', async () => {
+    givenClaims();
+    const failure = new Error('Database unavailable');
+    jest.spyOn(Rehearsal.prototype, 'save').mockRejectedValue(failure);
+    const poll = buildPoll();
+
+    const { next } = await convert(poll);
+
+    expect(next).toHaveBeenCalledWith(failure);
+    expect(Poll.releaseConversion).toHaveBeenCalledWith(poll._id, expect.anything(), 'open');
+  });
+});
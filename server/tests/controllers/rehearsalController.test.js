@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/services/auditService', () => ({
+  ...jest.requireActual('../../src/services/auditService'),
+  recordAudit: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../src/services/conflictService', () => ({
+  buildConflictReport: jest.fn().mockResolvedValue({ hasConflicts: false })
+}));
+jest.mock('../../src/services/absenceService', () => ({
+  declineAbsentAttendees: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRehearsalChanged: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/requirementService', () => ({
+  reevaluateRisk: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../src/services/socketService', () => ({
+  emitToGroup: jest.fn()
+}));
+
+const Rehearsal = require('../../src/models/Rehearsal');
+const { rescheduleRehearsal } = require('../../src/controllers/rehearsalController');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Mondays at 19:00 UTC from 2026-11-02 to 2026-11-30
+const buildSeries = () => {
+  const rehearsal = new Rehearsal({
+    title: 'Full run',
+    groupId: new mongoose.Types.ObjectId(),
+    createdBy: userId,
+    startDateTime: new Date('2026-11-02T19:00:00Z'),
+    endDateTime: new Date('2026-11-02T21:00:00Z'),
+    isRecurring: true,
+    timeZone: 'UTC',
+    recurringPattern: {
+      frequency: 'weekly',
+      dayOfWeek: 1,
+      endDate: new Date('2026-11-30T00:00:00Z')
+    },
+    attendees: [{ userId, status: 'confirmed' }]
+  });
+  rehearsal.save = jest.fn().mockResolvedValue(rehearsal);
+  return rehearsal;
+};
+
+const reschedule = async (rehearsal, body) => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  const next = jest.fn();
+
+  await rescheduleRehearsal({ resource: rehearsal, group: {}, user: { id: userId }, body }, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+const isCancelledOn = (rehearsal, originalStart) => {
+  const occurrence = rehearsal.getOccurrence(originalStart);
+  return Boolean(occurrence && occurrence.isCancelled);
+};
+
+describe('rescheduleRehearsal', () => {
+  it('keeps a cancelled occurrence cancelled when the series moves', async () => {
+    const rehearsal = buildSeries();
+    rehearsal.cancelOccurrence('2026-11-09T19:00:00Z', 'Venue closed');
+
+    const res = await reschedule(rehearsal, { startDateTime: new Date('2026-11-02T20:00:00Z') });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(isCancelledOn(rehearsal, '2026-11-09T20:00:00Z')).toBe(true);
+    expect(rehearsal.getOccurrences('2026-11-09T00:00:00Z', '2026-11-10T00:00:00Z')).toEqual([]);
+  });
+
+  it('keeps the pattern fields that are not sent', async () => {
+    const rehearsal = buildSeries();
+
+    const res = await reschedule(rehearsal, {
+      startDateTime: new Date('2026-11-02T20:00:00Z'),
+      recurringPattern: { endDate: new Date('2026-12-28T00:00:00Z') }
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(rehearsal.recurringPattern).toMatchObject({ frequency: 'weekly', dayOfWeek: 1 });
+    expect(rehearsal.recurringPattern.endDate.toISOString()).toBe('2026-12-28T00:00:00.000Z');
+  });
+
+  it('refuses a new frequency that would leave an occurrence\'s changes behind', async () => {
+    const rehearsal = buildSeries();
+    rehearsal.cancelOccurrence('2026-11-09T19:00:00Z', 'Venue closed');
+
+    const res = await reschedule(rehearsal, {
+      startDateTime: new Date('2026-11-02T20:00:00Z'),
+      recurringPattern: { frequency: 'biweekly' }
+    });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(rehearsal.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/services/auditService', () => ({
+  ...jest.requireActual('../../src/services/auditService'),
+  recordAudit: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../src/services/conflictService', () => ({
+  buildConflictReport: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyBookingRequested: jest.fn().mockResolvedValue([]),
+  notifyBookingDecided: jest.fn().mockResolvedValue([]),
+  notifyRehearsalChanged: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/socketService', () => ({
+  emitToGroup: jest.fn()
+}));
+
+const Venue = require('../../src/models/Venue');
+const Booking = require('../../src/models/Booking');
+const Group = require('../../src/models/Group');
+const Rehearsal = require('../../src/models/Rehearsal');
+const { buildConflictReport } = require('../../src/services/conflictService');
+const { notifyBookingDecided } = require('../../src/services/notificationService');
+const { confirmBooking, approveBooking } = require('../../src/controllers/venueController');
+
+const userId = new mongoose.Types.ObjectId();
+const roomId = new mongoose.Types.ObjectId();
+
+const NO_CONFLICTS = { hasConflicts: false, venueConflicts: [] };
+const DOUBLE_BOOKED = { hasConflicts: true, venueConflicts: [{ rehearsals: [], bookings: [{}] }] };
+
+// A room booked for a rehearsal that has no room yet
+const given = ({ status = 'hold', canBook = true, isManager = false, conflicts = NO_CONFLICTS } = {}) => {
+  const venue = new Venue({ name: 'Rehearsal Rooms', rooms: [{ _id: roomId, name: 'Room A' }] });
+  const rehearsal = new Rehearsal({
+    title: 'Full run',
+    groupId: new mongoose.Types.ObjectId(),
+    createdBy: userId,
+    startDateTime: new Date('2026-11-09T19:00:00Z'),
+    endDateTime: new Date('2026-11-09T21:00:00Z')
+  });
+  const booking = new Booking({
+    venueId: venue._id,
+    roomId,
+    groupId: rehearsal.groupId,
+    rehearsalId: rehearsal._id,
+    requestedBy: userId,
+    startDateTime: rehearsal.startDateTime,
+    endDateTime: rehearsal.endDateTime,
+    status,
+    holdExpiresAt: status === 'hold' ? new Date(Date.now() + 30 * 60 * 1000) : undefined
+  });
+  const group = { _id: rehearsal.groupId, hasPermission: () => canBook };
+
+  venue.isManager = () => isManager;
+  booking.save = jest.fn().mockResolvedValue(booking);
+  rehearsal.save = jest.fn().mockResolvedValue(rehearsal);
+  jest.spyOn(Booking, 'findOne').mockResolvedValue(booking);
+  jest.spyOn(Group, 'findById').mockResolvedValue(group);
+  jest.spyOn(Venue, 'findById').mockResolvedValue(venue);
+  jest.spyOn(Rehearsal, 'findById').mockResolvedValue(rehearsal);
+  buildConflictReport.mockResolvedValue(conflicts);
+
+  return { venue, booking, rehearsal };
+};
+
+const call = async (handler, body = {}) => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  const next = jest.fn();
+
+  await handler({ params: {}, body, user: { id: userId } }, res, next);
+  expect(next).not.toHaveBeenCalled();
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('confirmBooking', () => {
+  it('confirms the hold and moves the rehearsal into the room, keeping the change', async () => {
+    const { venue, booking, rehearsal } = given();
+
+    const res = await call(confirmBooking);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(booking.status).toBe('confirmed');
+    expect(booking.save).toHaveBeenCalled();
+    expect(rehearsal.venueId).toEqual(venue._id);
+    expect(rehearsal.roomId).toEqual(roomId);
+    expect(rehearsal.save).toHaveBeenCalled();
+    expect(rehearsal.history.map(change => change.action)).toEqual(['updated']);
+  });
+
+  it('refuses a room that is double-booked', async () => {
+    const { booking, rehearsal } = given({ conflicts: DOUBLE_BOOKED });
+
+    const res = await call(confirmBooking);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(booking.save).not.toHaveBeenCalled();
+    expect(rehearsal.save).not.toHaveBeenCalled();
+  });
+
+  it('moves the rehearsal into a double-booked room when overridden', async () => {
+    const { rehearsal } = given({ conflicts: DOUBLE_BOOKED });
+
+    const res = await call(confirmBooking, { override: true });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].conflicts).toBe(DOUBLE_BOOKED);
+    expect(rehearsal.save).toHaveBeenCalled();
+  });
+
+  it('leaves requests to the venue', async () => {
+    const { booking } = given({ status: 'requested' });
+
+    const res = await call(confirmBooking);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(booking.save).not.toHaveBeenCalled();
+  });
+
+  it('needs the book_venues permission in the booking group', async () => {
+    given({ canBook: false });
+
+    const res = await call(confirmBooking);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('approveBooking', () => {
+  it('approves a request, moves the rehearsal and tells the group', async () => {
+    const { booking, rehearsal } = given({ status: 'requested', isManager: true });
+
+    const res = await call(approveBooking);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(booking.status).toBe('confirmed');
+    expect(booking.decidedBy).toEqual(userId);
+    expect(rehearsal.roomId).toEqual(roomId);
+    expect(notifyBookingDecided).toHaveBeenCalled();
+  });
+
+  it('is only for venue managers', async () => {
+    const { booking } = given({ status: 'requested' });
+
+    const res = await call(approveBooking);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(booking.status).toBe('requested');
+  });
+
+  it('only approves requests', async () => {
+    given({ isManager: true });
+
+    const res = await call(approveBooking);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
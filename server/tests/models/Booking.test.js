@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const Booking = require('../../src/models/Booking');
+
+const MINUTE = 60 * 1000;
+
+const buildBooking = (fields = {}) => new Booking({
+  venueId: new mongoose.Types.ObjectId(),
+  roomId: new mongoose.Types.ObjectId(),
+  groupId: new mongoose.Types.ObjectId(),
+  requestedBy: new mongoose.Types.ObjectId(),
+  startDateTime: new Date('2026-11-09T19:00:00Z'),
+  endDateTime: new Date('2026-11-09T21:00:00Z'),
+  status: 'hold',
+  holdExpiresAt: new Date(Date.now() + 30 * MINUTE),
+  ...fields
+});
+
+describe('Booking holds', () => {
+  it('confirms a hold that has not expired', () => {
+    const booking = buildBooking();
+
+    expect(booking.confirm()).toBe(true);
+    expect(booking.status).toBe('confirmed');
+    expect(booking.holdExpiresAt).toBeUndefined();
+    expect(booking.isActive).toBe(true);
+  });
+
+  it('does not confirm an expired hold, which no longer blocks the room', () => {
+    const booking = buildBooking({ holdExpiresAt: new Date(Date.now() - MINUTE) });
+
+    expect(booking.isActive).toBe(false);
+    expect(booking.confirm()).toBe(false);
+    expect(booking.status).toBe('hold');
+  });
+
+  it('releases a hold once', () => {
+    const booking = buildBooking();
+
+    expect(booking.release()).toBe(true);
+    expect(booking.status).toBe('released');
+    expect(booking.isActive).toBe(false);
+    expect(booking.release()).toBe(false);
+  });
+
+  it('releases only the holds that have expired', async () => {
+    const updateMany = jest.spyOn(Booking, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    expect(await Booking.releaseExpiredHolds()).toBe(2);
+    const [filter, update] = updateMany.mock.calls[0];
+    expect(filter.status).toBe('hold');
+    expect(filter.holdExpiresAt.$lte).toBeInstanceOf(Date);
+    expect(update.$set.status).toBe('released');
+
+    updateMany.mockRestore();
+  });
+});
+
+describe('Booking requests', () => {
+  const managerId = new mongoose.Types.ObjectId();
+
+  it('approves a request, recording who decided', () => {
+    const booking = buildBooking({ status: 'requested', holdExpiresAt: undefined });
+
+    expect(booking.approve(managerId)).toBe(true);
+    expect(booking.status).toBe('confirmed');
+    expect(booking.decidedBy).toEqual(managerId);
+  });
+
+  it('rejects a request with its reason, freeing the room', () => {
+    const booking = buildBooking({ status: 'requested', holdExpiresAt: undefined });
+
+    expect(booking.reject(managerId, 'Closed for repairs')).toBe(true);
+    expect(booking.status).toBe('rejected');
+    expect(booking.rejectionReason).toBe('Closed for repairs');
+    expect(booking.isActive).toBe(false);
+  });
+
+  it('only decides on requests', () => {
+    const hold = buildBooking();
+
+    expect(hold.approve(managerId)).toBe(false);
+    expect(hold.reject(managerId)).toBe(false);
+    expect(hold.status).toBe('hold');
+  });
+});
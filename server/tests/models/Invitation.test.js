@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Invitation = require('../../src/models/Invitation');
+const { hashToken } = require('../../src/utils/tokens');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const buildInvitation = (fields = {}) => new Invitation({
+  groupId: new mongoose.Types.ObjectId(),
+  invitedBy: new mongoose.Types.ObjectId(),
+  type: 'email',
+  email: 'Jane@Example.com',
+  expiresAt: new Date(Date.now() + 7 * DAY),
+  ...fields
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Invitation tokens', () => {
+  it('stores only the hash of the link token and finds the invitation by the token', () => {
+    const invitation = buildInvitation();
+    const findOne = jest.spyOn(Invitation, 'findOne').mockResolvedValue(invitation);
+
+    const token = invitation.generateToken();
+    Invitation.findByToken(token);
+
+    expect(invitation.tokenHash).toBe(hashToken(token));
+    expect(invitation.tokenHash).not.toBe(token);
+    expect(findOne).toHaveBeenCalledWith({ tokenHash: hashToken(token) });
+  });
+});
+
+describe('Invitation usability', () => {
+  it('can be used while pending, unexpired and with uses left', () => {
+    expect(buildInvitation().isUsable).toBe(true);
+    expect(buildInvitation({ expiresAt: new Date(Date.now() - DAY) }).isUsable).toBe(false);
+    expect(buildInvitation({ type: 'link', email: undefined, maxUses: 2, uses: 2 }).isUsable).toBe(false);
+  });
+
+  it('lets only email invitations be declined', () => {
+    const email = buildInvitation();
+    const link = buildInvitation({ type: 'link', email: undefined });
+
+    expect(email.decline()).toBe(true);
+    expect(email.status).toBe('declined');
+    expect(link.decline()).toBe(false);
+  });
+
+  it('revokes pending invitations only', () => {
+    const invitation = buildInvitation();
+
+    expect(invitation.revoke()).toBe(true);
+    expect(invitation.isUsable).toBe(false);
+    expect(invitation.revoke()).toBe(false);
+  });
+});
+
+describe('Invitation.claimUse', () => {
+  it('only matches while uses are left and closes the invitation on its last use', async () => {
+    const invitation = buildInvitation({ type: 'link', email: undefined, maxUses: 2, uses: 2 });
+    invitation.save = jest.fn().mockResolvedValue(invitation);
+    const findOneAndUpdate = jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue(invitation);
+    const userId = new mongoose.Types.ObjectId();
+
+    expect(await Invitation.claimUse(invitation._id, userId)).toBe(invitation);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: invitation._id, status: 'pending', $expr: { $lt: ['$uses', '$maxUses'] } });
+    expect(update.$inc).toEqual({ uses: 1 });
+    expect(invitation.status).toBe('accepted');
+    expect(invitation.save).toHaveBeenCalled();
+  });
+
+  it('resolves to null when no use is left', async () => {
+    jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue(null);
+
+    expect(await Invitation.claimUse(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId())).toBeNull();
+  });
+});
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Poll = require('../../src/models/Poll');
+
+const [janeId, bobId, alexId] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+// Three candidate evenings, in order
+const buildPoll = (fields = {}) => new Poll({
+  groupId: new mongoose.Types.ObjectId(),
+  title: 'Extra rehearsal',
+  createdBy: janeId,
+  deadline: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  options: ['2030-01-07', '2030-01-08', '2030-01-09'].map(day => ({
+    startDateTime: new Date(`${day}T19:00:00Z`),
+    endDateTime: new Date(`${day}T21:00:00Z`)
+  })),
+  ...fields
+});
+
+const optionIds = (poll) => poll.options.map(option => option._id);
+
+describe('Poll votes', () => {
+  it('keeps one vote per member and option', () => {
+    const poll = buildPoll();
+    const [first] = optionIds(poll);
+
+    poll.castVote(janeId, first, 'maybe');
+    poll.castVote(janeId, first, 'yes');
+
+    expect(poll.votes).toHaveLength(1);
+    expect(poll.getVote(janeId, first)).toBe('yes');
+    expect(poll.getVote(bobId, first)).toBeNull();
+  });
+
+  it('counts the votes of each option', () => {
+    const poll = buildPoll();
+    const [first, second] = optionIds(poll);
+    poll.castVote(janeId, first, 'yes');
+    poll.castVote(bobId, first, 'no');
+    poll.castVote(bobId, second, 'maybe');
+
+    expect(poll.getTally().map(({ yes, maybe, no }) => [yes, maybe, no])).toEqual([
+      [1, 0, 1],
+      [0, 1, 0],
+      [0, 0, 0]
+    ]);
+  });
+
+  it('only takes votes while open and before the deadline', () => {
+    expect(buildPoll().isOpen).toBe(true);
+    expect(buildPoll({ deadline: new Date(Date.now() - 1000) }).isOpen).toBe(false);
+    expect(buildPoll({ status: 'closed' }).isOpen).toBe(false);
+  });
+});
+
+describe('Poll.getWinningOption', () => {
+  it('ranks by yes, then maybe, then fewest noes', () => {
+    const poll = buildPoll();
+    const [first, second, third] = optionIds(poll);
+    [janeId, bobId].forEach(userId => {
+      poll.castVote(userId, first, 'yes');
+      poll.castVote(userId, second, 'yes');
+      poll.castVote(userId, third, 'yes');
+    });
+    poll.castVote(alexId, first, 'no');
+    poll.castVote(alexId, second, 'maybe');
+    poll.castVote(alexId, third, 'maybe');
+    poll.castVote(janeId, third, 'no');
+
+    expect(poll.getWinningOption()._id).toEqual(second);
+  });
+
+  it('picks the earliest option on a tie', () => {
+    const poll = buildPoll();
+    const [first, second] = optionIds(poll);
+    poll.castVote(janeId, second, 'yes');
+    poll.castVote(bobId, first, 'yes');
+
+    expect(poll.getWinningOption()._id).toEqual(first);
+  });
+});
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const Rehearsal = require('../../src/models/Rehearsal');
+const Venue = require('../../src/models/Venue');
+
+// Tuesdays at 19:00 UTC from 2024-03-05 to 2024-03-26
+const buildSeries = () => new Rehearsal({
+  title: 'Full run',
+  groupId: new mongoose.Types.ObjectId(),
+  createdBy: new mongoose.Types.ObjectId(),
+  startDateTime: new Date('2024-03-05T19:00:00Z'),
+  endDateTime: new Date('2024-03-05T21:00:00Z'),
+  isRecurring: true,
+  timeZone: 'UTC',
+  recurringPattern: {
+    frequency: 'weekly',
+    dayOfWeek: 2,
+    endDate: new Date('2024-03-26T00:00:00Z')
+  }
+});
+
+// What updateRehearsal keeps of the series before applying an edit
+const seriesAnchor = (rehearsal) => ({
+  startDateTime: rehearsal.startDateTime,
+  isRecurring: rehearsal.isRecurring,
+  recurringPattern: rehearsal.recurringPattern.toObject(),
+  timeZone: rehearsal.timeZone
+});
+
+const exceptionStarts = (rehearsal) =>
+  rehearsal.exceptions.map(exception => exception.originalStartDateTime.toISOString());
+
+describe('Rehearsal.reanchorExceptions', () => {
+  it('moves exceptions along with their occurrence', () => {
+    const rehearsal = buildSeries();
+    rehearsal.cancelOccurrence('2024-03-12T19:00:00Z', 'Venue closed');
+    const previous = seriesAnchor(rehearsal);
+
+    rehearsal.set({
+      startDateTime: new Date('2024-03-06T20:00:00Z'),
+      endDateTime: new Date('2024-03-06T22:00:00Z'),
+      recurringPattern: { ...previous.recurringPattern, dayOfWeek: 3 }
+    });
+
+    expect(rehearsal.reanchorExceptions(previous)).toBe(true);
+    expect(exceptionStarts(rehearsal)).toEqual(['2024-03-13T20:00:00.000Z']);
+    expect(rehearsal.getOccurrence('2024-03-13T20:00:00Z').isCancelled).toBe(true);
+  });
+
+  it('drops exceptions of occurrences past the new end', () => {
+    const rehearsal = buildSeries();
+    rehearsal.cancelOccurrence('2024-03-12T19:00:00Z', 'Venue closed');
+    rehearsal.cancelOccurrence('2024-03-26T19:00:00Z', 'Holiday');
+    const previous = seriesAnchor(rehearsal);
+
+    rehearsal.set({
+      recurringPattern: { ...previous.recurringPattern, endDate: new Date('2024-03-19T00:00:00Z') }
+    });
+
+    expect(rehearsal.reanchorExceptions(previous)).toBe(true);
+    expect(exceptionStarts(rehearsal)).toEqual(['2024-03-12T19:00:00.000Z']);
+  });
+
+  it('refuses a new frequency that would leave exceptions behind', () => {
+    const rehearsal = buildSeries();
+    rehearsal.cancelOccurrence('2024-03-12T19:00:00Z', 'Venue closed');
+    const previous = seriesAnchor(rehearsal);
+
+    rehearsal.set({ recurringPattern: { ...previous.recurringPattern, frequency: 'biweekly' } });
+
+    expect(rehearsal.reanchorExceptions(previous)).toBe(false);
+    expect(exceptionStarts(rehearsal)).toEqual(['2024-03-12T19:00:00.000Z']);
+  });
+
+  it('allows a new frequency when every exception keeps its occurrence', () => {
+    const rehearsal = buildSeries();
+    rehearsal.cancelOccurrence('2024-03-19T19:00:00Z', 'Venue closed');
+    const previous = seriesAnchor(rehearsal);
+
+    rehearsal.set({ recurringPattern: { ...previous.recurringPattern, frequency: 'biweekly' } });
+
+    expect(rehearsal.reanchorExceptions(previous)).toBe(true);
+    expect(exceptionStarts(rehearsal)).toEqual(['2024-03-19T19:00:00.000Z']);
+  });
+});
+
+describe('Rehearsal.splitSeries', () => {
+  it('keeps every detail of the series attendees', () => {
+    const rehearsal = buildSeries();
+    const absenceId = new mongoose.Types.ObjectId();
+    const [userId, lateId] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    rehearsal.attendees.push(
+      { userId, status: 'declined', reason: 'Away: tour', absenceId },
+      { userId: lateId, status: 'late', eta: new Date('2024-03-05T19:30:00Z') }
+    );
+
+    const following = rehearsal.splitSeries('2024-03-19T19:00:00Z');
+
+    expect(following.attendees[0]).toMatchObject({ status: 'declined', reason: 'Away: tour' });
+    expect(following.attendees[0].absenceId).toEqual(absenceId);
+    expect(following.attendees[1].eta.toISOString()).toBe('2024-03-05T19:30:00.000Z');
+  });
+
+  it('lets a deleted absence release attendees of the new series', () => {
+    const rehearsal = buildSeries();
+    const absenceId = new mongoose.Types.ObjectId();
+    rehearsal.attendees.push({ userId: new mongoose.Types.ObjectId(), status: 'declined', reason: 'Away', absenceId });
+
+    const following = rehearsal.splitSeries('2024-03-19T19:00:00Z');
+
+    expect(following.releaseAbsence(absenceId, new Date('2024-03-10T00:00:00Z'))).toBe(true);
+    expect(following.attendees[0].status).toBe('pending');
+    expect(following.attendees[0].absenceId).toBeUndefined();
+  });
+});
+
+describe('Rehearsal.getVenueBusyIntervals', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('pads the venue\'s rehearsals and bookings by its setup and teardown time', async () => {
+    const venue = new Venue({ setupBufferMinutes: 15, teardownBufferMinutes: 15 });
+    jest.spyOn(Venue, 'findById').mockReturnValue({ select: () => Promise.resolve(venue) });
+    jest.spyOn(Rehearsal, 'findVenueConflicts').mockResolvedValue({
+      rehearsals: [{ startDateTime: new Date('2024-03-05T19:00:00Z'), endDateTime: new Date('2024-03-05T21:00:00Z') }],
+      bookings: [{ startDateTime: new Date('2024-03-06T10:00:00Z'), endDateTime: new Date('2024-03-06T12:00:00Z') }]
+    });
+
+    const busy = await Rehearsal.getVenueBusyIntervals(venue._id, new Date('2024-03-05T00:00:00Z'), new Date('2024-03-07T00:00:00Z'));
+
+    expect(busy.map(({ start, end }) => [new Date(start).toISOString(), new Date(end).toISOString()])).toEqual([
+      ['2024-03-05T18:30:00.000Z', '2024-03-05T21:30:00.000Z'],
+      ['2024-03-06T09:30:00.000Z', '2024-03-06T12:30:00.000Z']
+    ]);
+  });
+
+  it('has nothing to load without a venue', async () => {
+    const findVenueConflicts = jest.spyOn(Rehearsal, 'findVenueConflicts');
+
+    expect(await Rehearsal.getVenueBusyIntervals(null, new Date(), new Date())).toEqual([]);
+    expect(findVenueConflicts).not.toHaveBeenCalled();
+  });
+});
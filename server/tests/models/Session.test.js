@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Session = require('../../src/models/Session');
+const { hashToken } = require('../../src/utils/tokens');
+
+const userId = new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Session refresh tokens', () => {
+  it('stores only the hash of the refresh token', () => {
+    const { session, refreshToken } = Session.start(userId, { userAgent: 'jest', ip: '203.0.113.7' });
+
+    expect(session.tokenHash).toBe(hashToken(refreshToken));
+    expect(session.isActive()).toBe(true);
+  });
+
+  it('rotates to a new token, remembering the old one', () => {
+    const { session, refreshToken } = Session.start(userId);
+
+    const rotated = session.rotateToken();
+
+    expect(rotated).not.toBe(refreshToken);
+    expect(session.tokenHash).toBe(hashToken(rotated));
+    expect(session.previousTokenHashes).toEqual([hashToken(refreshToken)]);
+  });
+
+  it('finds the session of a token and flags tokens that were already exchanged', async () => {
+    const { session, refreshToken } = Session.start(userId);
+    const oldHash = session.tokenHash;
+    const newToken = session.rotateToken();
+    jest.spyOn(Session, 'findOne').mockImplementation(query => {
+      const found = query.tokenHash === session.tokenHash || query.previousTokenHashes === oldHash;
+      const result = Promise.resolve(found ? session : null);
+      result.select = () => result;
+      return result;
+    });
+
+    expect(await Session.findByRefreshToken(newToken)).toEqual({ session, reused: false });
+    expect(await Session.findByRefreshToken(refreshToken)).toEqual({ session, reused: true });
+    expect(await Session.findByRefreshToken('unknown')).toBeNull();
+  });
+
+  it('ends once', () => {
+    const { session } = Session.start(userId);
+
+    expect(session.revoke('logout')).toBe(true);
+    expect(session.isActive()).toBe(false);
+    expect(session.revoke('logout_all')).toBe(false);
+    expect(session.revokedReason).toBe('logout');
+  });
+});
@@ -0,0 +1,59 @@
+const User = require('../../src/models/User');
+const { hashToken } = require('../../src/utils/tokens');
+
+const buildUser = () => new User({
+  email: 'jane@example.com',
+  password: 'secret1',
+  firstName: 'Jane',
+  lastName: 'Doe'
+});
+
+describe('User lockout', () => {
+  it('locks the account after five failed logins in a row', () => {
+    const user = buildUser();
+
+    for (let attempt = 0; attempt < 4; attempt++) user.registerFailedLogin();
+    expect(user.isLocked()).toBe(false);
+
+    user.registerFailedLogin();
+    expect(user.isLocked()).toBe(true);
+  });
+
+  it('starts counting again after a successful login or an expired lockout', () => {
+    const user = buildUser();
+    for (let attempt = 0; attempt < 4; attempt++) user.registerFailedLogin();
+
+    user.registerSuccessfulLogin();
+    user.registerFailedLogin();
+    expect(user.failedLoginAttempts).toBe(1);
+
+    user.failedLoginAttempts = 5;
+    user.lockUntil = new Date(Date.now() - 1000);
+    user.registerFailedLogin();
+    expect(user.failedLoginAttempts).toBe(1);
+    expect(user.isLocked()).toBe(false);
+  });
+});
+
+describe('User password reset', () => {
+  it('stores only the hash of the reset token', () => {
+    const user = buildUser();
+
+    const token = user.getResetPasswordToken();
+
+    expect(user.resetPasswordToken).toBe(hashToken(token));
+    expect(user.resetPasswordExpire.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('uses up the token and lifts a lockout', () => {
+    const user = buildUser();
+    user.getResetPasswordToken();
+    for (let attempt = 0; attempt < 5; attempt++) user.registerFailedLogin();
+
+    user.resetPassword('secret2');
+
+    expect(user.resetPasswordToken).toBeUndefined();
+    expect(user.isLocked()).toBe(false);
+    expect(user.password).toBe('secret2');
+  });
+});
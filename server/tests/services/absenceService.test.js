@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Rehearsal = require('../../src/models/Rehearsal');
+const User = require('../../src/models/User');
+const { findAbsence, findBlackout, declineAbsentAttendees } = require('../../src/services/absenceService');
+
+const [janeId, bobId, alexId] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+// Away on Monday 2030-01-07, a day in the user's zone
+const buildUser = (id, timeZone = 'UTC') => new User({
+  _id: id,
+  email: `${id}@example.com`,
+  password: 'secret1',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  timeZone,
+  absences: [{
+    startDate: new Date('2030-01-07T00:00:00Z'),
+    endDate: new Date('2030-01-07T00:00:00Z'),
+    reason: 'Tour'
+  }]
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('findAbsence', () => {
+  it('matches the absence\'s days in the user\'s zone', () => {
+    const tokyo = buildUser(janeId, 'Asia/Tokyo');
+
+    // 2030-01-07 runs from 15:00 UTC on the 6th to 15:00 UTC on the 7th in Tokyo
+    expect(findAbsence(tokyo, new Date('2030-01-06T16:00:00Z'), new Date('2030-01-06T18:00:00Z'))).not.toBeNull();
+    expect(findAbsence(tokyo, new Date('2030-01-07T19:00:00Z'), new Date('2030-01-07T21:00:00Z'))).toBeNull();
+    expect(findAbsence(buildUser(janeId), new Date('2030-01-07T19:00:00Z'), new Date('2030-01-07T21:00:00Z')))
+      .not.toBeNull();
+  });
+});
+
+describe('findBlackout', () => {
+  it('matches the blackout\'s days in the group\'s zone', () => {
+    const group = {
+      timeZone: 'UTC',
+      blackoutDates: [{ startDate: new Date('2030-12-24T00:00:00Z'), endDate: new Date('2030-12-26T00:00:00Z') }]
+    };
+
+    expect(findBlackout(group, new Date('2030-12-26T19:00:00Z'), new Date('2030-12-26T21:00:00Z'))).not.toBeNull();
+    expect(findBlackout(group, new Date('2030-12-27T19:00:00Z'), new Date('2030-12-27T21:00:00Z'))).toBeNull();
+  });
+});
+
+describe('declineAbsentAttendees', () => {
+  it('declines pending answers of absent members and flags promises to come', async () => {
+    const rehearsal = new Rehearsal({
+      title: 'Full run',
+      groupId: new mongoose.Types.ObjectId(),
+      createdBy: janeId,
+      startDateTime: new Date('2030-01-07T19:00:00Z'),
+      endDateTime: new Date('2030-01-07T21:00:00Z'),
+      attendees: [
+        { userId: janeId, status: 'pending' },
+        { userId: bobId, status: 'confirmed' },
+        { userId: alexId, status: 'pending' }
+      ]
+    });
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: () => Promise.resolve([buildUser(janeId), buildUser(bobId)])
+    });
+
+    const changes = await declineAbsentAttendees(rehearsal);
+
+    expect(changes.map(change => change.previousStatus)).toEqual(['pending', 'confirmed']);
+    const [jane, bob, alex] = rehearsal.attendees;
+    expect(jane).toMatchObject({ status: 'declined', reason: 'Away: Tour' });
+    expect(bob.status).toBe('confirmed');
+    expect(bob.absenceId).toBeDefined();
+    expect(alex.status).toBe('pending');
+  });
+});
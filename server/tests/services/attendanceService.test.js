@@ -0,0 +1,61 @@
+const { getOutcome, buildAttendanceReport } = require('../../src/services/attendanceService');
+
+const START = new Date('2024-06-10T19:00:00Z');
+const minutesAfterStart = (minutes) => new Date(START.getTime() + minutes * 60 * 1000);
+
+const buildOccurrence = (attendees, checkIns) => ({
+  rehearsalId: 'rehearsal',
+  originalStartDateTime: START,
+  startDateTime: START,
+  endDateTime: minutesAfterStart(120),
+  attendees,
+  checkIns
+});
+
+describe('getOutcome', () => {
+  it('compares the RSVP with the check-in', () => {
+    expect(getOutcome('confirmed', true)).toBe('kept');
+    expect(getOutcome('late', true)).toBe('kept');
+    expect(getOutcome('confirmed', false)).toBe('no_show');
+    expect(getOutcome('tentative', true)).toBe('unannounced');
+    expect(getOutcome('declined', false)).toBe('absent');
+    expect(getOutcome(undefined, false)).toBe('absent');
+  });
+});
+
+describe('buildAttendanceReport', () => {
+  it('reports promised against actual attendance', () => {
+    const report = buildAttendanceReport(buildOccurrence(
+      [
+        { userId: 'jane', status: 'confirmed' },
+        { userId: 'bob', status: 'late', eta: minutesAfterStart(20) },
+        { userId: 'alex', status: 'confirmed' },
+        { userId: 'sam', status: 'declined', reason: 'Ill' }
+      ],
+      [
+        { userId: 'jane', checkedInAt: minutesAfterStart(-5) },
+        { userId: 'bob', checkedInAt: minutesAfterStart(25) },
+        { userId: 'kim', checkedInAt: START }
+      ]
+    ));
+
+    expect(report.summary).toEqual({
+      invited: 4,
+      promised: 3,
+      attended: 3,
+      kept: 2,
+      noShows: 1,
+      unannounced: 1,
+      arrivedLate: 1
+    });
+    expect(report.attendees.map(attendee => [attendee.userId, attendee.outcome, attendee.minutesLate])).toEqual([
+      ['jane', 'kept', 0],
+      ['bob', 'kept', 25],
+      ['alex', 'no_show', 0],
+      ['sam', 'absent', 0],
+      ['kim', 'unannounced', 0]
+    ]);
+    expect(report.attendees[4].status).toBeNull();
+    expect(report.attendees[3].reason).toBe('Ill');
+  });
+});
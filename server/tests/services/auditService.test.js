@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../../src/models/AuditLog');
+const { AUDIT_ACTIONS } = require('../../src/utils/auditActions');
+const { recordAudit, fromChanges, valuesOf, changedValues } = require('../../src/services/auditService');
+
+const actorId = new mongoose.Types.ObjectId();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('recordAudit', () => {
+  it('stores the target type from the action\'s prefix', async () => {
+    const create = jest.spyOn(AuditLog, 'create').mockImplementation(entry => Promise.resolve(entry));
+
+    await recordAudit({ actorId, action: AUDIT_ACTIONS.MEMBER_REMOVED, targetLabel: 'Jane Doe' });
+
+    expect(create.mock.calls[0][0]).toMatchObject({ targetType: 'member', action: 'member.removed' });
+  });
+
+  it('never fails the action it records', async () => {
+    jest.spyOn(AuditLog, 'create').mockRejectedValue(new Error('Database unavailable'));
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await recordAudit({ actorId, action: AUDIT_ACTIONS.GROUP_REQUIREMENTS_UPDATED })).toBeNull();
+    expect(consoleError).toHaveBeenCalled();
+  });
+});
+
+describe('audit values', () => {
+  it('keeps only the fields that changed', () => {
+    expect(changedValues(
+      { name: 'Band', timeZone: 'UTC', tags: ['rock'] },
+      { name: 'The Band', timeZone: 'UTC', tags: ['rock'] }
+    )).toEqual({ before: { name: 'Band' }, after: { name: 'The Band' } });
+  });
+
+  it('splits history changes into before and after values', () => {
+    expect(fromChanges([{ field: 'title', from: 'Run', to: 'Full run' }])).toEqual({
+      before: { title: 'Run' },
+      after: { title: 'Full run' }
+    });
+  });
+
+  it('picks fields as plain values', () => {
+    const entry = new AuditLog({
+      actorId,
+      action: AUDIT_ACTIONS.MEMBER_REMOVED,
+      targetType: 'member',
+      details: { reason: 'Left' }
+    });
+
+    expect(valuesOf(entry, ['targetType', 'details'])).toEqual({ targetType: 'member', details: { reason: 'Left' } });
+  });
+});
+
+describe('AuditLog', () => {
+  it('refuses changes to stored entries', async () => {
+    const entry = new AuditLog({ actorId, action: AUDIT_ACTIONS.MEMBER_REMOVED, targetType: 'member' });
+    entry.isNew = false;
+    entry.targetLabel = 'Someone else';
+
+    await expect(entry.save()).rejects.toThrow('Audit log entries cannot be changed or deleted');
+    await expect(AuditLog.updateMany({}, { targetLabel: 'Someone else' })).rejects.toThrow(
+      'Audit log entries cannot be changed or deleted'
+    );
+    await expect(AuditLog.deleteMany({})).rejects.toThrow('Audit log entries cannot be changed or deleted');
+  });
+});
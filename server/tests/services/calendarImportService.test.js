@@ -0,0 +1,68 @@
+const http = require('http');
+const dns = require('dns');
+const { EventEmitter } = require('events');
+
+const { fetchCalendar, syncUrlSource } = require('../../src/services/calendarImportService');
+const { publicOnlyLookup } = require('../../src/utils/networkAddress');
+
+const SYNC_FAILED_MESSAGE = 'The calendar could not be downloaded or is not a valid iCalendar feed';
+
+// Answer the next http.get with a redirect to `location`
+const redirectTo = (location) =>
+  jest.spyOn(http, 'get').mockImplementationOnce((target, options, callback) => {
+    const request = new EventEmitter();
+    request.destroy = jest.fn();
+    setImmediate(() => callback({ statusCode: 302, headers: { location }, resume: jest.fn() }));
+    return request;
+  });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('fetchCalendar', () => {
+  it.each([
+    'http://127.0.0.1:27017/',
+    'http://[::1]/calendar.ics',
+    'webcal://10.0.0.1/calendar.ics',
+    'http://169.254.169.254/latest/meta-data'
+  ])('does not connect to %s', async (url) => {
+    const get = jest.spyOn(http, 'get');
+
+    await expect(fetchCalendar(url)).rejects.toThrow('is an internal address');
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  it('does not connect to names resolving to internal addresses', async () => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      callback(null, [{ address: '192.168.1.10', family: 4 }]));
+
+    await expect(fetchCalendar('http://calendar.example.com/calendar.ics'))
+      .rejects.toMatchObject({ code: 'EINTERNALADDRESS' });
+  });
+
+  it('checks where a redirect leads before following it', async () => {
+    const get = redirectTo('http://169.254.169.254/latest/meta-data');
+
+    await expect(fetchCalendar('http://calendar.example.com/calendar.ics'))
+      .rejects.toThrow('169.254.169.254 is an internal address');
+    expect(get).toHaveBeenCalledTimes(1);
+    expect(get.mock.calls[0][1].lookup).toBe(publicOnlyLookup);
+  });
+
+  it('does not follow redirects to other protocols', async () => {
+    redirectTo('file:///etc/passwd');
+
+    await expect(fetchCalendar('http://calendar.example.com/calendar.ics')).rejects.toThrow('Unsupported protocol');
+  });
+});
+
+describe('syncUrlSource', () => {
+  it('records and reports a generic error instead of the reason', async () => {
+    const source = { url: 'http://127.0.0.1:6379/', save: jest.fn().mockResolvedValue(null) };
+
+    await expect(syncUrlSource(source)).rejects.toThrow(SYNC_FAILED_MESSAGE);
+    expect(source).toMatchObject({ lastSyncStatus: 'error', lastError: SYNC_FAILED_MESSAGE });
+    expect(source.save).toHaveBeenCalled();
+  });
+});
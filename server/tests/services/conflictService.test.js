@@ -0,0 +1,231 @@
+const mongoose = require('mongoose');
+
+const Rehearsal = require('../../src/models/Rehearsal');
+const Group = require('../../src/models/Group');
+const User = require('../../src/models/User');
+const BusyBlock = require('../../src/models/BusyBlock');
+const { buildConflictReport } = require('../../src/services/conflictService');
+
+const groupId = new mongoose.Types.ObjectId();
+const venueId = new mongoose.Types.ObjectId();
+const janeId = new mongoose.Types.ObjectId();
+const bobId = new mongoose.Types.ObjectId();
+
+// Monday 2024-06-10, 19:00 to 21:00 UTC
+const START = new Date('2024-06-10T19:00:00Z');
+const END = new Date('2024-06-10T21:00:00Z');
+const NOW = new Date('2024-06-01T00:00:00Z');
+
+const fakeQuery = (result) => ({ select: () => Promise.resolve(result) });
+
+const buildRehearsal = (fields = {}) => new Rehearsal({
+  title: 'Full run',
+  groupId,
+  createdBy: janeId,
+  venueId,
+  startDateTime: START,
+  endDateTime: END,
+  attendees: [
+    { userId: janeId, status: 'confirmed' },
+    { userId: bobId, status: 'declined' }
+  ],
+  ...fields
+});
+
+const buildUser = (id, fields = {}) => new User({
+  _id: id,
+  email: `${id}@example.com`,
+  password: 'secret1',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  timeZone: 'UTC',
+  ...fields
+});
+
+// Jane's rehearsal with another group, overlapping the one checked
+const otherGroupOccurrence = (status) => ({
+  rehearsalId: new mongoose.Types.ObjectId(),
+  groupId: new mongoose.Types.ObjectId(),
+  title: 'Side project',
+  originalStartDateTime: new Date('2024-06-10T20:00:00Z'),
+  startDateTime: new Date('2024-06-10T20:00:00Z'),
+  endDateTime: new Date('2024-06-10T22:00:00Z'),
+  attendees: [{ userId: janeId, status }]
+});
+
+// Serve the service these documents in place of the database
+const given = ({ group = { blackoutDates: [] }, users = [], busyBlocks = [], others = [], venue } = {}) => {
+  jest.spyOn(Group, 'findById').mockReturnValue(fakeQuery(group));
+  jest.spyOn(User, 'find').mockReturnValue(fakeQuery(users));
+  jest.spyOn(BusyBlock, 'findForUsers').mockResolvedValue(busyBlocks);
+  jest.spyOn(Rehearsal, 'findOccurrences').mockResolvedValue(others);
+  jest.spyOn(Rehearsal, 'findVenueConflicts').mockResolvedValue(venue || { rehearsals: [], bookings: [] });
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('buildConflictReport', () => {
+  it('reports no conflicts for a free slot', async () => {
+    given({ users: [buildUser(janeId)] });
+
+    const report = await buildConflictReport(buildRehearsal(), { now: NOW });
+
+    expect(report).toMatchObject({ checkedOccurrences: 1, hasConflicts: false });
+  });
+
+  it('reports rehearsals and bookings at the venue', async () => {
+    const booking = {
+      _id: new mongoose.Types.ObjectId(),
+      groupId: new mongoose.Types.ObjectId(),
+      status: 'confirmed',
+      startDateTime: START,
+      endDateTime: END
+    };
+    given({ venue: { rehearsals: [], bookings: [booking] } });
+
+    const report = await buildConflictReport(buildRehearsal(), { now: NOW });
+
+    expect(report.hasConflicts).toBe(true);
+    expect(report.venueConflicts).toHaveLength(1);
+    expect(report.venueConflicts[0].bookings[0].bookingId).toBe(booking._id);
+  });
+
+  it('leaves the rehearsal itself and the excluded ones out of the search', async () => {
+    given();
+    const rehearsal = buildRehearsal();
+    const splitFrom = new mongoose.Types.ObjectId();
+
+    await buildConflictReport(rehearsal, { excludeRehearsalIds: [splitFrom], now: NOW });
+
+    expect(Rehearsal.findVenueConflicts).toHaveBeenCalledWith(venueId, START, END, [rehearsal._id, splitFrom], undefined);
+    expect(Rehearsal.findOccurrences.mock.calls[0][0]._id).toEqual({ $nin: [rehearsal._id, splitFrom] });
+  });
+
+  it('reports attendees who promised to be at another group\'s rehearsal', async () => {
+    given({ users: [buildUser(janeId)], others: [otherGroupOccurrence('confirmed')] });
+
+    const report = await buildConflictReport(buildRehearsal(), { now: NOW });
+
+    expect(report.memberConflicts).toHaveLength(1);
+    expect(report.memberConflicts[0]).toMatchObject({ userId: janeId.toString(), name: 'Jane Doe' });
+  });
+
+  it('ignores other rehearsals the attendee has not promised to attend', async () => {
+    given({ users: [buildUser(janeId)], others: [otherGroupOccurrence('pending')] });
+
+    const report = await buildConflictReport(buildRehearsal(), { now: NOW });
+
+    expect(report.memberConflicts).toEqual([]);
+  });
+
+  it('does not check declined attendees', async () => {
+    given({ users: [buildUser(bobId)] });
+
+    await buildConflictReport(buildRehearsal(), { now: NOW });
+
+    expect(User.find.mock.calls[0][0]._id.$in).toEqual([janeId.toString()]);
+  });
+
+  it('reports attendees scheduled outside their availability', async () => {
+    const jane = buildUser(janeId, {
+      defaultAvailability: [{ day: 1, startTime: '9:00', endTime: '17:00' }]
+    });
+    given({ users: [jane] });
+
+    const report = await buildConflictReport(buildRehearsal(), { now: NOW });
+
+    expect(report.availabilityViolations).toEqual([
+      expect.objectContaining({ userId: janeId.toString(), reason: 'outside_availability' })
+    ]);
+  });
+
+  it('reports attendees busy in their imported calendars', async () => {
+    const jane = buildUser(janeId, {
+      defaultAvailability: [{ day: 1, startTime: '18:00', endTime: '23:00' }]
+    });
+    given({
+      users: [jane],
+      busyBlocks: [{
+        userId: janeId,
+        startDateTime: new Date('2024-06-10T20:30:00Z'),
+        endDateTime: new Date('2024-06-10T21:30:00Z')
+      }]
+    });
+
+    const report = await buildConflictReport(buildRehearsal(), { now: NOW });
+
+    expect(report.availabilityViolations).toEqual([
+      expect.objectContaining({ userId: janeId.toString(), reason: 'busy' })
+    ]);
+  });
+
+  it('does not check members who declared no availability', async () => {
+    given({
+      users: [buildUser(janeId)],
+      busyBlocks: [{ userId: janeId, startDateTime: START, endDateTime: END }]
+    });
+
+    const report = await buildConflictReport(buildRehearsal(), { now: NOW });
+
+    expect(report.availabilityViolations).toEqual([]);
+  });
+
+  it('lists absent attendees without counting them as conflicts', async () => {
+    const jane = buildUser(janeId, {
+      defaultAvailability: [{ day: 2, startTime: '9:00', endTime: '17:00' }],
+      absences: [{ startDate: new Date('2024-06-10T00:00:00Z'), endDate: new Date('2024-06-12T00:00:00Z') }]
+    });
+    given({ users: [jane] });
+
+    const report = await buildConflictReport(buildRehearsal(), { now: NOW });
+
+    expect(report.absences).toHaveLength(1);
+    expect(report.availabilityViolations).toEqual([]);
+    expect(report.hasConflicts).toBe(false);
+  });
+
+  it('reports occurrences on the group\'s blackout dates', async () => {
+    given({
+      group: {
+        timeZone: 'UTC',
+        blackoutDates: [{ startDate: new Date('2024-06-10T00:00:00Z'), endDate: new Date('2024-06-10T00:00:00Z') }]
+      }
+    });
+
+    const report = await buildConflictReport(buildRehearsal(), { now: NOW });
+
+    expect(report.blackoutConflicts).toHaveLength(1);
+    expect(report.hasConflicts).toBe(true);
+  });
+
+  it('checks only the next occurrences of a long series', async () => {
+    given();
+    const rehearsal = buildRehearsal({
+      isRecurring: true,
+      timeZone: 'UTC',
+      recurringPattern: { frequency: 'weekly', dayOfWeek: 1, endDate: new Date('2025-06-09T00:00:00Z') }
+    });
+
+    const report = await buildConflictReport(rehearsal, { now: NOW });
+
+    expect(report.checkedOccurrences).toBe(26);
+    expect(Rehearsal.findVenueConflicts).toHaveBeenCalledTimes(26);
+  });
+
+  it('checks the upcoming occurrences of a series that started long ago', async () => {
+    given();
+    const rehearsal = buildRehearsal({
+      isRecurring: true,
+      timeZone: 'UTC',
+      recurringPattern: { frequency: 'weekly', dayOfWeek: 1, endDate: new Date('2027-06-07T00:00:00Z') }
+    });
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    const report = await buildConflictReport(rehearsal, { now });
+
+    expect(report.checkedOccurrences).toBe(26);
+    expect(Rehearsal.findVenueConflicts.mock.calls[0][1].toISOString()).toBe('2026-10-19T19:00:00.000Z');
+  });
+});
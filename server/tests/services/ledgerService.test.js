@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Rehearsal = require('../../src/models/Rehearsal');
+const {
+  splitCents,
+  getOccurrenceCharge,
+  suggestSettlements
+} = require('../../src/services/ledgerService');
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('splitCents', () => {
+  it('gives the cents left over by rounding to the first parts', () => {
+    expect(splitCents(1000, [1, 1, 1])).toEqual([334, 333, 333]);
+  });
+
+  it('gives the cents left over to the largest remainders', () => {
+    // Exact parts are 142.86, 285.71 and 571.43
+    expect(splitCents(1000, [1, 2, 4])).toEqual([143, 286, 571]);
+  });
+
+  it('splits equally when every weight is zero', () => {
+    expect(splitCents(100, [0, 0])).toEqual([50, 50]);
+  });
+
+  it('leaves nothing to parts weighted zero', () => {
+    expect(splitCents(100, [0, 1])).toEqual([0, 100]);
+  });
+
+  it('returns no parts without weights', () => {
+    expect(splitCents(100, [])).toEqual([]);
+  });
+
+  it('always adds up to the amount', () => {
+    [[1, 1, 1, 1, 1, 1, 1], [3, 0.5, 2.25], [1, 99]].forEach(weights => {
+      [1, 7, 999, 12345].forEach(cents => {
+        expect(sum(splitCents(cents, weights))).toBe(cents);
+      });
+    });
+  });
+});
+
+describe('getOccurrenceCharge', () => {
+  const janeId = new mongoose.Types.ObjectId();
+  const bobId = new mongoose.Types.ObjectId();
+  const alexId = new mongoose.Types.ObjectId();
+
+  const buildRehearsal = (cost) => new Rehearsal({
+    title: 'Full run',
+    groupId: new mongoose.Types.ObjectId(),
+    createdBy: janeId,
+    startDateTime: new Date('2024-06-10T19:00:00Z'),
+    endDateTime: new Date('2024-06-10T21:30:00Z'),
+    attendees: [
+      { userId: janeId, status: 'confirmed' },
+      { userId: bobId, status: 'confirmed' },
+      { userId: alexId, status: 'declined' }
+    ],
+    cost: { paidBy: janeId, ...cost }
+  });
+
+  const chargeOf = (rehearsal, now = new Date('2024-06-11T00:00:00Z')) =>
+    getOccurrenceCharge(rehearsal, rehearsal.getOccurrence(rehearsal.startDateTime), now);
+
+  it('splits a manual cost equally among confirmed attendees', () => {
+    const charge = chargeOf(buildRehearsal({ source: 'manual', amount: 100 }));
+
+    expect(charge.amount).toBe(100);
+    expect(charge.isCharged).toBe(true);
+    expect(charge.shares).toEqual([
+      { userId: janeId.toString(), amount: 50 },
+      { userId: bobId.toString(), amount: 50 }
+    ]);
+  });
+
+  it('charges a venue cost by the hour', () => {
+    const charge = chargeOf(buildRehearsal({ source: 'venue', hourlyRate: 25 }));
+
+    expect(charge.amount).toBe(62.5);
+    expect(sum(charge.shares.map(share => share.amount))).toBe(62.5);
+  });
+
+  it('charges members who checked in without confirming', () => {
+    const rehearsal = buildRehearsal({ source: 'manual', amount: 90 });
+    rehearsal.checkIns.push({ userId: alexId, originalStartDateTime: rehearsal.startDateTime });
+
+    const charge = chargeOf(rehearsal);
+
+    expect(charge.shares.map(share => share.amount)).toEqual([30, 30, 30]);
+  });
+
+  it('splits by custom weights, defaulting to one', () => {
+    const charge = chargeOf(buildRehearsal({
+      source: 'manual',
+      amount: 100,
+      splitMode: 'custom',
+      shares: [{ userId: janeId, weight: 3 }]
+    }));
+
+    expect(charge.shares.map(share => share.amount)).toEqual([75, 25]);
+  });
+
+  it('only estimates occurrences that have not ended', () => {
+    const charge = chargeOf(buildRehearsal({ source: 'manual', amount: 100 }), new Date('2024-06-10T20:00:00Z'));
+
+    expect(charge.isCharged).toBe(false);
+  });
+});
+
+describe('suggestSettlements', () => {
+  it('settles every balance with the largest debts paid first', () => {
+    const settlements = suggestSettlements(new Map([
+      ['jane', 9000],
+      ['bob', -6000],
+      ['alex', -3000],
+      ['sam', 0]
+    ]));
+
+    expect(settlements).toEqual([
+      { fromUserId: 'bob', toUserId: 'jane', amount: 60 },
+      { fromUserId: 'alex', toUserId: 'jane', amount: 30 }
+    ]);
+  });
+
+  it('splits a debt between several creditors', () => {
+    const settlements = suggestSettlements(new Map([
+      ['jane', 2550],
+      ['bob', 1000],
+      ['alex', -3550]
+    ]));
+
+    expect(settlements).toEqual([
+      { fromUserId: 'alex', toUserId: 'jane', amount: 25.5 },
+      { fromUserId: 'alex', toUserId: 'bob', amount: 10 }
+    ]);
+  });
+
+  it('suggests nothing when everyone is even', () => {
+    expect(suggestSettlements(new Map([['jane', 0], ['bob', 0]]))).toEqual([]);
+  });
+});
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Notification = require('../../src/models/Notification');
+const { notifyUsers, notifyRehearsalCreated } = require('../../src/services/notificationService');
+
+const [janeId, bobId, alexId] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+// A Socket.io server recording what is pushed to which room
+const buildIo = () => {
+  const pushed = [];
+  return {
+    pushed,
+    to: (room) => ({ emit: (event, payload) => pushed.push({ room, event, payload }) })
+  };
+};
+
+beforeEach(() => {
+  jest.spyOn(Notification, 'insertMany').mockImplementation(docs => Promise.resolve(docs));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('notifyUsers', () => {
+  it('stores one notification per recipient, leaving out the actor', async () => {
+    const io = buildIo();
+
+    const stored = await notifyUsers(io, [janeId, bobId, janeId.toString(), alexId], {
+      type: 'role_changed',
+      title: 'New role'
+    }, alexId);
+
+    expect(stored.map(notification => notification.userId)).toEqual([janeId.toString(), bobId.toString()]);
+    expect(stored[0]).toMatchObject({ type: 'role_changed', title: 'New role', actorId: alexId });
+    expect(io.pushed.map(push => [push.room, push.event])).toEqual([
+      [`user:${janeId}`, 'notification'],
+      [`user:${bobId}`, 'notification']
+    ]);
+  });
+
+  it('stores nothing when the actor is the only recipient', async () => {
+    expect(await notifyUsers(buildIo(), [janeId], { type: 'role_changed' }, janeId)).toEqual([]);
+    expect(Notification.insertMany).not.toHaveBeenCalled();
+  });
+
+  it('still stores notifications without a socket server', async () => {
+    const stored = await notifyUsers(null, [janeId], { type: 'role_changed' });
+
+    expect(stored).toHaveLength(1);
+  });
+});
+
+describe('notifyRehearsalCreated', () => {
+  it('notifies the invited members of the new rehearsal', async () => {
+    const rehearsal = {
+      _id: new mongoose.Types.ObjectId(),
+      groupId: new mongoose.Types.ObjectId(),
+      title: 'Full run',
+      startDateTime: new Date('2024-06-10T19:00:00Z'),
+      endDateTime: new Date('2024-06-10T21:00:00Z'),
+      attendees: [{ userId: janeId }, { userId: bobId }]
+    };
+
+    const stored = await notifyRehearsalCreated(buildIo(), rehearsal, janeId);
+
+    expect(stored).toHaveLength(1);
+    expect(stored[0]).toMatchObject({
+      userId: bobId.toString(),
+      type: 'rehearsal_created',
+      rehearsalId: rehearsal._id,
+      title: 'New rehearsal: Full run'
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const { snapshot, diffSnapshots, isTimeChange } = require('../../src/services/rehearsalHistoryService');
+
+const venueId = new mongoose.Types.ObjectId();
+
+const rehearsalFields = (fields = {}) => ({
+  startDateTime: new Date('2024-03-05T19:00:00Z'),
+  endDateTime: new Date('2024-03-05T21:00:00Z'),
+  venueId,
+  notes: 'Bring the new charts',
+  ...fields
+});
+
+describe('snapshot', () => {
+  it('reduces IDs to strings and empty values to undefined', () => {
+    const values = snapshot(rehearsalFields({ venueId: { _id: venueId, name: 'The Garage' }, notes: '' }));
+
+    expect(values.venueId).toBe(venueId.toString());
+    expect(values.notes).toBeUndefined();
+    expect(values.setlistId).toBeUndefined();
+  });
+});
+
+describe('diffSnapshots', () => {
+  it('finds nothing between equal snapshots', () => {
+    expect(diffSnapshots(snapshot(rehearsalFields()), snapshot(rehearsalFields()))).toEqual([]);
+  });
+
+  it('lists the tracked fields that changed, with both values', () => {
+    const before = snapshot(rehearsalFields());
+    const after = snapshot(rehearsalFields({
+      startDateTime: new Date('2024-03-05T20:00:00Z'),
+      notes: undefined
+    }));
+
+    expect(diffSnapshots(before, after)).toEqual([
+      { field: 'startDateTime', from: new Date('2024-03-05T19:00:00Z'), to: new Date('2024-03-05T20:00:00Z') },
+      { field: 'notes', from: 'Bring the new charts', to: undefined }
+    ]);
+  });
+
+  it('compares recurring patterns by their fields', () => {
+    const pattern = { frequency: 'weekly', dayOfWeek: 2, endDate: new Date('2024-03-26T00:00:00Z') };
+    const before = snapshot(rehearsalFields({ recurringPattern: pattern }));
+
+    expect(diffSnapshots(before, snapshot(rehearsalFields({ recurringPattern: { ...pattern } })))).toEqual([]);
+    expect(diffSnapshots(before, snapshot(rehearsalFields({ recurringPattern: { ...pattern, dayOfWeek: 3 } }))))
+      .toHaveLength(1);
+  });
+});
+
+describe('isTimeChange', () => {
+  it('is true when the start, end or pattern changes', () => {
+    expect(isTimeChange([{ field: 'notes' }, { field: 'endDateTime' }])).toBe(true);
+  });
+
+  it('is false for a change of venue or notes', () => {
+    expect(isTimeChange([{ field: 'venueId' }, { field: 'notes' }])).toBe(false);
+  });
+});
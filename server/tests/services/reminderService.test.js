@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/services/emailService', () => ({
+  sendEmail: jest.fn().mockResolvedValue({})
+}));
+
+const Rehearsal = require('../../src/models/Rehearsal');
+const Group = require('../../src/models/Group');
+const User = require('../../src/models/User');
+const ReminderLog = require('../../src/models/ReminderLog');
+const { sendEmail } = require('../../src/services/emailService');
+const {
+  processReminders,
+  processRsvpNudges,
+  processDailyDigests
+} = require('../../src/services/reminderService');
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date('2024-06-10T10:00:00Z');
+const groupId = new mongoose.Types.ObjectId();
+const rehearsalId = new mongoose.Types.ObjectId();
+
+// Stand-in for the reminder_logs collection, enforcing its unique key the way
+// MongoDB does
+let logs;
+
+const fakeQuery = (result) => ({ select: () => Promise.resolve(result) });
+
+const buildUser = (fields = {}) => new User({
+  email: 'jane@example.com',
+  password: 'secret1',
+  firstName: 'Jane',
+  lastName: 'Doe',
+  timeZone: 'UTC',
+  ...fields
+});
+
+const buildOccurrence = (user, { hoursAway = 1, status = 'confirmed' } = {}) => {
+  const startDateTime = new Date(now.getTime() + hoursAway * HOUR);
+  return {
+    rehearsalId,
+    groupId,
+    title: 'Full run',
+    startDateTime,
+    originalStartDateTime: startDateTime,
+    endDateTime: new Date(startDateTime.getTime() + 2 * HOUR),
+    attendees: [{ userId: user._id, status }]
+  };
+};
+
+// Serve these users and occurrences to the service in place of the database
+const givenSchedule = (users, occurrences) => {
+  jest.spyOn(User, 'getMaxReminderOffsetHours').mockResolvedValue(48);
+  jest.spyOn(User, 'find').mockReturnValue(fakeQuery(users));
+  jest.spyOn(Group, 'find').mockReturnValue(fakeQuery([{ _id: groupId, name: 'The Testers' }]));
+  jest.spyOn(Rehearsal, 'findOccurrences').mockResolvedValue(occurrences);
+  jest.spyOn(Rehearsal, 'getOccurrencesForMember').mockResolvedValue(occurrences);
+};
+
+beforeEach(() => {
+  logs = new Map();
+  sendEmail.mockReset().mockResolvedValue({});
+
+  jest.spyOn(ReminderLog, 'create').mockImplementation(async (fields) => {
+    if (logs.has(fields.key)) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    const log = new ReminderLog(fields);
+    logs.set(fields.key, log);
+    return log;
+  });
+  jest.spyOn(ReminderLog, 'findOneAndUpdate').mockImplementation(async (filter) => {
+    const log = logs.get(filter.key);
+    if (!log || log.status !== filter.status || log.attempts >= filter.attempts.$lt) return null;
+    log.status = 'sending';
+    log.attempts += 1;
+    return log;
+  });
+  jest.spyOn(ReminderLog, 'exists').mockImplementation(async ({ key, status }) => {
+    const log = logs.get(key);
+    return Boolean(log && log.status === status);
+  });
+  jest.spyOn(ReminderLog.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('processReminders', () => {
+  it('sends the closest due reminder once', async () => {
+    const user = buildUser();
+    givenSchedule([user], [buildOccurrence(user, { hoursAway: 1 })]);
+
+    expect(await processReminders(now)).toBe(1);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0].to).toBe('jane@example.com');
+
+    const [log] = logs.values();
+    expect(log.offsetHours).toBe(2);
+    expect(log.status).toBe('sent');
+  });
+
+  it('does not send a reminder claimed by an earlier run again', async () => {
+    const user = buildUser();
+    givenSchedule([user], [buildOccurrence(user)]);
+
+    await processReminders(now);
+    expect(await processReminders(now)).toBe(0);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not send a reminder another instance is still sending', async () => {
+    const user = buildUser();
+    givenSchedule([user], [buildOccurrence(user)]);
+
+    sendEmail.mockImplementationOnce(() => processReminders(now));
+    await processReminders(now);
+
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries a failed send until the last attempt', async () => {
+    const user = buildUser();
+    givenSchedule([user], [buildOccurrence(user)]);
+    sendEmail.mockRejectedValue(new Error('SMTP unavailable'));
+
+    for (let run = 0; run < 5; run++) {
+      expect(await processReminders(now)).toBe(0);
+    }
+
+    const [log] = logs.values();
+    expect(sendEmail).toHaveBeenCalledTimes(3);
+    expect(log.attempts).toBe(3);
+    expect(log.status).toBe('failed');
+    expect(log.error).toBe('SMTP unavailable');
+  });
+
+  it('records a retry that gets through as sent', async () => {
+    const user = buildUser();
+    givenSchedule([user], [buildOccurrence(user)]);
+    sendEmail.mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+    expect(await processReminders(now)).toBe(0);
+    expect(await processReminders(now)).toBe(1);
+
+    const [log] = logs.values();
+    expect(log.attempts).toBe(2);
+    expect(log.status).toBe('sent');
+    expect(log.error).toBeUndefined();
+  });
+
+  it('skips users who turned emails off', async () => {
+    const user = buildUser({ notificationPreferences: { emailEnabled: false } });
+    givenSchedule([user], [buildOccurrence(user)]);
+
+    expect(await processReminders(now)).toBe(0);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it('skips declined attendees', async () => {
+    const user = buildUser();
+    givenSchedule([user], [buildOccurrence(user, { status: 'declined' })]);
+
+    expect(await processReminders(now)).toBe(0);
+  });
+
+  it('waits for the user\'s own offsets', async () => {
+    const user = buildUser({ notificationPreferences: { reminderOffsetsHours: [24] } });
+    givenSchedule([user], [buildOccurrence(user, { hoursAway: 30 })]);
+
+    expect(await processReminders(now)).toBe(0);
+    expect(logs.size).toBe(0);
+  });
+});
+
+describe('processRsvpNudges', () => {
+  it('nudges a pending attendee once per occurrence', async () => {
+    const user = buildUser();
+    givenSchedule([user], [buildOccurrence(user, { hoursAway: 24, status: 'pending' })]);
+
+    expect(await processRsvpNudges(now)).toBe(1);
+    expect(await processRsvpNudges(now)).toBe(0);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips users who turned nudges off', async () => {
+    const user = buildUser({ notificationPreferences: { rsvpNudges: false } });
+    givenSchedule([user], [buildOccurrence(user, { hoursAway: 24, status: 'pending' })]);
+
+    expect(await processRsvpNudges(now)).toBe(0);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('processDailyDigests', () => {
+  it('waits until the digest hour in the user\'s time zone', async () => {
+    // 10:00 UTC is 06:00 in New York
+    const user = buildUser({
+      timeZone: 'America/New_York',
+      notificationPreferences: { dailyDigest: true, digestHour: 8 }
+    });
+    givenSchedule([user], [buildOccurrence(user, { hoursAway: 24 })]);
+
+    expect(await processDailyDigests(now)).toBe(0);
+    expect(await processDailyDigests(new Date(now.getTime() + 2 * HOUR))).toBe(1);
+  });
+
+  it('sends one digest per local day', async () => {
+    const user = buildUser({ notificationPreferences: { dailyDigest: true, digestHour: 8 } });
+    givenSchedule([user], [buildOccurrence(user, { hoursAway: 24 })]);
+
+    expect(await processDailyDigests(now)).toBe(1);
+    expect(await processDailyDigests(new Date(now.getTime() + HOUR))).toBe(0);
+    expect([...logs.keys()]).toEqual([`daily_digest:${user._id}:2024-06-10`]);
+  });
+
+  it('sends nothing on days without rehearsals', async () => {
+    const user = buildUser({ notificationPreferences: { dailyDigest: true, digestHour: 8 } });
+    givenSchedule([user], []);
+
+    expect(await processDailyDigests(now)).toBe(0);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
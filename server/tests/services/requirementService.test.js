@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/services/socketService', () => ({
+  emitToGroup: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifyRehearsalAtRisk: jest.fn().mockResolvedValue([])
+}));
+
+const Group = require('../../src/models/Group');
+const Rehearsal = require('../../src/models/Rehearsal');
+const { emitToGroup } = require('../../src/services/socketService');
+const { notifyRehearsalAtRisk } = require('../../src/services/notificationService');
+const {
+  getEffectiveRequirements,
+  evaluateRequirements,
+  reevaluateRisk
+} = require('../../src/services/requirementService');
+
+const [janeId, bobId, alexId] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+
+const buildGroup = (rehearsalRequirements) => new Group({
+  name: 'Band',
+  createdBy: janeId,
+  members: [
+    { userId: janeId, role: 'owner', instruments: ['Drums'] },
+    { userId: bobId, role: 'member', instruments: ['bass'] },
+    { userId: alexId, role: 'member', instruments: ['guitar'] }
+  ],
+  rehearsalRequirements
+});
+
+const START = new Date('2030-01-07T19:00:00Z');
+
+const buildRehearsal = (statuses, requirements) => {
+  const rehearsal = new Rehearsal({
+    title: 'Full run',
+    groupId: new mongoose.Types.ObjectId(),
+    createdBy: janeId,
+    startDateTime: START,
+    endDateTime: new Date('2030-01-07T21:00:00Z'),
+    attendees: [janeId, bobId, alexId].map((userId, index) => ({ userId, status: statuses[index] })),
+    requirements
+  });
+  rehearsal.save = jest.fn().mockResolvedValue(rehearsal);
+  return rehearsal;
+};
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('getEffectiveRequirements', () => {
+  it('uses the rehearsal\'s own requirements over the group\'s defaults', () => {
+    const group = buildGroup({ requiredInstruments: ['drums'], minAttendees: 3 });
+
+    expect(getEffectiveRequirements(buildRehearsal([], { minAttendees: 2 }), group)).toEqual({
+      requiredInstruments: [],
+      minAttendees: 2,
+      source: 'rehearsal'
+    });
+    expect(getEffectiveRequirements(buildRehearsal([]), group)).toEqual({
+      requiredInstruments: ['drums'],
+      minAttendees: 3,
+      source: 'group'
+    });
+  });
+});
+
+describe('evaluateRequirements', () => {
+  const requirements = { requiredInstruments: ['drums', 'Bass'], minAttendees: 3 };
+
+  it('only fails once declines make the rule impossible to meet', () => {
+    const group = buildGroup();
+    const pending = buildRehearsal(['pending', 'pending', 'pending']);
+
+    const result = evaluateRequirements(pending.getOccurrence(START), group, requirements);
+
+    expect(result).toMatchObject({ met: true, expectedAttendees: 3, confirmedAttendees: 0 });
+  });
+
+  it('reports missing instruments and too few attendees', () => {
+    const group = buildGroup();
+    const rehearsal = buildRehearsal(['confirmed', 'declined', 'late']);
+
+    const result = evaluateRequirements(rehearsal.getOccurrence(START), group, requirements);
+
+    expect(result.met).toBe(false);
+    expect(result.missingInstruments).toEqual(['Bass']);
+    expect(result.confirmedAttendees).toBe(2);
+    expect(result.reasons).toEqual([
+      'Nobody who can come plays Bass.',
+      'Only 2 of the 3 members needed can come.'
+    ]);
+  });
+});
+
+describe('reevaluateRisk', () => {
+  it('flags an occurrence once, telling the schedulers, and clears it again', async () => {
+    const group = buildGroup({ requiredInstruments: ['bass'] });
+    const rehearsal = buildRehearsal(['confirmed', 'declined', 'confirmed']);
+
+    const changes = await reevaluateRisk(null, group, rehearsal, { originalStart: START });
+
+    expect(changes).toEqual([expect.objectContaining({ atRisk: true, newlyFlagged: true })]);
+    expect(rehearsal.getRiskFlag(START)).toBeTruthy();
+    expect(notifyRehearsalAtRisk).toHaveBeenCalledTimes(1);
+    expect(await reevaluateRisk(null, group, rehearsal, { originalStart: START })).toEqual([]);
+
+    rehearsal.attendees[1].status = 'confirmed';
+    const cleared = await reevaluateRisk(null, group, rehearsal, { originalStart: START });
+
+    expect(cleared).toEqual([expect.objectContaining({ atRisk: false })]);
+    expect(emitToGroup).toHaveBeenCalledTimes(2);
+    expect(notifyRehearsalAtRisk).toHaveBeenCalledTimes(1);
+    expect(rehearsal.save).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Rehearsal = require('../../src/models/Rehearsal');
+const BusyBlock = require('../../src/models/BusyBlock');
+const {
+  expandWeeklySlots,
+  mergeIntervals,
+  subtractIntervals,
+  getMemberFreeIntervals,
+  isFreeDuring,
+  suggestRehearsalTimes
+} = require('../../src/services/schedulingService');
+
+const at = (iso) => new Date(iso).getTime();
+const interval = (start, end) => ({ start: at(start), end: at(end) });
+
+// 2024-06-10 is a Monday (day 1)
+const MONDAY = 1;
+const weekOf = [new Date('2024-06-10T00:00:00Z'), new Date('2024-06-16T23:59:00Z')];
+
+describe('expandWeeklySlots', () => {
+  it('reads single-digit hours as earlier than two-digit ones', () => {
+    const intervals = expandWeeklySlots(
+      [{ day: MONDAY, startTime: '9:00', endTime: '17:00' }],
+      ...weekOf,
+      'UTC'
+    );
+
+    expect(intervals).toContainEqual(interval('2024-06-10T09:00:00Z', '2024-06-10T17:00:00Z'));
+  });
+
+  it('runs slots ending before they start into the next day', () => {
+    const intervals = expandWeeklySlots(
+      [{ day: MONDAY, startTime: '22:00', endTime: '02:00' }],
+      ...weekOf,
+      'UTC'
+    );
+
+    expect(intervals).toContainEqual(interval('2024-06-10T22:00:00Z', '2024-06-11T02:00:00Z'));
+  });
+
+  it('places slots in the given time zone', () => {
+    const intervals = expandWeeklySlots(
+      [{ day: MONDAY, startTime: '09:00', endTime: '17:00' }],
+      ...weekOf,
+      'Europe/Berlin'
+    );
+
+    expect(intervals).toContainEqual(interval('2024-06-10T07:00:00Z', '2024-06-10T15:00:00Z'));
+  });
+
+  it('keeps the wall-clock time across a daylight saving change', () => {
+    // Clocks in Berlin went forward on Sunday 2024-03-31
+    const intervals = expandWeeklySlots(
+      [
+        { day: 6, startTime: '10:00', endTime: '12:00' },
+        { day: 0, startTime: '10:00', endTime: '12:00' }
+      ],
+      new Date('2024-03-30T00:00:00Z'),
+      new Date('2024-03-31T23:00:00Z'),
+      'Europe/Berlin'
+    );
+
+    expect(intervals).toContainEqual(interval('2024-03-30T09:00:00Z', '2024-03-30T11:00:00Z'));
+    expect(intervals).toContainEqual(interval('2024-03-31T08:00:00Z', '2024-03-31T10:00:00Z'));
+  });
+});
+
+describe('mergeIntervals', () => {
+  it('merges overlapping and touching intervals and keeps gaps', () => {
+    expect(mergeIntervals([
+      { start: 50, end: 60 },
+      { start: 0, end: 10 },
+      { start: 10, end: 20 },
+      { start: 15, end: 30 }
+    ])).toEqual([{ start: 0, end: 30 }, { start: 50, end: 60 }]);
+  });
+
+  it('does not change the intervals passed in', () => {
+    const intervals = [{ start: 0, end: 10 }, { start: 5, end: 20 }];
+    mergeIntervals(intervals);
+
+    expect(intervals[0]).toEqual({ start: 0, end: 10 });
+  });
+});
+
+describe('subtractIntervals', () => {
+  it('cuts busy time out of free time', () => {
+    expect(subtractIntervals(
+      [{ start: 0, end: 100 }],
+      [{ start: 20, end: 30 }, { start: 25, end: 40 }, { start: 90, end: 120 }]
+    )).toEqual([{ start: 0, end: 20 }, { start: 40, end: 90 }]);
+  });
+
+  it('drops free time covered entirely', () => {
+    expect(subtractIntervals([{ start: 10, end: 20 }], [{ start: 0, end: 30 }])).toEqual([]);
+  });
+});
+
+describe('getMemberFreeIntervals', () => {
+  const user = {
+    timeZone: 'UTC',
+    defaultAvailability: [
+      { day: MONDAY, startTime: '9:00', endTime: '17:00' },
+      { day: 2, startTime: '9:00', endTime: '17:00' }
+    ],
+    oneTimeAvailability: [
+      { date: new Date('2024-06-12T00:00:00Z'), startTime: '18:00', endTime: '20:00' }
+    ],
+    absences: [
+      { startDate: new Date('2024-06-11T00:00:00Z'), endDate: new Date('2024-06-11T00:00:00Z') }
+    ]
+  };
+
+  it('takes busy blocks and absences out of the declared availability', () => {
+    const free = getMemberFreeIntervals(user, ...weekOf, [
+      { startDateTime: new Date('2024-06-10T12:00:00Z'), endDateTime: new Date('2024-06-10T13:00:00Z') }
+    ]);
+
+    expect(free).toEqual([
+      interval('2024-06-10T09:00:00Z', '2024-06-10T12:00:00Z'),
+      interval('2024-06-10T13:00:00Z', '2024-06-10T17:00:00Z'),
+      interval('2024-06-12T18:00:00Z', '2024-06-12T20:00:00Z')
+    ]);
+  });
+
+  it('clips the intervals to the range asked for', () => {
+    const free = getMemberFreeIntervals(
+      user,
+      new Date('2024-06-10T10:00:00Z'),
+      new Date('2024-06-10T11:00:00Z')
+    );
+
+    expect(free).toEqual([interval('2024-06-10T10:00:00Z', '2024-06-10T11:00:00Z')]);
+    expect(isFreeDuring(free, at('2024-06-10T10:00:00Z'), at('2024-06-10T11:00:00Z'))).toBe(true);
+    expect(isFreeDuring(free, at('2024-06-10T10:30:00Z'), at('2024-06-10T11:30:00Z'))).toBe(false);
+  });
+});
+
+describe('suggestRehearsalTimes', () => {
+  const venueId = new mongoose.Types.ObjectId();
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Jane',
+    lastName: 'Doe',
+    timeZone: 'UTC',
+    defaultAvailability: [{ day: MONDAY, startTime: '9:00', endTime: '13:00' }]
+  };
+  const group = { timeZone: 'UTC', blackoutDates: [], members: [{ userId: user, instruments: ['violin'] }] };
+  const options = {
+    startDate: new Date('2024-06-10T00:00:00Z'),
+    endDate: new Date('2024-06-11T00:00:00Z'),
+    durationMinutes: 120,
+    venueId
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('starts after the venue is taken, loading the venue\'s bookings once', async () => {
+    jest.spyOn(BusyBlock, 'findForUsers').mockResolvedValue([]);
+    jest.spyOn(Rehearsal, 'getVenueBusyIntervals').mockResolvedValue([
+      interval('2024-06-10T08:00:00Z', '2024-06-10T10:15:00Z')
+    ]);
+
+    const [suggestion] = await suggestRehearsalTimes(group, options);
+
+    expect(suggestion.startDateTime.toISOString()).toBe('2024-06-10T10:30:00.000Z');
+    expect(suggestion.availableUntil.toISOString()).toBe('2024-06-10T13:00:00.000Z');
+    expect(Rehearsal.getVenueBusyIntervals).toHaveBeenCalledTimes(1);
+    expect(Rehearsal.getVenueBusyIntervals).toHaveBeenCalledWith(venueId, options.startDate, options.endDate, null);
+  });
+
+  it('skips windows in which the venue is taken throughout', async () => {
+    jest.spyOn(BusyBlock, 'findForUsers').mockResolvedValue([]);
+    jest.spyOn(Rehearsal, 'getVenueBusyIntervals').mockResolvedValue([
+      interval('2024-06-10T09:00:00Z', '2024-06-10T12:00:00Z')
+    ]);
+
+    expect(await suggestRehearsalTimes(group, options)).toEqual([]);
+  });
+});
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Setlist = require('../../src/models/Setlist');
+const Song = require('../../src/models/Song');
+const { getSetlistFit, getSetlistWarnings } = require('../../src/services/setlistService');
+
+const groupId = new mongoose.Types.ObjectId();
+
+// A setlist of two songs: one with its length set for this setlist, one
+// taking its length from the song catalog
+const buildSetlist = (catalogSeconds) => new Setlist({
+  groupId,
+  name: 'Spring set',
+  entries: [
+    { songId: new Song({ groupId, title: 'Overture', durationSeconds: 60 }), durationSeconds: 45 * 60 },
+    { songId: new Song({ groupId, title: 'Finale', durationSeconds: catalogSeconds }) }
+  ]
+});
+
+const givenSetlist = (setlist) => {
+  jest.spyOn(Setlist, 'findById').mockReturnValue({ populate: () => Promise.resolve(setlist) });
+};
+
+const rehearsal = (minutes) => ({
+  setlistId: new mongoose.Types.ObjectId(),
+  durationMinutes: minutes
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getSetlistFit', () => {
+  it('adds up entry lengths, falling back to the catalog, rounding up to minutes', async () => {
+    givenSetlist(buildSetlist(14 * 60 + 1));
+
+    const fit = await getSetlistFit(rehearsal(60));
+
+    expect(fit).toMatchObject({ setlistMinutes: 60, rehearsalMinutes: 60, fits: true, overByMinutes: 0 });
+  });
+
+  it('reports how far a setlist runs over the rehearsal', async () => {
+    givenSetlist(buildSetlist(30 * 60));
+
+    const fit = await getSetlistFit(rehearsal(60));
+
+    expect(fit).toMatchObject({ setlistMinutes: 75, fits: false, overByMinutes: 15 });
+    expect(getSetlistWarnings(fit)).toEqual([
+      'The setlist runs 75 minutes, 15 more than the 60-minute rehearsal'
+    ]);
+  });
+
+  it('has nothing to compare without a setlist', async () => {
+    expect(await getSetlistFit({ durationMinutes: 60 })).toBeNull();
+    expect(getSetlistWarnings(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Group = require('../../src/models/Group');
+const { initSocket } = require('../../src/services/socketService');
+const { CLIENT_EVENTS } = require('../../src/utils/socketEvents');
+
+const memberId = new mongoose.Types.ObjectId();
+const outsiderId = new mongoose.Types.ObjectId();
+const groupId = new mongoose.Types.ObjectId();
+
+// A Socket.io server keeping the handshake middleware and connection handler
+const setUp = () => {
+  const io = {};
+  io.use = (middleware) => { io.middleware = middleware; };
+  io.on = (event, handler) => { io.onConnection = handler; };
+  initSocket(io);
+  return io;
+};
+
+const buildSocket = (fields = {}) => {
+  const handlers = {};
+  return {
+    handshake: { auth: {}, headers: {} },
+    data: {},
+    join: jest.fn(),
+    leave: jest.fn(),
+    on: (event, handler) => { handlers[event] = handler; },
+    // Send a client event and resolve to the acknowledgement
+    send: (event, payload) => new Promise(resolve => handlers[event](payload, resolve)),
+    ...fields
+  };
+};
+
+const handshake = (io, socket) => new Promise(resolve => io.middleware(socket, resolve));
+
+const connect = (io, userId) => {
+  const socket = buildSocket({ data: { userId: userId.toString() } });
+  io.onConnection(socket);
+  return socket;
+};
+
+beforeEach(() => {
+  const group = new Group({ _id: groupId, name: 'Band', members: [{ userId: memberId, role: 'member' }] });
+  jest.spyOn(Group, 'findById').mockReturnValue({ select: () => Promise.resolve(group) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('socket handshake', () => {
+  it('refuses connections without a token', async () => {
+    const error = await handshake(setUp(), buildSocket());
+
+    expect(error.message).toBe('Authentication required');
+  });
+
+  it('refuses connections with an invalid token', async () => {
+    const socket = buildSocket({ handshake: { auth: {}, headers: { authorization: 'Bearer not-a-token' } } });
+
+    const error = await handshake(setUp(), socket);
+
+    expect(error.message).toBe('Authentication failed');
+    expect(socket.data.userId).toBeUndefined();
+  });
+});
+
+describe('group rooms', () => {
+  it('puts every connection in its user\'s room', () => {
+    const socket = connect(setUp(), memberId);
+
+    expect(socket.join).toHaveBeenCalledWith(`user:${memberId}`);
+  });
+
+  it('lets members join their group\'s room', async () => {
+    const socket = connect(setUp(), memberId);
+
+    expect(await socket.send(CLIENT_EVENTS.JOIN_ROOM, groupId.toString())).toEqual({ success: true });
+    expect(socket.join).toHaveBeenCalledWith(groupId.toString());
+  });
+
+  it('keeps other users out of the group\'s room', async () => {
+    const socket = connect(setUp(), outsiderId);
+
+    const ack = await socket.send(CLIENT_EVENTS.JOIN_ROOM, groupId.toString());
+
+    expect(ack.success).toBe(false);
+    expect(socket.join).not.toHaveBeenCalledWith(groupId.toString());
+  });
+
+  it('refuses room names that are not group IDs', async () => {
+    const socket = connect(setUp(), memberId);
+
+    expect(await socket.send(CLIENT_EVENTS.JOIN_ROOM, 'user:someone-else')).toMatchObject({ success: false });
+    expect(Group.findById).not.toHaveBeenCalled();
+  });
+});
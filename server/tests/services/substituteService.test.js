@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/services/emailService', () => ({
+  sendEmail: jest.fn().mockResolvedValue(null)
+}));
+jest.mock('../../src/services/socketService', () => ({
+  emitToGroup: jest.fn()
+}));
+jest.mock('../../src/services/notificationService', () => ({
+  notifySubRequested: jest.fn().mockResolvedValue([]),
+  notifySubRequestFilled: jest.fn().mockResolvedValue([]),
+  notifySubRequestExhausted: jest.fn().mockResolvedValue([])
+}));
+jest.mock('../../src/services/requirementService', () => ({
+  ...jest.requireActual('../../src/services/requirementService'),
+  reevaluateRisk: jest.fn().mockResolvedValue([])
+}));
+
+const Substitute = require('../../src/models/Substitute');
+const SubRequest = require('../../src/models/SubRequest');
+const Group = require('../../src/models/Group');
+const Rehearsal = require('../../src/models/Rehearsal');
+const { sendEmail } = require('../../src/services/emailService');
+const { notifySubRequestExhausted } = require('../../src/services/notificationService');
+const {
+  openSubRequest,
+  respondToSubRequest,
+  processSubRequestTimeouts
+} = require('../../src/services/substituteService');
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2030-01-07T19:00:00Z');
+const userId = new mongoose.Types.ObjectId();
+
+const group = { _id: new mongoose.Types.ObjectId(), name: 'Band' };
+
+const rehearsal = new Rehearsal({
+  title: 'Full run',
+  groupId: group._id,
+  createdBy: userId,
+  startDateTime: START,
+  endDateTime: new Date('2030-01-07T21:00:00Z')
+});
+
+// Three external bass players on the roster, asked in this order
+const substitutes = ['Sam', 'Kim', 'Lee'].map(name => new Substitute({
+  groupId: group._id,
+  name,
+  email: `${name.toLowerCase()}@example.com`,
+  instruments: ['bass']
+}));
+
+const open = (mode) => openSubRequest(null, group, rehearsal, rehearsal.getOccurrence(START), {
+  instrument: 'bass',
+  substituteIds: substitutes.map(substitute => substitute._id),
+  mode,
+  responseHours: 24,
+  requestedBy: userId
+});
+
+const statuses = (request) => request.candidates.map(candidate => candidate.status);
+
+beforeEach(() => {
+  jest.spyOn(Substitute, 'find').mockResolvedValue(substitutes);
+  jest.spyOn(Group, 'findById').mockResolvedValue(group);
+  jest.spyOn(Rehearsal, 'findById').mockResolvedValue(rehearsal);
+  jest.spyOn(SubRequest.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('openSubRequest', () => {
+  it('asks one candidate at a time in sequential mode', async () => {
+    const request = await open('sequential');
+
+    expect(statuses(request)).toEqual(['asked', 'waiting', 'waiting']);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+    expect(sendEmail.mock.calls[0][0].to).toBe('sam@example.com');
+  });
+
+  it('asks every candidate at once in broadcast mode', async () => {
+    const request = await open('broadcast');
+
+    expect(statuses(request)).toEqual(['asked', 'asked', 'asked']);
+    expect(sendEmail).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('processSubRequestTimeouts', () => {
+  it('moves on to the next candidate once the answer is overdue', async () => {
+    const request = await open('sequential');
+    jest.spyOn(SubRequest, 'find').mockResolvedValue([request]);
+    const askedAt = request.candidates[0].askedAt.getTime();
+
+    expect(await processSubRequestTimeouts(null, new Date(askedAt + 23 * HOUR))).toBe(0);
+    expect(await processSubRequestTimeouts(null, new Date(askedAt + 25 * HOUR))).toBe(1);
+    expect(statuses(request)).toEqual(['timed_out', 'asked', 'waiting']);
+  });
+
+  it('marks the request exhausted when nobody is left to ask', async () => {
+    const request = await open('sequential');
+    jest.spyOn(SubRequest, 'find').mockResolvedValue([request]);
+    request.candidates.forEach(candidate => {
+      candidate.status = candidate.status === 'asked' ? 'asked' : 'declined';
+    });
+    const askedAt = request.candidates[0].askedAt.getTime();
+
+    await processSubRequestTimeouts(null, new Date(askedAt + 25 * HOUR));
+
+    expect(request.status).toBe('exhausted');
+    expect(notifySubRequestExhausted).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('respondToSubRequest', () => {
+  it('tells a candidate when someone else already took the spot', async () => {
+    const request = await open('broadcast');
+    jest.spyOn(SubRequest, 'claimFill').mockResolvedValue(null);
+    const addGuest = jest.spyOn(rehearsal, 'addGuestAttendee');
+
+    const result = await respondToSubRequest(null, request, request.candidates[1], true);
+
+    expect(result).toEqual({ success: false, message: 'Someone else has already taken this spot' });
+    expect(addGuest).not.toHaveBeenCalled();
+  });
+});
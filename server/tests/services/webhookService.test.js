@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const mongoose = require('mongoose');
+
+const Webhook = require('../../src/models/Webhook');
+const WebhookDelivery = require('../../src/models/WebhookDelivery');
+const { signPayload, processDueDeliveries } = require('../../src/services/webhookService');
+
+const MINUTE = 60 * 1000;
+
+describe('signPayload', () => {
+  const body = JSON.stringify({ event: 'rehearsal.created', data: { title: 'Full run' } });
+
+  it('signs the timestamp and body with the webhook secret', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update(`1718000000.${body}`).digest('hex');
+
+    expect(signPayload('secret', 1718000000, body)).toBe(`sha256=${expected}`);
+  });
+
+  it('changes with the secret, the timestamp and the body', () => {
+    const signature = signPayload('secret', 1718000000, body);
+
+    expect(signPayload('other', 1718000000, body)).not.toBe(signature);
+    expect(signPayload('secret', 1718000001, body)).not.toBe(signature);
+    expect(signPayload('secret', 1718000000, `${body} `)).not.toBe(signature);
+  });
+});
+
+describe('processDueDeliveries', () => {
+  let delivery;
+
+  // One due delivery to a webhook at `url`
+  const givenDelivery = (url, fields = {}) => {
+    const webhook = new Webhook({
+      groupId: new mongoose.Types.ObjectId(),
+      url,
+      events: ['rehearsal.created'],
+      secret: 'secret'
+    });
+    delivery = new WebhookDelivery({
+      webhookId: webhook._id,
+      groupId: webhook.groupId,
+      event: 'rehearsal.created',
+      payload: { title: 'Full run' },
+      ...fields
+    });
+
+    jest.spyOn(Webhook, 'findById').mockReturnValue({ select: () => Promise.resolve(webhook) });
+    jest.spyOn(WebhookDelivery, 'findOneAndUpdate')
+      .mockResolvedValueOnce(delivery)
+      .mockResolvedValue(null);
+    jest.spyOn(delivery, 'save').mockResolvedValue(delivery);
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not connect to internal addresses', async () => {
+    givenDelivery('http://169.254.169.254/latest/meta-data');
+
+    expect(await processDueDeliveries()).toBe(1);
+    expect(delivery.attemptLog[0].error).toBe('169.254.169.254 is an internal address');
+    expect(delivery.attemptLog[0].statusCode).toBeUndefined();
+  });
+
+  it('does not connect to names resolving to internal addresses', async () => {
+    givenDelivery('http://hooks.example.com/hook');
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+    await processDueDeliveries();
+
+    expect(delivery.attemptLog[0].error).toBe('hooks.example.com resolves to an internal address');
+  });
+
+  it('schedules a failed attempt for a retry', async () => {
+    givenDelivery('http://10.0.0.1/hook');
+    const before = Date.now();
+
+    await processDueDeliveries();
+
+    expect(delivery.status).toBe('pending');
+    expect(delivery.attempts).toBe(1);
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + MINUTE);
+  });
+
+  it('gives up after the last attempt', async () => {
+    givenDelivery('http://10.0.0.1/hook', { attempts: 5 });
+
+    await processDueDeliveries();
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts).toBe(6);
+  });
+});
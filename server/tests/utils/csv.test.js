@@ -0,0 +1,30 @@
+const { toCsv } = require('../../src/utils/csv');
+
+const COLUMNS = [
+  { key: 'member', header: 'Member' },
+  { key: 'amount', header: 'Amount' }
+];
+
+const lineOf = (row) => toCsv(COLUMNS, [row]).split('\r\n')[1];
+
+describe('toCsv', () => {
+  it('quotes values containing separators, quotes and line breaks', () => {
+    expect(lineOf({ member: 'Doe, "JD"\nJohn', amount: 5 })).toBe('"Doe, ""JD""\nJohn",5');
+  });
+
+  it.each(['=1+2', '+1', '-1', '@SUM(A1)', '\tx'])('prefixes formula-like text %j with a quote', (text) => {
+    expect(lineOf({ member: text, amount: 0 })).toBe(`'${text},0`);
+  });
+
+  it('prefixes and then quotes text starting with a carriage return', () => {
+    expect(lineOf({ member: '\r=1', amount: 0 })).toBe('"\'\r=1",0');
+  });
+
+  it('writes negative amounts as numbers', () => {
+    expect(lineOf({ member: 'Jane', amount: -12.5 })).toBe('Jane,-12.5');
+  });
+
+  it('writes missing values as empty fields', () => {
+    expect(lineOf({ member: null })).toBe(',');
+  });
+});
@@ -0,0 +1,81 @@
+const { escapeText, formatDateTime, buildCalendar } = require('../../src/utils/icalendar');
+
+// Undo line folding and split the document into its content lines
+const contentLines = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+// A two-hour rehearsal on Tuesdays at 19:00 UTC from 2024-03-05 to 2024-03-26
+const buildSeries = (fields = {}) => ({
+  _id: 'series',
+  title: 'Full run',
+  startDateTime: new Date('2024-03-05T19:00:00Z'),
+  endDateTime: new Date('2024-03-05T21:00:00Z'),
+  updatedAt: new Date('2024-03-01T12:00:00Z'),
+  isRecurring: true,
+  timeZone: 'UTC',
+  recurringPattern: { frequency: 'weekly', dayOfWeek: 2, endDate: new Date('2024-03-26T00:00:00Z') },
+  exceptions: [],
+  ...fields
+});
+
+describe('escapeText', () => {
+  it('escapes the characters TEXT values reserve', () => {
+    expect(escapeText('Bring: cables, stands; picks\\strings\nand water')).toBe(
+      'Bring: cables\\, stands\\; picks\\\\strings\\nand water'
+    );
+  });
+});
+
+describe('formatDateTime', () => {
+  it('formats a UTC DATE-TIME value', () => {
+    expect(formatDateTime(new Date('2024-01-05T19:00:00.000Z'))).toBe('20240105T190000Z');
+  });
+});
+
+describe('buildCalendar', () => {
+  it('ends every line with CRLF and folds lines longer than 75 octets', () => {
+    const calendar = buildCalendar('Band', [
+      buildSeries({ isRecurring: false, description: 'Ä'.repeat(60) })
+    ], 'example.com');
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    calendar.split('\r\n').forEach(line => {
+      expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75);
+    });
+    expect(contentLines(calendar)).toContain(`DESCRIPTION:${'Ä'.repeat(60)}`);
+  });
+
+  it('writes a one-off rehearsal as a single event', () => {
+    const lines = contentLines(buildCalendar('Band', [buildSeries({ isRecurring: false })], 'example.com'));
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'UID:series@example.com',
+      'DTSTART:20240305T190000Z',
+      'DTEND:20240305T210000Z',
+      'SUMMARY:Full run'
+    ]));
+    expect(lines.some(line => line.startsWith('RRULE'))).toBe(false);
+  });
+
+  it('writes a series as a rule with its cancelled and moved occurrences', () => {
+    const rehearsal = buildSeries({
+      exceptions: [
+        { originalStartDateTime: new Date('2024-03-12T19:00:00Z'), isCancelled: true },
+        {
+          originalStartDateTime: new Date('2024-03-19T19:00:00Z'),
+          startDateTime: new Date('2024-03-20T18:00:00Z'),
+          endDateTime: new Date('2024-03-20T20:00:00Z')
+        }
+      ]
+    });
+
+    const lines = contentLines(buildCalendar('Band', [rehearsal], 'example.com'));
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'RRULE:FREQ=WEEKLY;INTERVAL=1;BYDAY=TU;UNTIL=20240326T235959Z',
+      'EXDATE:20240312T190000Z',
+      'RECURRENCE-ID:20240319T190000Z',
+      'DTSTART:20240320T180000Z'
+    ]));
+    expect(lines.filter(line => line === 'BEGIN:VEVENT')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,86 @@
+const dns = require('dns');
+const { isInternalAddress, publicOnlyLookup, isPublicUrl } = require('../../src/utils/networkAddress');
+
+const resolvesTo = (...addresses) =>
+  addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('isInternalAddress', () => {
+  it.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    '::',
+    'fd00::1',
+    'fe80::1',
+    '::ffff:10.0.0.1',
+    'not an address'
+  ])('refuses %s', (address) => {
+    expect(isInternalAddress(address)).toBe(true);
+  });
+
+  it.each(['1.1.1.1', '93.184.216.34', '172.32.0.1', '2606:4700::1111'])('allows %s', (address) => {
+    expect(isInternalAddress(address)).toBe(false);
+  });
+});
+
+describe('isPublicUrl', () => {
+  it('checks addresses without resolving them', async () => {
+    const lookup = jest.spyOn(dns.promises, 'lookup');
+
+    expect(await isPublicUrl('https://1.1.1.1/hook')).toBe(true);
+    expect(await isPublicUrl('http://127.0.0.1:3000/hook')).toBe(false);
+    expect(await isPublicUrl('http://[::1]/hook')).toBe(false);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it('refuses names resolving to any internal address', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue(resolvesTo('93.184.216.34', '10.0.0.5'));
+
+    expect(await isPublicUrl('https://hooks.example.com/hook')).toBe(false);
+  });
+
+  it('allows names resolving to public addresses only', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue(resolvesTo('93.184.216.34'));
+
+    expect(await isPublicUrl('https://hooks.example.com/hook')).toBe(true);
+  });
+
+  it('refuses names that do not resolve and invalid URLs', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockRejectedValue(Object.assign(new Error('not found'), { code: 'ENOTFOUND' }));
+
+    expect(await isPublicUrl('https://nowhere.invalid/hook')).toBe(false);
+    expect(await isPublicUrl('not a url')).toBe(false);
+  });
+});
+
+describe('publicOnlyLookup', () => {
+  const lookup = (options) => new Promise((resolve) => {
+    publicOnlyLookup('hooks.example.com', options, (error, address, family) => resolve({ error, address, family }));
+  });
+
+  it('passes on a public address in the form asked for', async () => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      callback(null, resolvesTo('93.184.216.34')));
+
+    expect(await lookup({})).toEqual({ error: null, address: '93.184.216.34', family: 4 });
+    expect((await lookup({ all: true })).address).toEqual(resolvesTo('93.184.216.34'));
+  });
+
+  it('fails when the name resolves to an internal address', async () => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) =>
+      callback(null, resolvesTo('169.254.169.254')));
+
+    const { error } = await lookup({});
+
+    expect(error.code).toBe('EINTERNALADDRESS');
+  });
+});
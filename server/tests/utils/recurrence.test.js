@@ -0,0 +1,206 @@
+const { getOriginalStarts, getOccurrence, expandOccurrences } = require('../../src/utils/recurrence');
+
+const HOUR = 60 * 60 * 1000;
+const at = (iso) => new Date(iso).getTime();
+const isoOf = (times) => times.map(time => new Date(time).toISOString());
+
+// A two-hour rehearsal on Tuesdays at 19:00 UTC from 2024-03-05 to 2024-04-02
+const buildSeries = (fields = {}) => ({
+  _id: 'series',
+  groupId: 'group',
+  title: 'Full run',
+  startDateTime: new Date('2024-03-05T19:00:00Z'),
+  endDateTime: new Date('2024-03-05T21:00:00Z'),
+  isRecurring: true,
+  timeZone: 'UTC',
+  attendees: [{ userId: 'jane', status: 'confirmed' }],
+  exceptions: [],
+  ...fields,
+  recurringPattern: {
+    frequency: 'weekly',
+    dayOfWeek: 2,
+    endDate: new Date('2024-04-02T00:00:00Z'),
+    ...fields.recurringPattern
+  }
+});
+
+describe('getOriginalStarts', () => {
+  it('gives a one-off rehearsal a single occurrence at its start', () => {
+    const rehearsal = buildSeries({ isRecurring: false });
+
+    expect(getOriginalStarts(rehearsal, 0, Infinity)).toEqual([at('2024-03-05T19:00:00Z')]);
+    expect(getOriginalStarts(rehearsal, at('2024-03-06T00:00:00Z'), Infinity)).toEqual([]);
+  });
+
+  it('repeats weekly up to and including the end date', () => {
+    expect(isoOf(getOriginalStarts(buildSeries(), 0, Infinity))).toEqual([
+      '2024-03-05T19:00:00.000Z',
+      '2024-03-12T19:00:00.000Z',
+      '2024-03-19T19:00:00.000Z',
+      '2024-03-26T19:00:00.000Z',
+      '2024-04-02T19:00:00.000Z'
+    ]);
+  });
+
+  it('starts on the first matching weekday on or after the series start', () => {
+    const rehearsal = buildSeries({ recurringPattern: { dayOfWeek: 4 } });
+
+    expect(isoOf(getOriginalStarts(rehearsal, 0, Infinity))[0]).toBe('2024-03-07T19:00:00.000Z');
+  });
+
+  it('skips weeks for biweekly series and intervals', () => {
+    const biweekly = buildSeries({ recurringPattern: { frequency: 'biweekly' } });
+    const everyThirdWeek = buildSeries({ recurringPattern: { interval: 3 } });
+
+    expect(isoOf(getOriginalStarts(biweekly, 0, Infinity))).toEqual([
+      '2024-03-05T19:00:00.000Z',
+      '2024-03-19T19:00:00.000Z',
+      '2024-04-02T19:00:00.000Z'
+    ]);
+    expect(isoOf(getOriginalStarts(everyThirdWeek, 0, Infinity))).toEqual([
+      '2024-03-05T19:00:00.000Z',
+      '2024-03-26T19:00:00.000Z'
+    ]);
+  });
+
+  it('only returns starts in the range asked for', () => {
+    const starts = getOriginalStarts(buildSeries(), at('2024-03-12T19:00:00Z'), at('2024-03-26T19:00:00Z'));
+
+    expect(isoOf(starts)).toEqual(['2024-03-12T19:00:00.000Z', '2024-03-19T19:00:00.000Z']);
+  });
+
+  it('skips months without the series\' day of month', () => {
+    const rehearsal = buildSeries({
+      startDateTime: new Date('2024-01-31T19:00:00Z'),
+      endDateTime: new Date('2024-01-31T21:00:00Z'),
+      recurringPattern: { frequency: 'monthly', endDate: new Date('2024-06-30T00:00:00Z') }
+    });
+
+    expect(isoOf(getOriginalStarts(rehearsal, 0, Infinity))).toEqual([
+      '2024-01-31T19:00:00.000Z',
+      '2024-03-31T19:00:00.000Z',
+      '2024-05-31T19:00:00.000Z'
+    ]);
+  });
+});
+
+describe('expandOccurrences', () => {
+  it('applies moved and cancelled occurrences', () => {
+    const rehearsal = buildSeries({
+      exceptions: [
+        {
+          originalStartDateTime: new Date('2024-03-12T19:00:00Z'),
+          startDateTime: new Date('2024-03-13T18:00:00Z'),
+          endDateTime: new Date('2024-03-13T20:00:00Z'),
+          attendees: [{ userId: 'jane', status: 'declined' }]
+        },
+        { originalStartDateTime: new Date('2024-03-19T19:00:00Z'), isCancelled: true }
+      ]
+    });
+
+    const occurrences = expandOccurrences(rehearsal, '2024-03-01T00:00:00Z', '2024-03-31T00:00:00Z');
+
+    expect(occurrences.map(occurrence => occurrence.startDateTime.toISOString())).toEqual([
+      '2024-03-05T19:00:00.000Z',
+      '2024-03-13T18:00:00.000Z',
+      '2024-03-26T19:00:00.000Z'
+    ]);
+    expect(occurrences[1].originalStartDateTime.toISOString()).toBe('2024-03-12T19:00:00.000Z');
+    expect(occurrences[1].attendees[0].status).toBe('declined');
+    expect(occurrences[2].attendees[0].status).toBe('confirmed');
+
+    const withCancelled = expandOccurrences(rehearsal, '2024-03-19T00:00:00Z', '2024-03-20T00:00:00Z', {
+      includeCancelled: true
+    });
+    expect(withCancelled).toHaveLength(1);
+    expect(withCancelled[0].isCancelled).toBe(true);
+  });
+
+  it('finds an occurrence moved into the range from outside it', () => {
+    const rehearsal = buildSeries({
+      exceptions: [{
+        originalStartDateTime: new Date('2024-04-02T19:00:00Z'),
+        startDateTime: new Date('2024-03-07T19:00:00Z'),
+        endDateTime: new Date('2024-03-07T21:00:00Z')
+      }]
+    });
+
+    const occurrences = expandOccurrences(rehearsal, '2024-03-07T00:00:00Z', '2024-03-08T00:00:00Z');
+
+    expect(occurrences).toHaveLength(1);
+    expect(occurrences[0].originalStartDateTime.toISOString()).toBe('2024-04-02T19:00:00.000Z');
+  });
+
+  it('includes an occurrence that started before the range and runs into it', () => {
+    const occurrences = expandOccurrences(buildSeries(), '2024-03-05T20:00:00Z', '2024-03-05T22:00:00Z');
+
+    expect(occurrences).toHaveLength(1);
+    expect(occurrences[0].endDateTime.getTime() - occurrences[0].startDateTime.getTime()).toBe(2 * HOUR);
+  });
+});
+
+describe('getOccurrence', () => {
+  it('returns null for a date that is not an original start', () => {
+    expect(getOccurrence(buildSeries(), '2024-03-12T19:00:00Z')).not.toBeNull();
+    expect(getOccurrence(buildSeries(), '2024-03-12T20:00:00Z')).toBeNull();
+    expect(getOccurrence(buildSeries(), '2024-04-09T19:00:00Z')).toBeNull();
+  });
+});
+
+describe('series in a time zone', () => {
+  // Tuesdays at 19:00 in Berlin, where clocks go forward on Sunday 2024-03-31
+  const berlinSeries = (fields = {}) => buildSeries({
+    startDateTime: new Date('2024-03-19T18:00:00Z'),
+    endDateTime: new Date('2024-03-19T20:00:00Z'),
+    timeZone: 'Europe/Berlin',
+    ...fields,
+    recurringPattern: { endDate: new Date('2024-04-09T00:00:00Z'), ...fields.recurringPattern }
+  });
+
+  it('keeps the local time across a daylight saving change', () => {
+    expect(isoOf(getOriginalStarts(berlinSeries(), 0, Infinity))).toEqual([
+      '2024-03-19T18:00:00.000Z',
+      '2024-03-26T18:00:00.000Z',
+      '2024-04-02T17:00:00.000Z',
+      '2024-04-09T17:00:00.000Z'
+    ]);
+  });
+
+  it('keeps the duration of occurrences after the change', () => {
+    const [occurrence] = expandOccurrences(berlinSeries(), '2024-04-02T00:00:00Z', '2024-04-03T00:00:00Z');
+
+    expect(occurrence.startDateTime.toISOString()).toBe('2024-04-02T17:00:00.000Z');
+    expect(occurrence.endDateTime.toISOString()).toBe('2024-04-02T19:00:00.000Z');
+  });
+
+  it('repeats on the local weekday when it differs from the UTC one', () => {
+    // Monday 00:30 in Berlin is still Sunday in UTC
+    const rehearsal = berlinSeries({
+      startDateTime: new Date('2024-03-17T23:30:00Z'),
+      endDateTime: new Date('2024-03-18T01:30:00Z'),
+      recurringPattern: { dayOfWeek: 1 }
+    });
+
+    expect(isoOf(getOriginalStarts(rehearsal, 0, Infinity))).toEqual([
+      '2024-03-17T23:30:00.000Z',
+      '2024-03-24T23:30:00.000Z',
+      '2024-03-31T22:30:00.000Z',
+      '2024-04-07T22:30:00.000Z'
+    ]);
+  });
+
+  it('runs to the end of the end date in the series\' zone', () => {
+    // 23:30 on the end date in New York is already the next day in UTC
+    const rehearsal = buildSeries({
+      startDateTime: new Date('2024-06-05T03:30:00Z'),
+      endDateTime: new Date('2024-06-05T04:30:00Z'),
+      timeZone: 'America/New_York',
+      recurringPattern: { endDate: new Date('2024-06-11T00:00:00Z') }
+    });
+
+    expect(isoOf(getOriginalStarts(rehearsal, 0, Infinity))).toEqual([
+      '2024-06-05T03:30:00.000Z',
+      '2024-06-12T03:30:00.000Z'
+    ]);
+  });
+});
@@ -0,0 +1,43 @@
+const {
+  zonedTimeToUtc,
+  getZonedParts,
+  formatZonedDateTime,
+  getDayRangeInterval
+} = require('../../src/utils/timeZone');
+
+describe('zonedTimeToUtc', () => {
+  it('uses the offset in force on the day', () => {
+    expect(zonedTimeToUtc({ year: 2024, month: 1, day: 15 }, '19:00', 'Europe/Berlin').toISOString())
+      .toBe('2024-01-15T18:00:00.000Z');
+    expect(zonedTimeToUtc({ year: 2024, month: 7, day: 15 }, '19:00', 'Europe/Berlin').toISOString())
+      .toBe('2024-07-15T17:00:00.000Z');
+  });
+
+  it('uses the new offset on the day of a change', () => {
+    // New York went back to standard time at 02:00 on 2024-11-03
+    expect(zonedTimeToUtc({ year: 2024, month: 11, day: 3 }, '19:00', 'America/New_York').toISOString())
+      .toBe('2024-11-04T00:00:00.000Z');
+  });
+
+  it('moves a time skipped when clocks go forward past the gap', () => {
+    const date = zonedTimeToUtc({ year: 2024, month: 3, day: 31 }, '02:30', 'Europe/Berlin');
+
+    expect(formatZonedDateTime(date, 'Europe/Berlin')).toBe('2024-03-31T03:30:00+02:00');
+  });
+
+  it('gives a time repeated when clocks go back a single instant', () => {
+    const date = zonedTimeToUtc({ year: 2024, month: 10, day: 27 }, '02:30', 'Europe/Berlin');
+
+    expect(getZonedParts(date, 'Europe/Berlin')).toMatchObject({ hour: 2, minute: 30 });
+  });
+});
+
+describe('getDayRangeInterval', () => {
+  it('covers a 23-hour day when clocks go forward', () => {
+    const day = new Date('2024-03-31T00:00:00Z');
+    const { start, end } = getDayRangeInterval(day, day, 'Europe/Berlin');
+
+    expect(new Date(start).toISOString()).toBe('2024-03-30T23:00:00.000Z');
+    expect((end - start) / (60 * 60 * 1000)).toBe(23);
+  });
+});